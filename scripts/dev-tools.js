@@ -25,9 +25,12 @@ class DevTools {
             // Load configuration
             const ConfigLoader = require('../src/config/config-loader');
             const AIService = require('../src/services/ai-service');
+            const { initializeDatabase } = require('../src/database/database-manager');
             
             const config = await ConfigLoader.loadConfig();
+            await initializeDatabase(config.database);
             const aiService = new AIService(config);
+            console.log(`Provider: ${aiService.provider}${aiService.provider === 'mock' ? ' (offline fixture)' : ''}\n`);
             
             // Test basic response
             console.log('📝 Testing basic AI response...');
@@ -39,8 +42,9 @@ class DevTools {
             
             // Test intent analysis
             console.log('🎯 Testing intent analysis...');
-            const intent = await aiService.analyzeIntent(testMessage);
-            console.log(`Intent: ${intent}\n`);
+            const intent = await aiService.analyzeUserIntent(testMessage);
+            console.log(`Intent: ${intent.intent} (${intent.source}, confidence ${intent.confidence})`);
+            console.log(`Entities: ${JSON.stringify(intent.entities)}\n`);
             
             // Test special commands
             console.log('⚡ Testing special commands...');
@@ -65,10 +69,12 @@ class DevTools {
         console.log('==============================\n');
 
         try {
-            const DatabaseManager = require('../src/database/database-manager');
-            const dbManager = new DatabaseManager();
+            const ConfigLoader = require('../src/config/config-loader');
+            const { initializeDatabase } = require('../src/database/database-manager');
             
-            await dbManager.initialize();
+            const config = await ConfigLoader.loadConfig();
+            const dbManager = await initializeDatabase(config.database);
+            console.log(`Storage: ${config.database.type} (${config.database.path})\n`);
             
             // Test user operations
             console.log('👤 Testing user operations...');
@@ -78,28 +84,21 @@ class DevTools {
                 joinedAt: new Date().toISOString()
             };
             
-            await dbManager.saveUser(testUser.phoneNumber, testUser);
+            await dbManager.createUser(testUser.phoneNumber, testUser);
             const retrievedUser = await dbManager.getUser(testUser.phoneNumber);
             console.log(`Saved and retrieved user: ${retrievedUser.name}`);
             
             // Test conversation operations
             console.log('💬 Testing conversation operations...');
-            const testConversation = {
-                userId: testUser.phoneNumber,
-                message: 'Test message',
-                response: 'Test response',
-                timestamp: new Date().toISOString()
-            };
-            
-            await dbManager.saveConversation(testUser.phoneNumber, testConversation);
-            const conversations = await dbManager.getConversations(testUser.phoneNumber);
-            console.log(`Saved conversation, total: ${conversations.length}`);
+            await dbManager.saveMessage(testUser.phoneNumber, 'Test message', true);
+            await dbManager.saveMessage(testUser.phoneNumber, 'Test response', false);
+            const history = await dbManager.getConversationHistory(testUser.phoneNumber, 10);
+            console.log(`Saved conversation, total: ${history.length}`);
             
             // Test analytics
             console.log('📊 Testing analytics...');
-            await dbManager.updateAnalytics('message_sent');
             const analytics = await dbManager.getAnalytics();
-            console.log(`Analytics updated, total messages: ${analytics.totalMessages}`);
+            console.log(`Analytics updated, messages in the last 7 days: ${analytics.messages}`);
             
             console.log('\n✅ Database test completed successfully!');
             
@@ -154,10 +153,11 @@ class DevTools {
         console.log('==========================\n');
 
         try {
-            const DatabaseManager = require('../src/database/database-manager');
-            const dbManager = new DatabaseManager();
+            const ConfigLoader = require('../src/config/config-loader');
+            const { initializeDatabase } = require('../src/database/database-manager');
             
-            await dbManager.initialize();
+            const config = await ConfigLoader.loadConfig();
+            const dbManager = await initializeDatabase(config.database);
             
             // Generate test users
             const testUsers = [
@@ -168,7 +168,7 @@ class DevTools {
             
             console.log('👥 Creating test users...');
             for (const user of testUsers) {
-                await dbManager.saveUser(user.phoneNumber, user);
+                await dbManager.createUser(user.phoneNumber, user);
                 console.log(`   Created user: ${user.name}`);
             }
             
@@ -185,15 +185,8 @@ class DevTools {
             for (const user of testUsers) {
                 for (let i = 0; i < 3; i++) {
                     const message = testMessages[Math.floor(Math.random() * testMessages.length)];
-                    const conversation = {
-                        userId: user.phoneNumber,
-                        message: message,
-                        response: `This is a test response to: ${message}`,
-                        timestamp: new Date().toISOString()
-                    };
-                    
-                    await dbManager.saveConversation(user.phoneNumber, conversation);
-                    await dbManager.updateAnalytics('message_sent');
+                    await dbManager.saveMessage(user.phoneNumber, message, true);
+                    await dbManager.saveMessage(user.phoneNumber, `This is a test response to: ${message}`, false);
                 }
                 console.log(`   Created conversations for: ${user.name}`);
             }
@@ -293,7 +286,7 @@ class DevTools {
         console.log('  test-all      - Run all tests');
         console.log('  test-config   - Test configuration loading');
         console.log('  test-db       - Test database operations');
-        console.log('  test-ai       - Test AI service');
+        console.log('  test-ai       - Test AI service (AI_PROVIDER=mock runs offline)');
         console.log('  generate-data - Generate test data');
         console.log('  clean-data    - Clean test data and reset database');
         console.log('  help          - Show this help message\n');
@@ -0,0 +1,125 @@
+#!/usr/bin/env node
+
+const fs = require('fs-extra');
+
+/**
+ * Database migration tool for AllOneCustomerAI
+ * Shows the schema version and runs or previews pending migrations.
+ * Uses DB_TYPE / DB_PATH from .env, stop the bot before running "up".
+ */
+
+class MigrationTool {
+    async openDatabase() {
+        const ConfigLoader = require('../src/config/config-loader');
+        const { DatabaseManager } = require('../src/database/database-manager');
+
+        const config = await ConfigLoader.loadDatabaseConfig();
+        if (!(await fs.pathExists(config.path))) {
+            throw new Error(`No ${config.type} database at ${config.path}`);
+        }
+
+        const db = new DatabaseManager(config);
+        await db.initialize({ migrate: false });
+        console.log(`Database: ${config.path} (${db.type})\n`);
+        return db;
+    }
+
+    async showStatus() {
+        console.log('🗄️  Schema Status');
+        console.log('================\n');
+
+        const db = await this.openDatabase();
+        try {
+            const status = await db.migrator.getStatus();
+            console.log(`Current version: ${status.current}`);
+            console.log(`Latest version:  ${status.latest}\n`);
+
+            if (status.current > status.latest) {
+                console.log('⚠️  The database is newer than this release, upgrade the bot');
+            } else if (status.pending.length === 0) {
+                console.log('✅ Database is up to date');
+            } else {
+                console.log(`Pending migrations (${status.pending.length}):`);
+                status.pending.forEach(migration => {
+                    console.log(`  ${migration.version}. ${migration.description}`);
+                });
+            }
+        } finally {
+            await db.close();
+        }
+    }
+
+    async migrate(dryRun) {
+        console.log(dryRun ? '🔍 Migration Dry Run' : '🚚 Running Migrations');
+        console.log('====================\n');
+
+        const db = await this.openDatabase();
+        try {
+            const summary = await db.migrator.migrate({ dryRun });
+
+            if (summary.applied.length === 0) {
+                console.log(summary.from === summary.to ? '✅ Nothing to migrate' : `✅ Schema version set to ${summary.to}`);
+                return;
+            }
+
+            summary.applied.forEach(migration => {
+                console.log(`  ${migration.version}. ${migration.description}${migration.result ? ` - ${migration.result}` : ''}`);
+            });
+            console.log('');
+
+            if (dryRun) {
+                console.log(`Would migrate schema ${summary.from} -> ${summary.to}, nothing was saved`);
+            } else {
+                console.log(`Backup: ${summary.backupFile}`);
+                console.log(`✅ Migrated schema ${summary.from} -> ${summary.to}`);
+            }
+        } finally {
+            await db.close();
+        }
+    }
+
+    showHelp() {
+        console.log('🗄️  AllOneCustomerAI Database Migrations');
+        console.log('=======================================\n');
+        console.log('Available commands:');
+        console.log('  status   - Show the schema version and pending migrations');
+        console.log('  dry-run  - Run pending migrations without saving anything');
+        console.log('  up       - Back up the database and apply pending migrations');
+        console.log('  help     - Show this help message\n');
+        console.log('Pending migrations also run automatically when the bot starts.\n');
+    }
+}
+
+// CLI interface
+if (require.main === module) {
+    const command = process.argv[2] || 'help';
+    const tool = new MigrationTool();
+
+    (async () => {
+        try {
+            switch (command) {
+                case 'status':
+                    await tool.showStatus();
+                    break;
+
+                case 'dry-run':
+                    await tool.migrate(true);
+                    break;
+
+                case 'up':
+                    await tool.migrate(false);
+                    break;
+
+                case 'help':
+                default:
+                    tool.showHelp();
+                    break;
+            }
+        } catch (error) {
+            console.error('❌ Command failed:', error.message);
+            process.exit(1);
+        }
+    })();
+}
+
+module.exports = MigrationTool;
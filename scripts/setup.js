@@ -242,6 +242,128 @@ COMPANY_INFO_FILE=./config/company-info.json
         
         console.log('');
     }
+
+    /**
+     * Re-encrypt the JSON database, its journal, backups and stored media with a new key.
+     * Plaintext files are encrypted too, so this also turns encryption on.
+     * Stop the bot before running it.
+     */
+    async rotateKey() {
+        console.log('🔑 Rotating database encryption key...');
+        console.log('=====================================\n');
+
+        const ConfigLoader = require('../src/config/config-loader');
+        const Encryption = require('../src/utils/encryption');
+        const MediaStore = require('../src/services/media-store');
+        const config = await ConfigLoader.loadDatabaseConfig();
+
+        if (config.type !== 'json') {
+            throw new Error('Encryption at rest is only supported with DB_TYPE=json');
+        }
+
+        const envPath = path.join(this.projectRoot, '.env');
+        const envContent = await fs.readFile(envPath, 'utf8').catch(() => '');
+        if (config.encryptionKey && !/^DB_ENCRYPTION_KEY=/m.test(envContent)) {
+            throw new Error('DB_ENCRYPTION_KEY is set outside .env, use DB_ENCRYPTION_KEY_FILE to rotate it here');
+        }
+
+        const current = await Encryption.load({ key: config.encryptionKey, keyFile: config.encryptionKeyFile });
+        const newKey = Encryption.generateKey();
+        const next = new Encryption(newKey);
+        // Text for database files, a Buffer for media
+        const recode = (content, file) => {
+            if (!Encryption.isEncrypted(content)) {
+                return next.encrypt(content);
+            }
+            if (!current) {
+                throw new Error(`${file} is encrypted but no key is configured`);
+            }
+            return next.encrypt(current.decryptBuffer(content));
+        };
+
+        // Write everything to temp files first, nothing changes if a file can't be decrypted
+        const databaseFiles = await this.listDatabaseFiles(config.path);
+        const mediaFiles = await new MediaStore({ dir: process.env.MEDIA_DIR }).listFiles();
+        const files = [...databaseFiles, ...mediaFiles];
+        try {
+            for (const file of databaseFiles) {
+                const content = await fs.readFile(file, 'utf8');
+                const output = file.endsWith('.journal') ?
+                    content.split('\n').filter(line => line.trim()).map(line => `${recode(line, file)}\n`).join('') :
+                    recode(content, file);
+                await fs.writeFile(`${file}.rotating`, output);
+            }
+            for (const file of mediaFiles) {
+                await fs.writeFile(`${file}.rotating`, recode(await fs.readFile(file), file));
+            }
+        } catch (error) {
+            await Promise.all(files.map(file => fs.remove(`${file}.rotating`)));
+            throw error;
+        }
+
+        // Keep the previous key until the bot has started with the new one
+        const timestamp = new Date().toISOString().replace(/[:.]/g, '-');
+        if (config.encryptionKeyFile) {
+            if (await fs.pathExists(config.encryptionKeyFile)) {
+                await fs.copy(config.encryptionKeyFile, `${config.encryptionKeyFile}.old-${timestamp}`);
+            }
+            await fs.outputFile(config.encryptionKeyFile, `${newKey}\n`);
+            await fs.chmod(config.encryptionKeyFile, 0o600);
+            console.log(`   New key written to ${config.encryptionKeyFile}`);
+        } else {
+            if (envContent) {
+                await fs.writeFile(`${envPath}.old-${timestamp}`, envContent, { mode: 0o600 });
+            }
+            const line = `DB_ENCRYPTION_KEY=${newKey}`;
+            const updated = /^DB_ENCRYPTION_KEY=.*$/m.test(envContent) ?
+                envContent.replace(/^DB_ENCRYPTION_KEY=.*$/m, line) :
+                `${envContent.trim() ? `${envContent.trimEnd()}\n\n` : ''}# Database encryption at rest\n${line}\n`;
+            await fs.writeFile(envPath, updated);
+            console.log('   New key written to .env (DB_ENCRYPTION_KEY)');
+        }
+
+        for (const file of databaseFiles) {
+            await this.replaceKeepingTimes(`${file}.rotating`, file);
+            console.log(`   Re-encrypted ${path.relative(this.projectRoot, file)}`);
+        }
+        for (const file of mediaFiles) {
+            await this.replaceKeepingTimes(`${file}.rotating`, file);
+        }
+        if (mediaFiles.length > 0) {
+            console.log(`   Re-encrypted ${mediaFiles.length} media file(s)`);
+        }
+
+        console.log(`\n✅ ${files.length} file(s) now encrypted with key ${next.keyId}`);
+        if (current) {
+            console.log(`   The previous key was kept in *.old-${timestamp}, delete it once the bot starts normally`);
+        }
+        console.log('');
+    }
+
+    /**
+     * Move a re-encrypted copy over the original without resetting its timestamps,
+     * old backups and media files are removed by modification time
+     */
+    async replaceKeepingTimes(rotated, file) {
+        const { atime, mtime } = await fs.stat(file);
+        await fs.move(rotated, file, { overwrite: true });
+        await fs.utimes(file, atime, mtime);
+    }
+
+    async listDatabaseFiles(dbPath) {
+        const backupDir = path.join(path.dirname(dbPath), 'backups');
+        const backups = (await fs.readdir(backupDir).catch(() => []))
+            .filter(file => file.startsWith('backup_') && file.endsWith('.json'))
+            .map(file => path.join(backupDir, file));
+
+        const files = [];
+        for (const file of [dbPath, `${dbPath}.journal`, ...backups]) {
+            if (await fs.pathExists(file)) {
+                files.push(path.resolve(file));
+            }
+        }
+        return files;
+    }
 }
 
 // CLI interface
@@ -265,8 +387,15 @@ if (require.main === module) {
             // Add reset logic here if needed
             break;
             
+        case 'rotate-key':
+            setupManager.rotateKey().catch(error => {
+                console.error('❌ Key rotation failed:', error.message);
+                process.exit(1);
+            });
+            break;
+            
         default:
-            console.log('Usage: node scripts/setup.js [setup|check|reset]');
+            console.log('Usage: node scripts/setup.js [setup|check|reset|rotate-key]');
             break;
     }
 }
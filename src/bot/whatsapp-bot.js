@@ -1,19 +1,60 @@
-const { default: makeWASocket, DisconnectReason, useMultiFileAuthState } = require('@whiskeysockets/baileys');
+const { default: makeWASocket, DisconnectReason, useMultiFileAuthState, downloadMediaMessage } = require('@whiskeysockets/baileys');
 const qrcode = require('qrcode-terminal');
 const logger = require('../utils/logger');
 const AIService = require('../services/ai-service');
+const HandoffManager = require('../services/handoff-manager');
+const JobScheduler = require('../services/job-scheduler');
+const DataPrivacyService = require('../services/data-privacy-service');
+const PiiRedactor = require('../services/pii-redactor');
+const TranscriptionService = require('../services/transcription-service');
+const MediaStore = require('../services/media-store');
+const DocumentExtractor = require('../services/document-extractor');
+const MessageRenderer = require('../services/message-renderer');
+const GroupManager = require('../services/group-manager');
 const { getDatabase } = require('../database/database-manager');
+const Helpers = require('../utils/helpers');
 const fs = require('fs-extra');
 const path = require('path');
 
+// Stored and sent as the text of images without a caption
+const IMAGE_PLACEHOLDER = '[image]';
+
+// A numeric reply picks from the last text menu for this long
+const MENU_CHOICE_TTL_MS = 10 * 60 * 1000;
+
 class WhatsAppBot {
     constructor(config) {
         this.config = config;
         this.sock = null;
         this.aiService = new AIService(config);
+        this.handoffManager = new HandoffManager(config.handoff);
+        // Received images and documents are kept on disk, encrypted like the database
+        this.mediaStore = new MediaStore({ ...config.media, encryption: getDatabase().encryption });
+        this.dataPrivacy = new DataPrivacyService({
+            timezone: config.companyInfo.timezone,
+            companyName: config.companyInfo.name,
+            mediaStore: this.mediaStore
+        });
+        // Message bodies are logged with personal data masked
+        this.redactor = new PiiRedactor(config.redaction);
+        // Voice notes are transcribed and handled like typed messages
+        this.transcription = new TranscriptionService(config.transcription);
+        // Received images are shown to vision-capable providers
+        this.imagesEnabled = config.media?.imagesEnabled === true;
+        // PDF, Word and spreadsheet attachments are read so the AI can answer questions about them
+        this.documentExtractor = new DocumentExtractor(config.documents);
+        this.documentsEnabled = config.documents?.enabled === true;
+        // Buttons, lists, media and locations in replies, numbered text menus as fallback
+        this.renderer = new MessageRenderer(config.richMessages);
+        this.menuChoices = new Map();
+        // In groups the bot answers mentions, commands and replies to its own messages
+        this.groupManager = new GroupManager(config.groups);
         this.isConnected = false;
+        this.jobScheduler = new JobScheduler(config.jobs);
         this.authDir = './auth_info';
         this.adminNumbers = config.admin.numbers.map(num => num.includes('@') ? num : `${num}@s.whatsapp.net`);
+        
+        this.registerJobHandlers();
     }
 
     async initialize() {
@@ -36,6 +77,9 @@ class WhatsAppBot {
             // Set up event handlers
             this.setupEventHandlers(saveCreds);
             
+            // Start scheduled maintenance jobs (no-op on reconnect)
+            this.jobScheduler.start();
+            
             logger.info('WhatsApp bot initialized successfully');
             return this;
             
@@ -96,6 +140,11 @@ class WhatsAppBot {
                 // Skip if message is from bot itself or is not a regular message
                 if (message.key.fromMe || !message.message) continue;
                 
+                if (this.groupManager.isGroup(message.key.remoteJid)) {
+                    await this.handleGroupMessage(message);
+                    continue;
+                }
+                
                 const phoneNumber = message.key.remoteJid;
                 
                 // Additional validation: Skip if message is from bot's own number
@@ -104,11 +153,27 @@ class WhatsAppBot {
                     continue;
                 }
                 
-                const messageText = this.extractMessageText(message);
+                const messageText = this.resolveMenuChoice(phoneNumber, this.extractMessageText(message));
+                
+                if (message.message.imageMessage && this.imagesEnabled) {
+                    await this.handleImage(phoneNumber, message);
+                    continue;
+                }
+                
+                const document = this.getDocumentMessage(message);
+                if (document && this.documentsEnabled) {
+                    await this.handleDocument(phoneNumber, message, document);
+                    continue;
+                }
+                
+                if (!messageText && message.message.audioMessage) {
+                    await this.handleVoiceNote(phoneNumber, message);
+                    continue;
+                }
                 
                 if (!messageText) continue;
                 
-                logger.info(`Received message from ${phoneNumber}: ${messageText}`);
+                logger.info(`Received message from ${phoneNumber}: ${this.redactor.redact(messageText)}`);
                 
                 // Mark message as read
                 await this.sock.readMessages([message.key]);
@@ -125,9 +190,237 @@ class WhatsAppBot {
         }
     }
 
+    /**
+     * Answer a group message when the bot is mentioned, a command is sent or one of
+     * the bot's messages is replied to. The participant is the customer, the answer
+     * goes to the group. Attachments only count by their caption here.
+     */
+    async handleGroupMessage(message) {
+        const groupJid = message.key.remoteJid;
+        const participant = message.key.participant || message.participant;
+        if (!this.groupManager.enabled || !participant || this.isBotJid(participant)) {
+            return;
+        }
+        
+        const rawText = this.extractMessageText(message);
+        const trigger = this.groupManager.getTrigger(rawText, this.getContextInfo(message), jid => this.isBotJid(jid));
+        if (!trigger) {
+            return;
+        }
+        
+        const messageText = this.resolveMenuChoice(groupJid, this.stripBotMentions(rawText || ''));
+        if (!messageText) {
+            return;
+        }
+        
+        // Admins can manage a group from inside it, even while it is disabled
+        const isAdminCommand = this.isAdmin(participant) && messageText.startsWith('/admin');
+        const settings = await this.groupManager.getSettings(groupJid, async jid => (await this.sock.groupMetadata(jid)).subject);
+        if (!settings.enabled && !isAdminCommand) {
+            logger.debug(`Ignoring ${trigger} in disabled group ${groupJid}`);
+            return;
+        }
+        
+        logger.info(`Received ${trigger} in group ${settings.subject || groupJid} from ${participant}: ${this.redactor.redact(messageText)}`);
+        
+        if (messageText.startsWith('/') && !isAdminCommand && !this.groupManager.isCommandAllowed(settings, messageText)) {
+            await this.sendMessage(groupJid, await this.aiService.getLocalizedMessage(participant, 'groupCommandUnavailable'), { quoted: message });
+            return;
+        }
+        
+        await this.sock.readMessages([message.key]);
+        await this.sock.sendPresenceUpdate('composing', groupJid);
+        
+        await this.processMessage(participant, messageText, message, { groupJid, trigger });
+    }
+
+    // Mentions, quoted messages and the like, wherever the message type keeps them
+    getContextInfo(message) {
+        const contents = [...Object.values(message.message), this.getDocumentMessage(message)];
+        return contents.find(content => content?.contextInfo)?.contextInfo || null;
+    }
+
+    /**
+     * Whether a JID is the bot's own account; groups may use phone or LID based JIDs
+     */
+    isBotJid(jid) {
+        if (!jid) {
+            return false;
+        }
+        
+        const user = jid.split('@')[0].split(':')[0];
+        const ownUsers = [this.sock?.user?.id, this.sock?.user?.lid]
+            .filter(Boolean)
+            .map(id => id.split('@')[0].split(':')[0]);
+        
+        return ownUsers.includes(user) || (jid.endsWith('@s.whatsapp.net') && this.isBotNumber(jid));
+    }
+
+    // "@6281234567890 what are your hours?" -> "what are your hours?"
+    stripBotMentions(text) {
+        return text
+            .replace(/@(\d+)/g, (mention, user) =>
+                this.isBotJid(`${user}@s.whatsapp.net`) || this.isBotJid(`${user}@lid`) ? '' : mention)
+            .replace(/ {2,}/g, ' ')
+            .trim();
+    }
+
+    /**
+     * Transcribe a voice note and process the transcript like a typed message
+     * Customers are asked to type instead when that is not possible.
+     */
+    async handleVoiceNote(phoneNumber, message) {
+        const audio = message.message.audioMessage;
+        logger.info(`Received voice note from ${phoneNumber} (${audio.seconds || 0}s)`);
+        
+        await this.sock.readMessages([message.key]);
+        await this.sock.sendPresenceUpdate('composing', phoneNumber);
+        
+        let transcript = null;
+        if (this.transcription.accepts(audio.seconds)) {
+            try {
+                const buffer = await this.downloadMedia(message);
+                transcript = await this.transcription.transcribe(buffer, {
+                    mimetype: audio.mimetype,
+                    language: await this.aiService.getUserLanguage(phoneNumber)
+                });
+            } catch (error) {
+                logger.warn(`Voice note from ${phoneNumber} could not be transcribed: ${error.message}`);
+            }
+        }
+        
+        if (!transcript) {
+            await this.sendMessage(phoneNumber, await this.aiService.getLocalizedMessage(phoneNumber, 'voiceNoteFailed'));
+            return;
+        }
+        
+        logger.info(`Voice note from ${phoneNumber} transcribed by ${transcript.backend} in ${transcript.latencyMs}ms: ${this.redactor.redact(transcript.text)}`);
+        await this.processMessage(phoneNumber, transcript.text, message, {
+            type: 'audio',
+            media: { mimetype: audio.mimetype || null, seconds: audio.seconds || 0 },
+            transcribedBy: transcript.backend
+        });
+    }
+
+    /**
+     * Store an image and process it with its caption
+     * Providers without vision (or a failed download) get a note asking them to let
+     * the customer describe the image instead.
+     */
+    async handleImage(phoneNumber, message) {
+        const image = message.message.imageMessage;
+        const caption = image.caption?.trim() || '';
+        logger.info(`Received image from ${phoneNumber}${caption ? `: ${this.redactor.redact(caption)}` : ''}`);
+        
+        await this.sock.readMessages([message.key]);
+        await this.sock.sendPresenceUpdate('composing', phoneNumber);
+        
+        const metadata = { type: 'image' };
+        const images = [];
+        try {
+            const buffer = await this.downloadMedia(message);
+            const media = await this.mediaStore.save(phoneNumber, message.key.id, buffer, image.mimetype);
+            metadata.media = { ...media, width: image.width || null, height: image.height || null };
+            
+            if (buffer.length <= this.config.media.maxImageBytes) {
+                images.push({ mimetype: media.mimetype, data: buffer });
+            } else {
+                logger.warn(`Image from ${phoneNumber} is too large for the AI provider (${buffer.length} bytes)`);
+            }
+        } catch (error) {
+            logger.warn(`Image from ${phoneNumber} could not be downloaded: ${error.message}`);
+        }
+        
+        await this.processMessage(phoneNumber, caption || IMAGE_PLACEHOLDER, message, metadata, { images });
+    }
+
+    // Documents sent with a caption arrive wrapped in documentWithCaptionMessage
+    getDocumentMessage(message) {
+        return message.message.documentMessage ||
+            message.message.documentWithCaptionMessage?.message?.documentMessage ||
+            null;
+    }
+
+    /**
+     * Store a document, extract its text and process it with its caption
+     * Unsupported, too large and unreadable files get a localized reply instead.
+     */
+    async handleDocument(phoneNumber, message, document) {
+        const fileName = document.fileName || document.title || 'document';
+        const caption = document.caption?.trim() || '';
+        logger.info(`Received document ${fileName} (${document.mimetype}) from ${phoneNumber}`);
+        
+        await this.sock.readMessages([message.key]);
+        await this.sock.sendPresenceUpdate('composing', phoneNumber);
+        
+        // fileLength is a Long in Baileys, check limits before downloading
+        const declared = { fileName, mimetype: document.mimetype, size: Number(document.fileLength || 0) };
+        let buffer;
+        let media;
+        let extracted;
+        try {
+            this.documentExtractor.check(declared);
+            buffer = await this.downloadMedia(message);
+            media = await this.mediaStore.save(phoneNumber, message.key.id, buffer, document.mimetype);
+            extracted = await this.documentExtractor.extract(buffer, declared);
+            if (!extracted.text) {
+                throw new Error('No text found');
+            }
+        } catch (error) {
+            logger.warn(`Document ${fileName} from ${phoneNumber} could not be read: ${error.message}`);
+            await this.sendMessage(phoneNumber, await this.getDocumentErrorMessage(phoneNumber, error));
+            return;
+        }
+        
+        logger.info(`Extracted ${extracted.text.length} characters from ${fileName} (${extracted.pagesRead}/${extracted.pages} pages)`);
+        const metadata = {
+            type: 'document',
+            media: {
+                ...media,
+                fileName,
+                pages: extracted.pages,
+                textLength: extracted.text.length
+            }
+        };
+        await this.processMessage(phoneNumber, caption || `[document: ${fileName}]`, message, metadata, {
+            document: { fileName, mimetype: media.mimetype, data: buffer, ...extracted }
+        });
+    }
+
+    async getDocumentErrorMessage(phoneNumber, error) {
+        switch (error.code) {
+            case 'DOCUMENT_TYPE_NOT_ALLOWED':
+                return await this.aiService.getLocalizedMessage(phoneNumber, 'documentUnsupported', {
+                    types: this.documentExtractor.getAllowedExtensions().map(ext => ext.toUpperCase()).join(', ')
+                });
+            case 'DOCUMENT_TOO_LARGE': {
+                const maxBytes = this.documentExtractor.maxBytes;
+                return await this.aiService.getLocalizedMessage(phoneNumber, 'documentTooLarge', {
+                    maxSize: maxBytes >= 1048576 ? `${Number((maxBytes / 1048576).toFixed(1))} MB` : `${Math.round(maxBytes / 1024)} KB`
+                });
+            }
+            default:
+                return await this.aiService.getLocalizedMessage(phoneNumber, 'documentUnreadable');
+        }
+    }
+
+    async downloadMedia(message) {
+        return await downloadMediaMessage(message, 'buffer', {}, {
+            logger: logger.child({ module: 'baileys' }),
+            // Media older than a few days has to be re-uploaded by the sender's phone
+            reuploadRequest: this.sock.updateMediaMessage
+        });
+    }
+
     extractMessageText(message) {
         const messageContent = message.message;
         
+        // Button and list selections carry the option id, which is a command
+        const selection = this.getSelectedOption(messageContent);
+        if (selection) {
+            return selection;
+        }
+        
         if (messageContent.conversation) {
             return messageContent.conversation;
         }
@@ -144,10 +437,68 @@ class WhatsAppBot {
             return messageContent.videoMessage.caption;
         }
         
+        const document = this.getDocumentMessage(message);
+        if (document?.caption) {
+            return document.caption;
+        }
+        
+        return null;
+    }
+
+    getSelectedOption(messageContent) {
+        if (messageContent.buttonsResponseMessage?.selectedButtonId) {
+            return messageContent.buttonsResponseMessage.selectedButtonId;
+        }
+        
+        if (messageContent.listResponseMessage?.singleSelectReply?.selectedRowId) {
+            return messageContent.listResponseMessage.singleSelectReply.selectedRowId;
+        }
+        
+        if (messageContent.templateButtonReplyMessage?.selectedId) {
+            return messageContent.templateButtonReplyMessage.selectedId;
+        }
+        
+        // Newer clients answer buttons with a native flow response
+        const paramsJson = messageContent.interactiveResponseMessage?.nativeFlowResponseMessage?.paramsJson;
+        if (paramsJson) {
+            try {
+                return JSON.parse(paramsJson).id || null;
+            } catch (error) {
+                logger.debug(`Unreadable interactive response: ${error.message}`);
+            }
+        }
+        
         return null;
     }
 
-    async processMessage(phoneNumber, messageText, originalMessage) {
+    /**
+     * Map a numeric reply to the option it picks from the last text menu sent to this chat
+     * @returns {string|null} The option id (a command), or the text unchanged
+     */
+    resolveMenuChoice(phoneNumber, messageText) {
+        const menu = this.menuChoices.get(phoneNumber);
+        const number = messageText?.trim().match(/^(\d{1,2})\.?$/);
+        if (!menu || !number || Date.now() > menu.expiresAt) {
+            return messageText;
+        }
+        
+        const choice = menu.choices[parseInt(number[1]) - 1];
+        if (!choice) {
+            return messageText;
+        }
+        
+        this.menuChoices.delete(phoneNumber);
+        return choice;
+    }
+
+    /**
+     * @param {string} phoneNumber - Sender JID
+     * @param {string} messageText - Typed text, caption or voice note transcript
+     * @param {object} originalMessage - Baileys message
+     * @param {object} messageMetadata - Stored with the customer message, e.g. { type: 'audio', media } or { groupJid, trigger }
+     * @param {object} attachments - { images: [{ mimetype, data }], document: { fileName, mimetype, data, text, pages } }
+     */
+    async processMessage(phoneNumber, messageText, originalMessage, messageMetadata = {}, attachments = {}) {
         try {
             // Additional security: Skip processing if message is from bot's own number
             if (this.isBotNumber(phoneNumber)) {
@@ -157,35 +508,269 @@ class WhatsAppBot {
             
             const db = getDatabase();
             
+            // Group messages are answered in the group, quoting the question
+            const groupJid = messageMetadata.groupJid || null;
+            const replyTo = groupJid || phoneNumber;
+            const replyOptions = groupJid ? { quoted: originalMessage } : {};
+            
             // Check if it's an admin command
             if (this.isAdmin(phoneNumber) && messageText.startsWith('/admin')) {
-                await this.handleAdminCommand(phoneNumber, messageText);
+                await this.handleAdminCommand(phoneNumber, messageText, { groupJid });
+                return;
+            }
+            
+            // Customers can always get a copy of their own data, even during a handoff
+            if (messageText.trim().toLowerCase() === '/mydata') {
+                await this.handleMyDataCommand(phoneNumber);
+                return;
+            }
+            
+            // Agents' plain messages are relayed to the customer they are handling
+            const canHandleChats = this.handoffManager.isAgent(phoneNumber) || this.isAdmin(phoneNumber) || this.isDepartmentStaff(phoneNumber);
+            if (!groupJid && canHandleChats && await this.relayAgentMessage(phoneNumber, messageText)) {
+                return;
+            }
+            
+            // While a human agent handles this chat the AI stays silent
+            const handoff = groupJid ? null : await this.handoffManager.getHandoff(phoneNumber);
+            if (handoff) {
+                await this.relayCustomerMessage(phoneNumber, messageText, handoff, messageMetadata, attachments);
+                return;
+            }
+            
+            // Handoffs happen in the private chat, a group is pointed there instead
+            if (groupJid && (messageText.trim().toLowerCase() === '/agent' || this.handoffManager.detectFrustration(messageText))) {
+                await this.sendMessage(replyTo, await this.aiService.getLocalizedMessage(phoneNumber, 'groupHandoffPrivate'), replyOptions);
+                return;
+            }
+            
+            // Customer explicitly asks for a human
+            if (messageText.trim().toLowerCase() === '/agent') {
+                const started = await this.startHandoff(phoneNumber, 'customer');
+                if (!started) {
+                    await this.sendMessage(phoneNumber, await this.aiService.getEscalationMessage(phoneNumber));
+                }
                 return;
             }
             
             // Check for special commands
             const specialResponse = await this.aiService.processSpecialCommands(messageText, phoneNumber);
             if (specialResponse) {
-                await this.sendMessage(phoneNumber, specialResponse);
+                await this.sendMessage(replyTo, specialResponse, replyOptions);
                 return;
             }
             
-            // Analyze user intent
-            const intent = await this.aiService.analyzeUserIntent(messageText);
+            const user = await db.getUser(phoneNumber);
+            
+            // Keyword intent for routing and canned replies; the provider classifies only the
+            // messages it answers (in generateResponse, after the FAQ check)
+            const intent = this.aiService.analyzeIntentByKeywords(messageText);
             
-            // Generate AI response
-            const response = await this.aiService.getContextualResponse(phoneNumber, intent, user, messageText);
+            // Route the conversation to a department (stored on the session; group turns have none)
+            const department = groupJid ?
+                this.aiService.classifyDepartment(messageText, intent) :
+                await this.aiService.routeDepartment(phoneNumber, messageText, intent);
+            
+            // Frustrated customers are handed to a human when an agent is available
+            if (this.handoffManager.detectFrustration(messageText) &&
+                await this.startHandoff(phoneNumber, 'frustration', { triggerMessage: messageText, messageMetadata, department })) {
+                return;
+            }
+            
+            // Canned replies for greetings/gratitude, otherwise ask the AI provider
+            let response = await this.aiService.getContextualResponse(phoneNumber, intent, user, messageText);
+            if (!response) {
+                response = await this.aiService.generateResponse(messageText, phoneNumber, {
+                    department,
+                    messageMetadata,
+                    images: attachments.images || [],
+                    document: attachments.document || null,
+                    language: groupJid ? (await this.groupManager.getSettings(groupJid)).language : null
+                });
+            }
             
             // Send response
-            await this.sendMessage(phoneNumber, response);
+            await this.sendMessage(replyTo, response, replyOptions);
             
         } catch (error) {
             logger.error('Error processing message:', error);
-            await this.sendMessage(phoneNumber, 'Maaf, terjadi kesalahan dalam memproses pesan Anda. Silakan coba lagi.');
+            await this.sendMessage(messageMetadata.groupJid || phoneNumber, 'Maaf, terjadi kesalahan dalam memproses pesan Anda. Silakan coba lagi.');
+        }
+    }
+
+    /**
+     * Hand a conversation to a human agent and notify both sides
+     * @param {string} phoneNumber - Customer JID
+     * @param {string} reason - customer, frustration or admin
+     * @param {object} options - { agent, triggerMessage, messageMetadata, department }
+     * @returns {Promise<boolean>} False when no agent is available
+     */
+    async startHandoff(phoneNumber, reason, options = {}) {
+        const db = getDatabase();
+        
+        // Prefer the staff of the department the conversation was routed to
+        const session = await db.getActiveSession(phoneNumber);
+        const departmentKey = options.department || session?.department;
+        const department = this.aiService.getDepartment(departmentKey);
+        const departmentStaff = (department?.staff || []).map(num => num.includes('@') ? num : `${num}@s.whatsapp.net`);
+        
+        const handoff = await this.handoffManager.startHandoff(phoneNumber, {
+            reason,
+            agent: options.agent,
+            candidates: departmentStaff
+        });
+        
+        if (!handoff) {
+            return false;
+        }
+        
+        if (options.triggerMessage) {
+            await db.saveMessage(phoneNumber, options.triggerMessage, true, { ...options.messageMetadata, handoff: true });
+        }
+        
+        const contactInfo = department ? `${department.name} (${department.phone} / ${department.email})` : null;
+        await this.sendMessage(phoneNumber, await this.aiService.getEscalationMessage(phoneNumber, contactInfo));
+        
+        // Give the agent the recent conversation so the customer doesn't have to repeat themselves
+        const user = await db.getUser(phoneNumber);
+        const history = await db.getConversationHistory(phoneNumber, 5);
+        const transcript = history.map(msg => `${msg.isFromUser ? '👤' : '🤖'} ${msg.content}`).join('\n');
+        
+        await this.sendMessage(handoff.agent, `🙋 *Handoff Request*\n\n` +
+                                              `Customer: ${user?.name || 'Unknown'} (${Helpers.extractPhoneNumber(phoneNumber)})\n` +
+                                              `Reason: ${reason}\n` +
+                                              (department ? `Department: ${department.name}\n` : '') + `\n` +
+                                              (transcript ? `*Recent messages:*\n${transcript}\n\n` : '') +
+                                              `Reply here to answer the customer. Use /to <phone> <message> when handling several chats, ` +
+                                              `and /admin release ${Helpers.extractPhoneNumber(phoneNumber)} to return the chat to the AI.`);
+        
+        // Let the rest of the department know the escalation is being handled
+        for (const staff of departmentStaff.filter(num => num !== handoff.agent)) {
+            await this.sendMessage(staff, `ℹ️ *${department.name}* escalation: ${user?.name || 'Unknown'} (${Helpers.extractPhoneNumber(phoneNumber)}) ` +
+                                          `assigned to ${Helpers.extractPhoneNumber(handoff.agent)}`);
+        }
+        return true;
+    }
+
+    async relayCustomerMessage(phoneNumber, messageText, handoff, messageMetadata = {}, attachments = {}) {
+        const db = getDatabase();
+        const user = await db.getUser(phoneNumber);
+        
+        await db.saveMessage(phoneNumber, messageText, true, { ...messageMetadata, handoff: true });
+        await this.handoffManager.touch(phoneNumber);
+        
+        const icon = messageMetadata.type === 'audio' ? '🎤' : '💬';
+        const header = `*${user?.name || 'Unknown'}* (${Helpers.extractPhoneNumber(phoneNumber)})`;
+        if (attachments.images?.length > 0) {
+            // Agents see the image itself, not the placeholder text
+            const caption = messageText === IMAGE_PLACEHOLDER ? '' : `:\n${messageText}`;
+            await this.sendContent(handoff.agent, { image: attachments.images[0].data, caption: `📷 ${header}${caption}` });
+            return;
+        }
+        if (attachments.document) {
+            const { document } = attachments;
+            const caption = messageText === `[document: ${document.fileName}]` ? '' : `:\n${messageText}`;
+            await this.sendContent(handoff.agent, {
+                document: document.data,
+                mimetype: document.mimetype,
+                fileName: document.fileName,
+                caption: `📄 ${header}${caption}`
+            });
+            return;
+        }
+        await this.sendMessage(handoff.agent, `${icon} ${header}:\n${messageText}`);
+    }
+
+    /**
+     * Relay an agent's message to the customer they are handling
+     * @param {string} agentNumber - Agent JID
+     * @param {string} messageText - Message text, optionally "/to <phone> <message>"
+     * @returns {Promise<boolean>} False when the message isn't a relay and should be processed normally
+     */
+    async relayAgentMessage(agentNumber, messageText) {
+        let customer = null;
+        let text = messageText;
+        
+        const targeted = messageText.match(/^\/to\s+(\S+)\s+([\s\S]+)$/);
+        if (targeted) {
+            customer = Helpers.formatPhoneNumber(targeted[1]);
+            text = targeted[2];
+            
+            const handoff = await this.handoffManager.getHandoff(customer);
+            if (!handoff || handoff.agent !== agentNumber) {
+                await this.sendMessage(agentNumber, `❌ You are not handling a chat with ${targeted[1]}`);
+                return true;
+            }
+        } else if (!messageText.startsWith('/')) {
+            customer = await this.handoffManager.getCurrentCustomer(agentNumber);
+        }
+        
+        if (!customer) {
+            return false;
+        }
+        
+        const db = getDatabase();
+        await this.sendMessage(customer, text);
+        await db.saveMessage(customer, text, false, { source: 'agent', agent: agentNumber });
+        await this.handoffManager.touch(customer);
+        return true;
+    }
+
+    /**
+     * @param {string} phoneNumber - Recipient JID
+     * @param {string|object} response - Text, or a rich response (see MessageRenderer)
+     * @param {object} options - Extra Baileys fields for text messages; quoted replies to a message
+     */
+    async sendMessage(phoneNumber, response, options = {}) {
+        const { quoted, ...fields } = options;
+        const sendOptions = quoted ? { quoted } : {};
+        if (typeof response !== 'string') {
+            return await this.sendRichMessage(phoneNumber, response, sendOptions);
+        }
+        
+        // Any other reply ends the last menu, so a later "2" is just a message
+        this.menuChoices.delete(phoneNumber);
+        return await this.sendContent(phoneNumber, {
+            text: response,
+            ...fields
+        }, sendOptions);
+    }
+
+    async sendRichMessage(phoneNumber, response, sendOptions = {}) {
+        const rendered = this.renderer.render(response, {
+            replyHint: await this.aiService.getLocalizedMessage(phoneNumber, 'menuReplyHint')
+        });
+        
+        let textMenu = !this.renderer.interactive;
+        let sent = true;
+        for (const [index, content] of rendered.contents.entries()) {
+            // Only the first message quotes, the rest follow it
+            let result = await this.sendContent(phoneNumber, content, index === 0 ? sendOptions : {});
+            // Interactive messages are not available to every account
+            if (!result && this.isConnected && rendered.fallback && (content.buttons || content.sections)) {
+                logger.warn(`Interactive message to ${phoneNumber} failed, sending a text menu instead`);
+                result = await this.sendContent(phoneNumber, rendered.fallback, index === 0 ? sendOptions : {});
+                textMenu = true;
+            }
+            sent = sent && result;
         }
+        
+        if (textMenu && rendered.choices.length > 0) {
+            this.menuChoices.set(phoneNumber, { choices: rendered.choices, expiresAt: Date.now() + MENU_CHOICE_TTL_MS });
+        } else {
+            this.menuChoices.delete(phoneNumber);
+        }
+        return sent;
     }
 
-    async sendMessage(phoneNumber, text, options = {}) {
+    /**
+     * Send any Baileys message content (text, document, ...)
+     * @param {string} phoneNumber - Recipient JID
+     * @param {object} content - Baileys message content
+     * @param {object} sendOptions - Baileys send options, e.g. { quoted }
+     * @returns {Promise<boolean>} True when sent
+     */
+    async sendContent(phoneNumber, content, sendOptions = {}) {
         try {
             if (!this.isConnected) {
                 logger.warn('Bot not connected, cannot send message');
@@ -201,12 +786,7 @@ class WhatsAppBot {
             // Stop typing indicator
             await this.sock.sendPresenceUpdate('paused', phoneNumber);
             
-            const messageOptions = {
-                text: text,
-                ...options
-            };
-            
-            await this.sock.sendMessage(phoneNumber, messageOptions);
+            await this.sock.sendMessage(phoneNumber, content, sendOptions);
             logger.info(`Message sent to ${phoneNumber}`);
             
             return true;
@@ -216,13 +796,34 @@ class WhatsAppBot {
         }
     }
 
-    async handleAdminCommand(phoneNumber, command) {
+    /**
+     * Send a file as a WhatsApp document
+     * @param {string} phoneNumber - Recipient JID
+     * @param {{fileName: string, mimetype: string, buffer: Buffer}} file - Document to send
+     * @param {string} caption - Optional caption
+     * @returns {Promise<boolean>} True when sent
+     */
+    async sendDocument(phoneNumber, file, caption = '') {
+        return await this.sendContent(phoneNumber, {
+            document: file.buffer,
+            mimetype: file.mimetype,
+            fileName: file.fileName,
+            caption
+        });
+    }
+
+    /**
+     * @param {string} phoneNumber - Admin JID, replies go to the admin's private chat
+     * @param {string} command - Full command text
+     * @param {object} context - { groupJid } when sent in a group
+     */
+    async handleAdminCommand(phoneNumber, command, context = {}) {
         const parts = command.split(' ');
         const adminCommand = parts[1];
         
         switch (adminCommand) {
             case 'stats':
-                await this.sendAdminStats(phoneNumber);
+                await this.sendAdminStats(phoneNumber, parts.slice(2).filter(Boolean));
                 break;
                 
             case 'broadcast':
@@ -245,49 +846,129 @@ class WhatsAppBot {
                 await this.handleSessionsCommand(phoneNumber, parts.slice(2));
                 break;
                 
+            case 'kb':
+                await this.handleKnowledgeCommand(phoneNumber, parts.slice(2));
+                break;
+                
+            case 'faq':
+                await this.handleFaqCommand(phoneNumber, parts.slice(2));
+                break;
+                
+            case 'takeover':
+                await this.handleTakeoverCommand(phoneNumber, parts[2]);
+                break;
+                
+            case 'release':
+                await this.handleReleaseCommand(phoneNumber, parts[2]);
+                break;
+                
+            case 'handoffs':
+                await this.sendHandoffsList(phoneNumber);
+                break;
+                
+            case 'prompt':
+                await this.handlePromptCommand(phoneNumber, parts.slice(2));
+                break;
+                
+            case 'jobs':
+                await this.handleJobsCommand(phoneNumber, parts.slice(2));
+                break;
+                
+            case 'export':
+                await this.handleExportCommand(phoneNumber, parts[2], parts[3]);
+                break;
+                
+            case 'forget':
+                await this.handleForgetCommand(phoneNumber, parts[2], parts[3]);
+                break;
+                
+            case 'groups':
+                await this.handleGroupsCommand(phoneNumber, parts.slice(2).filter(Boolean), context.groupJid || null);
+                break;
+                
             default:
                 await this.sendMessage(phoneNumber, this.getAdminHelp());
         }
     }
 
-    async sendAdminStats(phoneNumber) {
+    async sendAdminStats(phoneNumber, args = []) {
+        let range;
         try {
-            const db = getDatabase();
-            const analytics = await db.getAnalytics();
-            
-            const statsMessage = `📊 *Bot Statistics*\n\n` +
-                               `👥 Total Users: ${analytics.totalUsers}\n` +
-                               `💬 Total Messages: ${analytics.totalMessages}\n` +
-                               `🤖 Bot Status: ${this.isConnected ? '✅ Online' : '❌ Offline'}\n\n` +
-                               `📈 *Daily Stats (Last 7 days):*\n` +
-                               this.formatDailyStats(analytics.dailyStats);
-            
-            await this.sendMessage(phoneNumber, statsMessage);
+            range = getDatabase().analytics.parseRange(args);
+        } catch (error) {
+            await this.sendMessage(phoneNumber, `❌ ${error.message}`);
+            return;
+        }
+        
+        try {
+            await this.sendMessage(phoneNumber, await this.buildStatsMessage(range));
         } catch (error) {
             logger.error('Error sending admin stats:', error);
             await this.sendMessage(phoneNumber, 'Error retrieving statistics.');
         }
     }
 
-    formatDailyStats(dailyStats) {
-        const last7Days = Object.keys(dailyStats)
-            .sort()
-            .slice(-7)
-            .map(date => {
-                const stats = dailyStats[date];
-                return `${date}: ${stats.messages} messages, ${stats.users} users`;
-            })
-            .join('\n');
+    /**
+     * Statistics report for a date range
+     * @param {{from: string, to: string}} range - Inclusive local dates, defaults to the last 7 days
+     * @returns {Promise<string>} WhatsApp formatted message
+     */
+    async buildStatsMessage(range = null) {
+        const db = getDatabase();
+        const stats = range ? await db.getAnalytics(range.from, range.to) : await db.getAnalytics();
+        const period = stats.from === stats.to ? stats.from : `${stats.from} - ${stats.to}`;
+        
+        let message = `📊 *Bot Statistics* (${period})\n\n` +
+                      `🤖 Bot Status: ${this.isConnected ? '✅ Online' : '❌ Offline'}\n` +
+                      `👥 Total Users: ${stats.totalUsers}\n` +
+                      `🙋 Active Users: ${stats.uniqueUsers} (${stats.newUsers} new)\n` +
+                      `💬 Messages: ${stats.messages} (${stats.userMessages} in, ${stats.botMessages} out)\n` +
+                      `⏱️ AI Latency: avg ${stats.avgLatencyMs} ms, max ${stats.maxLatencyMs} ms\n` +
+                      `⚠️ Failures: ${stats.failures} (${(stats.failureRate * 100).toFixed(1)}%)\n`;
+        
+        const providers = this.formatCounts(stats.providers);
+        if (providers) {
+            message += `\n🧠 *Providers:* ${providers}\n`;
+        }
+        const providerErrors = this.formatCounts(stats.providerErrors);
+        if (providerErrors) {
+            message += `🔌 *Provider Errors:* ${providerErrors}\n`;
+        }
+        const intents = this.formatCounts(stats.intents, 5);
+        if (intents) {
+            message += `🏷️ *Top Intents:* ${intents}\n`;
+        }
+        
+        const busiestHours = stats.hourly
+            .map((count, hour) => ({ hour, count }))
+            .filter(entry => entry.count > 0)
+            .sort((a, b) => b.count - a.count)
+            .slice(0, 3)
+            .map(entry => `${String(entry.hour).padStart(2, '0')}:00 (${entry.count})`);
+        if (busiestHours.length > 0) {
+            message += `🕐 *Busiest Hours:* ${busiestHours.join(', ')}\n`;
+        }
+        
+        message += `\n📈 *Daily:*\n`;
+        message += stats.daily.length > 0 ?
+            stats.daily.map(day => `${day.date}: ${day.messages} messages, ${day.users} users`).join('\n') :
+            'No data available';
         
-        return last7Days || 'No data available';
+        return message;
+    }
+
+    // "a 3, b 1" from a { key: count } map, highest first
+    formatCounts(counts, limit = 0) {
+        const entries = Object.entries(counts).sort((a, b) => b[1] - a[1]);
+        return (limit ? entries.slice(0, limit) : entries)
+            .map(([key, count]) => `${key} ${count}`)
+            .join(', ');
     }
 
     async sendUsersList(phoneNumber) {
         try {
             const db = getDatabase();
-            const users = Object.values(db.data.users)
-                .sort((a, b) => new Date(b.lastSeen) - new Date(a.lastSeen))
-                .slice(0, 20); // Show last 20 active users
+            const users = await db.getRecentUsers(20); // Show last 20 active users
             
             let usersList = '👥 *Active Users (Last 20):*\n\n';
             users.forEach((user, index) => {
@@ -307,7 +988,7 @@ class WhatsAppBot {
     async broadcastMessage(message) {
         try {
             const db = getDatabase();
-            const users = Object.keys(db.data.users);
+            const users = (await db.getUsers()).map(user => user.phoneNumber);
             
             for (const phoneNumber of users) {
                 try {
@@ -360,7 +1041,7 @@ class WhatsAppBot {
                     break;
                     
                 case 'cleanup':
-                    const cleanedCount = this.aiService.cleanupInactiveSessions();
+                    const cleanedCount = await this.expireInactiveSessions();
                     await this.sendMessage(phoneNumber, `🧹 Cleaned up ${cleanedCount} inactive sessions`);
                     break;
                     
@@ -378,6 +1059,444 @@ class WhatsAppBot {
         }
     }
 
+    async handleKnowledgeCommand(phoneNumber, args) {
+        try {
+            const subCommand = args[0];
+            
+            if (!this.aiService.knowledgeBase) {
+                await this.sendMessage(phoneNumber, '❌ Knowledge base is disabled (KNOWLEDGE_ENABLED=false)');
+                return;
+            }
+            
+            switch (subCommand) {
+                case 'reindex':
+                    await this.sendMessage(phoneNumber, '⏳ Reindexing knowledge base...');
+                    const stats = await this.aiService.reindexKnowledgeBase();
+                    await this.sendMessage(phoneNumber, `✅ Knowledge base reindexed\n\n` +
+                                                        `📄 Documents: ${stats.documents}\n` +
+                                                        `🧩 Chunks: ${stats.chunks}`);
+                    break;
+                    
+                case 'status':
+                    const info = this.aiService.knowledgeBase.getStats();
+                    await this.sendMessage(phoneNumber, `📚 *Knowledge Base*\n\n` +
+                                                        `📁 Directory: ${info.dir}\n` +
+                                                        `📄 Documents: ${info.documents}\n` +
+                                                        `🧩 Chunks: ${info.chunks}\n` +
+                                                        `🕐 Indexed: ${info.indexedAt ? new Date(info.indexedAt).toLocaleString('id-ID') : 'Not yet'}`);
+                    break;
+                    
+                default:
+                    await this.sendMessage(phoneNumber, `📚 *Knowledge Base Management*\n\n` +
+                                                        `• /admin kb status - Show index info\n` +
+                                                        `• /admin kb reindex - Rebuild index from documents`);
+            }
+        } catch (error) {
+            logger.error('Error handling knowledge base command:', error);
+            await this.sendMessage(phoneNumber, '❌ Error managing knowledge base');
+        }
+    }
+
+    async handleFaqCommand(phoneNumber, args) {
+        try {
+            const subCommand = args[0];
+            const faqService = this.aiService.faqService;
+            
+            if (!faqService) {
+                await this.sendMessage(phoneNumber, '❌ FAQ is disabled (FAQ_ENABLED=false)');
+                return;
+            }
+            
+            switch (subCommand) {
+                case 'add':
+                    // /admin faq add question 1 ; question 2 | approved answer
+                    const [questionPart, ...answerParts] = args.slice(1).join(' ').split('|');
+                    const answer = answerParts.join('|').trim();
+                    const questions = (questionPart || '').split(';').map(q => q.trim()).filter(q => q.length > 0);
+                    
+                    if (questions.length === 0 || !answer) {
+                        await this.sendMessage(phoneNumber, '❌ Usage: /admin faq add <question>[; <variant>] | <answer>');
+                        break;
+                    }
+                    
+                    const entry = await faqService.add(questions, answer);
+                    await this.sendMessage(phoneNumber, `✅ FAQ entry *${entry.id}* added with ${questions.length} question variant(s)`);
+                    break;
+                    
+                case 'list':
+                    const entries = await faqService.list();
+                    if (entries.length === 0) {
+                        await this.sendMessage(phoneNumber, '📋 No FAQ entries yet');
+                        break;
+                    }
+                    
+                    let faqList = `📋 *FAQ Entries (${entries.length}):*\n\n`;
+                    entries.forEach(faq => {
+                        faqList += `*${faq.id}*\n`;
+                        faqList += `   ❓ ${faq.questions.join(' / ')}\n`;
+                        faqList += `   💬 ${faq.answer.length > 80 ? faq.answer.substring(0, 80) + '...' : faq.answer}\n\n`;
+                    });
+                    await this.sendMessage(phoneNumber, faqList);
+                    break;
+                    
+                case 'remove':
+                    const faqId = args[1];
+                    if (!faqId) {
+                        await this.sendMessage(phoneNumber, '❌ Please specify FAQ id: /admin faq remove <id>');
+                        break;
+                    }
+                    
+                    const removed = await faqService.remove(faqId);
+                    await this.sendMessage(phoneNumber, removed ?
+                        `✅ FAQ entry ${faqId} removed` :
+                        `❌ FAQ entry ${faqId} not found`);
+                    break;
+                    
+                default:
+                    await this.sendMessage(phoneNumber, `📋 *FAQ Management*\n\n` +
+                                                        `• /admin faq list - List FAQ entries\n` +
+                                                        `• /admin faq add <question>[; <variant>] | <answer> - Add entry\n` +
+                                                        `• /admin faq remove <id> - Remove entry`);
+            }
+        } catch (error) {
+            logger.error('Error handling FAQ command:', error);
+            await this.sendMessage(phoneNumber, '❌ Error managing FAQ');
+        }
+    }
+
+    async handlePromptCommand(phoneNumber, args) {
+        try {
+            if (args[0] !== 'preview' || !args[1]) {
+                await this.sendMessage(phoneNumber, '❌ Usage: /admin prompt preview <phone>');
+                return;
+            }
+            
+            const preview = await this.aiService.previewPrompt(Helpers.formatPhoneNumber(args[1]));
+            if (!preview) {
+                await this.sendMessage(phoneNumber, `❌ User ${args[1]} not found`);
+                return;
+            }
+            
+            let summary = `🧩 *Prompt Preview: ${args[1]}*\n\n`;
+            summary += `Last message: ${preview.lastMessage || '-'}\n`;
+            summary += `Total: ~${preview.totalTokens} tokens\n\n`;
+            preview.sections.forEach(section => {
+                summary += `• ${section.name}: ~${section.tokens} tokens${section.truncated ? ' (truncated)' : ''}\n`;
+            });
+            
+            await this.sendMessage(phoneNumber, summary);
+            await this.sendMessage(phoneNumber, preview.prompt);
+        } catch (error) {
+            logger.error('Error previewing prompt:', error);
+            await this.sendMessage(phoneNumber, '❌ Error building prompt preview');
+        }
+    }
+
+    async handleJobsCommand(phoneNumber, args) {
+        try {
+            const [subCommand, name] = args;
+            
+            switch (subCommand) {
+                case 'list':
+                    const jobs = this.jobScheduler.listJobs();
+                    if (jobs.length === 0) {
+                        await this.sendMessage(phoneNumber, '⏰ No scheduled jobs configured');
+                        break;
+                    }
+                    
+                    let jobsList = '⏰ *Scheduled Jobs*\n\n';
+                    jobs.forEach(job => {
+                        jobsList += `• *${job.name}* (${job.type}) ${job.paused ? '⏸️ paused' : '▶️ active'}\n`;
+                        jobsList += `   🕐 ${job.schedule}\n`;
+                        if (job.lastRunAt) {
+                            jobsList += `   ${job.lastStatus === 'success' ? '✅' : '❌'} ${new Date(job.lastRunAt).toLocaleString('id-ID')} - ${job.lastResult}\n`;
+                        }
+                    });
+                    await this.sendMessage(phoneNumber, jobsList);
+                    break;
+                    
+                case 'run':
+                    if (!name) {
+                        await this.sendMessage(phoneNumber, '❌ Usage: /admin jobs run <name>');
+                        break;
+                    }
+                    await this.sendMessage(phoneNumber, `⏳ Running job ${name}...`);
+                    const result = await this.jobScheduler.runJob(name);
+                    await this.sendMessage(phoneNumber, `✅ Job ${name} finished: ${result}`);
+                    break;
+                    
+                case 'pause':
+                case 'resume':
+                    if (!name) {
+                        await this.sendMessage(phoneNumber, `❌ Usage: /admin jobs ${subCommand} <name>`);
+                        break;
+                    }
+                    if (subCommand === 'pause') {
+                        this.jobScheduler.pauseJob(name);
+                    } else {
+                        this.jobScheduler.resumeJob(name);
+                    }
+                    await this.sendMessage(phoneNumber, `✅ Job ${name} ${subCommand === 'pause' ? 'paused' : 'resumed'}`);
+                    break;
+                    
+                default:
+                    await this.sendMessage(phoneNumber, `⏰ *Scheduled Jobs Management*\n\n` +
+                                                        `• /admin jobs list - Show jobs and last run\n` +
+                                                        `• /admin jobs run <name> - Run a job now\n` +
+                                                        `• /admin jobs pause <name> - Pause a job\n` +
+                                                        `• /admin jobs resume <name> - Resume a paused job`);
+            }
+        } catch (error) {
+            logger.error('Error handling jobs command:', error);
+            await this.sendMessage(phoneNumber, `❌ ${error.message}`);
+        }
+    }
+
+    async handleExportCommand(phoneNumber, target, format) {
+        try {
+            if (!target) {
+                await this.sendMessage(phoneNumber, '❌ Please specify customer phone number: /admin export <phone> [json|txt]');
+                return;
+            }
+            if (format && !['json', 'txt'].includes(format)) {
+                await this.sendMessage(phoneNumber, '❌ Format must be json or txt');
+                return;
+            }
+            
+            const customer = Helpers.formatPhoneNumber(target);
+            const exported = await this.dataPrivacy.exportCustomer(customer, phoneNumber, format ? [format] : ['json', 'txt']);
+            if (!exported) {
+                await this.sendMessage(phoneNumber, `❌ No data stored for ${target}`);
+                return;
+            }
+            
+            for (const file of exported.files) {
+                await this.sendDocument(phoneNumber, file, `📦 Data export for ${target}`);
+            }
+        } catch (error) {
+            logger.error('Error exporting customer data:', error);
+            await this.sendMessage(phoneNumber, '❌ Error exporting customer data');
+        }
+    }
+
+    async handleForgetCommand(phoneNumber, target, confirmation) {
+        try {
+            if (!target) {
+                await this.sendMessage(phoneNumber, '❌ Please specify customer phone number: /admin forget <phone>');
+                return;
+            }
+            
+            const customer = Helpers.formatPhoneNumber(target);
+            
+            // Erasure can't be undone, show what will go and ask to repeat with "confirm"
+            if (confirmation !== 'confirm') {
+                const preview = await this.dataPrivacy.previewForget(customer);
+                if (!preview) {
+                    await this.sendMessage(phoneNumber, `❌ No data stored for ${target}`);
+                    return;
+                }
+                await this.sendMessage(phoneNumber, `⚠️ This permanently erases ${target}: profile, ` +
+                                                    `${preview.messages} messages and ${preview.sessions} sessions.\n\n` +
+                                                    `Send */admin forget ${target} confirm* to continue.`);
+                return;
+            }
+            
+            const handoff = await this.handoffManager.getHandoff(customer);
+            const result = await this.dataPrivacy.forgetCustomer(customer, phoneNumber);
+            this.aiService.clearChatSession(customer);
+            
+            if (handoff && handoff.agent !== phoneNumber) {
+                await this.sendMessage(handoff.agent, `ℹ️ Chat with ${target} ended, the customer's data was erased`);
+            }
+            await this.sendMessage(phoneNumber, `🗑️ Erased ${target}: ${result.messages} messages, ${result.sessions} sessions, ${result.mediaFiles || 0} media files. ` +
+                                                `Backups older than today still hold this data until they are rotated out.`);
+        } catch (error) {
+            logger.error('Error erasing customer data:', error);
+            await this.sendMessage(phoneNumber, '❌ Error erasing customer data');
+        }
+    }
+
+    async handleMyDataCommand(phoneNumber) {
+        try {
+            // One export per hour, the files can be large
+            if (!Helpers.checkRateLimit(`mydata:${phoneNumber}`, 1, 60 * 60 * 1000)) {
+                await this.sendMessage(phoneNumber, await this.aiService.getLocalizedMessage(phoneNumber, 'dataExportLimited'));
+                return;
+            }
+            
+            const exported = await this.dataPrivacy.exportCustomer(phoneNumber, phoneNumber);
+            if (!exported) {
+                await this.sendMessage(phoneNumber, await this.aiService.getLocalizedMessage(phoneNumber, 'dataExportEmpty'));
+                return;
+            }
+            
+            await this.sendMessage(phoneNumber, await this.aiService.getLocalizedMessage(phoneNumber, 'dataExport'));
+            for (const file of exported.files) {
+                await this.sendDocument(phoneNumber, file);
+            }
+        } catch (error) {
+            logger.error('Error exporting data for customer:', error);
+            await this.sendMessage(phoneNumber, await this.aiService.getLocalizedMessage(phoneNumber, 'error'));
+        }
+    }
+
+    async handleTakeoverCommand(phoneNumber, target) {
+        try {
+            if (!target) {
+                await this.sendMessage(phoneNumber, '❌ Please specify customer phone number: /admin takeover <phone>');
+                return;
+            }
+            
+            const customer = Helpers.formatPhoneNumber(target);
+            const existing = await this.handoffManager.getHandoff(customer);
+            if (existing) {
+                await this.sendMessage(phoneNumber, `⚠️ ${target} is already handled by ${Helpers.extractPhoneNumber(existing.agent)}`);
+                return;
+            }
+            
+            // The admin who takes over becomes the agent for this chat
+            await this.startHandoff(customer, 'admin', { agent: phoneNumber });
+        } catch (error) {
+            logger.error('Error taking over conversation:', error);
+            await this.sendMessage(phoneNumber, '❌ Error taking over conversation');
+        }
+    }
+
+    async handleReleaseCommand(phoneNumber, target) {
+        try {
+            if (!target) {
+                await this.sendMessage(phoneNumber, '❌ Please specify customer phone number: /admin release <phone>');
+                return;
+            }
+            
+            const customer = Helpers.formatPhoneNumber(target);
+            const released = await this.handoffManager.releaseHandoff(customer);
+            if (!released) {
+                await this.sendMessage(phoneNumber, `❌ No active handoff found for ${target}`);
+                return;
+            }
+            
+            // Provider chat sessions don't contain the agent's messages, start fresh
+            this.aiService.clearChatSession(customer);
+            
+            await this.sendMessage(customer, await this.aiService.getLocalizedMessage(customer, 'handoffEnded'));
+            await this.sendMessage(phoneNumber, `✅ ${target} returned to the AI assistant`);
+            if (released.agent !== phoneNumber) {
+                await this.sendMessage(released.agent, `ℹ️ Chat with ${target} was released by an admin`);
+            }
+        } catch (error) {
+            logger.error('Error releasing conversation:', error);
+            await this.sendMessage(phoneNumber, '❌ Error releasing conversation');
+        }
+    }
+
+    async sendHandoffsList(phoneNumber) {
+        try {
+            const handoffs = await this.handoffManager.getActiveHandoffs();
+            if (handoffs.length === 0) {
+                await this.sendMessage(phoneNumber, '🙋 No conversations are currently handled by agents');
+                return;
+            }
+            
+            let handoffList = `🙋 *Active Handoffs (${handoffs.length}):*\n\n`;
+            handoffs.forEach((handoff, index) => {
+                handoffList += `${index + 1}. ${handoff.name} (${Helpers.extractPhoneNumber(handoff.phoneNumber)})\n`;
+                handoffList += `   👤 Agent: ${Helpers.extractPhoneNumber(handoff.agent)}\n`;
+                handoffList += `   📝 Reason: ${handoff.reason}\n`;
+                handoffList += `   🕐 Since: ${new Date(handoff.startedAt).toLocaleString('id-ID')}\n\n`;
+            });
+            
+            await this.sendMessage(phoneNumber, handoffList);
+        } catch (error) {
+            logger.error('Error sending handoffs list:', error);
+            await this.sendMessage(phoneNumber, 'Error retrieving handoffs list.');
+        }
+    }
+
+    /**
+     * /admin groups [list|enable|disable|language|commands]; the group is the last
+     * argument and defaults to the group the command is sent in
+     */
+    async handleGroupsCommand(phoneNumber, args, currentGroup = null) {
+        try {
+            const [subCommand, ...rest] = args;
+            const usage = `👥 *Group Chats*\n\n` +
+                          `• /admin groups list - Known groups and their settings\n` +
+                          `• /admin groups enable [group] - Answer in a group\n` +
+                          `• /admin groups disable [group] - Stay silent in a group\n` +
+                          `• /admin groups language <code|auto> [group] - Reply language\n` +
+                          `• /admin groups commands <default|/help,/info> [group] - Allowed commands\n\n` +
+                          `Group: number from the list, group id, or send the command in the group`;
+            
+            if (!subCommand || subCommand === 'list') {
+                const groups = await this.groupManager.listGroups();
+                if (groups.length === 0) {
+                    await this.sendMessage(phoneNumber, '👥 The bot has not been added to any group yet');
+                    return;
+                }
+                
+                let groupsList = `👥 *Groups (${groups.length}):*\n\n`;
+                groups.forEach((group, index) => {
+                    groupsList += `${index + 1}. *${group.subject || 'Unnamed group'}* ${group.enabled ? '✅ enabled' : '⏸️ disabled'}\n`;
+                    groupsList += `   🆔 ${group.jid}\n`;
+                    groupsList += `   🌐 Language: ${group.language || 'auto'}\n`;
+                    groupsList += `   ⌨️ Commands: ${group.allowedCommands.join(' ') || '-'}\n\n`;
+                });
+                await this.sendMessage(phoneNumber, groupsList);
+                return;
+            }
+            
+            const valueCount = ['language', 'commands'].includes(subCommand) ? 1 : 0;
+            if (!['enable', 'disable', 'language', 'commands'].includes(subCommand) || rest.length < valueCount) {
+                await this.sendMessage(phoneNumber, usage);
+                return;
+            }
+            
+            const reference = rest[valueCount];
+            const group = reference ?
+                await this.groupManager.findGroup(reference) :
+                currentGroup && await this.groupManager.getSettings(currentGroup);
+            if (!group) {
+                await this.sendMessage(phoneNumber, reference ? `❌ Group not found: ${reference}` : usage);
+                return;
+            }
+            
+            let updates;
+            switch (subCommand) {
+                case 'enable':
+                case 'disable':
+                    updates = { enabled: subCommand === 'enable' };
+                    break;
+                    
+                case 'language':
+                    if (rest[0] !== 'auto' && !this.config.languages[rest[0]]) {
+                        await this.sendMessage(phoneNumber, `❌ Unknown language: ${rest[0]} (${Object.keys(this.config.languages).join(', ')} or auto)`);
+                        return;
+                    }
+                    updates = { language: rest[0] === 'auto' ? null : rest[0] };
+                    break;
+                    
+                case 'commands':
+                    updates = {
+                        allowedCommands: rest[0] === 'default' ? null :
+                            rest[0].split(',').map(command => command.trim().toLowerCase()).filter(Boolean)
+                                .map(command => command.startsWith('/') ? command : `/${command}`)
+                    };
+                    break;
+            }
+            
+            const updated = await this.groupManager.updateGroup(group.jid, updates);
+            logger.info(`Group ${updated.jid} updated by ${phoneNumber}: ${JSON.stringify(updates)}`);
+            await this.sendMessage(phoneNumber, `✅ *${updated.subject || updated.jid}* updated\n\n` +
+                                                `${updated.enabled ? '✅ enabled' : '⏸️ disabled'}\n` +
+                                                `🌐 Language: ${updated.language || 'auto'}\n` +
+                                                `⌨️ Commands: ${updated.allowedCommands.join(' ') || '-'}`);
+        } catch (error) {
+            logger.error('Error handling groups command:', error);
+            await this.sendMessage(phoneNumber, `❌ ${error.message}`);
+        }
+    }
+
     getAdminHelp() {
         return `🔧 *Admin Commands*\n\n` +
                `• /admin stats - Bot statistics\n` +
@@ -385,6 +1504,16 @@ class WhatsAppBot {
                `• /admin broadcast <message> - Send broadcast\n` +
                `• /admin cleanup - Clean old data\n` +
                `• /admin sessions - Manage chat sessions\n` +
+               `• /admin kb - Manage knowledge base\n` +
+               `• /admin faq - Manage FAQ answers\n` +
+               `• /admin takeover <phone> - Take over a chat\n` +
+               `• /admin release <phone> - Return a chat to the AI\n` +
+               `• /admin handoffs - List chats handled by agents\n` +
+               `• /admin prompt preview <phone> - Show the AI prompt for a chat\n` +
+               `• /admin jobs - Manage scheduled jobs\n` +
+               `• /admin export <phone> [json|txt] - Export a customer's data\n` +
+               `• /admin forget <phone> - Erase a customer's data\n` +
+               `• /admin groups - Manage group chats\n` +
                `• /admin help - Show this help`;
     }
 
@@ -392,6 +1521,13 @@ class WhatsAppBot {
         return this.adminNumbers.includes(phoneNumber);
     }
 
+    isDepartmentStaff(phoneNumber) {
+        const departments = this.config.companyInfo.departments || {};
+        return Object.values(departments).some(department =>
+            (department.staff || []).some(num => (num.includes('@') ? num : `${num}@s.whatsapp.net`) === phoneNumber)
+        );
+    }
+
     /**
      * Check if the phone number belongs to the bot itself
      * @param {string} phoneNumber - Phone number to check
@@ -424,7 +1560,58 @@ class WhatsAppBot {
         }
     }
 
+    registerJobHandlers() {
+        this.jobScheduler.registerHandler('session_expiry', async () => {
+            const expiredCount = await this.expireInactiveSessions();
+            return expiredCount > 0 ? `${expiredCount} session(s) expired` : null;
+        });
+        
+        this.jobScheduler.registerHandler('db_cleanup', async (params) => {
+            await getDatabase().cleanup(params.daysToKeep);
+            const mediaFiles = await this.mediaStore.cleanup(params.daysToKeep);
+            return `removed data older than ${params.daysToKeep || 30} days (${mediaFiles} media file(s))`;
+        });
+        
+        this.jobScheduler.registerHandler('backup', async (params) => {
+            const backupFile = await getDatabase().backup();
+            await Helpers.cleanOldBackups(path.join(path.dirname(this.config.database.path), 'backups'), params.daysToKeep);
+            return backupFile ? `created ${path.basename(backupFile)}` : 'no database file to back up';
+        });
+        
+        this.jobScheduler.registerHandler('daily_stats', async (params) => {
+            if (!this.isConnected) {
+                throw new Error('WhatsApp is not connected');
+            }
+            
+            // params.range takes the same arguments as /admin stats, e.g. "yesterday" or "7d"
+            const range = getDatabase().analytics.parseRange(params.range ? params.range.split(' ') : []);
+            const statsMessage = await this.buildStatsMessage(range);
+            for (const adminNumber of this.adminNumbers) {
+                await this.sendMessage(adminNumber, statsMessage);
+            }
+            return `sent to ${this.adminNumbers.length} admin(s)`;
+        });
+    }
+
+    /**
+     * Expire idle sessions and optionally say goodbye to those customers
+     * @returns {Promise<number>} Number of expired sessions
+     */
+    async expireInactiveSessions() {
+        const expired = await this.aiService.expireInactiveSessions();
+        
+        if (this.config.bot.sendGoodbyeOnExpiry && this.isConnected) {
+            for (const session of expired) {
+                await this.sendMessage(session.phoneNumber, await this.aiService.getLocalizedMessage(session.phoneNumber, 'goodbye'));
+            }
+        }
+        
+        return expired.length;
+    }
+
     async logout() {
+        this.jobScheduler.stop();
+        
         try {
             if (this.sock) {
                 await this.sock.logout();
@@ -15,6 +15,7 @@ class ConfigLoader {
         try {
             // Load environment variables
             const envConfig = this.loadEnvironmentConfig();
+            const providerChain = this.parseProviderChain(envConfig.AI_PROVIDER_CHAIN);
             
             // Load custom prompts
             const customPrompts = await this.loadCustomPrompts();
@@ -25,15 +26,27 @@ class ConfigLoader {
             // Load language configurations
             const languages = await this.loadLanguages();
             
+            // Load scheduled jobs
+            const jobs = await this.loadJobs();
+            
+            // Load custom redaction patterns
+            const redactionPatterns = await this.loadRedactionPatterns();
+            
             this.config = {
                 bot: {
                     name: envConfig.BOT_NAME || 'AllOneCustomerAI',
                     phoneNumber: envConfig.BOT_PHONE_NUMBER,
-                    sessionTimeout: parseInt(envConfig.SESSION_TIMEOUT) || 1800000
+                    sessionTimeout: parseInt(envConfig.SESSION_TIMEOUT) || 1800000,
+                    sendGoodbyeOnExpiry: envConfig.SESSION_GOODBYE_ENABLED === 'true'
                 },
                 ai: {
-                    provider: envConfig.AI_PROVIDER || 'gemini',
+                    provider: envConfig.AI_PROVIDER || providerChain[0] || 'gemini',
+                    providerChain,
                     maxResponseLength: parseInt(envConfig.MAX_RESPONSE_LENGTH) || 1000,
+                    circuitBreaker: {
+                        failureThreshold: parseInt(envConfig.AI_CIRCUIT_FAILURE_THRESHOLD) || 3,
+                        resetTimeout: parseInt(envConfig.AI_CIRCUIT_RESET_TIMEOUT) || 60000
+                    },
                     gemini: {
                         apiKey: envConfig.GEMINI_API_KEY,
                         model: envConfig.GEMINI_MODEL || 'gemini-2.0-flash-exp'
@@ -45,15 +58,123 @@ class ConfigLoader {
                     claude: {
                         apiKey: envConfig.CLAUDE_API_KEY,
                         model: envConfig.CLAUDE_MODEL || 'claude-3-haiku-20240307'
+                    },
+                    local: {
+                        baseURL: envConfig.LOCAL_AI_BASE_URL || 'http://localhost:11434/v1',
+                        apiKey: envConfig.LOCAL_AI_API_KEY,
+                        model: envConfig.LOCAL_AI_MODEL,
+                        // Set when the local model accepts images (e.g. llava, qwen2-vl)
+                        vision: envConfig.LOCAL_AI_VISION === 'true'
+                    },
+                    mock: {
+                        fixtureFile: envConfig.MOCK_FIXTURE_FILE || './config/mock-responses.json',
+                        latencyMs: parseInt(envConfig.MOCK_LATENCY_MS) || 0,
+                        errorEvery: parseInt(envConfig.MOCK_ERROR_EVERY) || 0
                     }
                 },
                 admin: {
                     numbers: envConfig.ADMIN_NUMBERS ? envConfig.ADMIN_NUMBERS.split(',') : []
                 },
-                database: {
-                    type: envConfig.DB_TYPE || 'json',
-                    path: envConfig.DB_PATH || './data/database.json'
+                handoff: {
+                    // Admins double as agents unless dedicated agent numbers are configured
+                    agentNumbers: (envConfig.HANDOFF_AGENT_NUMBERS || envConfig.ADMIN_NUMBERS || '')
+                        .split(',').map(num => num.trim()).filter(num => num.length > 0),
+                    detectFrustration: envConfig.HANDOFF_DETECT_FRUSTRATION !== 'false',
+                    frustrationKeywords: envConfig.HANDOFF_FRUSTRATION_KEYWORDS ?
+                        envConfig.HANDOFF_FRUSTRATION_KEYWORDS.split(',').map(k => k.trim().toLowerCase()) : []
+                },
+                history: {
+                    // Token budget for conversation history, overridable per provider
+                    maxTokens: parseInt(envConfig.HISTORY_MAX_TOKENS) || 3000,
+                    providers: {
+                        gemini: parseInt(envConfig.GEMINI_HISTORY_TOKENS) || 0,
+                        openai: parseInt(envConfig.OPENAI_HISTORY_TOKENS) || 0,
+                        claude: parseInt(envConfig.CLAUDE_HISTORY_TOKENS) || 0,
+                        local: parseInt(envConfig.LOCAL_HISTORY_TOKENS) || 0
+                    },
+                    fetchLimit: parseInt(envConfig.HISTORY_FETCH_LIMIT) || 50,
+                    summaryEnabled: envConfig.HISTORY_SUMMARY_ENABLED !== 'false',
+                    summaryMaxTokens: parseInt(envConfig.HISTORY_SUMMARY_MAX_TOKENS) || 300
+                },
+                intent: {
+                    // llm asks the active provider, keyword skips the extra provider call
+                    mode: envConfig.INTENT_CLASSIFIER || 'llm',
+                    minConfidence: parseFloat(envConfig.INTENT_MIN_CONFIDENCE) || 0.5
+                },
+                faq: {
+                    enabled: envConfig.FAQ_ENABLED !== 'false',
+                    file: envConfig.FAQ_FILE || './config/faq.json',
+                    threshold: parseFloat(envConfig.FAQ_THRESHOLD) || 0.8
+                },
+                knowledge: {
+                    enabled: envConfig.KNOWLEDGE_ENABLED !== 'false',
+                    dir: envConfig.KNOWLEDGE_DIR || './knowledge',
+                    topK: parseInt(envConfig.KNOWLEDGE_TOP_K) || 3,
+                    maxContextChars: parseInt(envConfig.KNOWLEDGE_MAX_CONTEXT_CHARS) || 2000,
+                    chunkSize: parseInt(envConfig.KNOWLEDGE_CHUNK_SIZE) || 800
+                },
+                media: {
+                    dir: envConfig.MEDIA_DIR || './data/media',
+                    imagesEnabled: envConfig.MEDIA_IMAGES_ENABLED !== 'false',
+                    // Larger images are stored but not sent to the provider
+                    maxImageBytes: parseInt(envConfig.MEDIA_MAX_IMAGE_BYTES) || 5242880
+                },
+                groups: {
+                    // Group chats: replies only on mention, command or reply to the bot
+                    enabled: envConfig.GROUPS_ENABLED !== 'false',
+                    // New groups stay silent until an admin runs /admin groups enable
+                    defaultEnabled: envConfig.GROUP_DEFAULT_ENABLED === 'true',
+                    allowedCommands: envConfig.GROUP_ALLOWED_COMMANDS ?
+                        envConfig.GROUP_ALLOWED_COMMANDS.split(',').map(command => command.trim().toLowerCase()).filter(command => command.length > 0) :
+                        ['/help', '/info', '/language', '/status']
+                },
+                richMessages: {
+                    // Buttons and list menus; they are not shown on every account, text menus are the default
+                    interactive: envConfig.INTERACTIVE_MESSAGES === 'true'
+                },
+                documents: {
+                    // PDF, Word, spreadsheet and text attachments are read locally
+                    enabled: envConfig.DOCUMENTS_ENABLED !== 'false',
+                    allowedTypes: envConfig.DOCUMENT_ALLOWED_TYPES ?
+                        envConfig.DOCUMENT_ALLOWED_TYPES.split(',').map(type => type.trim().toLowerCase()).filter(type => type.length > 0) :
+                        ['pdf', 'docx', 'xlsx', 'csv', 'txt'],
+                    maxBytes: parseInt(envConfig.DOCUMENT_MAX_BYTES) || 10485760,
+                    // PDF pages or spreadsheet sheets, the rest of the file is ignored
+                    maxPages: parseInt(envConfig.DOCUMENT_MAX_PAGES) || 20,
+                    maxChars: parseInt(envConfig.DOCUMENT_MAX_CHARS) || 50000
                 },
+                transcription: {
+                    // Voice notes: none, whisper-cpp, openai or mock
+                    backend: envConfig.TRANSCRIPTION_BACKEND || 'none',
+                    // Empty follows the customer's language preference
+                    language: envConfig.TRANSCRIPTION_LANGUAGE || null,
+                    maxSeconds: parseInt(envConfig.TRANSCRIPTION_MAX_SECONDS) || 120,
+                    timeoutMs: parseInt(envConfig.TRANSCRIPTION_TIMEOUT) || 60000,
+                    whisperCpp: {
+                        binary: envConfig.WHISPER_CPP_BINARY || 'whisper-cli',
+                        model: envConfig.WHISPER_CPP_MODEL,
+                        ffmpeg: envConfig.FFMPEG_PATH || 'ffmpeg'
+                    },
+                    openai: {
+                        apiKey: envConfig.TRANSCRIPTION_API_KEY || envConfig.OPENAI_API_KEY,
+                        baseURL: envConfig.TRANSCRIPTION_BASE_URL,
+                        model: envConfig.TRANSCRIPTION_MODEL || 'whisper-1'
+                    }
+                },
+                redaction: {
+                    // Personal data is masked before provider calls and in logs
+                    enabled: envConfig.REDACTION_ENABLED !== 'false',
+                    detectors: envConfig.REDACTION_DETECTORS ?
+                        envConfig.REDACTION_DETECTORS.split(',').map(name => name.trim().toLowerCase()).filter(name => name.length > 0) :
+                        ['nik', 'phone', 'email', 'card', 'bank_account'],
+                    patterns: redactionPatterns
+                },
+                jobs: {
+                    enabled: envConfig.JOBS_ENABLED !== 'false',
+                    timezone: envConfig.JOBS_TIMEZONE || companyInfo.timezone || 'Asia/Jakarta',
+                    jobs
+                },
+                database: this.buildDatabaseConfig(envConfig, companyInfo),
                 logging: {
                     level: envConfig.LOG_LEVEL || 'info',
                     file: envConfig.LOG_FILE || './logs/bot.log'
@@ -70,32 +191,82 @@ class ConfigLoader {
         }
     }
 
+    /**
+     * Database settings alone, without the AI provider checks of loadConfig (used by maintenance scripts)
+     * @returns {Promise<object>} Same shape as config.database
+     */
+    async loadDatabaseConfig() {
+        return this.buildDatabaseConfig(process.env, await this.loadCompanyInfo());
+    }
+
+    buildDatabaseConfig(envConfig, companyInfo) {
+        return {
+            type: envConfig.DB_TYPE || 'json',
+            path: envConfig.DB_PATH || (envConfig.DB_TYPE === 'sqlite' ? './data/database.sqlite' : './data/database.json'),
+            // JSON only: how long changes are batched before the snapshot is rewritten
+            flushDelay: parseInt(envConfig.DB_FLUSH_DELAY) || 500,
+            // Analytics days follow the company's local calendar
+            timezone: companyInfo.timezone || 'Asia/Jakarta',
+            // Optional AES-256-GCM encryption at rest (JSON storage)
+            encryptionKey: envConfig.DB_ENCRYPTION_KEY || null,
+            encryptionKeyFile: envConfig.DB_ENCRYPTION_KEY_FILE || null
+        };
+    }
+
     loadEnvironmentConfig() {
-        const aiProvider = process.env.AI_PROVIDER || 'gemini';
-        let requiredEnvVars = [];
+        const aiProvider = process.env.AI_PROVIDER || this.parseProviderChain(process.env.AI_PROVIDER_CHAIN)[0] || 'gemini';
+        
+        // Only the primary provider is required, failover providers without credentials
+        // are skipped when the AI service starts
+        const primary = aiProvider.toLowerCase();
+        const providers = [primary, ...this.parseProviderChain(process.env.AI_PROVIDER_CHAIN)];
         
+        for (const provider of [...new Set(providers)]) {
+            const requiredEnvVars = this.getRequiredEnvVars(provider);
+            const missingVars = requiredEnvVars.filter(varName => !process.env[varName]);
+            
+            if (missingVars.length === 0) continue;
+            if (provider === primary) {
+                throw new Error(`Missing required environment variables for ${provider}: ${missingVars.join(', ')}`);
+            }
+            console.warn(`Failover provider ${provider} is missing ${missingVars.join(', ')} and will be skipped`);
+        }
+        
+        return process.env;
+    }
+
+    getRequiredEnvVars(provider) {
         // Set required API key based on selected provider
-        switch (aiProvider.toLowerCase()) {
+        switch (provider) {
             case 'gemini':
-                requiredEnvVars = ['GEMINI_API_KEY'];
-                break;
+                return ['GEMINI_API_KEY'];
             case 'openai':
-                requiredEnvVars = ['OPENAI_API_KEY'];
-                break;
+                return ['OPENAI_API_KEY'];
             case 'claude':
-                requiredEnvVars = ['CLAUDE_API_KEY'];
-                break;
+                return ['CLAUDE_API_KEY'];
+            case 'local':
+                // API key is optional for self-hosted endpoints
+                return ['LOCAL_AI_MODEL'];
+            case 'mock':
+                return [];
             default:
-                throw new Error(`Unsupported AI provider: ${aiProvider}. Supported providers: gemini, openai, claude`);
+                throw new Error(`Unsupported AI provider: ${provider}. Supported providers: gemini, openai, claude, local, mock`);
         }
+    }
+
+    /**
+     * Parse comma separated provider list (e.g. "gemini,openai,claude")
+     * @param {string} value - Raw AI_PROVIDER_CHAIN value
+     * @returns {string[]} Ordered, de-duplicated provider names
+     */
+    parseProviderChain(value) {
+        if (!value) return [];
         
-        const missingVars = requiredEnvVars.filter(varName => !process.env[varName]);
-        
-        if (missingVars.length > 0) {
-            throw new Error(`Missing required environment variables for ${aiProvider}: ${missingVars.join(', ')}`);
-        }
+        const providers = value.split(',')
+            .map(provider => provider.trim().toLowerCase())
+            .filter(provider => provider.length > 0);
         
-        return process.env;
+        return [...new Set(providers)];
     }
 
     async loadCustomPrompts() {
@@ -168,6 +339,39 @@ class ConfigLoader {
         };
     }
 
+    async loadJobs() {
+        const jobsPath = process.env.JOBS_FILE || './config/jobs.json';
+        
+        try {
+            if (await fs.pathExists(jobsPath)) {
+                const data = await fs.readJson(jobsPath);
+                return data.jobs || [];
+            }
+        } catch (error) {
+            console.warn(`Could not load jobs from ${jobsPath}:`, error.message);
+        }
+        
+        // Return default jobs (session expiry only)
+        return [
+            { name: 'session-expiry', type: 'session_expiry', schedule: '* * * * *', enabled: true, params: {} }
+        ];
+    }
+
+    async loadRedactionPatterns() {
+        const patternsPath = process.env.REDACTION_PATTERNS_FILE || './config/redaction.json';
+        
+        try {
+            if (await fs.pathExists(patternsPath)) {
+                const data = await fs.readJson(patternsPath);
+                return data.patterns || [];
+            }
+        } catch (error) {
+            console.warn(`Could not load redaction patterns from ${patternsPath}:`, error.message);
+        }
+        
+        return [];
+    }
+
     getConfig() {
         return this.config;
     }
@@ -177,5 +381,6 @@ const configLoader = new ConfigLoader();
 
 module.exports = {
     loadConfig: () => configLoader.loadConfig(),
+    loadDatabaseConfig: () => configLoader.loadDatabaseConfig(),
     getConfig: () => configLoader.getConfig()
 };
\ No newline at end of file
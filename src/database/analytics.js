@@ -0,0 +1,333 @@
+const crypto = require('crypto');
+const logger = require('../utils/logger');
+
+const DATE_PATTERN = /^\d{4}-\d{2}-\d{2}$/;
+const MAX_RANGE_DAYS = 366;
+
+/**
+ * Usage analytics
+ * Events are folded into one plain-object bucket per local day (company timezone),
+ * persisted through the storage adapter and summed up for any date range.
+ * Customers who wrote on a day are stored next to the buckets as salted hashes
+ * of their JID, so unique users can be counted for a range without keeping numbers.
+ */
+
+class Analytics {
+    constructor(storage, options = {}) {
+        this.storage = storage;
+        this.timezone = options.timezone || 'Asia/Jakarta';
+        // Bucket updates are read-modify-write, run them one at a time
+        this.queue = Promise.resolve();
+        this.salt = null;
+    }
+
+    static emptyBucket(date) {
+        return {
+            date,
+            messages: 0,
+            userMessages: 0,
+            botMessages: 0,
+            // Messages per local hour, index 0-23
+            hourly: new Array(24).fill(0),
+            newUsers: 0,
+            intents: {},
+            providers: {},
+            replySources: {},
+            providerErrors: {},
+            failures: 0,
+            latency: { count: 0, totalMs: 0, maxMs: 0 }
+        };
+    }
+
+    // Fill in fields missing from buckets written by older versions
+    static normalizeBucket(bucket) {
+        const empty = Analytics.emptyBucket(bucket.date);
+        return {
+            ...empty,
+            ...bucket,
+            hourly: Array.isArray(bucket.hourly) && bucket.hourly.length === 24 ? bucket.hourly : empty.hourly,
+            latency: { ...empty.latency, ...bucket.latency }
+        };
+    }
+
+    /**
+     * Anonymous id of a customer, the same for every day and across restarts
+     * @param {string} salt - Salt saved in the database
+     * @param {string} phoneNumber - Customer JID
+     * @returns {string} Hex id
+     */
+    static hashUser(salt, phoneNumber) {
+        return crypto.createHmac('sha256', salt).update(phoneNumber).digest('hex').slice(0, 16);
+    }
+
+    static createSalt() {
+        return crypto.randomBytes(16).toString('hex');
+    }
+
+    /**
+     * Salt for hashUser, created on first use
+     * @returns {Promise<string>} Salt
+     */
+    getSalt() {
+        if (!this.salt) {
+            this.salt = (async () => {
+                const stored = await this.storage.getAnalyticsSalt();
+                if (stored) return stored;
+
+                const salt = Analytics.createSalt();
+                await this.storage.saveAnalyticsSalt(salt);
+                return salt;
+            })();
+            // Try again next time instead of caching the failure
+            this.salt.catch(() => {
+                this.salt = null;
+            });
+        }
+        return this.salt;
+    }
+
+    /**
+     * Local date and hour of a timestamp in the analytics timezone
+     * @param {string|Date} timestamp - ISO timestamp or Date
+     * @returns {{date: string, hour: number}} YYYY-MM-DD date and 0-23 hour
+     */
+    getDateParts(timestamp = new Date()) {
+        const parts = {};
+        new Intl.DateTimeFormat('en-CA', {
+            timeZone: this.timezone,
+            year: 'numeric',
+            month: '2-digit',
+            day: '2-digit',
+            hour: '2-digit',
+            hourCycle: 'h23'
+        }).formatToParts(new Date(timestamp)).forEach(part => {
+            parts[part.type] = part.value;
+        });
+
+        return { date: `${parts.year}-${parts.month}-${parts.day}`, hour: parseInt(parts.hour) % 24 };
+    }
+
+    static addDays(date, days) {
+        const result = new Date(`${date}T00:00:00Z`);
+        result.setUTCDate(result.getUTCDate() + days);
+        return result.toISOString().split('T')[0];
+    }
+
+    /**
+     * Parse /admin stats arguments into a date range
+     * Accepts nothing (last 7 days), today, yesterday, <N>d, a date, or two dates.
+     * @param {string[]} args - Command arguments
+     * @returns {{from: string, to: string}} Inclusive local dates
+     */
+    parseRange(args = []) {
+        const today = this.getDateParts().date;
+        const [first, second] = args.map(arg => arg.toLowerCase());
+        let range;
+
+        if (!first) {
+            range = { from: Analytics.addDays(today, -6), to: today };
+        } else if (first === 'today') {
+            range = { from: today, to: today };
+        } else if (first === 'yesterday') {
+            const yesterday = Analytics.addDays(today, -1);
+            range = { from: yesterday, to: yesterday };
+        } else if (/^[1-9]\d*d$/.test(first)) {
+            range = { from: Analytics.addDays(today, -(parseInt(first) - 1)), to: today };
+        } else if (DATE_PATTERN.test(first) && (!second || DATE_PATTERN.test(second))) {
+            const dates = [first, second || first].sort();
+            range = { from: dates[0], to: dates[1] };
+        } else {
+            throw new Error('Invalid range. Use: today, yesterday, 30d, YYYY-MM-DD or YYYY-MM-DD YYYY-MM-DD');
+        }
+
+        if (Analytics.addDays(range.from, MAX_RANGE_DAYS) <= range.to) {
+            throw new Error(`Range too long, maximum is ${MAX_RANGE_DAYS} days`);
+        }
+        return range;
+    }
+
+    enqueue(task) {
+        const run = this.queue.then(task);
+        this.queue = run.catch(() => {});
+        return run;
+    }
+
+    async update(timestamp, updater) {
+        const task = async () => {
+            const { date, hour } = this.getDateParts(timestamp);
+            const [stored] = await this.storage.getAnalyticsBuckets(date, date);
+            const bucket = stored ? Analytics.normalizeBucket(stored) : Analytics.emptyBucket(date);
+
+            updater(bucket, hour);
+            await this.storage.saveAnalyticsBucket(bucket);
+        };
+
+        // Analytics must never break message handling
+        try {
+            await this.enqueue(task);
+        } catch (error) {
+            logger.error('Failed to record analytics:', error);
+        }
+    }
+
+    increment(map, key) {
+        map[key] = (map[key] || 0) + 1;
+    }
+
+    async recordMessage(phoneNumber, message) {
+        await this.update(message.timestamp, (bucket, hour) => {
+            bucket.messages++;
+            bucket.hourly[hour]++;
+
+            if (message.isFromUser) {
+                bucket.userMessages++;
+                if (message.intent) {
+                    this.increment(bucket.intents, message.intent);
+                }
+                return;
+            }
+
+            bucket.botMessages++;
+            this.increment(bucket.replySources, message.source || (message.provider ? 'ai' : 'system'));
+            if (message.provider) {
+                this.increment(bucket.providers, message.provider);
+            }
+            if (typeof message.latencyMs === 'number') {
+                bucket.latency.count++;
+                bucket.latency.totalMs += message.latencyMs;
+                bucket.latency.maxMs = Math.max(bucket.latency.maxMs, message.latencyMs);
+            }
+        });
+
+        if (message.isFromUser) {
+            await this.recordUser(message.timestamp, phoneNumber);
+        }
+    }
+
+    // Count the customer as active that day, a small change of its own instead of a list in the bucket
+    async recordUser(timestamp, phoneNumber) {
+        try {
+            await this.enqueue(async () => {
+                const { date } = this.getDateParts(timestamp);
+                await this.storage.addAnalyticsUser(date, Analytics.hashUser(await this.getSalt(), phoneNumber));
+            });
+        } catch (error) {
+            logger.error('Failed to record analytics:', error);
+        }
+    }
+
+    async recordNewUser(createdAt) {
+        await this.update(createdAt, bucket => {
+            bucket.newUsers++;
+        });
+    }
+
+    // A provider call failed (the next provider in the chain may still answer)
+    async recordProviderError(provider) {
+        await this.update(new Date().toISOString(), bucket => {
+            this.increment(bucket.providerErrors, provider);
+        });
+    }
+
+    // No provider could answer and the customer got the fallback message
+    async recordFailure() {
+        await this.update(new Date().toISOString(), bucket => {
+            bucket.failures++;
+        });
+    }
+
+    /**
+     * Replace a customer's hashed id with a random one, so the days can no longer
+     * be linked to the number while unique user counts stay correct
+     * @param {string} phoneNumber - Customer JID
+     * @returns {Promise<number>} Number of days changed
+     */
+    async forgetUser(phoneNumber) {
+        return await this.enqueue(async () => {
+            const anonymousId = `erased-${crypto.randomBytes(6).toString('hex')}`;
+            return await this.storage.renameAnalyticsUser(Analytics.hashUser(await this.getSalt(), phoneNumber), anonymousId);
+        });
+    }
+
+    /**
+     * Sum the daily buckets of a date range
+     * @param {string} from - First local date (YYYY-MM-DD)
+     * @param {string} to - Last local date (YYYY-MM-DD)
+     * @returns {Promise<object>} Serializable statistics
+     */
+    async getStats(from, to) {
+        const buckets = (await this.storage.getAnalyticsBuckets(from, to))
+            .map(bucket => Analytics.normalizeBucket(bucket))
+            .sort((a, b) => a.date.localeCompare(b.date));
+
+        const stats = {
+            from,
+            to,
+            totalUsers: await this.storage.countUsers(),
+            messages: 0,
+            userMessages: 0,
+            botMessages: 0,
+            uniqueUsers: 0,
+            newUsers: 0,
+            failures: 0,
+            failureRate: 0,
+            avgLatencyMs: 0,
+            maxLatencyMs: 0,
+            hourly: new Array(24).fill(0),
+            intents: {},
+            providers: {},
+            replySources: {},
+            providerErrors: {},
+            daily: []
+        };
+
+        const users = new Set();
+        const usersPerDay = {};
+        (await this.storage.getAnalyticsUsers(from, to)).forEach(({ date, id }) => {
+            users.add(id);
+            this.increment(usersPerDay, date);
+        });
+
+        let latencyTotal = 0;
+        let latencyCount = 0;
+        const addAll = (target, source) => Object.entries(source).forEach(([key, count]) => {
+            target[key] = (target[key] || 0) + count;
+        });
+
+        for (const bucket of buckets) {
+            stats.messages += bucket.messages;
+            stats.userMessages += bucket.userMessages;
+            stats.botMessages += bucket.botMessages;
+            stats.newUsers += bucket.newUsers;
+            stats.failures += bucket.failures;
+            bucket.hourly.forEach((count, hour) => {
+                stats.hourly[hour] += count;
+            });
+            addAll(stats.intents, bucket.intents);
+            addAll(stats.providers, bucket.providers);
+            addAll(stats.replySources, bucket.replySources);
+            addAll(stats.providerErrors, bucket.providerErrors);
+            latencyTotal += bucket.latency.totalMs;
+            latencyCount += bucket.latency.count;
+            stats.maxLatencyMs = Math.max(stats.maxLatencyMs, bucket.latency.maxMs);
+
+            stats.daily.push({
+                date: bucket.date,
+                messages: bucket.messages,
+                users: usersPerDay[bucket.date] || 0,
+                newUsers: bucket.newUsers,
+                failures: bucket.failures
+            });
+        }
+
+        stats.uniqueUsers = users.size;
+        stats.avgLatencyMs = latencyCount > 0 ? Math.round(latencyTotal / latencyCount) : 0;
+        // Share of AI attempts that ended in the fallback message
+        const aiAttempts = (stats.replySources.ai || 0) + stats.failures;
+        stats.failureRate = aiAttempts > 0 ? Number((stats.failures / aiAttempts).toFixed(3)) : 0;
+
+        return stats;
+    }
+}
+
+module.exports = Analytics;
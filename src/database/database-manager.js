@@ -1,37 +1,42 @@
-const fs = require('fs-extra');
-const path = require('path');
 const logger = require('../utils/logger');
+const Analytics = require('./analytics');
+const Migrator = require('./migrator');
+
+const ADAPTERS = {
+    json: () => require('./storage/json-storage'),
+    sqlite: () => require('./storage/sqlite-storage')
+};
+
+/**
+ * Database access for the rest of the app
+ * Builds user, message and session records and delegates persistence to the
+ * storage adapter selected by DB_TYPE (see ./storage).
+ */
 
 class DatabaseManager {
     constructor(config) {
         this.config = config;
-        this.data = {
-            users: {},
-            conversations: {},
-            sessions: {},
-            analytics: {
-                totalMessages: 0,
-                totalUsers: 0,
-                dailyStats: {}
-            }
-        };
+        this.type = (config.type || 'json').toLowerCase();
         this.dbPath = config.path;
+
+        if (!ADAPTERS[this.type]) {
+            throw new Error(`Unsupported DB_TYPE: ${this.type} (supported: ${Object.keys(ADAPTERS).join(', ')})`);
+        }
+        const Adapter = ADAPTERS[this.type]();
+        this.storage = new Adapter(config);
+        this.analytics = new Analytics(this.storage, { timezone: config.timezone });
+        this.migrator = new Migrator(this.storage, { directory: config.migrationsDir });
     }
 
-    async initialize() {
+    /**
+     * Open the storage and run pending schema migrations
+     * @param {object} options - { migrate: false } only opens the storage (used by scripts/migrate.js)
+     */
+    async initialize(options = {}) {
         try {
-            // Ensure database directory exists
-            await fs.ensureDir(path.dirname(this.dbPath));
-            
-            // Load existing data if file exists
-            if (await fs.pathExists(this.dbPath)) {
-                const existingData = await fs.readJson(this.dbPath);
-                this.data = { ...this.data, ...existingData };
-                logger.info(`Database loaded from ${this.dbPath}`);
-            } else {
-                // Create new database file
-                await this.save();
-                logger.info(`New database created at ${this.dbPath}`);
+            await this.storage.initialize();
+            if (options.migrate !== false) {
+                await this.migrator.migrate();
             }
         } catch (error) {
             logger.error('Failed to initialize database:', error);
@@ -39,18 +44,18 @@ class DatabaseManager {
         }
     }
 
-    async save() {
-        try {
-            await fs.writeJson(this.dbPath, this.data, { spaces: 2 });
-        } catch (error) {
-            logger.error('Failed to save database:', error);
-            throw error;
-        }
+    async close() {
+        await this.storage.close();
+    }
+
+    // Key for data at rest, shared with files kept outside the database (media)
+    get encryption() {
+        return this.storage.encryption || null;
     }
 
     // User management
     async getUser(phoneNumber) {
-        return this.data.users[phoneNumber] || null;
+        return await this.storage.getUser(phoneNumber);
     }
 
     async createUser(phoneNumber, userData = {}) {
@@ -64,83 +69,68 @@ class DatabaseManager {
             ...userData
         };
         
-        this.data.users[phoneNumber] = user;
-        this.data.analytics.totalUsers = Object.keys(this.data.users).length;
-        await this.save();
+        await this.storage.saveUser(user);
+        await this.analytics.recordNewUser(user.createdAt);
         
         logger.info(`New user created: ${phoneNumber}`);
         return user;
     }
 
     async updateUser(phoneNumber, updates) {
-        if (this.data.users[phoneNumber]) {
-            this.data.users[phoneNumber] = {
-                ...this.data.users[phoneNumber],
+        const user = await this.storage.getUser(phoneNumber);
+        if (user) {
+            return await this.storage.saveUser({
+                ...user,
                 ...updates,
                 lastSeen: new Date().toISOString()
-            };
-            await this.save();
-            return this.data.users[phoneNumber];
+            });
         }
         return null;
     }
 
-    // Conversation management
-    async saveMessage(phoneNumber, message, isFromUser = true) {
-        const conversationId = phoneNumber;
-        
-        if (!this.data.conversations[conversationId]) {
-            this.data.conversations[conversationId] = {
-                phoneNumber,
-                messages: [],
-                createdAt: new Date().toISOString(),
-                lastMessageAt: new Date().toISOString()
-            };
-        }
+    async getUsers() {
+        return await this.storage.listUsers();
+    }
+
+    async getRecentUsers(limit = 20) {
+        return await this.storage.listUsers({ limit });
+    }
 
+    // Conversation management
+    async saveMessage(phoneNumber, message, isFromUser = true, metadata = {}) {
         const messageData = {
             id: Date.now().toString(),
             content: message,
             isFromUser,
             timestamp: new Date().toISOString(),
-            type: 'text'
+            type: 'text',
+            ...metadata
         };
 
-        this.data.conversations[conversationId].messages.push(messageData);
-        this.data.conversations[conversationId].lastMessageAt = messageData.timestamp;
-        
-        // Update analytics
-        this.data.analytics.totalMessages++;
-        const today = new Date().toISOString().split('T')[0];
-        if (!this.data.analytics.dailyStats[today]) {
-            this.data.analytics.dailyStats[today] = { messages: 0, users: new Set() };
-        }
-        this.data.analytics.dailyStats[today].messages++;
-        this.data.analytics.dailyStats[today].users.add(phoneNumber);
-        
-        // Update user message count
-        if (this.data.users[phoneNumber]) {
-            this.data.users[phoneNumber].messageCount++;
-            this.data.users[phoneNumber].lastSeen = messageData.timestamp;
-        }
-        
-        await this.save();
+        await this.storage.appendMessage(phoneNumber, messageData);
+        await this.analytics.recordMessage(phoneNumber, messageData);
         return messageData;
     }
 
     async getConversation(phoneNumber, limit = 50) {
-        const conversation = this.data.conversations[phoneNumber];
+        const conversation = await this.storage.getConversation(phoneNumber);
         if (!conversation) return null;
         
         return {
             ...conversation,
-            messages: conversation.messages.slice(-limit)
+            messages: await this.storage.getMessages(phoneNumber, { limit })
         };
     }
 
-    async getConversationHistory(phoneNumber, limit = 10) {
-        const conversation = await this.getConversation(phoneNumber, limit);
-        return conversation ? conversation.messages : [];
+    /**
+     * Latest messages of a conversation, oldest first
+     * @param {string} phoneNumber - Customer JID
+     * @param {number} limit - Maximum number of messages
+     * @param {object} options - { since, before } ISO timestamps for paging
+     * @returns {Promise<Array>} Messages
+     */
+    async getConversationHistory(phoneNumber, limit = 10, options = {}) {
+        return await this.storage.getMessages(phoneNumber, { ...options, limit });
     }
 
     // Session management
@@ -156,79 +146,160 @@ class DatabaseManager {
             ...sessionData
         };
         
-        this.data.sessions[sessionId] = session;
-        await this.save();
-        
-        return session;
+        return await this.storage.saveSession(session);
+    }
+
+    async getSession(sessionId) {
+        return await this.storage.getSession(sessionId);
     }
 
     async getActiveSession(phoneNumber) {
-        const sessions = Object.values(this.data.sessions)
-            .filter(session => session.phoneNumber === phoneNumber && session.isActive)
-            .sort((a, b) => new Date(b.lastActivity) - new Date(a.lastActivity));
-        
+        const sessions = await this.storage.listActiveSessions(phoneNumber);
         return sessions[0] || null;
     }
 
     async updateSession(sessionId, updates) {
-        if (this.data.sessions[sessionId]) {
-            this.data.sessions[sessionId] = {
-                ...this.data.sessions[sessionId],
-                ...updates,
-                lastActivity: new Date().toISOString()
-            };
-            await this.save();
-            return this.data.sessions[sessionId];
+        const session = await this.storage.getSession(sessionId);
+        if (session) {
+            return await this.storage.saveSession({
+                ...session,
+                lastActivity: new Date().toISOString(),
+                ...updates
+            });
         }
         return null;
     }
 
-    async closeSession(sessionId) {
-        return await this.updateSession(sessionId, { isActive: false });
+    async closeSession(sessionId, details = {}) {
+        return await this.updateSession(sessionId, {
+            isActive: false,
+            endedAt: new Date().toISOString(),
+            ...details
+        });
     }
 
-    // Analytics
-    async getAnalytics() {
-        // Convert Set objects to arrays for JSON serialization
-        const analytics = { ...this.data.analytics };
-        Object.keys(analytics.dailyStats).forEach(date => {
-            if (analytics.dailyStats[date].users instanceof Set) {
-                analytics.dailyStats[date].users = analytics.dailyStats[date].users.size;
-            }
+    async getActiveSessions() {
+        return await this.storage.listActiveSessions();
+    }
+
+    // Groups
+
+    async getGroup(jid) {
+        return await this.storage.getGroup(jid);
+    }
+
+    /**
+     * Create or update a group's settings
+     * @param {string} jid - Group JID (...@g.us)
+     * @param {object} updates - Fields to set, e.g. { enabled: true }
+     * @returns {Promise<object>} Saved group record
+     */
+    async saveGroup(jid, updates = {}) {
+        const now = new Date().toISOString();
+        const group = await this.storage.getGroup(jid) || { jid, createdAt: now };
+        return await this.storage.saveGroup({ ...group, ...updates, jid, updatedAt: now });
+    }
+
+    async getGroups() {
+        return await this.storage.listGroups();
+    }
+
+    // Data subject requests (export / erasure)
+
+    /**
+     * Everything stored for one customer
+     * @param {string} phoneNumber - Customer JID
+     * @returns {Promise<object|null>} { phoneNumber, exportedAt, user, conversation, messages, sessions }, null when nothing is stored
+     */
+    async exportUserData(phoneNumber) {
+        const [user, conversation, messages, sessions] = await Promise.all([
+            this.storage.getUser(phoneNumber),
+            this.storage.getConversation(phoneNumber),
+            this.storage.getMessages(phoneNumber),
+            this.storage.listSessions(phoneNumber)
+        ]);
+
+        if (!user && !conversation && sessions.length === 0) {
+            return null;
+        }
+
+        return {
+            phoneNumber,
+            exportedAt: new Date().toISOString(),
+            user,
+            conversation,
+            messages,
+            sessions
+        };
+    }
+
+    /**
+     * Erase a customer's records and anonymize them in analytics
+     * Backups taken earlier still contain the data until they are rotated out.
+     * @param {string} phoneNumber - Customer JID
+     * @returns {Promise<{user: boolean, messages: number, sessions: number, analyticsDays: number}>} What was erased
+     */
+    async forgetUser(phoneNumber) {
+        const result = await this.storage.deleteUserData(phoneNumber);
+        const analyticsDays = await this.analytics.forgetUser(phoneNumber);
+
+        logger.info(`Erased data of ${phoneNumber}: ${result.messages} messages, ${result.sessions} sessions`);
+        return { ...result, analyticsDays };
+    }
+
+    /**
+     * Record who did what to whose data (kept when the data itself is erased)
+     * @param {string} action - e.g. export, forget
+     * @param {string} subject - Customer JID the action concerns
+     * @param {string} actor - JID of the admin, or the customer themselves
+     * @param {object} details - Counts and options, never message content
+     */
+    async addAuditEntry(action, subject, actor, details = {}) {
+        return await this.storage.appendAudit({
+            timestamp: new Date().toISOString(),
+            action,
+            subject,
+            actor,
+            details
         });
-        
-        return analytics;
+    }
+
+    async getAuditLog(limit = 20) {
+        return await this.storage.listAudit({ limit });
+    }
+
+    // Analytics
+    /**
+     * Usage statistics for an inclusive range of local dates
+     * @param {string} from - YYYY-MM-DD, defaults to the last 7 days
+     * @param {string} to - YYYY-MM-DD
+     * @returns {Promise<object>} Serializable statistics (see analytics.js)
+     */
+    async getAnalytics(from = null, to = null) {
+        const range = from ? { from, to: to || from } : this.analytics.parseRange();
+        return await this.analytics.getStats(range.from, range.to);
+    }
+
+    async recordProviderError(provider) {
+        await this.analytics.recordProviderError(provider);
+    }
+
+    async recordFailure() {
+        await this.analytics.recordFailure();
     }
 
     // Cleanup old data
     async cleanup(daysToKeep = 30) {
         const cutoffDate = new Date();
         cutoffDate.setDate(cutoffDate.getDate() - daysToKeep);
-        const cutoffISO = cutoffDate.toISOString();
-        
-        // Clean old conversations
-        Object.keys(this.data.conversations).forEach(conversationId => {
-            const conversation = this.data.conversations[conversationId];
-            conversation.messages = conversation.messages.filter(
-                message => message.timestamp > cutoffISO
-            );
-            
-            if (conversation.messages.length === 0) {
-                delete this.data.conversations[conversationId];
-            }
-        });
         
-        // Clean old sessions
-        Object.keys(this.data.sessions).forEach(sessionId => {
-            const session = this.data.sessions[sessionId];
-            if (session.lastActivity < cutoffISO) {
-                delete this.data.sessions[sessionId];
-            }
-        });
-        
-        await this.save();
+        await this.storage.deleteOlderThan(cutoffDate.toISOString());
         logger.info(`Database cleanup completed, kept data from last ${daysToKeep} days`);
     }
+
+    async backup() {
+        return await this.storage.backup();
+    }
 }
 
 let databaseInstance = null;
@@ -247,5 +318,7 @@ module.exports = {
             throw new Error('Database not initialized. Call initializeDatabase first.');
         }
         return databaseInstance;
-    }
+    },
+    
+    DatabaseManager
 };
\ No newline at end of file
@@ -0,0 +1,30 @@
+/**
+ * Analytics used to be { totalMessages, dailyStats: { date: { messages, users } } },
+ * with users written by even older versions as a Set that serialized to {}.
+ * Daily entries become analytics buckets (see ../analytics.js), unusable user
+ * lists are dropped. SQLite never stored analytics before this version.
+ */
+
+module.exports = {
+    version: 1,
+    description: 'Convert legacy dailyStats into daily analytics buckets',
+
+    json(data) {
+        const analytics = data.analytics || {};
+        if (analytics.daily) {
+            return 'already converted';
+        }
+
+        const daily = {};
+        Object.entries(analytics.dailyStats || {}).forEach(([date, stats]) => {
+            daily[date] = {
+                date,
+                messages: stats.messages || 0,
+                users: Array.isArray(stats.users) ? stats.users : []
+            };
+        });
+
+        data.analytics = { daily };
+        return `converted ${Object.keys(daily).length} day(s)`;
+    }
+};
@@ -0,0 +1,60 @@
+const Analytics = require('../analytics');
+
+/**
+ * Daily buckets kept the JIDs of the customers who wrote that day in a users
+ * list. They move out of the buckets into their own records as salted hashes
+ * (see ../analytics.js), ids of erased customers are kept as they are.
+ */
+
+function toId(salt, user) {
+    return user.startsWith('erased-') ? user : Analytics.hashUser(salt, user);
+}
+
+module.exports = {
+    version: 2,
+    description: 'Move analytics users out of the daily buckets as salted hashes',
+
+    json(data) {
+        const analytics = data.analytics;
+        analytics.users = analytics.users || {};
+        analytics.salt = analytics.salt || Analytics.createSalt();
+        let moved = 0;
+
+        Object.values(analytics.daily || {}).forEach(bucket => {
+            (Array.isArray(bucket.users) ? bucket.users : []).forEach(user => {
+                analytics.users[bucket.date] = analytics.users[bucket.date] || {};
+                analytics.users[bucket.date][toId(analytics.salt, user)] = true;
+                moved++;
+            });
+            delete bucket.users;
+        });
+
+        return `moved ${moved} user day(s)`;
+    },
+
+    sqlite(db) {
+        let salt = db.prepare("SELECT value FROM analytics_meta WHERE key = 'salt'").get()?.value;
+        if (!salt) {
+            salt = Analytics.createSalt();
+            db.prepare("INSERT INTO analytics_meta (key, value) VALUES ('salt', ?)").run(salt);
+        }
+
+        const addUser = db.prepare('INSERT OR IGNORE INTO analytics_users (date, user_id) VALUES (?, ?)');
+        const saveBucket = db.prepare('UPDATE analytics_daily SET data = ? WHERE date = ?');
+        let moved = 0;
+
+        db.prepare('SELECT date, data FROM analytics_daily').all().forEach(row => {
+            const bucket = JSON.parse(row.data);
+            if (!('users' in bucket)) return;
+
+            (Array.isArray(bucket.users) ? bucket.users : []).forEach(user => {
+                addUser.run(row.date, toId(salt, user));
+                moved++;
+            });
+            delete bucket.users;
+            saveBucket.run(JSON.stringify(bucket), row.date);
+        });
+
+        return `moved ${moved} user day(s)`;
+    }
+};
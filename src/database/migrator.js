@@ -0,0 +1,110 @@
+const fs = require('fs-extra');
+const path = require('path');
+const logger = require('../utils/logger');
+
+const MIGRATION_FILE = /^(\d+)-[\w-]+\.js$/;
+
+/**
+ * Schema migrations
+ * Each file in ./migrations is one upgrade step named <version>-<description>.js,
+ * exporting { version, description, json(data), sqlite(db) }. Handlers are
+ * synchronous and optional, a step that only concerns one adapter leaves the
+ * other out. Pending steps run at startup after an automatic backup.
+ */
+
+class Migrator {
+    constructor(storage, options = {}) {
+        this.storage = storage;
+        this.directory = options.directory || path.join(__dirname, 'migrations');
+    }
+
+    /**
+     * @returns {Promise<Array>} Migration modules ordered by version
+     */
+    async loadMigrations() {
+        const files = (await fs.readdir(this.directory).catch(() => []))
+            .filter(file => MIGRATION_FILE.test(file));
+
+        const migrations = files.map(file => {
+            const migration = require(path.join(this.directory, file));
+            const version = parseInt(file.match(MIGRATION_FILE)[1]);
+
+            if (migration.version !== version) {
+                throw new Error(`Migration ${file} declares version ${migration.version}, expected ${version}`);
+            }
+            return { ...migration, file };
+        }).sort((a, b) => a.version - b.version);
+
+        migrations.forEach((migration, index) => {
+            if (index > 0 && migration.version === migrations[index - 1].version) {
+                throw new Error(`Duplicate migration version ${migration.version}: ${migrations[index - 1].file}, ${migration.file}`);
+            }
+        });
+
+        return migrations;
+    }
+
+    /**
+     * @returns {Promise<{current: number, latest: number, pending: Array}>} Schema version of the database and the code
+     */
+    async getStatus() {
+        const migrations = await this.loadMigrations();
+        const current = await this.storage.getSchemaVersion();
+        const latest = migrations.length > 0 ? migrations[migrations.length - 1].version : 0;
+
+        return {
+            current,
+            latest,
+            pending: migrations.filter(migration => migration.version > current)
+        };
+    }
+
+    /**
+     * Bring the database up to the latest schema version
+     * @param {object} options - { dryRun } runs the pending migrations without saving or backing up
+     * @returns {Promise<{from: number, to: number, applied: Array, backupFile: string|null}>} What was (or would be) done
+     */
+    async migrate(options = {}) {
+        const { current, latest, pending } = await this.getStatus();
+        const summary = { from: current, to: current, applied: [], backupFile: null };
+
+        if (current > latest) {
+            throw new Error(`Database schema version ${current} is newer than this release supports (${latest}), upgrade the bot first`);
+        }
+
+        // A fresh database is created in the latest shape already
+        if (this.storage.isNew) {
+            if (current !== latest && !options.dryRun) {
+                await this.storage.setSchemaVersion(latest);
+            }
+            return { ...summary, to: latest };
+        }
+
+        if (pending.length === 0) {
+            return summary;
+        }
+
+        if (!options.dryRun) {
+            summary.backupFile = await this.storage.backup();
+            logger.info(`Backup before migrating schema ${current} -> ${latest}: ${summary.backupFile}`);
+        }
+
+        const results = await this.storage.applyMigrations(pending, { dryRun: options.dryRun });
+        summary.applied = pending.map((migration, index) => ({
+            version: migration.version,
+            description: migration.description,
+            result: results[index] || null
+        }));
+        summary.to = latest;
+
+        if (!options.dryRun) {
+            summary.applied.forEach(migration => {
+                logger.info(`Applied migration ${migration.version}: ${migration.description}${migration.result ? ` (${migration.result})` : ''}`);
+            });
+        }
+
+        return summary;
+    }
+}
+
+module.exports = Migrator;
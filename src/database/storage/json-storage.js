@@ -0,0 +1,519 @@
+const fs = require('fs-extra');
+const path = require('path');
+const logger = require('../../utils/logger');
+const Helpers = require('../../utils/helpers');
+const Encryption = require('../../utils/encryption');
+const StorageAdapter = require('./storage-adapter');
+
+/**
+ * JSON file storage (DB_TYPE=json)
+ * Keeps everything in memory. Every change is appended to a journal right away
+ * and the full snapshot is rewritten at most once per DB_FLUSH_DELAY, atomically.
+ * On startup the journal is replayed on top of the snapshot, and a corrupt
+ * snapshot falls back to the latest backup.
+ * With DB_ENCRYPTION_KEY(_FILE) set, the snapshot and every journal line are
+ * encrypted (AES-256-GCM), so backup copies are too. Plaintext files still load.
+ * Fine for small deployments, use the SQLite adapter beyond a few thousand conversations.
+ */
+
+class JsonStorage extends StorageAdapter {
+    constructor(config) {
+        super(config);
+        this.dbPath = config.path;
+        this.journalPath = `${config.path}.journal`;
+        this.flushDelay = config.flushDelay ?? 500;
+        this.data = this.emptyData();
+        this.encryption = null;
+
+        // Every change gets a sequence number, the snapshot records the last one it contains
+        this.seq = 0;
+        this.flushedSeq = 0;
+        this.flushTimer = null;
+        // Journal appends and snapshot writes run one at a time, in order
+        this.queue = Promise.resolve();
+    }
+
+    emptyData() {
+        return {
+            users: {},
+            conversations: {},
+            sessions: {},
+            groups: {},
+            analytics: {
+                daily: {},
+                // { date: { hashed customer id: true } }
+                users: {},
+                salt: null
+            },
+            audit: [],
+            schemaVersion: 0,
+            journalSeq: 0
+        };
+    }
+
+    async initialize() {
+        // Ensure database directory exists
+        await fs.ensureDir(path.dirname(this.dbPath));
+        this.encryption = await Encryption.load({ key: this.config.encryptionKey, keyFile: this.config.encryptionKeyFile });
+
+        const snapshot = await this.loadSnapshot();
+        this.isNew = !snapshot;
+        if (snapshot) {
+            this.data = { ...this.data, ...snapshot.data };
+            logger.info(`Database loaded from ${snapshot.source}`);
+        } else {
+            logger.info(`New database created at ${this.dbPath}`);
+        }
+
+        this.seq = this.data.journalSeq || 0;
+        // A new database, a restored backup or a file in the wrong encryption state has to be written out
+        const upToDate = snapshot && !snapshot.restored && snapshot.encrypted === Boolean(this.encryption);
+        this.flushedSeq = upToDate ? this.seq : -1;
+
+        const replayed = await this.replayJournal();
+        if (replayed > 0) {
+            logger.info(`Replayed ${replayed} journal entr${replayed === 1 ? 'y' : 'ies'} from ${this.journalPath}`);
+        }
+
+        await this.flush();
+    }
+
+    /**
+     * Plaintext of a file or journal line, decrypting it when needed
+     * A missing or wrong key throws, it must not be mistaken for a corrupt file.
+     */
+    decode(text, source) {
+        if (!Encryption.isEncrypted(text)) {
+            return text;
+        }
+        if (!this.encryption) {
+            const error = new Error(`${source} is encrypted, set DB_ENCRYPTION_KEY or DB_ENCRYPTION_KEY_FILE`);
+            error.code = 'ENCRYPTION_KEY_MISSING';
+            throw error;
+        }
+        return this.encryption.decrypt(text);
+    }
+
+    encode(text) {
+        return this.encryption ? this.encryption.encrypt(text) : text;
+    }
+
+    isKeyError(error) {
+        return error.code === 'ENCRYPTION_KEY_MISSING' || error.code === 'ENCRYPTION_KEY_MISMATCH';
+    }
+
+    /**
+     * Read the snapshot, falling back to the newest readable backup when it is corrupt
+     * @returns {Promise<{data: object, source: string, restored: boolean, encrypted: boolean}|null>} Snapshot or null for a new database
+     */
+    async loadSnapshot() {
+        if (!(await fs.pathExists(this.dbPath))) {
+            return null;
+        }
+
+        try {
+            const content = await fs.readFile(this.dbPath, 'utf8');
+            const data = JSON.parse(this.decode(content, this.dbPath));
+            return { data, source: this.dbPath, restored: false, encrypted: Encryption.isEncrypted(content) };
+        } catch (error) {
+            if (this.isKeyError(error)) throw error;
+
+            const corruptPath = `${this.dbPath}.corrupt-${Date.now()}`;
+            logger.error(`Database file ${this.dbPath} is corrupt (${error.message}), moved to ${corruptPath}`);
+            await fs.move(this.dbPath, corruptPath);
+        }
+
+        const backupDir = path.join(path.dirname(this.dbPath), 'backups');
+        const backups = (await fs.readdir(backupDir).catch(() => []))
+            .filter(file => file.startsWith('backup_') && file.endsWith('.json'))
+            .sort()
+            .reverse();
+
+        for (const file of backups) {
+            try {
+                const content = await fs.readFile(path.join(backupDir, file), 'utf8');
+                const data = JSON.parse(this.decode(content, file));
+                logger.warn(`Database restored from backup ${file}`);
+                return { data, source: path.join(backupDir, file), restored: true, encrypted: Encryption.isEncrypted(content) };
+            } catch (error) {
+                logger.warn(`Backup ${file} is unreadable (${error.message}), trying an older one`);
+            }
+        }
+
+        logger.error('No usable backup found, starting with an empty database');
+        return null;
+    }
+
+    async replayJournal() {
+        if (!(await fs.pathExists(this.journalPath))) {
+            return 0;
+        }
+
+        const snapshotSeq = this.data.journalSeq || 0;
+        const lines = (await fs.readFile(this.journalPath, 'utf8')).split('\n').filter(line => line.trim());
+        let replayed = 0;
+
+        for (const line of lines) {
+            let entry;
+            try {
+                entry = JSON.parse(this.decode(line, this.journalPath));
+            } catch (error) {
+                if (this.isKeyError(error)) throw error;
+                // Usually the last line of a write cut short by a crash
+                logger.warn('Skipping unreadable journal entry');
+                continue;
+            }
+
+            // Entries already contained in the snapshot
+            if (entry.seq <= snapshotSeq) continue;
+
+            this.apply(entry);
+            this.seq = Math.max(this.seq, entry.seq);
+            replayed++;
+        }
+
+        return replayed;
+    }
+
+    enqueue(task) {
+        const run = this.queue.then(task);
+        this.queue = run.catch(() => {});
+        return run;
+    }
+
+    /**
+     * Apply a change in memory, journal it and schedule a snapshot write
+     * @param {object} change - { op, ...payload }
+     */
+    async record(change) {
+        const entry = { seq: ++this.seq, ...change };
+        // Serialize now, the records may be mutated in memory before the append runs
+        const line = `${this.encode(JSON.stringify(entry))}\n`;
+
+        this.apply(entry);
+        await this.enqueue(() => fs.appendFile(this.journalPath, line));
+        this.scheduleFlush();
+    }
+
+    scheduleFlush() {
+        // Changes arriving while a flush is pending ride along with it
+        if (this.flushTimer) return;
+
+        this.flushTimer = setTimeout(() => {
+            this.flushTimer = null;
+            this.flush().catch(error => logger.error('Failed to save database:', error));
+        }, this.flushDelay);
+        // Unflushed changes are safe in the journal, don't keep the process alive for them
+        this.flushTimer.unref();
+    }
+
+    /**
+     * Write the snapshot atomically and truncate the journal
+     */
+    async flush() {
+        if (this.flushTimer) {
+            clearTimeout(this.flushTimer);
+            this.flushTimer = null;
+        }
+
+        await this.enqueue(async () => {
+            if (this.seq === this.flushedSeq) return;
+
+            const seq = this.seq;
+            this.data.journalSeq = seq;
+            await Helpers.writeFileAtomic(this.dbPath, this.encode(JSON.stringify(this.data, null, 2)));
+            await fs.remove(this.journalPath);
+            this.flushedSeq = seq;
+        });
+    }
+
+    async close() {
+        await this.flush();
+    }
+
+    apply(entry) {
+        switch (entry.op) {
+            case 'saveUser':
+                this.data.users[entry.user.phoneNumber] = entry.user;
+                break;
+            case 'appendMessage':
+                this.applyMessage(entry.phoneNumber, entry.message);
+                break;
+            case 'saveSession':
+                this.data.sessions[entry.session.id] = entry.session;
+                break;
+            case 'saveGroup':
+                this.data.groups[entry.group.jid] = entry.group;
+                break;
+            case 'saveAnalyticsBucket':
+                this.data.analytics.daily[entry.bucket.date] = entry.bucket;
+                break;
+            case 'analyticsUser':
+                this.data.analytics.users[entry.date] = this.data.analytics.users[entry.date] || {};
+                this.data.analytics.users[entry.date][entry.id] = true;
+                break;
+            case 'renameAnalyticsUser':
+                this.applyRenameAnalyticsUser(entry.id, entry.newId);
+                break;
+            case 'saveAnalyticsSalt':
+                this.data.analytics.salt = entry.salt;
+                break;
+            case 'deleteOlderThan':
+                this.applyDeleteOlderThan(entry.cutoffISO);
+                break;
+            case 'deleteUserData':
+                this.applyDeleteUserData(entry.phoneNumber);
+                break;
+            case 'appendAudit':
+                this.data.audit.push(entry.entry);
+                break;
+            default:
+                logger.warn(`Unknown journal operation: ${entry.op}`);
+        }
+    }
+
+    // Users
+    async getUser(phoneNumber) {
+        return this.data.users[phoneNumber] || null;
+    }
+
+    async saveUser(user) {
+        await this.record({ op: 'saveUser', user });
+        return user;
+    }
+
+    async listUsers(options = {}) {
+        const users = Object.values(this.data.users)
+            .sort((a, b) => new Date(b.lastSeen) - new Date(a.lastSeen));
+        return options.limit ? users.slice(0, options.limit) : users;
+    }
+
+    async countUsers() {
+        return Object.keys(this.data.users).length;
+    }
+
+    // Conversations & messages
+    async getConversation(phoneNumber) {
+        const conversation = this.data.conversations[phoneNumber];
+        if (!conversation) return null;
+
+        const { messages, ...meta } = conversation;
+        return meta;
+    }
+
+    async appendMessage(phoneNumber, message) {
+        await this.record({ op: 'appendMessage', phoneNumber, message });
+        return message;
+    }
+
+    applyMessage(phoneNumber, message) {
+        if (!this.data.conversations[phoneNumber]) {
+            this.data.conversations[phoneNumber] = {
+                phoneNumber,
+                messages: [],
+                createdAt: message.timestamp,
+                lastMessageAt: message.timestamp
+            };
+        }
+
+        const conversation = this.data.conversations[phoneNumber];
+        conversation.messages.push(message);
+        conversation.lastMessageAt = message.timestamp;
+
+        const user = this.data.users[phoneNumber];
+        if (user) {
+            user.messageCount++;
+            user.lastSeen = message.timestamp;
+        }
+    }
+
+    async getMessages(phoneNumber, options = {}) {
+        const conversation = this.data.conversations[phoneNumber];
+        if (!conversation) return [];
+
+        const messages = conversation.messages.filter(message =>
+            (!options.since || message.timestamp >= options.since) &&
+            (!options.before || message.timestamp < options.before));
+        return options.limit ? messages.slice(-options.limit) : messages;
+    }
+
+    // Sessions
+    async getSession(sessionId) {
+        return this.data.sessions[sessionId] || null;
+    }
+
+    async saveSession(session) {
+        await this.record({ op: 'saveSession', session });
+        return session;
+    }
+
+    async listActiveSessions(phoneNumber = null) {
+        return Object.values(this.data.sessions)
+            .filter(session => session.isActive && (!phoneNumber || session.phoneNumber === phoneNumber))
+            .sort((a, b) => new Date(b.lastActivity) - new Date(a.lastActivity));
+    }
+
+    async listSessions(phoneNumber) {
+        return Object.values(this.data.sessions)
+            .filter(session => session.phoneNumber === phoneNumber)
+            .sort((a, b) => new Date(a.createdAt) - new Date(b.createdAt));
+    }
+
+    // Groups
+    async getGroup(jid) {
+        return this.data.groups[jid] || null;
+    }
+
+    async saveGroup(group) {
+        await this.record({ op: 'saveGroup', group });
+        return group;
+    }
+
+    async listGroups() {
+        return Object.values(this.data.groups)
+            .sort((a, b) => new Date(a.createdAt) - new Date(b.createdAt));
+    }
+
+    // Data subject requests
+    async deleteUserData(phoneNumber) {
+        const result = {
+            user: Boolean(this.data.users[phoneNumber]),
+            messages: this.data.conversations[phoneNumber]?.messages.length || 0,
+            sessions: (await this.listSessions(phoneNumber)).length
+        };
+
+        await this.record({ op: 'deleteUserData', phoneNumber });
+        // Don't leave the erased records in the snapshot or journal until the next flush
+        await this.flush();
+        return result;
+    }
+
+    applyDeleteUserData(phoneNumber) {
+        delete this.data.users[phoneNumber];
+        delete this.data.conversations[phoneNumber];
+        Object.keys(this.data.sessions).forEach(sessionId => {
+            if (this.data.sessions[sessionId].phoneNumber === phoneNumber) {
+                delete this.data.sessions[sessionId];
+            }
+        });
+    }
+
+    async appendAudit(entry) {
+        await this.record({ op: 'appendAudit', entry });
+        return entry;
+    }
+
+    async listAudit(options = {}) {
+        const entries = [...this.data.audit].reverse();
+        return options.limit ? entries.slice(0, options.limit) : entries;
+    }
+
+    // Analytics & maintenance
+    async getAnalyticsBuckets(fromDate, toDate) {
+        return Object.values(this.data.analytics.daily)
+            .filter(bucket => bucket.date >= fromDate && bucket.date <= toDate);
+    }
+
+    async saveAnalyticsBucket(bucket) {
+        await this.record({ op: 'saveAnalyticsBucket', bucket });
+        return bucket;
+    }
+
+    async addAnalyticsUser(date, id) {
+        // Journal only the first message of the day, not every one
+        if (this.data.analytics.users[date]?.[id]) return;
+        await this.record({ op: 'analyticsUser', date, id });
+    }
+
+    async getAnalyticsUsers(fromDate, toDate) {
+        return Object.entries(this.data.analytics.users)
+            .filter(([date]) => date >= fromDate && date <= toDate)
+            .flatMap(([date, ids]) => Object.keys(ids).map(id => ({ date, id })));
+    }
+
+    async renameAnalyticsUser(id, newId) {
+        const days = Object.values(this.data.analytics.users).filter(ids => ids[id]).length;
+        if (days > 0) {
+            await this.record({ op: 'renameAnalyticsUser', id, newId });
+        }
+        return days;
+    }
+
+    applyRenameAnalyticsUser(id, newId) {
+        Object.values(this.data.analytics.users).forEach(ids => {
+            if (!ids[id]) return;
+            delete ids[id];
+            ids[newId] = true;
+        });
+    }
+
+    async getAnalyticsSalt() {
+        return this.data.analytics.salt || null;
+    }
+
+    async saveAnalyticsSalt(salt) {
+        await this.record({ op: 'saveAnalyticsSalt', salt });
+    }
+
+    async deleteOlderThan(cutoffISO) {
+        await this.record({ op: 'deleteOlderThan', cutoffISO });
+    }
+
+    applyDeleteOlderThan(cutoffISO) {
+        Object.keys(this.data.conversations).forEach(conversationId => {
+            const conversation = this.data.conversations[conversationId];
+            conversation.messages = conversation.messages.filter(
+                message => message.timestamp > cutoffISO
+            );
+
+            if (conversation.messages.length === 0) {
+                delete this.data.conversations[conversationId];
+            }
+        });
+
+        Object.keys(this.data.sessions).forEach(sessionId => {
+            if (this.data.sessions[sessionId].lastActivity < cutoffISO) {
+                delete this.data.sessions[sessionId];
+            }
+        });
+    }
+
+    async backup() {
+        // The backup copies the snapshot, so bring it up to date first
+        await this.flush();
+        return await Helpers.createBackup(path.dirname(this.dbPath), path.basename(this.dbPath));
+    }
+
+    // Schema versioning
+    async getSchemaVersion() {
+        return this.data.schemaVersion || 0;
+    }
+
+    async setSchemaVersion(version) {
+        this.data.schemaVersion = version;
+        // Not a journaled change, write the snapshot right away
+        this.flushedSeq = -1;
+        await this.flush();
+    }
+
+    async applyMigrations(migrations, options = {}) {
+        await this.flush();
+
+        // Work on a copy so a failing migration leaves the loaded data untouched
+        const data = JSON.parse(JSON.stringify(this.data));
+        const results = migrations.map(migration => {
+            const result = migration.json ? migration.json(data) : null;
+            data.schemaVersion = migration.version;
+            return result;
+        });
+
+        if (!options.dryRun) {
+            this.data = data;
+            this.flushedSeq = -1;
+            await this.flush();
+        }
+        return results;
+    }
+}
+
+module.exports = JsonStorage;
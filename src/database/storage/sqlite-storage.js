@@ -0,0 +1,450 @@
+const fs = require('fs-extra');
+const path = require('path');
+const logger = require('../../utils/logger');
+const StorageAdapter = require('./storage-adapter');
+
+const SCHEMA = `
+    CREATE TABLE IF NOT EXISTS users (
+        phone_number TEXT PRIMARY KEY,
+        name TEXT,
+        created_at TEXT NOT NULL,
+        last_seen TEXT NOT NULL,
+        message_count INTEGER NOT NULL DEFAULT 0,
+        data TEXT NOT NULL DEFAULT '{}'
+    );
+    CREATE INDEX IF NOT EXISTS idx_users_last_seen ON users (last_seen);
+
+    CREATE TABLE IF NOT EXISTS conversations (
+        phone_number TEXT PRIMARY KEY,
+        created_at TEXT NOT NULL,
+        last_message_at TEXT NOT NULL
+    );
+
+    CREATE TABLE IF NOT EXISTS messages (
+        seq INTEGER PRIMARY KEY AUTOINCREMENT,
+        id TEXT NOT NULL,
+        phone_number TEXT NOT NULL,
+        content TEXT,
+        is_from_user INTEGER NOT NULL,
+        type TEXT NOT NULL DEFAULT 'text',
+        timestamp TEXT NOT NULL,
+        metadata TEXT NOT NULL DEFAULT '{}'
+    );
+    CREATE INDEX IF NOT EXISTS idx_messages_phone_timestamp ON messages (phone_number, timestamp);
+    CREATE INDEX IF NOT EXISTS idx_messages_timestamp ON messages (timestamp);
+
+    CREATE TABLE IF NOT EXISTS sessions (
+        id TEXT PRIMARY KEY,
+        phone_number TEXT NOT NULL,
+        is_active INTEGER NOT NULL,
+        created_at TEXT NOT NULL,
+        last_activity TEXT NOT NULL,
+        data TEXT NOT NULL DEFAULT '{}'
+    );
+    CREATE INDEX IF NOT EXISTS idx_sessions_phone_active ON sessions (phone_number, is_active, last_activity);
+    CREATE INDEX IF NOT EXISTS idx_sessions_last_activity ON sessions (last_activity);
+
+    CREATE TABLE IF NOT EXISTS groups (
+        jid TEXT PRIMARY KEY,
+        created_at TEXT NOT NULL,
+        data TEXT NOT NULL DEFAULT '{}'
+    );
+
+    CREATE TABLE IF NOT EXISTS analytics_daily (
+        date TEXT PRIMARY KEY,
+        data TEXT NOT NULL
+    );
+
+    CREATE TABLE IF NOT EXISTS analytics_users (
+        date TEXT NOT NULL,
+        user_id TEXT NOT NULL,
+        PRIMARY KEY (date, user_id)
+    );
+    CREATE INDEX IF NOT EXISTS idx_analytics_users_id ON analytics_users (user_id);
+
+    CREATE TABLE IF NOT EXISTS analytics_meta (
+        key TEXT PRIMARY KEY,
+        value TEXT NOT NULL
+    );
+
+    CREATE TABLE IF NOT EXISTS audit_log (
+        id INTEGER PRIMARY KEY AUTOINCREMENT,
+        timestamp TEXT NOT NULL,
+        action TEXT NOT NULL,
+        subject TEXT,
+        actor TEXT,
+        details TEXT NOT NULL DEFAULT '{}'
+    );
+`;
+
+/**
+ * SQLite storage (DB_TYPE=sqlite)
+ * Uses better-sqlite3, which is only loaded when this adapter is selected.
+ * Indexed columns hold the fields we query on, the rest of each record is kept
+ * as JSON so new fields need no schema change.
+ */
+
+class SqliteStorage extends StorageAdapter {
+    constructor(config) {
+        super(config);
+        this.dbPath = config.path;
+        this.db = null;
+        this.statements = {};
+    }
+
+    async initialize() {
+        // better-sqlite3 can't encrypt the database file, refuse rather than store plaintext
+        if (this.config.encryptionKey || this.config.encryptionKeyFile) {
+            throw new Error('DB_ENCRYPTION_KEY is only supported with DB_TYPE=json, use disk encryption for SQLite');
+        }
+
+        let Database;
+        try {
+            Database = require('better-sqlite3');
+        } catch (error) {
+            throw new Error('DB_TYPE=sqlite requires the better-sqlite3 package, run: npm install better-sqlite3');
+        }
+
+        await fs.ensureDir(path.dirname(this.dbPath));
+        this.isNew = !(await fs.pathExists(this.dbPath));
+        this.db = new Database(this.dbPath);
+        this.db.pragma('journal_mode = WAL');
+        // Overwrite deleted rows instead of leaving them in free pages (erasure requests)
+        this.db.pragma('secure_delete = ON');
+        this.db.exec(SCHEMA);
+        this.prepareStatements();
+
+        logger.info(`SQLite database opened at ${this.dbPath}`);
+    }
+
+    prepareStatements() {
+        const sql = {
+            getUser: 'SELECT * FROM users WHERE phone_number = ?',
+            saveUser: `INSERT OR REPLACE INTO users (phone_number, name, created_at, last_seen, message_count, data)
+                       VALUES (@phoneNumber, @name, @createdAt, @lastSeen, @messageCount, @data)`,
+            listUsers: 'SELECT * FROM users ORDER BY last_seen DESC LIMIT ?',
+            countUsers: 'SELECT COUNT(*) AS count FROM users',
+            bumpUser: 'UPDATE users SET message_count = message_count + 1, last_seen = ? WHERE phone_number = ?',
+
+            getConversation: 'SELECT * FROM conversations WHERE phone_number = ?',
+            upsertConversation: `INSERT INTO conversations (phone_number, created_at, last_message_at) VALUES (?, ?, ?)
+                                 ON CONFLICT (phone_number) DO UPDATE SET last_message_at = excluded.last_message_at`,
+            insertMessage: `INSERT INTO messages (id, phone_number, content, is_from_user, type, timestamp, metadata)
+                            VALUES (@id, @phoneNumber, @content, @isFromUser, @type, @timestamp, @metadata)`,
+            getMessages: `SELECT * FROM messages
+                          WHERE phone_number = @phoneNumber AND timestamp >= @since AND timestamp < @before
+                          ORDER BY seq DESC LIMIT @limit`,
+
+            getSession: 'SELECT * FROM sessions WHERE id = ?',
+            saveSession: `INSERT OR REPLACE INTO sessions (id, phone_number, is_active, created_at, last_activity, data)
+                          VALUES (@id, @phoneNumber, @isActive, @createdAt, @lastActivity, @data)`,
+            listActiveSessions: 'SELECT * FROM sessions WHERE is_active = 1 ORDER BY last_activity DESC',
+            listActiveSessionsFor: 'SELECT * FROM sessions WHERE phone_number = ? AND is_active = 1 ORDER BY last_activity DESC',
+            listSessions: 'SELECT * FROM sessions WHERE phone_number = ? ORDER BY created_at',
+
+            getGroup: 'SELECT * FROM groups WHERE jid = ?',
+            saveGroup: 'INSERT OR REPLACE INTO groups (jid, created_at, data) VALUES (@jid, @createdAt, @data)',
+            listGroups: 'SELECT * FROM groups ORDER BY created_at',
+
+            deleteUser: 'DELETE FROM users WHERE phone_number = ?',
+            deleteUserConversation: 'DELETE FROM conversations WHERE phone_number = ?',
+            deleteUserMessages: 'DELETE FROM messages WHERE phone_number = ?',
+            deleteUserSessions: 'DELETE FROM sessions WHERE phone_number = ?',
+            appendAudit: `INSERT INTO audit_log (timestamp, action, subject, actor, details)
+                          VALUES (@timestamp, @action, @subject, @actor, @details)`,
+            listAudit: 'SELECT * FROM audit_log ORDER BY id DESC LIMIT ?',
+
+            getAnalyticsBuckets: 'SELECT data FROM analytics_daily WHERE date BETWEEN ? AND ? ORDER BY date',
+            saveAnalyticsBucket: 'INSERT OR REPLACE INTO analytics_daily (date, data) VALUES (?, ?)',
+            addAnalyticsUser: 'INSERT OR IGNORE INTO analytics_users (date, user_id) VALUES (?, ?)',
+            getAnalyticsUsers: 'SELECT date, user_id FROM analytics_users WHERE date BETWEEN ? AND ? ORDER BY date',
+            renameAnalyticsUser: 'UPDATE OR REPLACE analytics_users SET user_id = ? WHERE user_id = ?',
+            getAnalyticsSalt: "SELECT value FROM analytics_meta WHERE key = 'salt'",
+            saveAnalyticsSalt: "INSERT OR REPLACE INTO analytics_meta (key, value) VALUES ('salt', ?)",
+            deleteMessages: 'DELETE FROM messages WHERE timestamp <= ?',
+            deleteEmptyConversations: 'DELETE FROM conversations WHERE phone_number NOT IN (SELECT DISTINCT phone_number FROM messages)',
+            deleteSessions: 'DELETE FROM sessions WHERE last_activity < ?'
+        };
+
+        for (const [name, statement] of Object.entries(sql)) {
+            this.statements[name] = this.db.prepare(statement);
+        }
+    }
+
+    async close() {
+        if (this.db) {
+            this.db.close();
+            this.db = null;
+        }
+    }
+
+    // Users
+    async getUser(phoneNumber) {
+        return this.toUser(this.statements.getUser.get(phoneNumber));
+    }
+
+    async saveUser(user) {
+        const { phoneNumber, name, createdAt, lastSeen, messageCount, ...data } = user;
+        this.statements.saveUser.run({
+            phoneNumber,
+            name: name ?? null,
+            createdAt,
+            lastSeen,
+            messageCount: messageCount || 0,
+            data: JSON.stringify(data)
+        });
+        return user;
+    }
+
+    async listUsers(options = {}) {
+        // LIMIT -1 means no limit in SQLite
+        return this.statements.listUsers.all(options.limit || -1).map(row => this.toUser(row));
+    }
+
+    async countUsers() {
+        return this.statements.countUsers.get().count;
+    }
+
+    toUser(row) {
+        if (!row) return null;
+        return {
+            ...JSON.parse(row.data),
+            phoneNumber: row.phone_number,
+            name: row.name,
+            createdAt: row.created_at,
+            lastSeen: row.last_seen,
+            messageCount: row.message_count
+        };
+    }
+
+    // Conversations & messages
+    async getConversation(phoneNumber) {
+        const row = this.statements.getConversation.get(phoneNumber);
+        return row ? { phoneNumber: row.phone_number, createdAt: row.created_at, lastMessageAt: row.last_message_at } : null;
+    }
+
+    async appendMessage(phoneNumber, message) {
+        const { id, content, isFromUser, type, timestamp, ...metadata } = message;
+
+        this.db.transaction(() => {
+            this.statements.upsertConversation.run(phoneNumber, timestamp, timestamp);
+            this.statements.insertMessage.run({
+                id,
+                phoneNumber,
+                content: content ?? null,
+                isFromUser: isFromUser ? 1 : 0,
+                type: type || 'text',
+                timestamp,
+                metadata: JSON.stringify(metadata)
+            });
+            this.statements.bumpUser.run(timestamp, phoneNumber);
+        })();
+
+        return message;
+    }
+
+    async getMessages(phoneNumber, options = {}) {
+        const rows = this.statements.getMessages.all({
+            phoneNumber,
+            since: options.since || '',
+            // Any ISO timestamp sorts before this
+            before: options.before || '~',
+            limit: options.limit || -1
+        });
+
+        return rows.reverse().map(row => ({
+            id: row.id,
+            content: row.content,
+            isFromUser: row.is_from_user === 1,
+            timestamp: row.timestamp,
+            type: row.type,
+            ...JSON.parse(row.metadata)
+        }));
+    }
+
+    // Sessions
+    async getSession(sessionId) {
+        return this.toSession(this.statements.getSession.get(sessionId));
+    }
+
+    async saveSession(session) {
+        const { id, phoneNumber, isActive, createdAt, lastActivity, ...data } = session;
+        this.statements.saveSession.run({
+            id,
+            phoneNumber,
+            isActive: isActive ? 1 : 0,
+            createdAt,
+            lastActivity,
+            data: JSON.stringify(data)
+        });
+        return session;
+    }
+
+    async listActiveSessions(phoneNumber = null) {
+        const rows = phoneNumber ?
+            this.statements.listActiveSessionsFor.all(phoneNumber) :
+            this.statements.listActiveSessions.all();
+        return rows.map(row => this.toSession(row));
+    }
+
+    async listSessions(phoneNumber) {
+        return this.statements.listSessions.all(phoneNumber).map(row => this.toSession(row));
+    }
+
+    toSession(row) {
+        if (!row) return null;
+        return {
+            id: row.id,
+            phoneNumber: row.phone_number,
+            createdAt: row.created_at,
+            lastActivity: row.last_activity,
+            isActive: row.is_active === 1,
+            ...JSON.parse(row.data)
+        };
+    }
+
+    // Groups
+    async getGroup(jid) {
+        return this.toGroup(this.statements.getGroup.get(jid));
+    }
+
+    async saveGroup(group) {
+        const { jid, createdAt, ...data } = group;
+        this.statements.saveGroup.run({ jid, createdAt, data: JSON.stringify(data) });
+        return group;
+    }
+
+    async listGroups() {
+        return this.statements.listGroups.all().map(row => this.toGroup(row));
+    }
+
+    toGroup(row) {
+        if (!row) return null;
+        return { ...JSON.parse(row.data), jid: row.jid, createdAt: row.created_at };
+    }
+
+    // Data subject requests
+    async deleteUserData(phoneNumber) {
+        const result = this.db.transaction(() => {
+            const user = this.statements.deleteUser.run(phoneNumber).changes > 0;
+            this.statements.deleteUserConversation.run(phoneNumber);
+            return {
+                user,
+                messages: this.statements.deleteUserMessages.run(phoneNumber).changes,
+                sessions: this.statements.deleteUserSessions.run(phoneNumber).changes
+            };
+        })();
+
+        // Move the change out of the WAL file into the (securely deleted) database
+        this.db.pragma('wal_checkpoint(TRUNCATE)');
+        return result;
+    }
+
+    async appendAudit(entry) {
+        const { timestamp, action, subject, actor, details } = entry;
+        this.statements.appendAudit.run({
+            timestamp,
+            action,
+            subject: subject ?? null,
+            actor: actor ?? null,
+            details: JSON.stringify(details || {})
+        });
+        return entry;
+    }
+
+    async listAudit(options = {}) {
+        return this.statements.listAudit.all(options.limit || -1).map(row => ({
+            timestamp: row.timestamp,
+            action: row.action,
+            subject: row.subject,
+            actor: row.actor,
+            details: JSON.parse(row.details)
+        }));
+    }
+
+    // Analytics & maintenance
+    async getAnalyticsBuckets(fromDate, toDate) {
+        return this.statements.getAnalyticsBuckets.all(fromDate, toDate).map(row => JSON.parse(row.data));
+    }
+
+    async saveAnalyticsBucket(bucket) {
+        this.statements.saveAnalyticsBucket.run(bucket.date, JSON.stringify(bucket));
+        return bucket;
+    }
+
+    async addAnalyticsUser(date, id) {
+        this.statements.addAnalyticsUser.run(date, id);
+    }
+
+    async getAnalyticsUsers(fromDate, toDate) {
+        return this.statements.getAnalyticsUsers.all(fromDate, toDate).map(row => ({ date: row.date, id: row.user_id }));
+    }
+
+    async renameAnalyticsUser(id, newId) {
+        return this.statements.renameAnalyticsUser.run(newId, id).changes;
+    }
+
+    async getAnalyticsSalt() {
+        return this.statements.getAnalyticsSalt.get()?.value || null;
+    }
+
+    async saveAnalyticsSalt(salt) {
+        this.statements.saveAnalyticsSalt.run(salt);
+    }
+
+    async deleteOlderThan(cutoffISO) {
+        this.db.transaction(() => {
+            this.statements.deleteMessages.run(cutoffISO);
+            this.statements.deleteEmptyConversations.run();
+            this.statements.deleteSessions.run(cutoffISO);
+        })();
+    }
+
+    async backup() {
+        const timestamp = new Date().toISOString().replace(/[:.]/g, '-');
+        const backupDir = path.join(path.dirname(this.dbPath), 'backups');
+        const backupFile = path.join(backupDir, `backup_${timestamp}.sqlite`);
+
+        // Online backup API, consistent even while the bot keeps writing
+        await fs.ensureDir(backupDir);
+        await this.db.backup(backupFile);
+        logger.info(`Backup created: ${backupFile}`);
+        return backupFile;
+    }
+
+    // Schema versioning, kept in SQLite's user_version header field
+    async getSchemaVersion() {
+        return this.db.pragma('user_version', { simple: true });
+    }
+
+    async setSchemaVersion(version) {
+        this.db.pragma(`user_version = ${parseInt(version)}`);
+    }
+
+    async applyMigrations(migrations, options = {}) {
+        const rollback = new Error('dry run');
+        let results = [];
+
+        try {
+            this.db.transaction(() => {
+                results = migrations.map(migration => {
+                    const result = migration.sqlite ? migration.sqlite(this.db) : null;
+                    this.db.pragma(`user_version = ${parseInt(migration.version)}`);
+                    return result;
+                });
+                // Throwing inside the transaction rolls everything back
+                if (options.dryRun) throw rollback;
+            })();
+        } catch (error) {
+            if (error !== rollback) throw error;
+        }
+
+        if (!options.dryRun) {
+            // Migrations may have changed tables the cached statements refer to
+            this.prepareStatements();
+        }
+        return results;
+    }
+}
+
+module.exports = SqliteStorage;
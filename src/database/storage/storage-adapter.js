@@ -0,0 +1,205 @@
+/**
+ * Storage adapter interface
+ * DatabaseManager builds the records (users, messages, sessions) and hands them
+ * to an adapter for persistence and queries. All methods are async.
+ */
+
+class StorageAdapter {
+    constructor(config) {
+        this.config = config;
+        // Set by initialize() when no database existed yet
+        this.isNew = false;
+    }
+
+    notImplemented(method) {
+        return new Error(`${this.constructor.name} does not implement ${method}()`);
+    }
+
+    async initialize() {
+        throw this.notImplemented('initialize');
+    }
+
+    async close() {}
+
+    // Users
+
+    /** @returns {Promise<object|null>} User record */
+    async getUser(phoneNumber) {
+        throw this.notImplemented('getUser');
+    }
+
+    /** Insert or replace a user record */
+    async saveUser(user) {
+        throw this.notImplemented('saveUser');
+    }
+
+    /**
+     * @param {object} options - { limit } returns the most recently seen users first
+     * @returns {Promise<Array>} User records
+     */
+    async listUsers(options = {}) {
+        throw this.notImplemented('listUsers');
+    }
+
+    async countUsers() {
+        throw this.notImplemented('countUsers');
+    }
+
+    // Conversations & messages
+
+    /** @returns {Promise<object|null>} { phoneNumber, createdAt, lastMessageAt } */
+    async getConversation(phoneNumber) {
+        throw this.notImplemented('getConversation');
+    }
+
+    /** Append a message, create or bump its conversation and the user's messageCount/lastSeen */
+    async appendMessage(phoneNumber, message) {
+        throw this.notImplemented('appendMessage');
+    }
+
+    /**
+     * Page through a conversation
+     * @param {string} phoneNumber - Customer JID
+     * @param {object} options - { limit, since, before } with ISO timestamps
+     * @returns {Promise<Array>} The newest `limit` matching messages, oldest first
+     */
+    async getMessages(phoneNumber, options = {}) {
+        throw this.notImplemented('getMessages');
+    }
+
+    // Sessions
+
+    async getSession(sessionId) {
+        throw this.notImplemented('getSession');
+    }
+
+    /** Insert or replace a session record */
+    async saveSession(session) {
+        throw this.notImplemented('saveSession');
+    }
+
+    /** @returns {Promise<Array>} Active sessions, optionally for one customer, latest activity first */
+    async listActiveSessions(phoneNumber = null) {
+        throw this.notImplemented('listActiveSessions');
+    }
+
+    /** @returns {Promise<Array>} Every session of a customer, active or not, oldest first */
+    async listSessions(phoneNumber) {
+        throw this.notImplemented('listSessions');
+    }
+
+    // Groups
+
+    /** @returns {Promise<object|null>} Group settings record */
+    async getGroup(jid) {
+        throw this.notImplemented('getGroup');
+    }
+
+    /** Insert or replace a group record, keyed by jid */
+    async saveGroup(group) {
+        throw this.notImplemented('saveGroup');
+    }
+
+    /** @returns {Promise<Array>} Every known group, oldest first */
+    async listGroups() {
+        throw this.notImplemented('listGroups');
+    }
+
+    // Data subject requests
+
+    /**
+     * Erase the user record, conversation, messages and sessions of one customer
+     * @returns {Promise<{user: boolean, messages: number, sessions: number}>} What was deleted
+     */
+    async deleteUserData(phoneNumber) {
+        throw this.notImplemented('deleteUserData');
+    }
+
+    /** Append to the audit log, entries are { timestamp, action, subject, actor, details } */
+    async appendAudit(entry) {
+        throw this.notImplemented('appendAudit');
+    }
+
+    /** @returns {Promise<Array>} Audit entries, newest first */
+    async listAudit(options = {}) {
+        throw this.notImplemented('listAudit');
+    }
+
+    // Analytics & maintenance
+
+    /**
+     * Daily analytics buckets (see ../analytics.js) for an inclusive date range
+     * @param {string} fromDate - YYYY-MM-DD
+     * @param {string} toDate - YYYY-MM-DD
+     * @returns {Promise<Array>} Buckets that exist in the range
+     */
+    async getAnalyticsBuckets(fromDate, toDate) {
+        throw this.notImplemented('getAnalyticsBuckets');
+    }
+
+    /** Insert or replace the bucket for bucket.date */
+    async saveAnalyticsBucket(bucket) {
+        throw this.notImplemented('saveAnalyticsBucket');
+    }
+
+    /**
+     * Record that a customer wrote on a date, doing nothing when that is known already
+     * @param {string} date - YYYY-MM-DD
+     * @param {string} id - Hashed customer id (see ../analytics.js), never the JID
+     */
+    async addAnalyticsUser(date, id) {
+        throw this.notImplemented('addAnalyticsUser');
+    }
+
+    /** @returns {Promise<Array<{date: string, id: string}>>} Customers who wrote in an inclusive date range */
+    async getAnalyticsUsers(fromDate, toDate) {
+        throw this.notImplemented('getAnalyticsUsers');
+    }
+
+    /** @returns {Promise<number>} Number of days on which the id was replaced */
+    async renameAnalyticsUser(id, newId) {
+        throw this.notImplemented('renameAnalyticsUser');
+    }
+
+    /** @returns {Promise<string|null>} Salt for hashing customer ids, null until one is saved */
+    async getAnalyticsSalt() {
+        throw this.notImplemented('getAnalyticsSalt');
+    }
+
+    async saveAnalyticsSalt(salt) {
+        throw this.notImplemented('saveAnalyticsSalt');
+    }
+
+    /** Delete messages and sessions older than the cutoff */
+    async deleteOlderThan(cutoffISO) {
+        throw this.notImplemented('deleteOlderThan');
+    }
+
+    /** @returns {Promise<string|null>} Path of the copy written to the backups/ folder next to the database */
+    async backup() {
+        throw this.notImplemented('backup');
+    }
+
+    // Schema versioning (see ../migrator.js)
+
+    /** @returns {Promise<number>} Version of the last migration applied, 0 for data older than versioning */
+    async getSchemaVersion() {
+        throw this.notImplemented('getSchemaVersion');
+    }
+
+    async setSchemaVersion(version) {
+        throw this.notImplemented('setSchemaVersion');
+    }
+
+    /**
+     * Run migrations in order as a single all-or-nothing change
+     * @param {Array} migrations - Migration modules, each with an optional handler for this adapter
+     * @param {object} options - { dryRun } runs them and throws the result away
+     * @returns {Promise<Array>} Whatever each handler returned, in order
+     */
+    async applyMigrations(migrations, options = {}) {
+        throw this.notImplemented('applyMigrations');
+    }
+}
+
+module.exports = StorageAdapter;
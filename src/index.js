@@ -12,7 +12,7 @@ async function startApplication() {
         logger.info('Configuration loaded successfully');
         
         // Initialize database
-        await initializeDatabase(config.database);
+        const db = await initializeDatabase(config.database);
         logger.info('Database initialized successfully');
         
         // Create and start WhatsApp bot
@@ -23,12 +23,14 @@ async function startApplication() {
         process.on('SIGINT', async () => {
             logger.info('Received SIGINT, shutting down gracefully...');
             await bot.logout();
+            await db.close();
             process.exit(0);
         });
         
         process.on('SIGTERM', async () => {
             logger.info('Received SIGTERM, shutting down gracefully...');
             await bot.logout();
+            await db.close();
             process.exit(0);
         });
         
@@ -2,67 +2,172 @@ const { GoogleGenerativeAI } = require('@google/generative-ai');
 const OpenAI = require('openai');
 const Anthropic = require('@anthropic-ai/sdk');
 const logger = require('../utils/logger');
+const Helpers = require('../utils/helpers');
 const { getDatabase } = require('../database/database-manager');
+const MockProvider = require('./mock-provider');
+const KnowledgeBase = require('./knowledge-base');
+const FaqService = require('./faq-service');
+const IntentClassifier = require('./intent-classifier');
+const PromptBuilder = require('./prompt-builder');
+const ConversationMemory = require('./conversation-memory');
+const PiiRedactor = require('./pii-redactor');
+
+const SUPPORTED_PROVIDERS = ['gemini', 'openai', 'claude', 'local', 'mock'];
+
+// Added to image messages for providers that cannot see the image
+const IMAGE_FALLBACK_NOTE = '(Pelanggan mengirim gambar yang tidak dapat Anda lihat. ' +
+    'Jika isi gambar diperlukan, minta pelanggan menjelaskannya dengan teks.)';
+
+// Documents keep a summary on the session once their full text has left the prompt
+const DOCUMENT_SUMMARY_PROMPT = 'Ringkas dokumen dari pelanggan berikut dalam 3-5 kalimat. ' +
+    'Sebutkan jenis dokumen, pihak terkait, nomor dokumen, tanggal, jumlah dan item penting. ' +
+    'Tulis hanya ringkasannya.';
+const MAX_SESSION_DOCUMENTS = 3;
+
+// FAQ entry fields passed on as a rich response (see MessageRenderer)
+const FAQ_RICH_FIELDS = ['buttons', 'list', 'image', 'document', 'location'];
 
 class AIService {
     constructor(config) {
         this.config = config;
         this.provider = config.ai.provider || 'gemini';
+        this.providerChain = config.ai.providerChain || [];
         this.systemPrompt = config.customPrompts.systemPrompt;
         this.companyInfo = config.companyInfo;
         this.customPrompts = config.customPrompts;
         this.languages = config.languages;
         this.defaultLanguage = config.language;
         this.maxResponseLength = config.ai.maxResponseLength;
+        this.sessionTimeout = config.bot?.sessionTimeout || 1800000;
         
-        // Store chat sessions for Gemini (to maintain history)
+        // Recently used Gemini chats (rebuilt from the database on every message)
         this.chatSessions = new Map();
         
+        // History windows per provider budget plus the rolling session summary
+        this.conversationMemory = new ConversationMemory(config.history);
+        // Summary refreshes still running, by session id
+        this.summaryRefreshes = new Map();
+        // Document summaries still running, the last one queued per session id
+        this.documentSummaries = new Map();
+        
+        // Curated answers matched before any provider call
+        this.faqService = config.faq?.enabled ? new FaqService(config.faq) : null;
+        
+        // Company documents retrieved per message (RAG)
+        this.knowledgeBase = config.knowledge?.enabled ? new KnowledgeBase(config.knowledge) : null;
+        
+        // Personal data is replaced by placeholders before any text reaches a provider
+        this.redactor = new PiiRedactor(config.redaction);
+        
+        // System prompt sections (persona, company, intent, knowledge, ...)
+        this.promptBuilder = new PromptBuilder(config, this.knowledgeBase);
+        
+        // Intent and entities per message, classified by the active provider
+        this.intentClassifier = new IntentClassifier({
+            ...config.intent,
+            products: (config.companyInfo.services || []).map(service => service.name),
+            complete: (systemPrompt, prompt, options) => this.complete(systemPrompt, prompt, options)
+        });
+        
+        // Model per initialized provider and circuit-breaker state per provider
+        this.models = {};
+        this.circuitBreakers = new Map();
+        this.circuitBreakerConfig = {
+            failureThreshold: 3,
+            resetTimeout: 60000,
+            ...config.ai.circuitBreaker
+        };
+        
         // Initialize AI clients based on provider
         this.initializeAIClients();
     }
 
     initializeAIClients() {
-        try {
-            switch (this.provider.toLowerCase()) {
-                case 'gemini':
-                    if (!this.config.ai.gemini.apiKey) {
-                        throw new Error('Gemini API key is required');
-                    }
-                    this.gemini = new GoogleGenerativeAI(this.config.ai.gemini.apiKey);
-                    this.model = this.config.ai.gemini.model;
-                    logger.info('Initialized Gemini AI client');
-                    break;
-                    
-                case 'openai':
-                    if (!this.config.ai.openai.apiKey) {
-                        throw new Error('OpenAI API key is required');
-                    }
-                    this.openai = new OpenAI({
-                        apiKey: this.config.ai.openai.apiKey
-                    });
-                    this.model = this.config.ai.openai.model;
-                    logger.info('Initialized OpenAI client');
-                    break;
-                    
-                case 'claude':
-                    if (!this.config.ai.claude.apiKey) {
-                        throw new Error('Claude API key is required');
-                    }
-                    this.claude = new Anthropic({
-                        apiKey: this.config.ai.claude.apiKey
-                    });
-                    this.model = this.config.ai.claude.model;
-                    logger.info('Initialized Claude client');
-                    break;
-                    
-                default:
-                    throw new Error(`Unsupported AI provider: ${this.provider}`);
+        this.models = {};
+        
+        for (const provider of this.getProviderOrder()) {
+            try {
+                this.initializeProviderClient(provider);
+            } catch (error) {
+                // The primary provider is mandatory, failover providers are best-effort
+                if (provider === this.provider) {
+                    logger.error('Failed to initialize AI client:', error);
+                    throw error;
+                }
+                logger.warn(`Skipping failover provider ${provider}: ${error.message}`);
             }
-        } catch (error) {
-            logger.error('Failed to initialize AI client:', error);
-            throw error;
         }
+        
+        this.model = this.models[this.provider];
+    }
+
+    initializeProviderClient(provider) {
+        switch (provider) {
+            case 'gemini':
+                if (!this.config.ai.gemini.apiKey) {
+                    throw new Error('Gemini API key is required');
+                }
+                this.gemini = new GoogleGenerativeAI(this.config.ai.gemini.apiKey);
+                this.models.gemini = this.config.ai.gemini.model;
+                logger.info('Initialized Gemini AI client');
+                break;
+                
+            case 'openai':
+                if (!this.config.ai.openai.apiKey) {
+                    throw new Error('OpenAI API key is required');
+                }
+                this.openai = new OpenAI({
+                    apiKey: this.config.ai.openai.apiKey
+                });
+                this.models.openai = this.config.ai.openai.model;
+                logger.info('Initialized OpenAI client');
+                break;
+                
+            case 'claude':
+                if (!this.config.ai.claude.apiKey) {
+                    throw new Error('Claude API key is required');
+                }
+                this.claude = new Anthropic({
+                    apiKey: this.config.ai.claude.apiKey
+                });
+                this.models.claude = this.config.ai.claude.model;
+                logger.info('Initialized Claude client');
+                break;
+                
+            case 'local':
+                // Any OpenAI-compatible endpoint (Ollama, LM Studio, vLLM, ...)
+                if (!this.config.ai.local.baseURL || !this.config.ai.local.model) {
+                    throw new Error('Local AI base URL and model are required');
+                }
+                this.local = new OpenAI({
+                    baseURL: this.config.ai.local.baseURL,
+                    // Most self-hosted servers ignore the key, but the SDK requires one
+                    apiKey: this.config.ai.local.apiKey || 'local'
+                });
+                this.models.local = this.config.ai.local.model;
+                logger.info(`Initialized local AI client at ${this.config.ai.local.baseURL}`);
+                break;
+                
+            case 'mock':
+                // Offline provider for tests and development, no API key needed
+                this.mock = new MockProvider(this.config.ai.mock);
+                this.models.mock = 'mock';
+                logger.info('Initialized mock AI provider');
+                break;
+                
+            default:
+                throw new Error(`Unsupported AI provider: ${provider}`);
+        }
+    }
+
+    /**
+     * Providers in the order they should be tried: the active provider first,
+     * followed by the remaining entries of AI_PROVIDER_CHAIN
+     * @returns {string[]} Ordered provider names
+     */
+    getProviderOrder() {
+        const primary = this.provider.toLowerCase();
+        return [primary, ...this.providerChain.filter(provider => provider !== primary)];
     }
 
     async generateResponse(userMessage, phoneNumber, context = {}) {
@@ -81,108 +186,624 @@ class AIService {
                 user = await db.createUser(phoneNumber);
             }
             
-            // Get conversation history
-            const conversationHistory = await db.getConversationHistory(phoneNumber, 10);
-            
-            // Auto-detect language from message
-            const userLanguage = await this.getUserLanguage(phoneNumber, message);
-            
-            // Generate AI response based on provider
-            let aiResponse;
-            switch (this.provider.toLowerCase()) {
-                case 'gemini':
-                    aiResponse = await this.generateGeminiResponse(userMessage, conversationHistory, user, context);
-                    break;
-                case 'openai':
-                    aiResponse = await this.generateOpenAIResponse(userMessage, conversationHistory, user, context);
-                    break;
-                case 'claude':
-                    aiResponse = await this.generateClaudeResponse(userMessage, conversationHistory, user, context);
-                    break;
-                default:
-                    throw new Error(`Unsupported AI provider: ${this.provider}`);
+            // History of the current session only, trimmed per provider budget in generateWithFailover.
+            // A group turn sees only what the customer said in that group: no session, summary or
+            // documents from the private chat may end up in a reply the whole group reads.
+            const groupJid = context.messageMetadata?.groupJid || null;
+            const session = groupJid ? null : await this.touchSession(phoneNumber);
+            const conversationHistory = groupJid ?
+                await this.getGroupHistory(phoneNumber, groupJid) :
+                (await db.getConversationHistory(phoneNumber, this.conversationMemory.fetchLimit, {
+                    since: session.createdAt
+                })).filter(message => !message.groupJid);
+            
+            // Auto-detect language from message, unless the group the message came from has one set
+            const language = context.language || await this.getUserLanguage(phoneNumber, userMessage);
+            
+            // Approved FAQ answers are returned verbatim without calling a provider, not even
+            // to classify the message; questions about an attached document always go to the provider
+            const faqMatch = context.document ? null : await this.matchFaq(userMessage);
+            if (faqMatch) {
+                const faqIntent = context.intent || this.analyzeIntentByKeywords(userMessage);
+                await db.saveMessage(phoneNumber, userMessage, true, { ...context.messageMetadata, ...this.getIntentMetadata(faqIntent) });
+                await db.saveMessage(phoneNumber, faqMatch.entry.answer, false, {
+                    source: 'faq',
+                    faqId: faqMatch.entry.id,
+                    faqScore: Number(faqMatch.score.toFixed(3)),
+                    ...(groupJid && { groupJid })
+                });
+                
+                logger.info(`FAQ hit for ${phoneNumber}: ${faqMatch.entry.id} (score ${faqMatch.score.toFixed(2)})`);
+                return this.buildFaqResponse(faqMatch.entry);
+            }
+            
+            // Classification is stored with the user message
+            const intent = context.intent || await this.analyzeUserIntent(userMessage);
+            const intentMetadata = { ...context.messageMetadata, ...this.getIntentMetadata(intent) };
+            
+            // Keywords may not have placed the conversation, the provider's intent still can
+            const department = context.department || (groupJid ?
+                this.classifyDepartment(userMessage, intent) :
+                await this.routeDepartment(phoneNumber, userMessage, intent));
+            
+            // Retrieve relevant company documents for this message
+            const knowledge = await this.retrieveKnowledge(userMessage);
+            const promptContext = {
+                ...context,
+                language,
+                intent,
+                department,
+                knowledge,
+                summary: session?.summary?.text || null,
+                documents: session?.documents || []
+            };
+            if (context.messageMetadata?.type === 'audio' && !promptContext.additionalInfo) {
+                promptContext.additionalInfo = 'Pesan terakhir adalah transkrip pesan suara, mungkin ada kata yang salah dengar';
+            }
+            if (groupJid && !promptContext.additionalInfo) {
+                promptContext.additionalInfo = 'Pesan ini dikirim di grup WhatsApp, jawab singkat';
+            }
+            
+            // Generate AI response, failing over to the next provider in the chain
+            const vault = this.redactor.createVault();
+            const turn = this.redactTurn(userMessage, conversationHistory, promptContext, vault);
+            const startedAt = Date.now();
+            const { response: redactedResponse, provider } = await this.generateWithFailover(turn.message, turn.history, user, turn.context);
+            const latencyMs = Date.now() - startedAt;
+            // Values echoed into a group reply stay masked
+            const aiResponse = this.redactor.restore(redactedResponse, vault, { masked: Boolean(groupJid) });
+            
+            if (vault.size > 0) {
+                logger.debug(`Redacted ${this.redactor.summarize(vault).join(', ')} before calling ${provider}`);
             }
             
             // Save messages to database
-            await db.saveMessage(phoneNumber, userMessage, true);
-            await db.saveMessage(phoneNumber, aiResponse, false);
+            await db.saveMessage(phoneNumber, userMessage, true, intentMetadata);
+            await db.saveMessage(phoneNumber, aiResponse, false, {
+                provider,
+                latencyMs,
+                knowledgeSources: knowledge.map(chunk => chunk.id),
+                ...(groupJid && { groupJid })
+            });
             
             // Update user activity
             await db.updateUser(phoneNumber, {
                 lastSeen: new Date().toISOString()
             });
             
-            logger.info(`AI response generated for ${phoneNumber} using ${this.provider}`);
+            if (session) {
+                // Fold messages that are leaving the history window into the session summary,
+                // in the background so the reply doesn't wait for a second provider call
+                this.scheduleSummaryRefresh(session, conversationHistory);
+                
+                if (context.document) {
+                    this.scheduleDocumentSummary(session, context.document);
+                }
+            }
+            
+            logger.info(`AI response generated for ${phoneNumber} using ${provider}`);
             return aiResponse;
             
         } catch (error) {
             logger.error('Error generating AI response:', error);
+            await this.recordAnalytics(db => db.recordFailure());
             return await this.getFallbackResponse(phoneNumber);
         }
     }
 
+    /**
+     * Try each available provider in order until one answers
+     * @returns {Promise<{response: string, provider: string}>} Response and the provider that produced it
+     */
+    async generateWithFailover(userMessage, history, user, context) {
+        let lastError = null;
+        
+        for (const provider of this.getProviderOrder()) {
+            if (!this.models[provider]) continue;
+            
+            if (!this.isProviderAvailable(provider)) {
+                logger.debug(`Circuit open for ${provider}, skipping`);
+                continue;
+            }
+            
+            // Each provider gets as much recent history as its token budget allows
+            const window = this.conversationMemory.selectWindow(history, this.conversationMemory.getBudget(provider));
+            
+            // Images only go to providers that can see them
+            const request = this.prepareImages(provider, userMessage, context);
+            
+            try {
+                const response = await this.callProvider(provider, request.message, window.recent, user, request.context);
+                this.recordProviderSuccess(provider);
+                return { response, provider };
+            } catch (error) {
+                lastError = error;
+                this.recordProviderFailure(provider, error);
+                await this.recordAnalytics(db => db.recordProviderError(provider));
+                logger.warn(`Provider ${provider} failed, trying next provider: ${error.message}`);
+            }
+        }
+        
+        throw lastError || new Error('No AI provider available');
+    }
+
+    /**
+     * Redacted copies of everything customer-written in a provider request
+     * @param {Map} vault - Placeholder vault shared by the message, history and context
+     * @returns {{message: string, history: Array, context: object}} What the provider gets to see
+     */
+    redactTurn(userMessage, history, context, vault) {
+        const redactedContext = { ...context, summary: this.redactor.redact(context.summary, vault) };
+        if (context.document) {
+            redactedContext.document = { ...context.document, text: this.redactor.redact(context.document.text, vault) };
+        }
+        if (context.documents?.length > 0) {
+            redactedContext.documents = context.documents.map(doc => ({ ...doc, summary: this.redactor.redact(doc.summary, vault) }));
+        }
+        if (context.intent?.entities) {
+            const entities = {};
+            Object.entries(context.intent.entities).forEach(([key, value]) => {
+                entities[key] = this.redactor.redact(value, vault);
+            });
+            redactedContext.intent = { ...context.intent, entities };
+        }
+        
+        return {
+            message: this.redactor.redact(userMessage, vault),
+            history: history.map(msg => ({ ...msg, content: this.redactor.redact(msg.content, vault) })),
+            context: redactedContext
+        };
+    }
+
+    /**
+     * Whether the provider's configured model accepts image input
+     */
+    supportsVision(provider) {
+        const model = this.models[provider] || '';
+        switch (provider) {
+            case 'gemini':
+                // Only the first text-only Gemini Pro lacks vision
+                return !/^gemini-(1\.0-)?pro$/.test(model);
+            case 'openai':
+                return /gpt-4o|gpt-4\.1|gpt-4-turbo|gpt-5|^o\d/.test(model);
+            case 'claude':
+                return !/claude-(2|instant)/.test(model);
+            case 'local':
+                return this.config.ai.local.vision === true;
+            case 'mock':
+                return true;
+            default:
+                return false;
+        }
+    }
+
+    /**
+     * @returns {{message: string, context: object}} The turn with its images, or with a text note instead
+     */
+    prepareImages(provider, userMessage, context) {
+        if (context.messageMetadata?.type !== 'image') {
+            return { message: userMessage, context };
+        }
+        if (context.images?.length > 0 && this.supportsVision(provider)) {
+            return { message: userMessage, context };
+        }
+        return {
+            message: `${userMessage}\n\n${IMAGE_FALLBACK_NOTE}`,
+            context: { ...context, images: [] }
+        };
+    }
+
+    /**
+     * Message text plus image parts in the format of the provider's SDK
+     * @param {string} provider - gemini, claude, or any OpenAI-style chat API
+     * @param {string} text - Message text
+     * @param {Array<{mimetype: string, data: Buffer}>} images - Images to attach
+     */
+    buildImageContent(provider, text, images) {
+        switch (provider) {
+            case 'gemini':
+                return [text, ...images.map(image => ({
+                    inlineData: { mimeType: image.mimetype, data: image.data.toString('base64') }
+                }))];
+            case 'claude':
+                return [...images.map(image => ({
+                    type: 'image',
+                    source: { type: 'base64', media_type: image.mimetype, data: image.data.toString('base64') }
+                })), { type: 'text', text }];
+            default:
+                return [{ type: 'text', text }, ...images.map(image => ({
+                    type: 'image_url',
+                    image_url: { url: `data:${image.mimetype};base64,${image.data.toString('base64')}` }
+                }))];
+        }
+    }
+
+    // Analytics calls from error paths, which may run before the database is up
+    async recordAnalytics(record) {
+        try {
+            await record(getDatabase());
+        } catch (error) {
+            logger.debug(`Analytics not recorded: ${error.message}`);
+        }
+    }
+
+    async callProvider(provider, userMessage, history, user, context) {
+        switch (provider) {
+            case 'gemini':
+                return await this.generateGeminiResponse(userMessage, history, user, context);
+            case 'openai':
+                return await this.generateOpenAIResponse(userMessage, history, user, context);
+            case 'claude':
+                return await this.generateClaudeResponse(userMessage, history, user, context);
+            case 'local':
+                return await this.generateLocalResponse(userMessage, history, user, context);
+            case 'mock':
+                return await this.generateMockResponse(userMessage, history, user, context);
+            default:
+                throw new Error(`Unsupported AI provider: ${provider}`);
+        }
+    }
+
+    // Circuit breaker: closed -> open after repeated failures -> half_open after resetTimeout
+    getCircuitBreaker(provider) {
+        if (!this.circuitBreakers.has(provider)) {
+            this.circuitBreakers.set(provider, {
+                state: 'closed',
+                failures: 0,
+                openedAt: null,
+                lastError: null,
+                trialInFlight: false
+            });
+        }
+        return this.circuitBreakers.get(provider);
+    }
+
+    isProviderAvailable(provider) {
+        const breaker = this.getCircuitBreaker(provider);
+        
+        if (breaker.state === 'open') {
+            if (Date.now() - breaker.openedAt < this.circuitBreakerConfig.resetTimeout) {
+                return false;
+            }
+            breaker.state = 'half_open';
+            breaker.trialInFlight = false;
+            logger.info(`Circuit for ${provider} is half-open, retrying provider`);
+        }
+        
+        // Let a single trial request through, concurrent requests skip the provider until it answers
+        if (breaker.state === 'half_open') {
+            if (breaker.trialInFlight) {
+                return false;
+            }
+            breaker.trialInFlight = true;
+        }
+        
+        return true;
+    }
+
+    recordProviderSuccess(provider) {
+        const breaker = this.getCircuitBreaker(provider);
+        if (breaker.state !== 'closed') {
+            logger.info(`Circuit for ${provider} closed`);
+        }
+        breaker.state = 'closed';
+        breaker.failures = 0;
+        breaker.openedAt = null;
+        breaker.trialInFlight = false;
+    }
+
+    recordProviderFailure(provider, error) {
+        const breaker = this.getCircuitBreaker(provider);
+        breaker.failures++;
+        breaker.lastError = error.message;
+        breaker.trialInFlight = false;
+        
+        // Quota/rate-limit errors won't recover on the next request, open immediately
+        const shouldOpen = breaker.state === 'half_open' ||
+            breaker.failures >= this.circuitBreakerConfig.failureThreshold ||
+            this.isQuotaError(error);
+        
+        if (shouldOpen && breaker.state !== 'open') {
+            breaker.state = 'open';
+            breaker.openedAt = Date.now();
+            logger.warn(`Circuit for ${provider} opened after ${breaker.failures} failure(s)`);
+        }
+    }
+
+    isQuotaError(error) {
+        const status = error.status || error.statusCode || error.response?.status;
+        if (status === 429) return true;
+        
+        const message = (error.message || '').toLowerCase();
+        return message.includes('quota') || message.includes('rate limit') || message.includes('resource_exhausted');
+    }
+
+    /**
+     * Single-turn completion on the active provider, used for classification tasks
+     * @param {string} systemPrompt - Instructions
+     * @param {string} prompt - Input text
+     * @param {object} options - { maxTokens, temperature }
+     * @returns {Promise<string>} Raw provider output
+     */
+    async complete(systemPrompt, prompt, options = {}) {
+        const provider = this.provider;
+        if (!this.models[provider] || !this.isProviderAvailable(provider)) {
+            throw new Error(`Provider ${provider} is not available`);
+        }
+        
+        try {
+            // System prompts are ours, the prompt carries customer text
+            const vault = this.redactor.createVault();
+            const text = await this.completeWithProvider(provider, systemPrompt, this.redactor.redact(prompt, vault), options);
+            this.recordProviderSuccess(provider);
+            return this.redactor.restore(text, vault);
+        } catch (error) {
+            this.recordProviderFailure(provider, error);
+            throw error;
+        }
+    }
+
+    async completeWithProvider(provider, systemPrompt, prompt, options = {}) {
+        const maxTokens = options.maxTokens || 300;
+        const temperature = options.temperature ?? 0;
+        const messages = [
+            { role: 'system', content: systemPrompt },
+            { role: 'user', content: prompt }
+        ];
+        
+        switch (provider) {
+            case 'gemini': {
+                const model = this.gemini.getGenerativeModel({
+                    model: this.models.gemini,
+                    generationConfig: { maxOutputTokens: maxTokens, temperature }
+                });
+                const result = await model.generateContent(`${systemPrompt}\n\n${prompt}`);
+                return result.response.text().trim();
+            }
+            case 'openai':
+            case 'local': {
+                const response = await this[provider].chat.completions.create({
+                    model: this.models[provider],
+                    messages,
+                    max_tokens: maxTokens,
+                    temperature
+                });
+                return response.choices[0].message.content.trim();
+            }
+            case 'claude': {
+                const response = await this.claude.messages.create({
+                    model: this.models.claude,
+                    max_tokens: maxTokens,
+                    temperature,
+                    system: systemPrompt,
+                    messages: [{ role: 'user', content: prompt }]
+                });
+                return response.content[0].text.trim();
+            }
+            case 'mock':
+                return (await this.mock.generate(messages)).trim();
+            default:
+                throw new Error(`Unsupported AI provider: ${provider}`);
+        }
+    }
+
+    /**
+     * Summarize a customer document onto the session without waiting for it, so
+     * follow-up questions can still be answered from it. Summaries run side by
+     * side, their session updates one at a time in the order the documents came in.
+     * @param {Object} session - Active conversation session
+     * @param {Object} document - { fileName, type, pages, text }
+     * @returns {Promise} The queued session update
+     */
+    scheduleDocumentSummary(session, document) {
+        const summary = this.summarizeDocument(document);
+        const previous = this.documentSummaries.get(session.id) || Promise.resolve();
+        
+        const update = previous
+            .then(() => summary)
+            .then(entry => this.rememberDocument(session.id, entry))
+            .catch(error => {
+                logger.error(`Remembering ${document.fileName} failed for ${session.phoneNumber}:`, error);
+            })
+            .finally(() => {
+                if (this.documentSummaries.get(session.id) === update) {
+                    this.documentSummaries.delete(session.id);
+                }
+            });
+        this.documentSummaries.set(session.id, update);
+        return update;
+    }
+
+    /**
+     * @param {Object} document - { fileName, type, pages, text }
+     * @returns {Promise<Object>} Session entry for the document, with an excerpt when summarizing fails
+     */
+    async summarizeDocument(document) {
+        let summary;
+        try {
+            summary = await this.complete(
+                DOCUMENT_SUMMARY_PROMPT,
+                `${document.fileName}\n\n${Helpers.truncateToTokens(document.text, 2000)}`,
+                { maxTokens: 300, temperature: 0.2 }
+            );
+        } catch (error) {
+            logger.warn(`Document summary failed, keeping an excerpt of ${document.fileName}:`, error.message);
+            summary = Helpers.truncateToTokens(document.text, 150);
+        }
+        
+        return {
+            fileName: document.fileName,
+            type: document.type,
+            pages: document.pages,
+            summary,
+            receivedAt: new Date().toISOString()
+        };
+    }
+
+    /**
+     * Add a document entry to the session as it is stored now, not as it was
+     * when the reply started, so other updates in the meantime are kept
+     * @param {string} sessionId - Conversation session id
+     * @param {Object} entry - Result of summarizeDocument
+     */
+    async rememberDocument(sessionId, entry) {
+        const db = getDatabase();
+        const session = await db.getSession(sessionId);
+        if (!session) return;
+        
+        const documents = [...(session.documents || []), entry].slice(-MAX_SESSION_DOCUMENTS);
+        await db.updateSession(sessionId, { documents });
+    }
+
+    /**
+     * Start a summary refresh without waiting for it. A session refreshes one at a
+     * time; messages skipped while one runs are picked up by the next reply.
+     * @param {Object} session - Active conversation session
+     * @param {Array} history - Stored messages used for this reply, oldest first
+     * @returns {Promise<string|null>} The running refresh
+     */
+    scheduleSummaryRefresh(session, history) {
+        if (this.summaryRefreshes.has(session.id)) {
+            return this.summaryRefreshes.get(session.id);
+        }
+        
+        const refresh = this.refreshConversationSummary(session, history)
+            .catch(error => {
+                logger.error(`Conversation summary refresh failed for ${session.phoneNumber}:`, error);
+                return null;
+            })
+            .finally(() => this.summaryRefreshes.delete(session.id));
+        this.summaryRefreshes.set(session.id, refresh);
+        return refresh;
+    }
+
+    /**
+     * Update the rolling summary on the session once enough older messages have
+     * piled up outside the history window
+     * @param {Object} session - Active conversation session
+     * @param {Array} history - Stored messages used for this reply, oldest first
+     * @returns {Promise<string|null>} New summary text, or null when nothing changed
+     */
+    async refreshConversationSummary(session, history) {
+        const budgets = this.getProviderOrder()
+            .filter(provider => this.models[provider])
+            .map(provider => this.conversationMemory.getBudget(provider));
+        if (budgets.length === 0) {
+            return null;
+        }
+        
+        const messages = this.conversationMemory.getMessagesToSummarize(history, session.summary, Math.min(...budgets));
+        if (messages.length === 0) {
+            return null;
+        }
+        
+        try {
+            const text = await this.complete(
+                this.conversationMemory.buildSummaryPrompt(),
+                this.conversationMemory.formatTranscript(session.summary?.text, messages),
+                { maxTokens: this.conversationMemory.summaryMaxTokens, temperature: 0.2 }
+            );
+            
+            const db = getDatabase();
+            await db.updateSession(session.id, {
+                summary: {
+                    text,
+                    coveredUntil: messages[messages.length - 1].timestamp,
+                    updatedAt: new Date().toISOString()
+                }
+            });
+            
+            logger.info(`Conversation summary updated for ${session.phoneNumber} (${messages.length} messages)`);
+            return text;
+        } catch (error) {
+            // The messages stay pending and are retried with the next reply
+            logger.warn('Conversation summary refresh failed:', error.message);
+            return null;
+        }
+    }
+
     async generateGeminiResponse(userMessage, history, user, context) {
         try {
-            const model = this.gemini.getGenerativeModel({ model: this.model });
+            const model = this.gemini.getGenerativeModel({ model: this.models.gemini });
             const phoneNumber = user.phoneNumber;
             
-            // Get localized system prompt
-            const localizedSystemPrompt = await this.getLocalizedSystemPrompt(phoneNumber);
+            // The chat is rebuilt from the stored turns on every message, so it always matches
+            // what DatabaseManager recorded (agent replies, FAQ answers, other providers) and
+            // nothing is lost on restart. startChat is local, no API call per old message.
+            const { contents, pendingText } = this.buildGeminiHistory(history);
             
-            // Get or create chat session for this user
-            let chatSession = this.chatSessions.get(phoneNumber);
-            
-            if (!chatSession) {
-                // Build system prompt
-                const systemPrompt = this.buildSystemPrompt(user, context);
-                
-                // Start new chat session with system prompt
-                chatSession = model.startChat({
-                    history: [],
-                    generationConfig: {
-                        maxOutputTokens: Math.min(this.maxResponseLength, 1000),
-                        temperature: 0.7,
-                    },
-                    systemInstruction: localizedSystemPrompt
-                });
-                
-                // If there's existing history, add it to the chat session
-                if (history && history.length > 0) {
-                    for (const msg of history) {
-                        try {
-                            if (msg.isFromUser) {
-                                await chatSession.sendMessage(msg.content);
-                            }
-                        } catch (error) {
-                            logger.warn('Failed to add history message to chat session:', error);
-                        }
-                    }
+            // SDK 0.2.x has no system instruction, so the prompt opens the chat as a first turn
+            const systemPrompt = this.buildSystemPrompt(user, context);
+            const chatSession = model.startChat({
+                history: [
+                    { role: 'user', parts: [{ text: systemPrompt }] },
+                    { role: 'model', parts: [{ text: 'Baik, saya akan mengikuti instruksi tersebut.' }] },
+                    ...contents
+                ],
+                generationConfig: {
+                    maxOutputTokens: Math.min(this.maxResponseLength, 1000),
+                    temperature: 0.7,
                 }
-                
-                this.chatSessions.set(phoneNumber, chatSession);
-                logger.info(`Created new Gemini chat session for ${phoneNumber}`);
-            }
+            });
+            
+            const previous = this.chatSessions.get(phoneNumber);
+            this.chatSessions.set(phoneNumber, {
+                chat: chatSession,
+                createdAt: previous?.createdAt || new Date().toISOString(),
+                lastActivity: new Date().toISOString(),
+                turns: contents.length
+            });
             
             // Send message and get response
-            const result = await chatSession.sendMessage(userMessage);
+            const messageToSend = pendingText ? `${pendingText}\n\n${userMessage}` : userMessage;
+            const result = await chatSession.sendMessage(context.images?.length > 0 ?
+                this.buildImageContent('gemini', messageToSend, context.images) : messageToSend);
             const response = await result.response;
             
             return response.text().trim();
         } catch (error) {
             logger.error('Gemini API error:', error);
-            // If there's an error, remove the chat session so it can be recreated
-            this.chatSessions.delete(user.phoneNumber);
             throw error;
         }
     }
 
+    /**
+     * Convert stored messages into Gemini chat turns
+     * Gemini requires alternating user/model turns, so consecutive messages from the same
+     * side (e.g. several customer messages during a handoff) are merged into one turn.
+     * @param {Array} history - Stored messages, oldest first
+     * @returns {{contents: Array, pendingText: string|null}} Turns ending with a model turn, plus
+     *          trailing customer text that has to be sent together with the new message
+     */
+    buildGeminiHistory(history) {
+        const contents = [];
+        
+        for (const msg of history) {
+            const role = msg.isFromUser ? 'user' : 'model';
+            const last = contents[contents.length - 1];
+            
+            if (last && last.role === role) {
+                last.parts.push({ text: msg.content });
+            } else if (contents.length > 0 || role === 'user') {
+                contents.push({ role, parts: [{ text: msg.content }] });
+            }
+        }
+        
+        let pendingText = null;
+        if (contents.length > 0 && contents[contents.length - 1].role === 'user') {
+            pendingText = contents.pop().parts.map(part => part.text).join('\n');
+        }
+        
+        return { contents, pendingText };
+    }
+
     async generateOpenAIResponse(userMessage, history, user, context) {
         try {
             // Build conversation context
             const messages = this.buildConversationContext(userMessage, history, user, context);
             
             const response = await this.openai.chat.completions.create({
-                model: this.model,
+                model: this.models.openai,
                 messages: messages,
                 max_tokens: Math.min(this.maxResponseLength, 1000),
                 temperature: 0.7,
@@ -200,14 +821,14 @@ class AIService {
     async generateClaudeResponse(userMessage, history, user, context) {
         try {
             // Build conversation context
-            const messages = this.buildConversationContext(userMessage, history, user, context);
+            const messages = this.buildConversationContext(userMessage, history, user, context, 'claude');
             
             // Extract system message and user messages for Claude
             const systemMessage = messages.find(m => m.role === 'system')?.content || '';
             const userMessages = messages.filter(m => m.role !== 'system');
             
             const response = await this.claude.messages.create({
-                model: this.model,
+                model: this.models.claude,
                 max_tokens: Math.min(this.maxResponseLength, 1000),
                 system: systemMessage,
                 messages: userMessages
@@ -220,7 +841,40 @@ class AIService {
         }
     }
 
-    buildConversationContext(currentMessage, history, user, context) {
+    async generateLocalResponse(userMessage, history, user, context) {
+        try {
+            // Build conversation context
+            const messages = this.buildConversationContext(userMessage, history, user, context);
+            
+            // Only standard parameters, self-hosted servers often reject the penalty options
+            const response = await this.local.chat.completions.create({
+                model: this.models.local,
+                messages: messages,
+                max_tokens: Math.min(this.maxResponseLength, 1000),
+                temperature: 0.7
+            });
+            
+            return response.choices[0].message.content.trim();
+        } catch (error) {
+            logger.error('Local AI API error:', error);
+            throw error;
+        }
+    }
+
+    async generateMockResponse(userMessage, history, user, context) {
+        try {
+            // Same message list the real chat providers receive
+            const messages = this.buildConversationContext(userMessage, history, user, context);
+            const response = await this.mock.generate(messages);
+            
+            return response.trim();
+        } catch (error) {
+            logger.error('Mock AI provider error:', error);
+            throw error;
+        }
+    }
+
+    buildConversationContext(currentMessage, history, user, context, provider = 'openai') {
         const messages = [];
         
         // System prompt with company information
@@ -238,10 +892,10 @@ class AIService {
             });
         });
         
-        // Add current message
+        // Add current message, with its images for vision-capable providers
         messages.push({
             role: 'user',
-            content: currentMessage
+            content: context.images?.length > 0 ? this.buildImageContent(provider, currentMessage, context.images) : currentMessage
         });
         
         return messages;
@@ -262,38 +916,114 @@ class AIService {
         return conversationText;
     }
 
-    buildSystemPrompt(user, context) {
-        let prompt = this.systemPrompt;
+    buildSystemPrompt(user, context = {}) {
+        return this.promptBuilder.build(user, context);
+    }
+
+    buildTurnContext(context = {}, user = {}) {
+        return this.promptBuilder.buildTurnContext(user, context);
+    }
+
+    /**
+     * Rebuild the prompt the next reply to a customer would get, for /admin prompt preview
+     * Uses the classification stored on the customer's last message
+     * @param {string} phoneNumber - Customer JID
+     * @returns {Promise<Object|null>} { sections, prompt, totalTokens, lastMessage } or null for unknown users
+     */
+    async previewPrompt(phoneNumber) {
+        const db = getDatabase();
+        const user = await db.getUser(phoneNumber);
+        if (!user) {
+            return null;
+        }
+        
+        const history = await db.getConversationHistory(phoneNumber, 20);
+        const lastMessage = [...history].reverse().find(msg => msg.isFromUser) || null;
+        const session = await db.getActiveSession(phoneNumber);
+        
+        const context = {
+            language: await this.getUserLanguage(phoneNumber),
+            department: session?.department || null,
+            summary: session?.summary?.text || null,
+            documents: session?.documents || [],
+            intent: lastMessage?.intent ? {
+                intent: lastMessage.intent,
+                confidence: lastMessage.intentConfidence,
+                entities: lastMessage.entities || {}
+            } : null,
+            knowledge: lastMessage ? await this.retrieveKnowledge(lastMessage.content) : []
+        };
         
-        // Add company information
-        prompt += `\n\nInformasi Perusahaan:\n`;
-        prompt += `Nama: ${this.companyInfo.name}\n`;
-        prompt += `Deskripsi: ${this.companyInfo.description}\n`;
-        prompt += `Jam Kerja: ${this.companyInfo.workingHours}\n`;
-        prompt += `Kontak: Email: ${this.companyInfo.contact.email}, Phone: ${this.companyInfo.contact.phone}\n`;
-        if (this.companyInfo.contact.website) {
-            prompt += `Website: ${this.companyInfo.contact.website}\n`;
+        const sections = this.promptBuilder.buildSections(user, context);
+        return {
+            sections,
+            prompt: this.promptBuilder.join(sections),
+            totalTokens: sections.reduce((sum, section) => sum + section.tokens, 0),
+            lastMessage: lastMessage?.content || null
+        };
+    }
+
+    getIntentMetadata(intent) {
+        if (!intent) {
+            return {};
         }
         
-        // Add user context
-        if (user.name && user.name !== 'Unknown') {
-            prompt += `\nNama pelanggan: ${user.name}\n`;
+        return {
+            intent: intent.intent,
+            intentConfidence: intent.confidence,
+            intentSource: intent.source,
+            entities: intent.entities
+        };
+    }
+
+    async retrieveKnowledge(message) {
+        if (!this.knowledgeBase) {
+            return [];
         }
         
-        // Add custom context
-        if (context.additionalInfo) {
-            prompt += `\nInformasi tambahan: ${context.additionalInfo}\n`;
+        try {
+            return await this.knowledgeBase.retrieve(message);
+        } catch (error) {
+            // Answer without references rather than failing the whole reply
+            logger.warn('Knowledge retrieval failed:', error.message);
+            return [];
+        }
+    }
+
+    /**
+     * @returns {string|object} The answer, or a rich response when the entry has buttons, media or a location
+     */
+    buildFaqResponse(entry) {
+        const fields = FAQ_RICH_FIELDS.filter(field => entry[field]);
+        if (fields.length === 0) {
+            return entry.answer;
         }
         
-        // Add behavioral guidelines
-        prompt += `\nPanduan Perilaku:\n`;
-        prompt += `- Selalu gunakan bahasa Indonesia yang sopan dan profesional\n`;
-        prompt += `- Berikan jawaban yang membantu dan informatif\n`;
-        prompt += `- Jika tidak tahu jawaban, arahkan ke kontak yang tepat\n`;
-        prompt += `- Jangan memberikan informasi yang tidak akurat\n`;
-        prompt += `- Tanyakan klarifikasi jika pertanyaan tidak jelas\n`;
+        const response = { text: entry.answer };
+        fields.forEach(field => {
+            response[field] = entry[field];
+        });
+        return response;
+    }
+
+    async matchFaq(message) {
+        if (!this.faqService) {
+            return null;
+        }
         
-        return prompt;
+        try {
+            return await this.faqService.match(message);
+        } catch (error) {
+            logger.warn('FAQ matching failed:', error.message);
+            return null;
+        }
+    }
+
+    async reindexKnowledgeBase() {
+        if (!this.knowledgeBase) {
+            throw new Error('Knowledge base is disabled');
+        }
+        return await this.knowledgeBase.reindex();
     }
 
     async getFallbackResponse(phoneNumber = null) {
@@ -320,7 +1050,7 @@ class AIService {
             const parts = command.split(' ');
             if (parts.length === 1) {
                 // Show language options
-                return await this.getLocalizedMessage(phoneNumber, 'languageList');
+                return await this.getLanguageMenu(phoneNumber);
             } else {
                 // Set language
                 const langCode = parts[1];
@@ -328,17 +1058,17 @@ class AIService {
                     await this.setUserLanguage(phoneNumber, langCode);
                     return await this.getLocalizedMessage(phoneNumber, 'languageChanged');
                 } else {
-                    return await this.getLocalizedMessage(phoneNumber, 'languageList');
+                    return await this.getLanguageMenu(phoneNumber);
                 }
             }
         }
         
         switch (command) {
             case '/help':
-                return await this.getLocalizedMessage(phoneNumber, 'help');
+                return await this.getHelpMenu(phoneNumber);
                 
             case '/info':
-                return this.getCompanyInfo();
+                return this.getCompanyInfoResponse();
                 
             case '/reset':
                 // Clear user session
@@ -366,7 +1096,7 @@ class AIService {
                 return await this.getLocalizedMessage(phoneNumber, 'userNotFound');
                 
             case '/provider':
-                return `🤖 *AI Provider Information*\n\nCurrent Provider: *${this.provider.toUpperCase()}*\nModel: *${this.model}*\n\nAvailable Providers:\n• Gemini (Default) - Google's latest AI\n• OpenAI - GPT models\n• Claude - Anthropic's AI assistant`;
+                return `🤖 *AI Provider Information*\n\nCurrent Provider: *${this.provider.toUpperCase()}*\nModel: *${this.model}*\nFailover Order: ${this.getProviderOrder().filter(p => this.models[p]).map(p => p.toUpperCase()).join(' → ')}\n\nAvailable Providers:\n• Gemini (Default) - Google's latest AI\n• OpenAI - GPT models\n• Claude - Anthropic's AI assistant\n• Local - Self-hosted OpenAI-compatible model\n• Mock - Scripted offline replies for testing`;
                 
             default:
                 return null; // Not a special command
@@ -455,6 +1185,32 @@ class AIService {
         return false;
     }
     
+    /**
+     * Commands as a list menu, a selected row runs its command
+     */
+    async getHelpMenu(phoneNumber) {
+        const userLanguage = await this.getUserLanguage(phoneNumber);
+        const commands = (this.languages[userLanguage] || this.languages[this.defaultLanguage]).commands || {};
+        
+        return {
+            text: await this.getLocalizedMessage(phoneNumber, 'help'),
+            list: {
+                buttonText: await this.getLocalizedMessage(phoneNumber, 'menuButton'),
+                sections: [{
+                    title: 'Menu',
+                    rows: Object.entries(commands).map(([command, description]) => ({ id: command, title: command, description }))
+                }]
+            }
+        };
+    }
+
+    async getLanguageMenu(phoneNumber) {
+        return {
+            text: await this.getLocalizedMessage(phoneNumber, 'languageList'),
+            buttons: Object.entries(this.languages).map(([code, language]) => ({ id: `/language ${code}`, text: language.name }))
+        };
+    }
+
     getHelpMessage() {
         // Deprecated - use getLocalizedMessage instead
         return `🤖 *Bantuan AllOneCustomerAI*\n\n` +
@@ -469,6 +1225,26 @@ class AIService {
                `*Powered by ${this.provider.toUpperCase()}*`;
     }
 
+    /**
+     * Company info, with a location pin when company-info.json has coordinates
+     */
+    getCompanyInfoResponse() {
+        const location = this.companyInfo.location;
+        if (!location?.latitude || !location?.longitude) {
+            return this.getCompanyInfo();
+        }
+        
+        return {
+            text: this.getCompanyInfo(),
+            location: {
+                latitude: location.latitude,
+                longitude: location.longitude,
+                name: this.companyInfo.name,
+                address: this.companyInfo.contact.address || null
+            }
+        };
+    }
+
     getCompanyInfo() {
         return `🏢 *${this.companyInfo.name}*\n\n` +
                `${this.companyInfo.description}\n\n` +
@@ -479,31 +1255,128 @@ class AIService {
                `\n*AI Assistant powered by ${this.provider.toUpperCase()}*`;
     }
 
+    /**
+     * Classify intent and extract entities (product, order number, date, amount)
+     * @param {string} message - Message text
+     * @returns {Promise<{intent: string, confidence: number, entities: object, source: string}>} Classification
+     */
     async analyzeUserIntent(message) {
-        // Simple intent analysis - can be enhanced with more sophisticated NLP
-        const lowerMessage = message.toLowerCase();
-        
-        if (lowerMessage.includes('harga') || lowerMessage.includes('biaya') || lowerMessage.includes('tarif')) {
-            return 'pricing_inquiry';
+        return await this.intentClassifier.classify(message);
+    }
+
+    // Keywords only, no provider call
+    analyzeIntentByKeywords(message) {
+        return this.intentClassifier.classifyByKeywords(message);
+    }
+
+    getDepartment(departmentKey) {
+        if (!departmentKey || !this.companyInfo.departments) {
+            return null;
         }
+        return this.companyInfo.departments[departmentKey] || null;
+    }
+
+    /**
+     * Classify a message into one of companyInfo.departments
+     * Keyword hits count double, a matching intent counts once
+     * @param {string} message - Message text
+     * @param {object} intent - Result of analyzeUserIntent
+     * @returns {string|null} Department key or null when nothing matches
+     */
+    classifyDepartment(message, intent) {
+        const departments = this.companyInfo.departments || {};
+        let best = null;
         
-        if (lowerMessage.includes('produk') || lowerMessage.includes('layanan') || lowerMessage.includes('service')) {
-            return 'product_inquiry';
+        for (const [key, department] of Object.entries(departments)) {
+            let score = 0;
+            
+            // Whole words only, "download" is no "down" and "buyer" no "buy"
+            (department.keywords || []).forEach(keyword => {
+                if (Helpers.keywordPattern(keyword).test(message)) {
+                    score += 2;
+                }
+            });
+            
+            if (intent && (department.intents || []).includes(intent.intent)) {
+                score += 1;
+            }
+            
+            if (score > 0 && (!best || score > best.score)) {
+                best = { key, score };
+            }
         }
         
-        if (lowerMessage.includes('komplain') || lowerMessage.includes('masalah') || lowerMessage.includes('error')) {
-            return 'complaint';
+        return best ? best.key : null;
+    }
+
+    isSessionExpired(session, thresholdMs = this.sessionTimeout) {
+        return Date.now() - new Date(session.lastActivity).getTime() > thresholdMs;
+    }
+
+    /**
+     * Record customer activity on the conversation session
+     * A session idle for longer than SESSION_TIMEOUT is closed first, so a returning
+     * customer starts a fresh session even if the expiry job has not run yet
+     * @param {string} phoneNumber - User's phone number
+     * @returns {Promise<Object>} Active session
+     */
+    async touchSession(phoneNumber) {
+        const db = getDatabase();
+        const session = await db.getActiveSession(phoneNumber);
+        
+        if (session && !this.isSessionExpired(session)) {
+            return await db.updateSession(session.id, {});
         }
         
-        if (lowerMessage.includes('terima kasih') || lowerMessage.includes('thanks')) {
-            return 'gratitude';
+        if (session) {
+            await this.closeExpiredSession(session);
         }
+        return await db.createSession(phoneNumber);
+    }
+
+    /**
+     * Recent messages the customer exchanged with the bot in one group, oldest first
+     * Group turns have no session, so the session timeout bounds the window instead.
+     * @param {string} phoneNumber - Participant JID
+     * @param {string} groupJid - Group JID
+     * @returns {Promise<Array>} Messages
+     */
+    async getGroupHistory(phoneNumber, groupJid) {
+        const db = getDatabase();
+        // No limit here, most of the conversation may be private chat
+        const messages = await db.getConversationHistory(phoneNumber, null, {
+            since: new Date(Date.now() - this.sessionTimeout).toISOString()
+        });
+        return messages.filter(message => message.groupJid === groupJid).slice(-this.conversationMemory.fetchLimit);
+    }
+
+    async closeExpiredSession(session) {
+        const db = getDatabase();
+        await db.closeSession(session.id, { endReason: 'timeout' });
+        this.chatSessions.delete(session.phoneNumber);
+        logger.info(`Session ${session.id} expired after inactivity`);
+    }
+
+    /**
+     * Classify the message and remember the department on the conversation session
+     * @param {string} phoneNumber - User's phone number
+     * @param {string} message - Message text
+     * @param {object} intent - Result of analyzeUserIntent
+     * @returns {Promise<string|null>} Department assigned to the conversation
+     */
+    async routeDepartment(phoneNumber, message, intent) {
+        const db = getDatabase();
+        const session = await this.touchSession(phoneNumber);
+        const department = this.classifyDepartment(message, intent);
         
-        if (lowerMessage.includes('halo') || lowerMessage.includes('hai') || lowerMessage.includes('hello')) {
-            return 'greeting';
+        // Keep the current department when the message carries no routing signal
+        if (!department || department === session.department) {
+            return session.department || null;
         }
         
-        return 'general_inquiry';
+        await db.updateSession(session.id, { department });
+        logger.info(`Conversation ${phoneNumber} routed to ${department}`);
+        return department;
     }
 
     async getContextualResponse(phoneNumber, intent, user, messageText = null) {
@@ -513,7 +1386,7 @@ class AIService {
         }
         
         // Handle different intents with localized messages
-        switch (intent) {
+        switch (intent?.intent) {
             case 'greeting':
                 return await this.getLocalizedMessage(phoneNumber, 'greeting');
             case 'gratitude':
@@ -525,7 +1398,7 @@ class AIService {
 
     // Method to switch AI provider dynamically (for admin use)
     async switchProvider(newProvider, config) {
-        if (!['gemini', 'openai', 'claude'].includes(newProvider.toLowerCase())) {
+        if (!SUPPORTED_PROVIDERS.includes(newProvider.toLowerCase())) {
             throw new Error(`Unsupported AI provider: ${newProvider}`);
         }
         
@@ -540,10 +1413,17 @@ class AIService {
     }
 
     getProviderInfo() {
+        const circuits = {};
+        for (const [provider, breaker] of this.circuitBreakers.entries()) {
+            circuits[provider] = { ...breaker };
+        }
+        
         return {
             current: this.provider,
             model: this.model,
-            available: ['gemini', 'openai', 'claude']
+            chain: this.getProviderOrder().filter(provider => this.models[provider]),
+            circuits,
+            available: SUPPORTED_PROVIDERS
         };
     }
 
@@ -619,6 +1499,27 @@ class AIService {
         return message;
     }
 
+    /**
+     * Get the escalation notice shown when a conversation is handed to a human
+     * @param {string} phoneNumber - User's phone number
+     * @param {string} contactInfo - Contact details to show, defaults to the company contact
+     * @returns {Promise<string>} Localized escalation message
+     */
+    async getEscalationMessage(phoneNumber, contactInfo = null) {
+        const userLanguage = await this.getUserLanguage(phoneNumber);
+        const languageData = this.languages[userLanguage] || this.languages[this.defaultLanguage];
+        const contact = contactInfo || `${this.companyInfo.contact.phone} / ${this.companyInfo.contact.email}`;
+        
+        // Prefer a translated notice, otherwise use escalationMessage from custom-prompts.json
+        if (languageData.messages.escalation) {
+            return await this.getLocalizedMessage(phoneNumber, 'escalation', { contactInfo: contact });
+        }
+        
+        const template = this.customPrompts.escalationMessage ||
+            'Untuk masalah ini, saya akan menghubungkan Anda dengan tim customer service kami. Anda juga dapat menghubungi {contactInfo}.';
+        return template.replace(/{contactInfo}/g, contact);
+    }
+
     /**
      * Get system prompt for user's language
      * @param {string} phoneNumber - User's phone number
@@ -630,24 +1531,44 @@ class AIService {
         return language.systemPrompt || this.systemPrompt;
     }
 
-    // Clean up inactive chat sessions (call this periodically)
-    cleanupInactiveSessions(inactiveThresholdMs = 24 * 60 * 60 * 1000) { // 24 hours default
-        const now = Date.now();
-        let cleanedCount = 0;
+    /**
+     * Close conversation sessions idle for longer than the threshold and drop their
+     * in-memory chats. Chats handled by a human agent are left alone.
+     * @param {number} thresholdMs - Idle time before expiry, defaults to SESSION_TIMEOUT
+     * @returns {Promise<Array>} Sessions that were expired
+     */
+    async expireInactiveSessions(thresholdMs = this.sessionTimeout) {
+        const db = getDatabase();
+        const expired = [];
         
-        // Note: This is a simple cleanup. In production, you might want to track
-        // last activity time for each session
-        for (const [phoneNumber, session] of this.chatSessions.entries()) {
-            // For now, we'll keep all sessions. In a real implementation,
-            // you'd track last activity time and clean based on that
-            // This method is here for future enhancement
+        for (const session of await db.getActiveSessions()) {
+            if (!this.isSessionExpired(session, thresholdMs)) continue;
+            
+            const user = await db.getUser(session.phoneNumber);
+            if (user?.handoff?.active) continue;
+            
+            await this.closeExpiredSession(session);
+            expired.push(session);
         }
         
-        if (cleanedCount > 0) {
-            logger.info(`Cleaned up ${cleanedCount} inactive Gemini chat sessions`);
+        // Chats without a database session (e.g. closed by /reset) expire on their own activity
+        for (const [phoneNumber, chat] of this.chatSessions.entries()) {
+            if (Date.now() - new Date(chat.lastActivity).getTime() > thresholdMs) {
+                this.chatSessions.delete(phoneNumber);
+            }
+        }
+        
+        if (expired.length > 0) {
+            logger.info(`Expired ${expired.length} inactive session(s)`);
         }
         
-        return cleanedCount;
+        return expired;
+    }
+
+    // Clean up inactive chat sessions (the session_expiry job runs it on a schedule)
+    async cleanupInactiveSessions(inactiveThresholdMs = this.sessionTimeout) {
+        const expired = await this.expireInactiveSessions(inactiveThresholdMs);
+        return expired.length;
     }
 
     // Clear all chat sessions (useful for maintenance)
@@ -0,0 +1,104 @@
+const Helpers = require('../utils/helpers');
+
+// Per-message overhead for role markers and formatting
+const MESSAGE_OVERHEAD_TOKENS = 4;
+
+/**
+ * Token-budgeted conversation history
+ * Picks the most recent messages that fit a provider's budget and decides when
+ * older messages should be folded into the rolling summary stored on the session.
+ */
+
+class ConversationMemory {
+    constructor(options = {}) {
+        this.maxTokens = options.maxTokens || 3000;
+        this.providerBudgets = options.providers || {};
+        this.fetchLimit = options.fetchLimit || 50;
+        this.summaryEnabled = options.summaryEnabled !== false;
+        this.summaryMaxTokens = options.summaryMaxTokens || 300;
+    }
+
+    getBudget(provider) {
+        return this.providerBudgets[provider] || this.maxTokens;
+    }
+
+    countTokens(message) {
+        return Helpers.estimateTokens(message.content) + MESSAGE_OVERHEAD_TOKENS;
+    }
+
+    /**
+     * Split history into the newest messages that fit the budget and the older rest
+     * @param {Array} history - Stored messages, oldest first
+     * @param {number} maxTokens - Token budget for the history
+     * @returns {{recent: Array, dropped: Array, tokens: number}} Window and the messages left out
+     */
+    selectWindow(history, maxTokens) {
+        let tokens = 0;
+        let start = history.length;
+
+        while (start > 0) {
+            const cost = this.countTokens(history[start - 1]);
+            if (tokens + cost > maxTokens) break;
+            tokens += cost;
+            start--;
+        }
+
+        // Chat APIs expect the history to open with a customer turn
+        while (start < history.length && !history[start].isFromUser) {
+            tokens -= this.countTokens(history[start]);
+            start++;
+        }
+
+        return {
+            recent: history.slice(start),
+            dropped: history.slice(0, start),
+            tokens
+        };
+    }
+
+    /**
+     * Messages that should be added to the summary now
+     * The summary horizon is half of the smallest budget and a refresh runs once a
+     * quarter budget has piled up, so unsummarized messages are always still inside
+     * every provider's window.
+     * @param {Array} history - Stored messages, oldest first
+     * @param {Object|null} summary - Current session summary
+     * @param {number} minBudget - Smallest history budget among the active providers
+     * @returns {Array} Messages to summarize, empty when no refresh is needed
+     */
+    getMessagesToSummarize(history, summary, minBudget) {
+        if (!this.summaryEnabled) {
+            return [];
+        }
+
+        const { dropped } = this.selectWindow(history, Math.floor(minBudget / 2));
+        const pending = summary?.coveredUntil ?
+            dropped.filter(message => message.timestamp > summary.coveredUntil) :
+            dropped;
+
+        const pendingTokens = pending.reduce((sum, message) => sum + this.countTokens(message), 0);
+        return pendingTokens >= Math.floor(minBudget / 4) ? pending : [];
+    }
+
+    buildSummaryPrompt() {
+        return `Ringkas percakapan customer service berikut untuk konteks asisten AI. ` +
+               `Gabungkan dengan ringkasan sebelumnya jika ada. Pertahankan fakta penting: nama pelanggan, ` +
+               `nomor order/invoice, produk, nominal, tanggal, masalah yang dilaporkan, dan janji tindak lanjut. ` +
+               `Tulis poin-poin singkat, maksimal ${Math.floor(this.summaryMaxTokens * 0.6)} kata, tanpa pembuka.`;
+    }
+
+    formatTranscript(previousSummary, messages) {
+        let transcript = '';
+        if (previousSummary) {
+            transcript += `Ringkasan sebelumnya:\n${previousSummary}\n\n`;
+        }
+
+        transcript += `Percakapan:\n`;
+        messages.forEach(message => {
+            transcript += `${message.isFromUser ? 'Pelanggan' : 'Asisten'}: ${message.content}\n`;
+        });
+        return transcript;
+    }
+}
+
+module.exports = ConversationMemory;
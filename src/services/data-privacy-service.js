@@ -0,0 +1,149 @@
+const logger = require('../utils/logger');
+const Helpers = require('../utils/helpers');
+const { getDatabase } = require('../database/database-manager');
+
+const FORMATS = ['json', 'txt'];
+
+/**
+ * Data subject requests (UU PDP)
+ * Builds per-customer export files and erases a customer's data on request.
+ * Every export and erasure is written to the audit log without message content.
+ */
+
+class DataPrivacyService {
+    constructor(options = {}) {
+        this.timezone = options.timezone || 'Asia/Jakarta';
+        this.companyName = options.companyName || 'AllOneCustomerAI';
+        this.mediaStore = options.mediaStore || null;
+    }
+
+    /**
+     * Export everything stored for a customer
+     * @param {string} phoneNumber - Customer JID
+     * @param {string} actor - JID of whoever asked (admin or the customer)
+     * @param {string[]} formats - json and/or txt
+     * @returns {Promise<{data: object, files: Array}|null>} Export data and document files, null when nothing is stored
+     */
+    async exportCustomer(phoneNumber, actor, formats = FORMATS) {
+        const db = getDatabase();
+        const data = await db.exportUserData(phoneNumber);
+        if (!data) {
+            return null;
+        }
+
+        const mediaFiles = await this.loadMediaFiles(data);
+        const files = [...this.buildFiles(data, formats), ...mediaFiles];
+        await db.addAuditEntry('export', phoneNumber, actor, {
+            formats,
+            messages: data.messages.length,
+            sessions: data.sessions.length,
+            mediaFiles: mediaFiles.length
+        });
+
+        logger.info(`Data export of ${phoneNumber} requested by ${actor}`);
+        return { data, files };
+    }
+
+    /**
+     * @returns {Array<{fileName: string, mimetype: string, buffer: Buffer}>} Files ready to send as WhatsApp documents
+     */
+    buildFiles(data, formats = FORMATS) {
+        const baseName = `data-${Helpers.extractPhoneNumber(data.phoneNumber)}-${data.exportedAt.split('T')[0]}`;
+        const files = [];
+
+        if (formats.includes('json')) {
+            files.push({
+                fileName: `${baseName}.json`,
+                mimetype: 'application/json',
+                buffer: Buffer.from(JSON.stringify(data, null, 2))
+            });
+        }
+        if (formats.includes('txt')) {
+            files.push({
+                fileName: `${baseName}.txt`,
+                mimetype: 'text/plain',
+                buffer: Buffer.from(this.formatTranscript(data))
+            });
+        }
+
+        return files;
+    }
+
+    // Images and other attachments the customer sent, as far as they are still stored
+    async loadMediaFiles(data) {
+        if (!this.mediaStore) {
+            return [];
+        }
+
+        const files = [];
+        for (const message of data.messages.filter(message => message.media?.path)) {
+            try {
+                files.push({
+                    fileName: message.media.path.split('/').pop(),
+                    mimetype: message.media.mimetype,
+                    buffer: await this.mediaStore.read(message.media.path)
+                });
+            } catch (error) {
+                logger.warn(`Media ${message.media.path} not exported: ${error.message}`);
+            }
+        }
+        return files;
+    }
+
+    formatTranscript(data) {
+        const formatDate = timestamp => new Date(timestamp).toLocaleString('id-ID', { timeZone: this.timezone });
+        const lines = [
+            `${this.companyName} - Data Export`,
+            `Phone: ${Helpers.extractPhoneNumber(data.phoneNumber)}`,
+            `Exported: ${formatDate(data.exportedAt)}`,
+            ''
+        ];
+
+        if (data.user) {
+            lines.push(`Name: ${data.user.name}`);
+            lines.push(`First contact: ${formatDate(data.user.createdAt)}`);
+            lines.push(`Language: ${data.user.preferences?.language || '-'}`);
+        }
+        lines.push(`Sessions: ${data.sessions.length}`);
+        lines.push(`Messages: ${data.messages.length}`);
+        lines.push('');
+        lines.push('--- Transcript ---');
+
+        data.messages.forEach(message => {
+            const sender = message.isFromUser ? 'Customer' : (message.source === 'agent' ? 'Agent' : 'Bot');
+            const kind = message.type === 'audio' ? ' (voice note)' : '';
+            lines.push(`[${formatDate(message.timestamp)}] ${sender}${kind}: ${message.content ?? `(${message.type})`}`);
+        });
+
+        return `${lines.join('\n')}\n`;
+    }
+
+    /**
+     * What an erasure would delete, for the confirmation step
+     * @returns {Promise<{messages: number, sessions: number}|null>} Counts, null when nothing is stored
+     */
+    async previewForget(phoneNumber) {
+        const data = await getDatabase().exportUserData(phoneNumber);
+        return data ? { messages: data.messages.length, sessions: data.sessions.length } : null;
+    }
+
+    /**
+     * Erase a customer's data and record it in the audit log
+     * @param {string} phoneNumber - Customer JID
+     * @param {string} actor - JID of the admin
+     * @returns {Promise<object>} What was erased
+     */
+    async forgetCustomer(phoneNumber, actor) {
+        const db = getDatabase();
+        const result = await db.forgetUser(phoneNumber);
+        if (this.mediaStore) {
+            result.mediaFiles = await this.mediaStore.removeCustomer(phoneNumber);
+        }
+
+        await db.addAuditEntry('forget', phoneNumber, actor, result);
+        logger.info(`Data of ${phoneNumber} erased on request of ${actor}`);
+        return result;
+    }
+}
+
+module.exports = DataPrivacyService;
@@ -0,0 +1,154 @@
+const path = require('path');
+
+// Supported document types, parsers are only loaded when a file of that type arrives
+const TYPES = {
+    pdf: {
+        mimetypes: ['application/pdf'],
+        extensions: ['pdf'],
+        parse: (buffer, limits) => extractPdf(buffer, limits)
+    },
+    docx: {
+        mimetypes: ['application/vnd.openxmlformats-officedocument.wordprocessingml.document'],
+        extensions: ['docx'],
+        parse: buffer => extractDocx(buffer)
+    },
+    xlsx: {
+        mimetypes: ['application/vnd.openxmlformats-officedocument.spreadsheetml.sheet'],
+        extensions: ['xlsx'],
+        parse: (buffer, limits) => extractXlsx(buffer, limits)
+    },
+    csv: {
+        mimetypes: ['text/csv', 'text/comma-separated-values'],
+        extensions: ['csv'],
+        parse: buffer => ({ text: buffer.toString('utf8'), pages: 1 })
+    },
+    txt: {
+        mimetypes: ['text/plain'],
+        extensions: ['txt'],
+        parse: buffer => ({ text: buffer.toString('utf8'), pages: 1 })
+    }
+};
+
+async function extractPdf(buffer, limits) {
+    const pdfParse = require('pdf-parse');
+    const result = await pdfParse(buffer, { max: limits.maxPages });
+    return { text: result.text, pages: result.numpages, pagesRead: Math.min(result.numpages, limits.maxPages) };
+}
+
+async function extractDocx(buffer) {
+    const mammoth = require('mammoth');
+    const result = await mammoth.extractRawText({ buffer });
+    // Word has no fixed pages, the document counts as one
+    return { text: result.value, pages: 1 };
+}
+
+// One sheet counts as one page, rows become "cell | cell | cell" lines
+async function extractXlsx(buffer, limits) {
+    const ExcelJS = require('exceljs');
+    const workbook = new ExcelJS.Workbook();
+    await workbook.xlsx.load(buffer);
+
+    const sheets = workbook.worksheets.slice(0, limits.maxPages).map(sheet => {
+        const rows = [];
+        sheet.eachRow(row => {
+            const cells = row.values.slice(1).map(value => formatCell(value));
+            rows.push(cells.join(' | '));
+        });
+        return `Sheet: ${sheet.name}\n${rows.join('\n')}`;
+    });
+
+    return { text: sheets.join('\n\n'), pages: workbook.worksheets.length, pagesRead: sheets.length };
+}
+
+function formatCell(value) {
+    if (value === null || value === void 0) return '';
+    if (value instanceof Date) return value.toISOString().split('T')[0];
+    if (typeof value === 'object') {
+        // Formulas, hyperlinks and rich text
+        if ('result' in value) return formatCell(value.result);
+        if ('text' in value) return String(value.text);
+        if (Array.isArray(value.richText)) return value.richText.map(part => part.text).join('');
+    }
+    return String(value);
+}
+
+/**
+ * Text extraction from documents customers attach (invoices, purchase orders,
+ * spec sheets). Runs locally, nothing is uploaded to extract the text.
+ */
+
+class DocumentExtractor {
+    /**
+     * @param {object} options - { allowedTypes, maxBytes, maxPages, maxChars }
+     */
+    constructor(options = {}) {
+        this.allowedTypes = (options.allowedTypes || Object.keys(TYPES)).filter(type => TYPES[type]);
+        this.maxBytes = options.maxBytes || 10485760;
+        this.maxPages = options.maxPages || 20;
+        this.maxChars = options.maxChars || 50000;
+    }
+
+    /**
+     * @returns {string|null} Type key (pdf, docx, ...) by mimetype, or by file extension
+     */
+    detectType(fileName, mimetype) {
+        const baseType = (mimetype || '').split(';')[0].trim().toLowerCase();
+        const extension = path.extname(fileName || '').slice(1).toLowerCase();
+
+        return Object.keys(TYPES).find(type => TYPES[type].mimetypes.includes(baseType)) ||
+            Object.keys(TYPES).find(type => TYPES[type].extensions.includes(extension)) ||
+            null;
+    }
+
+    /**
+     * Check a document against the allowlist and size limit before downloading it
+     * @param {object} document - { fileName, mimetype, size }
+     * @returns {string} Type key
+     * @throws {Error} code DOCUMENT_TYPE_NOT_ALLOWED or DOCUMENT_TOO_LARGE
+     */
+    check(document) {
+        const type = this.detectType(document.fileName, document.mimetype);
+        if (!type || !this.allowedTypes.includes(type)) {
+            const error = new Error(`Document type not allowed: ${document.mimetype || document.fileName}`);
+            error.code = 'DOCUMENT_TYPE_NOT_ALLOWED';
+            throw error;
+        }
+
+        if (document.size > this.maxBytes) {
+            const error = new Error(`Document is ${document.size} bytes, the limit is ${this.maxBytes}`);
+            error.code = 'DOCUMENT_TOO_LARGE';
+            throw error;
+        }
+
+        return type;
+    }
+
+    /**
+     * @param {Buffer} buffer - File content
+     * @param {object} document - { fileName, mimetype }
+     * @returns {Promise<{type: string, text: string, pages: number, pagesRead: number, truncated: boolean}>} Extracted text
+     */
+    async extract(buffer, document) {
+        const type = this.check({ ...document, size: buffer.length });
+        const result = await TYPES[type].parse(buffer, { maxPages: this.maxPages });
+
+        const text = (result.text || '').replace(/\r\n/g, '\n').replace(/[ \t]+/g, ' ').replace(/\n{3,}/g, '\n\n').trim();
+        const pagesRead = result.pagesRead ?? result.pages;
+
+        return {
+            type,
+            text: text.slice(0, this.maxChars),
+            pages: result.pages,
+            pagesRead,
+            truncated: text.length > this.maxChars || pagesRead < result.pages
+        };
+    }
+
+    getAllowedExtensions() {
+        return this.allowedTypes.map(type => TYPES[type].extensions[0]);
+    }
+}
+
+DocumentExtractor.TYPES = Object.keys(TYPES);
+
+module.exports = DocumentExtractor;
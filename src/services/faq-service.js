@@ -0,0 +1,143 @@
+const fs = require('fs-extra');
+const path = require('path');
+const logger = require('../utils/logger');
+const Helpers = require('../utils/helpers');
+
+/**
+ * Curated FAQ matcher
+ * Approved answers are matched against incoming messages before any AI provider
+ * is called and returned verbatim when the match is confident enough.
+ */
+
+class FaqService {
+    constructor(options = {}) {
+        this.file = options.file || './config/faq.json';
+        this.threshold = options.threshold || 0.8;
+        this.entries = [];
+        this.loaded = false;
+    }
+
+    async load() {
+        try {
+            if (await fs.pathExists(this.file)) {
+                const data = await fs.readJson(this.file);
+                this.entries = Array.isArray(data.entries) ? data.entries : [];
+            } else {
+                this.entries = [];
+            }
+            logger.info(`Loaded ${this.entries.length} FAQ entries from ${this.file}`);
+        } catch (error) {
+            logger.warn(`Could not load FAQ from ${this.file}:`, error.message);
+            this.entries = [];
+        }
+
+        this.loaded = true;
+        return this.entries;
+    }
+
+    async ensureLoaded() {
+        if (!this.loaded) {
+            await this.load();
+        }
+    }
+
+    async save() {
+        await fs.ensureDir(path.dirname(this.file));
+        await fs.writeJson(this.file, { entries: this.entries }, { spaces: 2 });
+    }
+
+    normalize(text) {
+        return text
+            .toLowerCase()
+            .replace(/[^\p{L}\p{N}\s]+/gu, ' ')
+            .replace(/\s+/g, ' ')
+            .trim();
+    }
+
+    /**
+     * Score two texts by the better of token overlap (Dice) and character similarity,
+     * so both reordered wording and small typos still match
+     * @param {string} message - Normalized customer message
+     * @param {string} question - Normalized question variant
+     * @returns {number} Similarity score (0-1)
+     */
+    score(message, question) {
+        if (!message || !question) return 0;
+
+        const messageTokens = new Set(message.split(' '));
+        const questionTokens = new Set(question.split(' '));
+        const overlap = [...messageTokens].filter(token => questionTokens.has(token)).length;
+        const dice = (2 * overlap) / (messageTokens.size + questionTokens.size);
+
+        return Math.max(dice, Helpers.calculateSimilarity(message, question));
+    }
+
+    /**
+     * Find the best FAQ entry for a message
+     * @param {string} message - Customer message
+     * @returns {Promise<{entry: object, score: number}|null>} Confident match or null
+     */
+    async match(message) {
+        await this.ensureLoaded();
+
+        const normalized = this.normalize(message);
+        if (!normalized) return null;
+
+        let best = null;
+        for (const entry of this.entries) {
+            for (const question of entry.questions || []) {
+                const score = this.score(normalized, this.normalize(question));
+                if (!best || score > best.score) {
+                    best = { entry, score };
+                }
+            }
+        }
+
+        return best && best.score >= this.threshold ? best : null;
+    }
+
+    async list() {
+        await this.ensureLoaded();
+        return this.entries;
+    }
+
+    async add(questions, answer) {
+        await this.ensureLoaded();
+
+        const entry = {
+            id: this.nextId(),
+            questions: Array.isArray(questions) ? questions : [questions],
+            answer,
+            createdAt: new Date().toISOString()
+        };
+
+        this.entries.push(entry);
+        await this.save();
+        logger.info(`FAQ entry added: ${entry.id}`);
+        return entry;
+    }
+
+    async remove(id) {
+        await this.ensureLoaded();
+
+        const index = this.entries.findIndex(entry => entry.id === id);
+        if (index === -1) {
+            return false;
+        }
+
+        this.entries.splice(index, 1);
+        await this.save();
+        logger.info(`FAQ entry removed: ${id}`);
+        return true;
+    }
+
+    nextId() {
+        const numbers = this.entries
+            .map(entry => /^faq-(\d+)$/.exec(entry.id))
+            .filter(Boolean)
+            .map(match => parseInt(match[1]));
+        return `faq-${numbers.length > 0 ? Math.max(...numbers) + 1 : 1}`;
+    }
+}
+
+module.exports = FaqService;
@@ -0,0 +1,112 @@
+const logger = require('../utils/logger');
+const { getDatabase } = require('../database/database-manager');
+
+/**
+ * Group chat handling
+ * In groups the bot only answers when it is mentioned, when a command is sent or
+ * when someone replies to one of its messages. The sending participant is the
+ * customer; replies go to the group. Settings per group (enabled, language,
+ * allowed commands) are stored in the database and managed with /admin groups.
+ */
+
+class GroupManager {
+    /**
+     * @param {object} options - { enabled, defaultEnabled, allowedCommands }
+     */
+    constructor(options = {}) {
+        this.enabled = options.enabled !== false;
+        this.defaultEnabled = options.defaultEnabled === true;
+        this.allowedCommands = options.allowedCommands || ['/help', '/info', '/language', '/status'];
+    }
+
+    isGroup(jid) {
+        return typeof jid === 'string' && jid.endsWith('@g.us');
+    }
+
+    /**
+     * Settings of a group, recording it on first contact
+     * @param {string} jid - Group JID
+     * @param {function} fetchSubject - Resolves the group name, only called for new groups
+     * @returns {Promise<object>} Group record with defaults applied
+     */
+    async getSettings(jid, fetchSubject = null) {
+        const db = getDatabase();
+        let group = await db.getGroup(jid);
+
+        if (!group) {
+            let subject = null;
+            try {
+                subject = fetchSubject ? await fetchSubject(jid) : null;
+            } catch (error) {
+                logger.debug(`Could not fetch the name of group ${jid}: ${error.message}`);
+            }
+            group = await db.saveGroup(jid, { subject, enabled: this.defaultEnabled });
+            logger.info(`New group ${subject || jid} recorded (${group.enabled ? 'enabled' : 'disabled'})`);
+        }
+
+        return this.withDefaults(group);
+    }
+
+    withDefaults(group) {
+        return {
+            ...group,
+            enabled: group.enabled ?? this.defaultEnabled,
+            language: group.language || null,
+            allowedCommands: group.allowedCommands || this.allowedCommands
+        };
+    }
+
+    async listGroups() {
+        const db = getDatabase();
+        return (await db.getGroups()).map(group => this.withDefaults(group));
+    }
+
+    /**
+     * @param {string} reference - Full JID, the id before @g.us, or the number shown by /admin groups
+     * @returns {Promise<object|null>} Matching group
+     */
+    async findGroup(reference) {
+        const groups = await this.listGroups();
+        if (/^\d{1,3}$/.test(reference)) {
+            return groups[parseInt(reference) - 1] || null;
+        }
+        const jid = reference.includes('@') ? reference : `${reference}@g.us`;
+        return groups.find(group => group.jid === jid) || null;
+    }
+
+    async updateGroup(jid, updates) {
+        const db = getDatabase();
+        return this.withDefaults(await db.saveGroup(jid, updates));
+    }
+
+    /**
+     * Why the bot should answer a group message
+     * @param {string} text - Message text
+     * @param {object|null} contextInfo - Baileys contextInfo (mentions, quoted message)
+     * @param {function} isBotJid - Whether a JID is the bot's own
+     * @returns {string|null} command, mention or reply; null to stay silent
+     */
+    getTrigger(text, contextInfo, isBotJid) {
+        if (text && text.trim().startsWith('/')) {
+            return 'command';
+        }
+        if ((contextInfo?.mentionedJid || []).some(jid => isBotJid(jid))) {
+            return 'mention';
+        }
+        if (contextInfo?.quotedMessage && contextInfo.participant && isBotJid(contextInfo.participant)) {
+            return 'reply';
+        }
+        return null;
+    }
+
+    /**
+     * @param {object} settings - Group settings
+     * @param {string} text - Command text, e.g. "/language en"
+     */
+    isCommandAllowed(settings, text) {
+        const command = text.trim().split(/\s+/)[0].toLowerCase();
+        return settings.allowedCommands.includes(command);
+    }
+}
+
+module.exports = GroupManager;
@@ -0,0 +1,158 @@
+const logger = require('../utils/logger');
+const Helpers = require('../utils/helpers');
+const { getDatabase } = require('../database/database-manager');
+
+// Phrases that signal the customer wants a human or is running out of patience
+const DEFAULT_FRUSTRATION_KEYWORDS = [
+    'bicara dengan manusia', 'bicara dengan orang', 'mau cs', 'minta cs', 'customer service manusia',
+    'admin manusia', 'tidak membantu', 'ga membantu', 'gak membantu', 'nggak membantu',
+    'kecewa', 'parah', 'payah', 'bodoh', 'talk to a human', 'real person', 'human agent',
+    'speak to someone', 'not helpful', 'useless', 'ridiculous', 'terrible'
+];
+
+/**
+ * Human agent handoff
+ * Tracks which conversations are taken over by a human agent. The state lives on
+ * the user record (`user.handoff`) so it survives restarts.
+ */
+
+class HandoffManager {
+    constructor(options = {}) {
+        this.agentNumbers = (options.agentNumbers || []).map(num => num.includes('@') ? num : `${num}@s.whatsapp.net`);
+        this.frustrationKeywords = options.frustrationKeywords && options.frustrationKeywords.length > 0 ?
+            options.frustrationKeywords : DEFAULT_FRUSTRATION_KEYWORDS;
+        this.frustrationPatterns = this.frustrationKeywords.map(keyword => Helpers.keywordPattern(keyword));
+        this.detectFrustrationEnabled = options.detectFrustration !== false;
+    }
+
+    isAgent(phoneNumber) {
+        return this.agentNumbers.includes(phoneNumber);
+    }
+
+    /**
+     * Get the active handoff for a customer
+     * @param {string} phoneNumber - Customer JID
+     * @returns {Promise<object|null>} Handoff state or null when the AI is in charge
+     */
+    async getHandoff(phoneNumber) {
+        const db = getDatabase();
+        const user = await db.getUser(phoneNumber);
+        return user?.handoff?.active ? user.handoff : null;
+    }
+
+    async getActiveHandoffs() {
+        const db = getDatabase();
+        const users = await db.getUsers();
+        return users
+            .filter(user => user.handoff?.active)
+            .map(user => ({ phoneNumber: user.phoneNumber, name: user.name, ...user.handoff }));
+    }
+
+    /**
+     * Hand a conversation over to a human agent
+     * @param {string} phoneNumber - Customer JID
+     * @param {object} options - { reason, agent } where agent defaults to the least busy agent
+     * @returns {Promise<object|null>} New handoff state, or null when no agent is configured
+     */
+    async startHandoff(phoneNumber, options = {}) {
+        const db = getDatabase();
+        let user = await db.getUser(phoneNumber);
+        if (!user) {
+            user = await db.createUser(phoneNumber);
+        }
+
+        if (user.handoff?.active) {
+            return user.handoff;
+        }
+
+        const agent = options.agent || await this.pickAgent(options.candidates);
+        if (!agent) {
+            logger.warn(`Handoff requested for ${phoneNumber} but no agent is configured`);
+            return null;
+        }
+
+        const handoff = {
+            active: true,
+            agent,
+            reason: options.reason || 'customer',
+            startedAt: new Date().toISOString(),
+            lastRelayAt: new Date().toISOString()
+        };
+
+        await db.updateUser(phoneNumber, { handoff });
+        logger.info(`Conversation ${phoneNumber} handed off to ${agent} (${handoff.reason})`);
+        return handoff;
+    }
+
+    async releaseHandoff(phoneNumber) {
+        const db = getDatabase();
+        const user = await db.getUser(phoneNumber);
+
+        if (!user?.handoff?.active) {
+            return null;
+        }
+
+        const handoff = {
+            ...user.handoff,
+            active: false,
+            endedAt: new Date().toISOString()
+        };
+
+        await db.updateUser(phoneNumber, { handoff });
+        logger.info(`Conversation ${phoneNumber} returned to AI`);
+        return handoff;
+    }
+
+    async touch(phoneNumber) {
+        const db = getDatabase();
+        const user = await db.getUser(phoneNumber);
+        if (user?.handoff?.active) {
+            await db.updateUser(phoneNumber, {
+                handoff: { ...user.handoff, lastRelayAt: new Date().toISOString() }
+            });
+        }
+    }
+
+    // Least busy agent first, ties broken by configuration order
+    async pickAgent(candidates = null) {
+        const pool = candidates && candidates.length > 0 ? candidates : this.agentNumbers;
+        if (pool.length === 0) {
+            return null;
+        }
+
+        const active = await this.getActiveHandoffs();
+        const load = agent => active.filter(handoff => handoff.agent === agent).length;
+
+        return [...pool].sort((a, b) => load(a) - load(b))[0];
+    }
+
+    /**
+     * Resolve which customer an agent's plain message is meant for
+     * @param {string} agentNumber - Agent JID
+     * @returns {Promise<string|null>} Customer JID of the most recently active handoff
+     */
+    async getCurrentCustomer(agentNumber) {
+        const handoffs = (await this.getActiveHandoffs())
+            .filter(handoff => handoff.agent === agentNumber)
+            .sort((a, b) => new Date(b.lastRelayAt) - new Date(a.lastRelayAt));
+
+        return handoffs[0]?.phoneNumber || null;
+    }
+
+    detectFrustration(message) {
+        if (!this.detectFrustrationEnabled || !message) {
+            return false;
+        }
+
+        if (this.frustrationPatterns.some(pattern => pattern.test(message))) {
+            return true;
+        }
+
+        // Shouting: mostly upper-case letters together with repeated exclamation marks
+        const letters = message.replace(/[^a-zA-Z]/g, '');
+        const upperRatio = letters.length > 0 ? letters.replace(/[^A-Z]/g, '').length / letters.length : 0;
+        return letters.length >= 10 && upperRatio > 0.8 && /!{2,}/.test(message);
+    }
+}
+
+module.exports = HandoffManager;
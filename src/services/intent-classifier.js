@@ -0,0 +1,193 @@
+const logger = require('../utils/logger');
+
+const INTENTS = [
+    'greeting', 'gratitude', 'pricing_inquiry', 'product_inquiry', 'billing_inquiry',
+    'order_status', 'technical_support', 'complaint', 'general_inquiry'
+];
+
+// Checked in order, the first intent with a matching keyword wins
+const INTENT_KEYWORDS = [
+    ['billing_inquiry', ['tagihan', 'invoice', 'pembayaran', 'faktur', 'billing']],
+    ['pricing_inquiry', ['harga', 'biaya', 'tarif', 'price', 'cost']],
+    ['product_inquiry', ['produk', 'layanan', 'service', 'product']],
+    ['technical_support', ['error', 'gagal', 'tidak bisa', 'rusak', 'bug', 'crash', 'not working']],
+    ['complaint', ['komplain', 'masalah', 'kecewa', 'complaint']],
+    ['order_status', ['pesanan', 'order', 'pengiriman', 'resi']],
+    ['gratitude', ['terima kasih', 'makasih', 'thanks', 'thank you']],
+    ['greeting', ['halo', 'hai', 'hello']]
+];
+
+const MONTHS = 'jan(?:uari|uary)?|feb(?:ruari|ruary)?|mar(?:et|ch)?|apr(?:il)?|mei|may|jun(?:i|e)?|jul(?:i|y)?|agu(?:stus)?|aug(?:ust)?|sep(?:tember)?|okt(?:ober)?|oct(?:ober)?|nov(?:ember)?|des(?:ember)?|dec(?:ember)?';
+
+const EMPTY_ENTITIES = { product: null, orderNumber: null, date: null, amount: null };
+
+/**
+ * Intent and entity classifier
+ * Asks the active AI provider for a JSON classification and falls back to
+ * keyword matching when the provider fails or is not confident enough.
+ */
+
+class IntentClassifier {
+    constructor(options = {}) {
+        this.mode = options.mode || 'llm';
+        this.minConfidence = options.minConfidence ?? 0.5;
+        this.products = options.products || [];
+        // (systemPrompt, prompt, options) => Promise<string>, provided by AIService
+        this.complete = options.complete || null;
+    }
+
+    /**
+     * Classify a customer message
+     * @param {string} message - Message text
+     * @returns {Promise<{intent: string, confidence: number, entities: object, source: string}>} Classification
+     */
+    async classify(message) {
+        const keywordResult = this.classifyByKeywords(message);
+
+        if (this.mode !== 'llm' || !this.complete) {
+            return keywordResult;
+        }
+
+        try {
+            const raw = await this.complete(this.buildPrompt(), message, { maxTokens: 200, temperature: 0 });
+            const result = this.parseResult(raw);
+
+            if (!result) {
+                logger.warn('Intent classifier returned unparsable output, using keywords');
+            } else if (result.confidence < this.minConfidence) {
+                logger.debug(`Intent ${result.intent} below confidence threshold (${result.confidence}), using keywords`);
+            } else {
+                return {
+                    ...result,
+                    // Keep regex-extracted values the model missed
+                    entities: this.mergeEntities(result.entities, keywordResult.entities),
+                    source: 'llm'
+                };
+            }
+        } catch (error) {
+            logger.warn('LLM intent classification failed, using keywords:', error.message);
+        }
+
+        return keywordResult;
+    }
+
+    buildPrompt() {
+        let prompt = 'You are a customer-service intent classifier. ';
+        prompt += `Classify the customer message into exactly one intent: ${INTENTS.join(', ')}.\n`;
+        prompt += 'Extract these entities when present, otherwise use null: product, orderNumber, date, amount (number, in the stated currency).\n';
+        if (this.products.length > 0) {
+            prompt += `Known products: ${this.products.join(', ')}.\n`;
+        }
+        prompt += 'Reply with JSON only, no explanation, in this shape:\n';
+        prompt += '{"intent": "general_inquiry", "confidence": 0.0, "entities": {"product": null, "orderNumber": null, "date": null, "amount": null}}';
+        return prompt;
+    }
+
+    /**
+     * Parse the provider reply, tolerating code fences and surrounding text
+     * @param {string} text - Raw provider output
+     * @returns {object|null} Normalized classification or null when invalid
+     */
+    parseResult(text) {
+        const json = /\{[\s\S]*\}/.exec(text || '');
+        if (!json) return null;
+
+        let data;
+        try {
+            data = JSON.parse(json[0]);
+        } catch (error) {
+            return null;
+        }
+
+        const intent = typeof data.intent === 'string' ? data.intent.trim().toLowerCase() : '';
+        if (!INTENTS.includes(intent)) return null;
+
+        const confidence = Number(data.confidence);
+        return {
+            intent,
+            confidence: Number.isFinite(confidence) ? Math.min(Math.max(confidence, 0), 1) : 0,
+            entities: this.normalizeEntities(data.entities)
+        };
+    }
+
+    normalizeEntities(entities = {}) {
+        const normalized = { ...EMPTY_ENTITIES };
+        if (!entities || typeof entities !== 'object') return normalized;
+
+        for (const key of Object.keys(EMPTY_ENTITIES)) {
+            const value = entities[key];
+            if (value == null || value === '' || value === 'null') continue;
+            normalized[key] = key === 'amount' ? this.parseAmount(String(value)) : String(value).trim();
+        }
+        return normalized;
+    }
+
+    mergeEntities(primary, secondary) {
+        const merged = { ...EMPTY_ENTITIES };
+        for (const key of Object.keys(EMPTY_ENTITIES)) {
+            merged[key] = primary[key] ?? secondary[key] ?? null;
+        }
+        return merged;
+    }
+
+    classifyByKeywords(message) {
+        const lowerMessage = (message || '').toLowerCase();
+        const match = INTENT_KEYWORDS.find(([, keywords]) => keywords.some(keyword => lowerMessage.includes(keyword)));
+
+        return {
+            intent: match ? match[0] : 'general_inquiry',
+            confidence: match ? 0.6 : 0.3,
+            entities: this.extractEntities(message || ''),
+            source: 'keyword'
+        };
+    }
+
+    extractEntities(message) {
+        const lowerMessage = message.toLowerCase();
+
+        const orderMatch = /\b((?:INV|ORD|ORDER|PO|TRX)[-/]?[A-Z0-9-]*\d[A-Z0-9-]*)\b/i.exec(message) ||
+            /#([A-Z0-9-]*\d{3,}[A-Z0-9-]*)/i.exec(message) ||
+            /\b(?:nomor|no\.?)\s*(?:order|pesanan|invoice|resi)\s*:?\s*([A-Z0-9-]*\d[A-Z0-9-]*)/i.exec(message);
+
+        const dateMatch = /\b(\d{4}-\d{2}-\d{2}|\d{1,2}[/-]\d{1,2}[/-]\d{2,4})\b/.exec(message) ||
+            new RegExp(`\\b(\\d{1,2}\\s+(?:${MONTHS})(?:\\s+\\d{4})?)\\b`, 'i').exec(message) ||
+            /\b(hari ini|kemarin|besok|lusa|today|yesterday|tomorrow)\b/i.exec(message);
+
+        const amountMatch = /\b(?:rp|idr)\.?\s?([\d.,]+(?:\s?(?:rb|ribu|k|jt|juta)\b)?)/i.exec(message) ||
+            /\b([\d.,]+\s?(?:rb|ribu|jt|juta))\b/i.exec(message);
+
+        const product = this.products.find(name => lowerMessage.includes(name.toLowerCase())) || null;
+
+        return {
+            product,
+            orderNumber: orderMatch ? orderMatch[1] : null,
+            date: dateMatch ? dateMatch[1] : null,
+            amount: amountMatch ? this.parseAmount(amountMatch[1]) : null
+        };
+    }
+
+    // "Rp 1.500.000", "1,5 juta" and "250rb" become plain numbers
+    parseAmount(value) {
+        if (typeof value === 'number') return value;
+
+        const match = /([\d.,]+)\s*(rb|ribu|k|jt|juta)?/i.exec(value.toLowerCase());
+        if (!match) return null;
+
+        // Drop sentence punctuation after the number
+        let digits = match[1].replace(/[.,]+$/, '');
+        if (/^\d{1,3}([.,]\d{3})+$/.test(digits)) {
+            // Thousand separators
+            digits = digits.replace(/[.,]/g, '');
+        } else {
+            digits = digits.replace(',', '.');
+        }
+
+        const multipliers = { rb: 1e3, ribu: 1e3, k: 1e3, jt: 1e6, juta: 1e6 };
+        const amount = parseFloat(digits) * (multipliers[match[2]] || 1);
+        return Number.isFinite(amount) ? amount : null;
+    }
+}
+
+IntentClassifier.INTENTS = INTENTS;
+
+module.exports = IntentClassifier;
@@ -0,0 +1,151 @@
+const cron = require('node-cron');
+const logger = require('../utils/logger');
+
+/**
+ * Cron job scheduler
+ * Jobs are declared in config/jobs.json (name, type, cron schedule, params) and
+ * executed by handlers registered per job type.
+ */
+
+class JobScheduler {
+    constructor(options = {}) {
+        this.enabled = options.enabled !== false;
+        this.timezone = options.timezone || 'Asia/Jakarta';
+        this.definitions = options.jobs || [];
+        this.handlers = new Map();
+        this.jobs = new Map();
+        this.started = false;
+    }
+
+    /**
+     * Register the function that executes a job type
+     * @param {string} type - Job type used in jobs.json
+     * @param {Function} handler - async (params, job) => summary string, or null when there was nothing to do
+     */
+    registerHandler(type, handler) {
+        this.handlers.set(type, handler);
+    }
+
+    start() {
+        if (this.started) {
+            return;
+        }
+        this.started = true;
+
+        for (const definition of this.definitions) {
+            if (!definition.name || !definition.type) {
+                logger.warn('Skipping job without name or type:', JSON.stringify(definition));
+                continue;
+            }
+
+            if (!this.handlers.has(definition.type)) {
+                logger.warn(`Skipping job ${definition.name}: unknown job type ${definition.type}`);
+                continue;
+            }
+
+            if (!cron.validate(definition.schedule || '')) {
+                logger.warn(`Skipping job ${definition.name}: invalid cron expression "${definition.schedule}"`);
+                continue;
+            }
+
+            const job = {
+                name: definition.name,
+                type: definition.type,
+                schedule: definition.schedule,
+                params: definition.params || {},
+                paused: !this.enabled || definition.enabled === false,
+                running: false,
+                lastRunAt: null,
+                lastStatus: null,
+                lastResult: null,
+                lastDurationMs: null,
+                task: null
+            };
+
+            job.task = cron.schedule(job.schedule, () => {
+                this.runJob(job.name, 'schedule').catch(() => {});
+            }, { scheduled: !job.paused, timezone: this.timezone });
+
+            this.jobs.set(job.name, job);
+        }
+
+        const active = [...this.jobs.values()].filter(job => !job.paused).length;
+        logger.info(`Job scheduler started: ${active}/${this.jobs.size} job(s) active`);
+    }
+
+    stop() {
+        for (const job of this.jobs.values()) {
+            job.task?.stop();
+        }
+        this.jobs.clear();
+        this.started = false;
+    }
+
+    /**
+     * Execute a job now
+     * @param {string} name - Job name
+     * @param {string} trigger - schedule or manual
+     * @returns {Promise<string>} Handler summary
+     */
+    async runJob(name, trigger = 'manual') {
+        const job = this.jobs.get(name);
+        if (!job) {
+            throw new Error(`Job not found: ${name}`);
+        }
+
+        if (job.running) {
+            throw new Error(`Job ${name} is already running`);
+        }
+
+        job.running = true;
+        const startedAt = Date.now();
+
+        try {
+            const result = await this.handlers.get(job.type)(job.params, job);
+            job.lastStatus = 'success';
+            job.lastResult = result || 'nothing to do';
+            // Frequent jobs mostly find nothing to do, those runs stay out of the info log
+            logger[result ? 'info' : 'debug'](`Job ${name} finished (${trigger}): ${job.lastResult}`);
+            return job.lastResult;
+        } catch (error) {
+            job.lastStatus = 'failed';
+            job.lastResult = error.message;
+            logger.error(`Job ${name} failed (${trigger}):`, error);
+            throw error;
+        } finally {
+            job.running = false;
+            job.lastRunAt = new Date().toISOString();
+            job.lastDurationMs = Date.now() - startedAt;
+        }
+    }
+
+    pauseJob(name) {
+        const job = this.getJobOrThrow(name);
+        job.task.stop();
+        job.paused = true;
+        logger.info(`Job ${name} paused`);
+        return job;
+    }
+
+    resumeJob(name) {
+        const job = this.getJobOrThrow(name);
+        job.task.start();
+        job.paused = false;
+        logger.info(`Job ${name} resumed`);
+        return job;
+    }
+
+    getJobOrThrow(name) {
+        const job = this.jobs.get(name);
+        if (!job) {
+            throw new Error(`Job not found: ${name}`);
+        }
+        return job;
+    }
+
+    listJobs() {
+        return [...this.jobs.values()].map(({ task, ...job }) => job);
+    }
+}
+
+module.exports = JobScheduler;
@@ -0,0 +1,273 @@
+const fs = require('fs-extra');
+const path = require('path');
+const logger = require('../utils/logger');
+
+const SUPPORTED_EXTENSIONS = ['.md', '.markdown', '.txt', '.pdf'];
+
+// Common Indonesian and English words that carry no retrieval signal
+const STOPWORDS = new Set([
+    'yang', 'dan', 'atau', 'di', 'ke', 'dari', 'untuk', 'dengan', 'pada', 'ini', 'itu',
+    'adalah', 'akan', 'saya', 'anda', 'kami', 'kita', 'apa', 'bisa', 'ada', 'tidak',
+    'juga', 'sudah', 'dalam', 'oleh', 'karena', 'jika', 'mau', 'tolong', 'mohon',
+    'the', 'and', 'or', 'of', 'to', 'in', 'on', 'for', 'with', 'is', 'are', 'a', 'an',
+    'be', 'can', 'i', 'you', 'we', 'it', 'this', 'that', 'what', 'how', 'do', 'does'
+]);
+
+/**
+ * Knowledge base over company documents
+ * Splits Markdown, text and PDF files into chunks and ranks them with BM25 so the most
+ * relevant passages can be injected into the system prompt with citations.
+ */
+
+class KnowledgeBase {
+    constructor(options = {}) {
+        this.dir = options.dir || './knowledge';
+        this.topK = options.topK || 3;
+        this.maxContextChars = options.maxContextChars || 2000;
+        this.chunkSize = options.chunkSize || 800;
+        this.minScore = options.minScore || 0.5;
+
+        // BM25 parameters
+        this.k1 = 1.5;
+        this.b = 0.75;
+
+        this.chunks = [];
+        this.documentFrequency = new Map();
+        this.averageChunkLength = 0;
+        this.documentCount = 0;
+        this.indexedAt = null;
+        this.indexing = null;
+    }
+
+    /**
+     * Build the index from scratch, replacing the previous one
+     * @returns {Promise<object>} Index statistics
+     */
+    async reindex() {
+        // Concurrent callers share the same rebuild
+        if (!this.indexing) {
+            this.indexing = this.buildIndex().finally(() => {
+                this.indexing = null;
+            });
+        }
+        return this.indexing;
+    }
+
+    async buildIndex() {
+        const chunks = [];
+        const files = await this.listDocuments(this.dir);
+        let indexed = 0;
+
+        for (const file of files) {
+            try {
+                const content = await this.readDocument(file);
+                const source = path.relative(this.dir, file).split(path.sep).join('/');
+                chunks.push(...this.chunkDocument(content, source));
+                indexed++;
+            } catch (error) {
+                logger.warn(`Could not index knowledge document ${file}:`, error.message);
+            }
+        }
+
+        const documentFrequency = new Map();
+        let totalLength = 0;
+
+        for (const chunk of chunks) {
+            totalLength += chunk.tokens.length;
+            for (const term of new Set(chunk.tokens)) {
+                documentFrequency.set(term, (documentFrequency.get(term) || 0) + 1);
+            }
+        }
+
+        this.chunks = chunks;
+        this.documentFrequency = documentFrequency;
+        this.averageChunkLength = chunks.length > 0 ? totalLength / chunks.length : 0;
+        this.documentCount = indexed;
+        this.indexedAt = new Date().toISOString();
+
+        logger.info(`Knowledge base indexed: ${indexed} documents, ${chunks.length} chunks`);
+        return this.getStats();
+    }
+
+    /**
+     * @param {string} file - Path of a supported document
+     * @returns {Promise<string>} Document text, PDFs are extracted locally with pdf-parse
+     */
+    async readDocument(file) {
+        if (path.extname(file).toLowerCase() !== '.pdf') {
+            return await fs.readFile(file, 'utf8');
+        }
+
+        const pdfParse = require('pdf-parse');
+        // pdf.js misplaces object offsets in some Node Buffers, a plain Uint8Array copy reads reliably
+        const result = await pdfParse(new Uint8Array(await fs.readFile(file)));
+        return result.text;
+    }
+
+    async listDocuments(dir) {
+        if (!(await fs.pathExists(dir))) {
+            logger.info(`Knowledge directory ${dir} not found, knowledge base is empty`);
+            return [];
+        }
+
+        const files = [];
+        const entries = await fs.readdir(dir, { withFileTypes: true });
+
+        for (const entry of entries) {
+            const fullPath = path.join(dir, entry.name);
+            if (entry.isDirectory()) {
+                files.push(...await this.listDocuments(fullPath));
+            } else if (SUPPORTED_EXTENSIONS.includes(path.extname(entry.name).toLowerCase())) {
+                files.push(fullPath);
+            }
+        }
+
+        return files.sort();
+    }
+
+    /**
+     * Split a document into paragraph-aligned chunks, remembering the nearest heading
+     * @param {string} content - Document text
+     * @param {string} source - Document path relative to the knowledge directory
+     * @returns {Array<object>} Chunks
+     */
+    chunkDocument(content, source) {
+        const chunks = [];
+        const paragraphs = content.split(/\n\s*\n/).map(p => p.trim()).filter(p => p.length > 0);
+        let heading = null;
+        let buffer = '';
+
+        const flush = () => {
+            if (buffer.trim().length === 0) return;
+            const text = buffer.trim();
+            chunks.push({
+                id: `${source}#${chunks.length + 1}`,
+                source,
+                heading,
+                text,
+                tokens: this.tokenize(`${heading || ''} ${text}`)
+            });
+            buffer = '';
+        };
+
+        for (const paragraph of paragraphs) {
+            const headingMatch = paragraph.match(/^#{1,6}\s+(.+)$/m);
+            if (headingMatch && paragraph.startsWith('#')) {
+                flush();
+                heading = headingMatch[1].trim();
+            }
+
+            if (buffer.length > 0 && buffer.length + paragraph.length > this.chunkSize) {
+                flush();
+            }
+
+            // Oversized paragraphs are hard-split so one chunk never exceeds chunkSize
+            for (let offset = 0; offset < paragraph.length; offset += this.chunkSize) {
+                buffer += (buffer ? '\n\n' : '') + paragraph.substring(offset, offset + this.chunkSize);
+                if (buffer.length >= this.chunkSize) {
+                    flush();
+                }
+            }
+        }
+
+        flush();
+        return chunks;
+    }
+
+    tokenize(text) {
+        return text
+            .toLowerCase()
+            .split(/[^\p{L}\p{N}]+/u)
+            .filter(token => token.length > 1 && !STOPWORDS.has(token));
+    }
+
+    /**
+     * Rank chunks against a query with BM25
+     * @param {string} query - Customer message
+     * @param {number} limit - Maximum number of results
+     * @returns {Array<{chunk: object, score: number}>} Best matching chunks
+     */
+    search(query, limit = this.topK) {
+        const queryTerms = [...new Set(this.tokenize(query))];
+        if (queryTerms.length === 0 || this.chunks.length === 0) {
+            return [];
+        }
+
+        const totalChunks = this.chunks.length;
+        const results = [];
+
+        for (const chunk of this.chunks) {
+            let score = 0;
+
+            for (const term of queryTerms) {
+                const frequency = chunk.tokens.filter(token => token === term).length;
+                if (frequency === 0) continue;
+
+                const df = this.documentFrequency.get(term) || 0;
+                const idf = Math.log(1 + (totalChunks - df + 0.5) / (df + 0.5));
+                const lengthNorm = 1 - this.b + this.b * (chunk.tokens.length / (this.averageChunkLength || 1));
+                score += idf * (frequency * (this.k1 + 1)) / (frequency + this.k1 * lengthNorm);
+            }
+
+            if (score >= this.minScore) {
+                results.push({ chunk, score });
+            }
+        }
+
+        return results
+            .sort((a, b) => b.score - a.score)
+            .slice(0, limit);
+    }
+
+    /**
+     * Retrieve the most relevant chunks for a message, capped at maxContextChars
+     * @param {string} query - Customer message
+     * @returns {Promise<Array<object>>} Chunks to inject into the prompt
+     */
+    async retrieve(query) {
+        if (!this.indexedAt) {
+            await this.reindex();
+        }
+
+        const selected = [];
+        let usedChars = 0;
+
+        for (const { chunk, score } of this.search(query)) {
+            if (usedChars + chunk.text.length > this.maxContextChars) {
+                const remaining = this.maxContextChars - usedChars;
+                // Truncate only when a meaningful part of the chunk still fits
+                if (remaining < 200) break;
+                selected.push({ ...chunk, text: chunk.text.substring(0, remaining) + '…', score });
+                break;
+            }
+
+            selected.push({ ...chunk, score });
+            usedChars += chunk.text.length;
+        }
+
+        return selected;
+    }
+
+    /**
+     * Format retrieved chunks as a numbered reference list
+     * @param {Array<object>} chunks - Result of retrieve()
+     * @returns {string} Prompt section text
+     */
+    formatContext(chunks) {
+        return chunks.map((chunk, index) => {
+            const citation = chunk.heading ? `${chunk.source} — ${chunk.heading}` : chunk.source;
+            return `[${index + 1}] (sumber: ${citation})\n${chunk.text}`;
+        }).join('\n\n');
+    }
+
+    getStats() {
+        return {
+            dir: this.dir,
+            documents: this.documentCount,
+            chunks: this.chunks.length,
+            indexedAt: this.indexedAt
+        };
+    }
+}
+
+module.exports = KnowledgeBase;
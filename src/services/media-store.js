@@ -0,0 +1,154 @@
+const fs = require('fs-extra');
+const path = require('path');
+const logger = require('../utils/logger');
+const Helpers = require('../utils/helpers');
+const Encryption = require('../utils/encryption');
+
+// Known WhatsApp mimetypes, anything else keeps a generic extension
+const EXTENSIONS = {
+    'image/jpeg': 'jpg',
+    'image/png': 'png',
+    'image/webp': 'webp',
+    'image/gif': 'gif',
+    'application/pdf': 'pdf',
+    'application/vnd.openxmlformats-officedocument.wordprocessingml.document': 'docx',
+    'application/vnd.openxmlformats-officedocument.spreadsheetml.sheet': 'xlsx',
+    'text/csv': 'csv',
+    'text/plain': 'txt'
+};
+
+/**
+ * Media files received from customers
+ * Stored as <dir>/<phone>/<messageId>.<ext>; message records keep the path
+ * relative to the media directory, so the directory can be moved. With database
+ * encryption configured, files are encrypted with the same key; files written
+ * before that still read as plaintext.
+ */
+
+class MediaStore {
+    /**
+     * @param {object} options - { dir, encryption } where encryption is the database's Encryption or null
+     */
+    constructor(options = {}) {
+        this.dir = path.resolve(options.dir || './data/media');
+        this.encryption = options.encryption || null;
+    }
+
+    /**
+     * @param {string} phoneNumber - Customer JID
+     * @param {string} messageId - WhatsApp message id
+     * @param {Buffer} buffer - File content
+     * @param {string} mimetype - e.g. image/jpeg
+     * @returns {Promise<{path: string, mimetype: string, size: number}>} Reference for the message record
+     */
+    async save(phoneNumber, messageId, buffer, mimetype) {
+        const baseType = (mimetype || 'application/octet-stream').split(';')[0].trim();
+        const extension = EXTENSIONS[baseType] || 'bin';
+        const fileName = `${String(messageId || Date.now()).replace(/[^\w-]/g, '')}.${extension}`;
+        const relativePath = path.posix.join(this.getCustomerDir(phoneNumber), fileName);
+
+        await fs.ensureDir(path.join(this.dir, this.getCustomerDir(phoneNumber)));
+        await fs.writeFile(this.resolve(relativePath), this.encryption ? this.encryption.encrypt(buffer) : buffer);
+
+        return { path: relativePath, mimetype: baseType, size: buffer.length };
+    }
+
+    async read(relativePath) {
+        const content = await fs.readFile(this.resolve(relativePath));
+        if (!Encryption.isEncrypted(content)) {
+            return content;
+        }
+        if (!this.encryption) {
+            const error = new Error(`${relativePath} is encrypted, set DB_ENCRYPTION_KEY or DB_ENCRYPTION_KEY_FILE`);
+            error.code = 'ENCRYPTION_KEY_MISSING';
+            throw error;
+        }
+        return this.encryption.decryptBuffer(content);
+    }
+
+    /**
+     * @returns {Promise<string[]>} Absolute paths of all stored files (used by rotate-key)
+     */
+    async listFiles() {
+        if (!(await fs.pathExists(this.dir))) {
+            return [];
+        }
+
+        const files = [];
+        for (const customer of await fs.readdir(this.dir)) {
+            const customerDir = path.join(this.dir, customer);
+            if (!(await fs.stat(customerDir)).isDirectory()) continue;
+
+            for (const file of await fs.readdir(customerDir)) {
+                files.push(path.join(customerDir, file));
+            }
+        }
+        return files;
+    }
+
+    getCustomerDir(phoneNumber) {
+        return Helpers.extractPhoneNumber(phoneNumber).replace(/\D/g, '');
+    }
+
+    // Paths come from the database, never let one point outside the media directory
+    resolve(relativePath) {
+        const fullPath = path.resolve(this.dir, relativePath);
+        if (!fullPath.startsWith(this.dir + path.sep)) {
+            throw new Error(`Media path outside the media directory: ${relativePath}`);
+        }
+        return fullPath;
+    }
+
+    /**
+     * @returns {Promise<number>} Number of files removed
+     */
+    async removeCustomer(phoneNumber) {
+        const customerDir = path.join(this.dir, this.getCustomerDir(phoneNumber));
+        if (!(await fs.pathExists(customerDir))) {
+            return 0;
+        }
+
+        const count = (await fs.readdir(customerDir)).length;
+        await fs.remove(customerDir);
+        return count;
+    }
+
+    /**
+     * Remove files older than the message retention (see the db_cleanup job)
+     * @returns {Promise<number>} Number of files removed
+     */
+    async cleanup(daysToKeep = 30) {
+        if (!(await fs.pathExists(this.dir))) {
+            return 0;
+        }
+
+        const cutoffDate = new Date();
+        cutoffDate.setDate(cutoffDate.getDate() - daysToKeep);
+        let removed = 0;
+
+        for (const customer of await fs.readdir(this.dir)) {
+            const customerDir = path.join(this.dir, customer);
+            if (!(await fs.stat(customerDir)).isDirectory()) continue;
+
+            const files = await fs.readdir(customerDir);
+            for (const file of files) {
+                const filePath = path.join(customerDir, file);
+                if ((await fs.stat(filePath)).mtime < cutoffDate) {
+                    await fs.remove(filePath);
+                    removed++;
+                }
+            }
+
+            if ((await fs.readdir(customerDir)).length === 0) {
+                await fs.remove(customerDir);
+            }
+        }
+
+        if (removed > 0) {
+            logger.info(`Removed ${removed} media file(s) older than ${daysToKeep} days`);
+        }
+        return removed;
+    }
+}
+
+module.exports = MediaStore;
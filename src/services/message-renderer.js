@@ -0,0 +1,171 @@
+// WhatsApp shows at most three reply buttons, longer choices become a list
+const MAX_BUTTONS = 3;
+
+/**
+ * Rich outbound messages
+ * Commands and the AI service may return a response object instead of a string:
+ *
+ *   { text, footer,
+ *     buttons: [{ id, text }],
+ *     list: { title, buttonText, sections: [{ title, rows: [{ id, title, description }] }] },
+ *     image: { url | data, caption }, document: { url | data, fileName, mimetype },
+ *     location: { latitude, longitude, name, address } }
+ *
+ * Button and row ids are commands ("/language en"), so a selection is processed
+ * like the typed command. Without interactive support the options are sent as a
+ * numbered text menu; the bot maps a numeric reply back to the option's id.
+ */
+
+class MessageRenderer {
+    /**
+     * @param {object} options - { interactive }
+     */
+    constructor(options = {}) {
+        this.interactive = options.interactive === true;
+    }
+
+    /**
+     * @param {string|object} response - Text or rich response
+     * @returns {object} Rich response with at least a text field
+     */
+    static normalize(response) {
+        return typeof response === 'string' ? { text: response } : { text: '', ...response };
+    }
+
+    /**
+     * Plain text of a response, for the database and logs
+     */
+    static toText(response) {
+        return MessageRenderer.normalize(response).text;
+    }
+
+    /**
+     * Buttons and list rows in display order
+     * @returns {Array<{id: string, title: string, description: string|null}>} Selectable options
+     */
+    static getOptions(response) {
+        const { buttons = [], list = null } = MessageRenderer.normalize(response);
+        const options = buttons.map(button => ({ id: button.id, title: button.text, description: null }));
+        (list?.sections || []).forEach(section => {
+            section.rows.forEach(row => options.push({ id: row.id, title: row.title, description: row.description || null }));
+        });
+        return options;
+    }
+
+    /**
+     * Render a response to Baileys message contents, sent in order
+     * @param {string|object} response - Text or rich response
+     * @param {object} options - { replyHint } appended to text menus
+     * @returns {{contents: object[], choices: string[], fallback: object|null}} Contents, option ids in menu
+     *          order and the text menu to send when an interactive message is rejected
+     */
+    render(response, options = {}) {
+        const message = MessageRenderer.normalize(response);
+        const choices = MessageRenderer.getOptions(message);
+        const contents = [];
+        let text = message.text;
+
+        // Without options the text rides along as the caption of the first attachment
+        const media = message.image || message.document;
+        if (media) {
+            const caption = media.caption || (choices.length === 0 ? text : '');
+            if (caption === text) {
+                text = '';
+            }
+            contents.push(message.image ?
+                { image: this.getSource(message.image), caption } :
+                {
+                    document: this.getSource(message.document),
+                    fileName: message.document.fileName || 'document',
+                    mimetype: message.document.mimetype || 'application/octet-stream',
+                    caption
+                });
+        }
+
+        let fallback = null;
+        if (choices.length > 0) {
+            const textMenu = { text: this.renderTextMenu(text, choices, message.footer, options.replyHint) };
+            if (this.interactive) {
+                contents.push(this.renderInteractive(message, text, choices));
+                fallback = textMenu;
+            } else {
+                contents.push(textMenu);
+            }
+        } else if (text) {
+            contents.push({ text: message.footer ? `${text}\n\n_${message.footer}_` : text });
+        }
+
+        if (message.location) {
+            contents.push({
+                location: {
+                    degreesLatitude: message.location.latitude,
+                    degreesLongitude: message.location.longitude,
+                    name: message.location.name || null,
+                    address: message.location.address || null
+                }
+            });
+        }
+
+        return { contents, choices: choices.map(choice => choice.id), fallback };
+    }
+
+    renderInteractive(message, text, choices) {
+        if (message.buttons?.length > 0 && !message.list && choices.length <= MAX_BUTTONS) {
+            return {
+                text,
+                footer: message.footer || '',
+                buttons: message.buttons.map(button => ({
+                    buttonId: button.id,
+                    buttonText: { displayText: button.text },
+                    type: 1
+                })),
+                headerType: 1
+            };
+        }
+
+        // A list to begin with, or buttons that don't fit (then every option becomes a row)
+        const sections = message.list && !(message.buttons?.length > 0) ?
+            message.list.sections :
+            [{ title: '', rows: choices }];
+
+        return {
+            text,
+            footer: message.footer || '',
+            title: message.list?.title || '',
+            buttonText: message.list?.buttonText || 'Menu',
+            sections: sections.map(section => ({
+                title: section.title || '',
+                rows: section.rows.map(row => ({
+                    title: row.title,
+                    rowId: row.id,
+                    description: row.description || ''
+                }))
+            }))
+        };
+    }
+
+    // "1. Bahasa Indonesia (/language id)", commands stay visible so they can be typed
+    renderTextMenu(text, choices, footer, replyHint) {
+        const lines = choices.map((choice, index) => {
+            let line = `${index + 1}. ${choice.title}`;
+            if (choice.description) {
+                line += ` - ${choice.description}`;
+            } else if (choice.id !== choice.title && choice.id.startsWith('/')) {
+                line += ` (${choice.id})`;
+            }
+            return line;
+        });
+
+        return [text, lines.join('\n'), replyHint, footer ? `_${footer}_` : '']
+            .filter(part => part)
+            .join('\n\n');
+    }
+
+    getSource(media) {
+        return media.data || { url: media.url };
+    }
+}
+
+MessageRenderer.MAX_BUTTONS = MAX_BUTTONS;
+
+module.exports = MessageRenderer;
@@ -0,0 +1,149 @@
+const fs = require('fs-extra');
+const logger = require('../utils/logger');
+
+/**
+ * Deterministic offline AI provider
+ * Replies come from a fixture file of rules instead of a live API, so the full
+ * message pipeline can run in CI or on a machine without network access.
+ */
+
+class MockProvider {
+    constructor(options = {}) {
+        this.fixtureFile = options.fixtureFile || './config/mock-responses.json';
+        this.latencyMs = options.latencyMs || 0;
+        this.errorEvery = options.errorEvery || 0;
+        this.fixture = null;
+        this.callCount = 0;
+    }
+
+    async loadFixture() {
+        if (this.fixture) {
+            return this.fixture;
+        }
+
+        try {
+            if (await fs.pathExists(this.fixtureFile)) {
+                this.fixture = await fs.readJson(this.fixtureFile);
+                logger.info(`Mock AI fixture loaded from ${this.fixtureFile}`);
+                return this.fixture;
+            }
+        } catch (error) {
+            logger.warn(`Could not load mock fixture from ${this.fixtureFile}:`, error.message);
+        }
+
+        // Echo the message back when no fixture is available
+        this.fixture = {
+            defaultResponse: 'Mock response to: {message}',
+            rules: []
+        };
+        return this.fixture;
+    }
+
+    /**
+     * Generate a reply from the same chat messages the OpenAI/Claude paths send
+     * @param {Array<{role: string, content: string}>} messages - System prompt, history and current message
+     * @returns {Promise<string>} Scripted reply
+     */
+    async generate(messages) {
+        const fixture = await this.loadFixture();
+        this.callCount++;
+
+        const systemPrompt = messages.find(m => m.role === 'system')?.content || '';
+        const conversation = messages.filter(m => m.role !== 'system').map(m => ({ ...m, content: this.getText(m.content) }));
+        const currentMessage = conversation.length > 0 ? conversation[conversation.length - 1].content : '';
+        const history = conversation.slice(0, -1);
+        const lastContent = messages[messages.length - 1]?.content;
+        const imageCount = Array.isArray(lastContent) ? lastContent.filter(part => part.type === 'image_url').length : 0;
+
+        const rule = this.findRule(fixture.rules || [], currentMessage, systemPrompt);
+
+        await this.simulateLatency(rule?.latencyMs ?? this.latencyMs);
+
+        if (this.errorEvery > 0 && this.callCount % this.errorEvery === 0) {
+            throw new Error(`Simulated mock provider failure (call ${this.callCount})`);
+        }
+
+        if (rule?.error) {
+            const error = new Error(rule.error);
+            if (rule.status) error.status = rule.status;
+            throw error;
+        }
+
+        const template = this.pickResponse(rule, fixture.defaultResponse, history);
+
+        return this.renderTemplate(template, {
+            message: currentMessage,
+            historyCount: history.length,
+            lastUserMessage: [...history].reverse().find(m => m.role === 'user')?.content || '',
+            rule: rule?.name || 'default',
+            imageCount
+        });
+    }
+
+    // Image messages arrive as OpenAI-style content parts
+    getText(content) {
+        if (!Array.isArray(content)) {
+            return content;
+        }
+        return content.filter(part => part.type === 'text').map(part => part.text).join('\n');
+    }
+
+    findRule(rules, message, systemPrompt) {
+        const lowerMessage = message.toLowerCase();
+
+        return rules.find(rule => {
+            if (rule.systemPromptIncludes && !systemPrompt.includes(rule.systemPromptIncludes)) {
+                return false;
+            }
+
+            if (rule.match) {
+                const keywords = Array.isArray(rule.match) ? rule.match : [rule.match];
+                if (!keywords.some(keyword => lowerMessage.includes(keyword.toLowerCase()))) {
+                    return false;
+                }
+            }
+
+            if (rule.pattern && !new RegExp(rule.pattern, 'i').test(message)) {
+                return false;
+            }
+
+            return true;
+        }) || null;
+    }
+
+    pickResponse(rule, defaultResponse, history) {
+        if (!rule) {
+            return defaultResponse || 'Mock response to: {message}';
+        }
+
+        // Rotate through scripted replies by conversation length so multi-turn
+        // scripts stay deterministic
+        if (Array.isArray(rule.responses) && rule.responses.length > 0) {
+            const userTurns = history.filter(m => m.role === 'user').length;
+            return rule.responses[userTurns % rule.responses.length];
+        }
+
+        return rule.response || defaultResponse || '';
+    }
+
+    renderTemplate(template, values) {
+        let text = template;
+        for (const [key, value] of Object.entries(values)) {
+            text = text.replace(new RegExp(`{${key}}`, 'g'), value);
+        }
+        return text;
+    }
+
+    async simulateLatency(ms) {
+        if (ms > 0) {
+            await new Promise(resolve => setTimeout(resolve, ms));
+        }
+    }
+
+    reset() {
+        this.callCount = 0;
+        this.fixture = null;
+    }
+}
+
+module.exports = MockProvider;
@@ -0,0 +1,187 @@
+const logger = require('../utils/logger');
+
+/**
+ * PII redaction
+ * Personal data in customer text is swapped for placeholders such as [EMAIL_1]
+ * before it reaches an AI provider or the log. A vault remembers which value
+ * each placeholder stands for, so the same value keeps its placeholder across
+ * history and the new message, and placeholders echoed by the provider are put
+ * back into the reply.
+ */
+
+// Checked in this order, earlier detectors win on overlapping text
+const DETECTORS = {
+    email: {
+        label: 'EMAIL',
+        pattern: /[A-Z0-9._%+-]+@[A-Z0-9-]+(?:\.[A-Z0-9-]+)*\.[A-Z]{2,}/gi
+    },
+    card: {
+        label: 'CARD',
+        pattern: /(?<![\d-])\d(?:[ -]?\d){12,18}(?![\d-])/g,
+        validate: value => isLuhnValid(digitsOf(value)),
+        // Replies never need the full number back
+        mask: value => `**** **** **** ${digitsOf(value).slice(-4)}`
+    },
+    nik: {
+        label: 'NIK',
+        pattern: /(?<!\d)\d{16}(?!\d)/g,
+        validate: isValidNik
+    },
+    bank_account: {
+        label: 'BANK_ACCOUNT',
+        // Only numbers announced as an account, a bare 10-16 digit number may be an order number
+        pattern: /\b(?:no\.?\s*rek|norek|rek(?:ening)?|account|acct|acc|bca|bni|bri|bsi|btn|mandiri|cimb|permata|danamon)\b[^\d\n]{0,25}(\d(?:[ -]?\d){9,15})(?!\d)/gi,
+        group: 1
+    },
+    phone: {
+        label: 'PHONE',
+        pattern: /(?<![\w+])(?:(?:\+62|62|0)[ -]?8\d{1,2}(?:[ -]?\d){6,9}|\+\d{1,3}(?:[ -]?\d){7,12})(?!\d)/g
+    }
+};
+
+// Only the last 4 characters stay readable
+function maskValue(value) {
+    return '*'.repeat(Math.max(value.length - 4, 4)) + value.slice(-4);
+}
+
+function digitsOf(value) {
+    return value.replace(/\D/g, '');
+}
+
+function isLuhnValid(digits) {
+    let sum = 0;
+    for (let i = 0; i < digits.length; i++) {
+        let digit = parseInt(digits[digits.length - 1 - i]);
+        if (i % 2 === 1) {
+            digit *= 2;
+            if (digit > 9) digit -= 9;
+        }
+        sum += digit;
+    }
+    return sum % 10 === 0;
+}
+
+// NIK: province (11-94), regency, district, birth date DDMMYY (day + 40 for women), sequence
+function isValidNik(value) {
+    const province = parseInt(value.slice(0, 2));
+    const day = parseInt(value.slice(6, 8));
+    const month = parseInt(value.slice(8, 10));
+
+    return province >= 11 && province <= 94 &&
+        ((day >= 1 && day <= 31) || (day >= 41 && day <= 71)) &&
+        month >= 1 && month <= 12;
+}
+
+class PiiRedactor {
+    /**
+     * @param {object} options - { enabled, detectors, patterns: [{ name, pattern, flags }] }
+     */
+    constructor(options = {}) {
+        this.enabled = options.enabled === true;
+
+        const names = options.detectors || Object.keys(DETECTORS);
+        names.filter(name => !DETECTORS[name]).forEach(name => {
+            logger.warn(`Unknown redaction detector: ${name}`);
+        });
+
+        this.detectors = Object.keys(DETECTORS)
+            .filter(name => names.includes(name))
+            .map(name => ({ name, ...DETECTORS[name] }));
+
+        (options.patterns || []).forEach(custom => {
+            try {
+                const flags = custom.flags || '';
+                this.detectors.push({
+                    name: custom.name,
+                    label: String(custom.name).toUpperCase().replace(/[^A-Z0-9]+/g, '_'),
+                    pattern: new RegExp(custom.pattern, flags.includes('g') ? flags : `${flags}g`)
+                });
+            } catch (error) {
+                logger.warn(`Skipping redaction pattern ${custom.name}: ${error.message}`);
+            }
+        });
+    }
+
+    /**
+     * @returns {Map<string, {value: string, detector: object}>} Placeholder -> original value
+     */
+    createVault() {
+        return new Map();
+    }
+
+    /**
+     * Replace personal data with placeholders
+     * @param {string} text - Customer text
+     * @param {Map} vault - Shared by every text of one provider request
+     * @returns {string} Redacted text (unchanged when redaction is disabled)
+     */
+    redact(text, vault = this.createVault()) {
+        if (!this.enabled || typeof text !== 'string' || text.length === 0) {
+            return text;
+        }
+
+        return this.detectors.reduce((current, detector) => {
+            detector.pattern.lastIndex = 0;
+            return current.replace(detector.pattern, (match, ...args) => {
+                const value = detector.group ? args[detector.group - 1] : match;
+                if (!value || (detector.validate && !detector.validate(value))) {
+                    return match;
+                }
+
+                const placeholder = this.getPlaceholder(value, detector, vault);
+                // Keep the words that announced the value ("rekening BCA ...")
+                return detector.group ? match.slice(0, match.lastIndexOf(value)) + placeholder : placeholder;
+            });
+        }, text);
+    }
+
+    getPlaceholder(value, detector, vault) {
+        let count = 0;
+        for (const [placeholder, entry] of vault) {
+            if (entry.detector.label !== detector.label) continue;
+            if (entry.value === value) {
+                return placeholder;
+            }
+            count++;
+        }
+
+        const placeholder = `[${detector.label}_${count + 1}]`;
+        vault.set(placeholder, { value, detector });
+        return placeholder;
+    }
+
+    /**
+     * Put the original values back into a provider reply (card numbers stay masked)
+     * @param {string} text - Provider output
+     * @param {Map} vault - Vault used to redact the request
+     * @param {object} options - { masked: true } masks every value, for replies others can read
+     * @returns {string} Reply for the customer
+     */
+    restore(text, vault, options = {}) {
+        if (!vault || vault.size === 0 || typeof text !== 'string') {
+            return text;
+        }
+
+        return text.replace(/\[[A-Z0-9_]+_\d+\]/g, placeholder => {
+            const entry = vault.get(placeholder);
+            if (!entry) {
+                return placeholder;
+            }
+            if (entry.detector.mask) {
+                return entry.detector.mask(entry.value);
+            }
+            return options.masked ? maskValue(entry.value) : entry.value;
+        });
+    }
+
+    /**
+     * @returns {string[]} Detector names that matched, for logging without the values
+     */
+    summarize(vault) {
+        return [...new Set([...vault.values()].map(entry => entry.detector.name))];
+    }
+}
+
+PiiRedactor.DETECTORS = Object.keys(DETECTORS);
+
+module.exports = PiiRedactor;
@@ -0,0 +1,278 @@
+const Helpers = require('../utils/helpers');
+
+// Section order is the order they appear in the final prompt
+const DEFAULT_SECTIONS = {
+    persona: { enabled: true, maxTokens: 400 },
+    company: { enabled: true, maxTokens: 300 },
+    userProfile: { enabled: true, maxTokens: 150 },
+    summary: { enabled: true, maxTokens: 300 },
+    workingHours: { enabled: true, maxTokens: 100 },
+    intent: { enabled: true, maxTokens: 250 },
+    department: { enabled: true, maxTokens: 250 },
+    knowledge: { enabled: true, maxTokens: 700 },
+    documents: { enabled: true, maxTokens: 1500 },
+    guidelines: { enabled: true, maxTokens: 200 }
+};
+
+// Sections that change from message to message
+const TURN_SECTIONS = ['summary', 'workingHours', 'intent', 'department', 'knowledge', 'documents'];
+
+// Intent -> key in customPrompts.contextualPrompts
+const INTENT_PROMPT_KEYS = {
+    pricing_inquiry: 'pricing',
+    technical_support: 'technical_support',
+    complaint: 'complaints',
+    product_inquiry: 'product_inquiry'
+};
+
+/**
+ * Composable system prompt pipeline
+ * Each section is rendered separately, can be switched off in
+ * custom-prompts.json (`promptSections`) and is cut to its own token budget.
+ */
+
+class PromptBuilder {
+    constructor(config, knowledgeBase = null) {
+        this.customPrompts = config.customPrompts || {};
+        this.companyInfo = config.companyInfo || {};
+        this.languages = config.languages || {};
+        this.defaultLanguage = config.language || 'id';
+        this.knowledgeBase = knowledgeBase;
+        this.redactionEnabled = config.redaction?.enabled === true;
+
+        const overrides = this.customPrompts.promptSections || {};
+        this.sections = {};
+        for (const name of Object.keys(DEFAULT_SECTIONS)) {
+            this.sections[name] = { ...DEFAULT_SECTIONS[name], ...overrides[name] };
+        }
+    }
+
+    /**
+     * Render every enabled section within its token budget
+     * @param {Object} user - User record
+     * @param {Object} context - { language, summary, intent, department, knowledge, document, documents, additionalInfo }
+     * @param {string[]} only - Restrict to these section names
+     * @returns {Array<{name: string, text: string, tokens: number, truncated: boolean}>} Rendered sections
+     */
+    buildSections(user, context = {}, only = null) {
+        const rendered = [];
+
+        for (const [name, settings] of Object.entries(this.sections)) {
+            if (!settings.enabled || (only && !only.includes(name))) continue;
+
+            const text = this.renderSection(name, user || {}, context, settings.maxTokens);
+            if (!text) continue;
+
+            const limited = Helpers.truncateToTokens(text, settings.maxTokens);
+            rendered.push({
+                name,
+                text: limited,
+                tokens: Helpers.estimateTokens(limited),
+                truncated: limited !== text
+            });
+        }
+
+        return rendered;
+    }
+
+    build(user, context = {}) {
+        return this.join(this.buildSections(user, context));
+    }
+
+    buildTurnContext(user, context = {}) {
+        return this.join(this.buildSections(user, context, TURN_SECTIONS));
+    }
+
+    join(sections) {
+        return sections.map(section => section.text).join('\n\n');
+    }
+
+    renderSection(name, user, context, maxTokens) {
+        switch (name) {
+            case 'persona':
+                return this.buildPersonaSection(context.language);
+            case 'company':
+                return this.buildCompanySection();
+            case 'userProfile':
+                return this.buildUserProfileSection(user, context);
+            case 'summary':
+                return context.summary ? `Ringkasan Percakapan Sebelumnya:\n${context.summary}` : '';
+            case 'workingHours':
+                return this.buildWorkingHoursSection();
+            case 'intent':
+                return this.buildIntentSection(context.intent);
+            case 'department':
+                return this.buildDepartmentSection(context.department);
+            case 'knowledge':
+                return this.buildKnowledgeSection(context.knowledge, maxTokens);
+            case 'documents':
+                return this.buildDocumentsSection(context.document, context.documents);
+            case 'guidelines':
+                return this.buildGuidelinesSection();
+            default:
+                return '';
+        }
+    }
+
+    buildPersonaSection(language) {
+        const languageData = this.languages[language] || this.languages[this.defaultLanguage];
+        return languageData?.systemPrompt || this.customPrompts.systemPrompt || '';
+    }
+
+    buildCompanySection() {
+        const company = this.companyInfo;
+        if (!company.name) {
+            return '';
+        }
+
+        let section = `Informasi Perusahaan:\n`;
+        section += `Nama: ${company.name}\n`;
+        section += `Deskripsi: ${company.description}\n`;
+        section += `Jam Kerja: ${company.workingHours}\n`;
+        section += `Kontak: Email: ${company.contact.email}, Phone: ${company.contact.phone}`;
+        if (company.contact.website) {
+            section += `\nWebsite: ${company.contact.website}`;
+        }
+        if (company.services && company.services.length > 0) {
+            section += `\nLayanan: ${company.services.map(service => service.name).join(', ')}`;
+        }
+        return section;
+    }
+
+    buildUserProfileSection(user, context) {
+        const lines = [];
+        if (user.name && user.name !== 'Unknown') {
+            lines.push(`Nama pelanggan: ${user.name}`);
+        }
+        if (context.language && this.languages[context.language]) {
+            lines.push(`Bahasa: ${this.languages[context.language].name}`);
+        }
+        if (user.messageCount) {
+            lines.push(`Jumlah pesan sebelumnya: ${user.messageCount}`);
+        }
+        if (user.createdAt) {
+            lines.push(`Pelanggan sejak: ${new Date(user.createdAt).toLocaleDateString('id-ID')}`);
+        }
+        if (context.additionalInfo) {
+            lines.push(`Informasi tambahan: ${context.additionalInfo}`);
+        }
+
+        return lines.length > 0 ? `Profil Pelanggan:\n${lines.join('\n')}` : '';
+    }
+
+    buildWorkingHoursSection() {
+        if (!this.companyInfo.workingHours) {
+            return '';
+        }
+
+        const isOpen = Helpers.isWithinWorkingHours(this.companyInfo.workingHours, this.companyInfo.timezone);
+        if (isOpen) {
+            return `Status Jam Kerja: Saat ini dalam jam kerja (${this.companyInfo.workingHours}). Tim manusia dapat dihubungi.`;
+        }
+
+        let section = `Status Jam Kerja: Saat ini di luar jam kerja (${this.companyInfo.workingHours}). ` +
+                      `Sampaikan bahwa tim akan menindaklanjuti pada jam kerja berikutnya.`;
+        if (this.companyInfo.emergencyContact) {
+            section += ` Untuk urusan mendesak: ${this.companyInfo.emergencyContact.phone}.`;
+        }
+        return section;
+    }
+
+    buildIntentSection(intent) {
+        if (!intent) {
+            return '';
+        }
+
+        const lines = [];
+        const promptKey = INTENT_PROMPT_KEYS[intent.intent];
+        const contextualPrompt = promptKey && this.customPrompts.contextualPrompts?.[promptKey];
+        if (contextualPrompt) {
+            lines.push(`Panduan Kontekstual: ${contextualPrompt}`);
+        }
+
+        const labels = { product: 'Produk', orderNumber: 'Nomor order', date: 'Tanggal', amount: 'Nominal' };
+        const entities = Object.entries(intent.entities || {})
+            .filter(([key, value]) => labels[key] && value !== null)
+            .map(([key, value]) => `${labels[key]}: ${value}`);
+        if (entities.length > 0) {
+            lines.push(`Data dari pesan pelanggan: ${entities.join(', ')}`);
+        }
+
+        return lines.join('\n');
+    }
+
+    buildDepartmentSection(departmentKey) {
+        const department = departmentKey && this.companyInfo.departments?.[departmentKey];
+        if (!department) {
+            return '';
+        }
+
+        let section = `Departemen Terkait: ${department.name}\n`;
+        if (department.description) {
+            section += `${department.description}\n`;
+        }
+        section += `Kontak ${department.name}: Email: ${department.email}, Phone: ${department.phone}\n`;
+        if (department.prompt) {
+            section += `Panduan: ${department.prompt}\n`;
+        }
+        section += `- Jika pelanggan perlu tindak lanjut, arahkan ke kontak ${department.name} di atas`;
+
+        return section;
+    }
+
+    buildKnowledgeSection(chunks, maxTokens) {
+        if (!this.knowledgeBase || !chunks || chunks.length === 0) {
+            return '';
+        }
+
+        const render = selected => `Referensi Basis Pengetahuan:\n` +
+            `${this.knowledgeBase.formatContext(selected)}\n\n` +
+            `Gunakan referensi di atas jika relevan dan sebutkan nomor sumbernya, misalnya [1]. ` +
+            `Jangan mengarang informasi yang tidak ada di referensi.`;
+
+        // Drop whole chunks rather than cutting a citation in half
+        let selected = chunks;
+        while (selected.length > 1 && Helpers.estimateTokens(render(selected)) > maxTokens) {
+            selected = selected.slice(0, -1);
+        }
+        return render(selected);
+    }
+
+    // Earlier documents as summaries, then the attached one in full (cut at the budget)
+    buildDocumentsSection(document, earlier = []) {
+        if (!document && (!earlier || earlier.length === 0)) {
+            return '';
+        }
+
+        let section = `Dokumen dari Pelanggan:\n`;
+        if (earlier && earlier.length > 0) {
+            section += earlier.map(doc => `- ${doc.fileName}: ${doc.summary}`).join('\n') + '\n';
+        }
+        if (document) {
+            const pages = document.truncated ? `${document.pagesRead} dari ${document.pages} halaman` : `${document.pages} halaman`;
+            section += `\nDokumen terlampir pada pesan terakhir: ${document.fileName} (${pages})\n` +
+                       `Jawab pertanyaan pelanggan tentang dokumen ini berdasarkan isinya.\n` +
+                       `---\n${document.text}`;
+        }
+        return section.trim();
+    }
+
+    buildGuidelinesSection() {
+        let section = `Panduan Perilaku:\n` +
+               `- Gunakan bahasa yang sopan dan profesional sesuai bahasa pelanggan\n` +
+               `- Berikan jawaban yang membantu dan informatif\n` +
+               `- Jika tidak tahu jawaban, arahkan ke kontak yang tepat\n` +
+               `- Jangan memberikan informasi yang tidak akurat\n` +
+               `- Tanyakan klarifikasi jika pertanyaan tidak jelas`;
+        if (this.redactionEnabled) {
+            // Placeholders from PiiRedactor are restored after the reply comes back
+            section += `\n- Data pribadi pelanggan disamarkan, misalnya [EMAIL_1] atau [PHONE_1]. ` +
+                       `Tulis penanda tersebut persis apa adanya jika perlu menyebutnya`;
+        }
+        return section;
+    }
+}
+
+PromptBuilder.DEFAULT_SECTIONS = DEFAULT_SECTIONS;
+
+module.exports = PromptBuilder;
@@ -0,0 +1,151 @@
+const { execFile } = require('child_process');
+const { promisify } = require('util');
+const fs = require('fs-extra');
+const os = require('os');
+const path = require('path');
+const OpenAI = require('openai');
+const logger = require('../utils/logger');
+
+const execFileAsync = promisify(execFile);
+
+const SUPPORTED_BACKENDS = ['none', 'whisper-cpp', 'openai', 'mock'];
+
+/**
+ * Speech-to-text for voice notes
+ * Backends: whisper-cpp (local binary, audio converted with ffmpeg), openai
+ * (Whisper API or any OpenAI-compatible transcription endpoint) and mock, which
+ * reads the audio bytes as UTF-8 text so tests can script transcripts.
+ */
+
+class TranscriptionService {
+    /**
+     * @param {object} options - { backend, language, maxSeconds, timeoutMs, whisperCpp, openai }
+     */
+    constructor(options = {}) {
+        this.backend = (options.backend || 'none').toLowerCase();
+        this.language = options.language || null;
+        this.maxSeconds = options.maxSeconds || 120;
+        this.timeoutMs = options.timeoutMs || 60000;
+        this.whisperCpp = {
+            binary: 'whisper-cli',
+            ffmpeg: 'ffmpeg',
+            ...options.whisperCpp
+        };
+        this.openaiOptions = {
+            model: 'whisper-1',
+            ...options.openai
+        };
+
+        if (!SUPPORTED_BACKENDS.includes(this.backend)) {
+            logger.warn(`Unsupported transcription backend ${this.backend}, voice notes are disabled (supported: ${SUPPORTED_BACKENDS.join(', ')})`);
+            this.backend = 'none';
+        }
+
+        if (this.backend === 'openai' && !this.openaiOptions.apiKey && !this.openaiOptions.baseURL) {
+            logger.warn('Transcription backend openai needs TRANSCRIPTION_API_KEY or OPENAI_API_KEY, voice notes are disabled');
+            this.backend = 'none';
+        }
+
+        if (this.backend === 'openai') {
+            this.openai = new OpenAI({
+                // Self-hosted Whisper servers usually ignore the key, but the SDK requires one
+                apiKey: this.openaiOptions.apiKey || 'local',
+                baseURL: this.openaiOptions.baseURL || null,
+                timeout: this.timeoutMs
+            });
+        }
+    }
+
+    isEnabled() {
+        return this.backend !== 'none';
+    }
+
+    /**
+     * Whether a voice note is worth downloading at all
+     * @param {number} seconds - Duration reported by WhatsApp
+     */
+    accepts(seconds) {
+        return this.isEnabled() && (seconds || 0) <= this.maxSeconds;
+    }
+
+    /**
+     * @param {Buffer} audio - Voice note as downloaded from WhatsApp (usually ogg/opus)
+     * @param {object} options - { mimetype, language } language is used when none is configured
+     * @returns {Promise<{text: string, backend: string, latencyMs: number}>} Transcript
+     * @throws {Error} When the backend fails or hears nothing
+     */
+    async transcribe(audio, options = {}) {
+        const language = this.language || options.language || null;
+        const startedAt = Date.now();
+        let text;
+
+        switch (this.backend) {
+            case 'whisper-cpp':
+                text = await this.transcribeWithWhisperCpp(audio, language);
+                break;
+            case 'openai':
+                text = await this.transcribeWithOpenAI(audio, options.mimetype, language);
+                break;
+            case 'mock':
+                text = audio.toString('utf8');
+                break;
+            default:
+                throw new Error('Voice note transcription is disabled');
+        }
+
+        text = (text || '').replace(/\s+/g, ' ').trim();
+        if (!text) {
+            throw new Error('Transcript is empty');
+        }
+
+        return { text, backend: this.backend, latencyMs: Date.now() - startedAt };
+    }
+
+    async transcribeWithWhisperCpp(audio, language) {
+        if (!this.whisperCpp.model) {
+            throw new Error('WHISPER_CPP_MODEL is not set');
+        }
+
+        const workDir = await fs.mkdtemp(path.join(os.tmpdir(), 'voice-'));
+        try {
+            const input = path.join(workDir, 'input');
+            const wav = path.join(workDir, 'audio.wav');
+            await fs.writeFile(input, audio);
+
+            // whisper.cpp only reads 16 kHz mono WAV
+            await execFileAsync(this.whisperCpp.ffmpeg, ['-loglevel', 'error', '-i', input, '-ar', '16000', '-ac', '1', '-c:a', 'pcm_s16le', wav], {
+                timeout: this.timeoutMs
+            });
+
+            const { stdout } = await execFileAsync(this.whisperCpp.binary, [
+                '-m', this.whisperCpp.model,
+                '-f', wav,
+                '-l', language || 'auto',
+                '--no-timestamps',
+                '--no-prints'
+            ], { timeout: this.timeoutMs, maxBuffer: 1024 * 1024 });
+
+            return stdout;
+        } finally {
+            await fs.remove(workDir);
+        }
+    }
+
+    async transcribeWithOpenAI(audio, mimetype, language) {
+        // The API picks the decoder from the file name
+        const extension = (mimetype || 'audio/ogg').split(';')[0].split('/')[1] || 'ogg';
+        const file = await OpenAI.toFile(audio, `voice.${extension}`, { type: mimetype || 'audio/ogg' });
+
+        const result = await this.openai.audio.transcriptions.create({
+            file,
+            model: this.openaiOptions.model,
+            ...(language ? { language } : {})
+        });
+
+        return result.text;
+    }
+}
+
+TranscriptionService.SUPPORTED_BACKENDS = SUPPORTED_BACKENDS;
+
+module.exports = TranscriptionService;
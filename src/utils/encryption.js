@@ -0,0 +1,118 @@
+const crypto = require('crypto');
+const fs = require('fs-extra');
+
+const ALGORITHM = 'aes-256-gcm';
+// Encrypted payloads are JSON objects that start with this, so they are told apart without parsing
+const MARKER = `{"encrypted":"${ALGORITHM}"`;
+
+/**
+ * AES-256-GCM encryption for data at rest
+ * A payload is stored as { encrypted, keyId, iv, tag, data }. keyId is a short
+ * fingerprint of the key, so a wrong key is reported as such instead of as a
+ * corrupt file.
+ */
+
+class Encryption {
+    /**
+     * @param {Buffer|string} key - 32 bytes, or 64 hex characters / base64 of 32 bytes
+     */
+    constructor(key) {
+        this.key = Buffer.isBuffer(key) ? key : Encryption.parseKey(key);
+        if (this.key.length !== 32) {
+            throw new Error('Encryption key must be 32 bytes');
+        }
+        this.keyId = crypto.createHash('sha256').update(this.key).digest('hex').slice(0, 8);
+    }
+
+    static parseKey(value) {
+        const text = String(value).trim();
+        if (/^[0-9a-f]{64}$/i.test(text)) {
+            return Buffer.from(text, 'hex');
+        }
+
+        const decoded = Buffer.from(text, 'base64');
+        if (decoded.length !== 32) {
+            throw new Error('Encryption key must be 64 hex characters or base64 of 32 bytes (generate one with: node scripts/setup.js rotate-key)');
+        }
+        return decoded;
+    }
+
+    static generateKey() {
+        return crypto.randomBytes(32).toString('hex');
+    }
+
+    /**
+     * Key from DB_ENCRYPTION_KEY or DB_ENCRYPTION_KEY_FILE
+     * @param {object} options - { key, keyFile }
+     * @returns {Promise<Encryption|null>} Null when encryption is not configured
+     */
+    static async load(options = {}) {
+        if (options.key) {
+            return new Encryption(options.key);
+        }
+        if (options.keyFile) {
+            if (!(await fs.pathExists(options.keyFile))) {
+                throw new Error(`Encryption key file not found: ${options.keyFile}`);
+            }
+            return new Encryption(await fs.readFile(options.keyFile, 'utf8'));
+        }
+        return null;
+    }
+
+    /**
+     * @param {string|Buffer} content - File content, Buffers are checked for the marker as well
+     */
+    static isEncrypted(content) {
+        if (Buffer.isBuffer(content)) {
+            return content.subarray(0, MARKER.length).toString('utf8') === MARKER;
+        }
+        return typeof content === 'string' && content.startsWith(MARKER);
+    }
+
+    /**
+     * @param {string|Buffer} plaintext - Text, or binary content such as media files
+     * @returns {string} JSON payload
+     */
+    encrypt(plaintext) {
+        const iv = crypto.randomBytes(12);
+        const cipher = crypto.createCipheriv(ALGORITHM, this.key, iv);
+        const data = Buffer.concat([cipher.update(plaintext, 'utf8'), cipher.final()]);
+
+        return JSON.stringify({
+            encrypted: ALGORITHM,
+            keyId: this.keyId,
+            iv: iv.toString('base64'),
+            tag: cipher.getAuthTag().toString('base64'),
+            data: data.toString('base64')
+        });
+    }
+
+    /**
+     * @param {string} text - Payload written by encrypt()
+     * @returns {string} Plaintext
+     * @throws {Error} code ENCRYPTION_KEY_MISMATCH when another key was used, otherwise the payload is damaged
+     */
+    decrypt(text) {
+        return this.decryptBuffer(text).toString('utf8');
+    }
+
+    /**
+     * Like decrypt(), for payloads that hold binary content
+     * @param {string|Buffer} text - Payload written by encrypt()
+     * @returns {Buffer} Plaintext bytes
+     */
+    decryptBuffer(text) {
+        const payload = JSON.parse(text);
+        if (payload.keyId !== this.keyId) {
+            const error = new Error(`Data was encrypted with key ${payload.keyId}, the configured key is ${this.keyId}`);
+            error.code = 'ENCRYPTION_KEY_MISMATCH';
+            throw error;
+        }
+
+        const decipher = crypto.createDecipheriv(ALGORITHM, this.key, Buffer.from(payload.iv, 'base64'));
+        decipher.setAuthTag(Buffer.from(payload.tag, 'base64'));
+        return Buffer.concat([decipher.update(Buffer.from(payload.data, 'base64')), decipher.final()]);
+    }
+}
+
+module.exports = Encryption;
@@ -44,27 +44,118 @@ class Helpers {
      * Check if current time is within working hours
      * @param {string} workingHours - Working hours string (e.g., "Monday - Friday, 9 AM - 5 PM")
      * @param {string} timezone - Timezone (e.g., "Asia/Jakarta")
+     * @param {Date} date - Moment to check, defaults to now
      * @returns {boolean} True if within working hours
      */
-    static isWithinWorkingHours(workingHours = '', timezone = 'Asia/Jakarta') {
+    static isWithinWorkingHours(workingHours = '', timezone = 'Asia/Jakarta', date = new Date()) {
         try {
-            const now = new Date().toLocaleString('en-US', { timeZone: timezone });
+            const now = date.toLocaleString('en-US', { timeZone: timezone });
             const currentDate = new Date(now);
             const currentDay = currentDate.getDay(); // 0 = Sunday, 1 = Monday, etc.
-            const currentHour = currentDate.getHours();
+            const currentMinutes = currentDate.getHours() * 60 + currentDate.getMinutes();
             
-            // Simple check for Monday-Friday, 9 AM - 5 PM
-            // This can be enhanced to parse the workingHours string more intelligently
-            const isWeekday = currentDay >= 1 && currentDay <= 5;
-            const isWorkingHour = currentHour >= 9 && currentHour < 17;
+            // Defaults to Monday-Friday, 9 AM - 5 PM when the string can't be parsed
+            const schedule = Helpers.parseWorkingHours(workingHours) || { startDay: 1, endDay: 5, startMinutes: 9 * 60, endMinutes: 17 * 60 };
             
-            return isWeekday && isWorkingHour;
+            const isWorkingDay = day => schedule.startDay <= schedule.endDay ?
+                day >= schedule.startDay && day <= schedule.endDay :
+                day >= schedule.startDay || day <= schedule.endDay;
+            
+            if (schedule.startMinutes <= schedule.endMinutes) {
+                return isWorkingDay(currentDay) && currentMinutes >= schedule.startMinutes && currentMinutes < schedule.endMinutes;
+            }
+            
+            // Overnight hours (22:00 - 06:00): after midnight belongs to the previous day's shift
+            return (isWorkingDay(currentDay) && currentMinutes >= schedule.startMinutes) ||
+                (isWorkingDay((currentDay + 6) % 7) && currentMinutes < schedule.endMinutes);
         } catch (error) {
             logger.error('Error checking working hours:', error);
             return true; // Default to always available if error
         }
     }
 
+    /**
+     * Parse a working hours string such as "Senin - Jumat, 08:00 - 17:00 WIB"
+     * or "Monday - Friday, 9 AM - 5 PM"
+     * @param {string} workingHours - Working hours string
+     * @returns {Object|null} { startDay, endDay, startMinutes, endMinutes } or null
+     */
+    static parseWorkingHours(workingHours = '') {
+        const days = {
+            minggu: 0, sunday: 0, senin: 1, monday: 1, selasa: 2, tuesday: 2, rabu: 3, wednesday: 3,
+            kamis: 4, thursday: 4, jumat: 5, "jum'at": 5, friday: 5, sabtu: 6, saturday: 6
+        };
+        
+        const dayMatch = /([a-z']+)\s*-\s*([a-z']+)/i.exec(workingHours);
+        const timeMatch = /(\d{1,2})(?:[:.](\d{2}))?\s*(am|pm)?\s*-\s*(\d{1,2})(?:[:.](\d{2}))?\s*(am|pm)?/i.exec(workingHours);
+        if (!dayMatch || !timeMatch) return null;
+        
+        const startName = dayMatch[1].toLowerCase();
+        const endName = dayMatch[2].toLowerCase();
+        if (!(startName in days) || !(endName in days)) return null;
+        const startDay = days[startName];
+        const endDay = days[endName];
+        
+        const toMinutes = (hour, minute, meridiem) => {
+            let h = parseInt(hour);
+            if (meridiem) {
+                h = h % 12 + (meridiem.toLowerCase() === 'pm' ? 12 : 0);
+            }
+            return h * 60 + (parseInt(minute) || 0);
+        };
+        
+        return {
+            startDay,
+            endDay,
+            startMinutes: toMinutes(timeMatch[1], timeMatch[2], timeMatch[3]),
+            endMinutes: toMinutes(timeMatch[4], timeMatch[5], timeMatch[6])
+        };
+    }
+
+    /**
+     * Rough token estimate (about 4 characters per token), good enough for prompt budgets
+     * @param {string} text - Input text
+     * @returns {number} Estimated token count
+     */
+    static estimateTokens(text) {
+        return text ? Math.ceil(text.length / 4) : 0;
+    }
+
+    /**
+     * Cut text to a token budget, preferring a line or word boundary
+     * @param {string} text - Input text
+     * @param {number} maxTokens - Token budget
+     * @returns {string} Text within the budget
+     */
+    static truncateToTokens(text, maxTokens) {
+        if (!text || !maxTokens || Helpers.estimateTokens(text) <= maxTokens) {
+            return text || '';
+        }
+        
+        const maxChars = Math.max(maxTokens * 4 - 1, 0);
+        let cut = text.substring(0, maxChars);
+        const boundary = Math.max(cut.lastIndexOf('\n'), cut.lastIndexOf(' '));
+        if (boundary > maxChars * 0.6) {
+            cut = cut.substring(0, boundary);
+        }
+        return cut.trimEnd() + '…';
+    }
+
+    /**
+     * Case-insensitive pattern that matches a keyword or phrase only as whole words,
+     * so "parah" matches "parah banget" but not "Jl. Parahyangan"
+     * @param {string} keyword - Word or phrase, words may be separated by any whitespace
+     * @returns {RegExp} Word-bounded pattern
+     */
+    static keywordPattern(keyword) {
+        const phrase = keyword.trim();
+        const words = phrase.split(/\s+/).map(word => word.replace(/[.*+?^${}()|[\]\\]/g, '\\$&'));
+        // \b only holds next to a word character, keywords like "c++" keep their edge as is
+        const start = /^\w/.test(phrase) ? '\\b' : '';
+        const end = /\w$/.test(phrase) ? '\\b' : '';
+        return new RegExp(`${start}${words.join('\\s+')}${end}`, 'i');
+    }
+
     /**
      * Sanitize text for safe processing
      * @param {string} text - Input text
@@ -227,12 +318,30 @@ class Helpers {
         };
     }
 
+    /**
+     * Write a file so readers see either the old or the new content, never a partial write
+     * @param {string} filePath - Destination file
+     * @param {string|Buffer} content - File content
+     */
+    static async writeFileAtomic(filePath, content) {
+        const tempPath = `${filePath}.${process.pid}.tmp`;
+        const handle = await fs.promises.open(tempPath, 'w');
+        try {
+            await handle.writeFile(content);
+            await handle.sync();
+        } finally {
+            await handle.close();
+        }
+        await fs.rename(tempPath, filePath);
+    }
+
     /**
      * Create backup of important data
      * @param {string} dataPath - Path to data directory
+     * @param {string} fileName - Database file inside the data directory
      * @returns {Promise<string>} Backup file path
      */
-    static async createBackup(dataPath) {
+    static async createBackup(dataPath, fileName = 'database.json') {
         try {
             const timestamp = new Date().toISOString().replace(/[:.]/g, '-');
             const backupDir = path.join(dataPath, 'backups');
@@ -240,7 +349,7 @@ class Helpers {
             
             await fs.ensureDir(backupDir);
             
-            const databaseFile = path.join(dataPath, 'database.json');
+            const databaseFile = path.join(dataPath, fileName);
             if (await fs.pathExists(databaseFile)) {
                 await fs.copy(databaseFile, backupFile);
                 logger.info(`Backup created: ${backupFile}`);
@@ -268,7 +377,7 @@ class Helpers {
             cutoffDate.setDate(cutoffDate.getDate() - daysToKeep);
             
             for (const file of files) {
-                if (file.startsWith('backup_') && file.endsWith('.json')) {
+                if (file.startsWith('backup_') && /\.(json|sqlite)$/.test(file)) {
                     const filePath = path.join(backupDir, file);
                     const stats = await fs.stat(filePath);
                     
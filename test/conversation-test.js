@@ -0,0 +1,188 @@
+const assert = require('assert');
+const TestSuite = require('./test-suite');
+
+/**
+ * Conversation context tests
+ * Intent classification, the history window with its rolling summary, Gemini chat
+ * turns and session expiry
+ */
+
+class ConversationTest extends TestSuite {
+    constructor() {
+        super('Conversation Tests', 'conversation');
+    }
+
+    registerTests() {
+        return [
+            { name: 'Intent Classification', fn: () => this.testIntentClassification() },
+            { name: 'No Provider Call For FAQ & Canned Replies', fn: () => this.testCheapAnswers() },
+            { name: 'History Window & Summary', fn: () => this.testHistoryWindow() },
+            { name: 'Gemini Chat History', fn: () => this.testGeminiHistory() },
+            { name: 'Session Expiry', fn: () => this.testSessionExpiry() }
+        ];
+    }
+
+    async testIntentClassification() {
+        const AIService = require('../src/services/ai-service');
+        const aiService = new AIService(this.buildConfig());
+
+        // The fixture answers with low confidence here, so keywords take over
+        const result = await aiService.analyzeUserIntent('Invoice INV-2024-001 sebesar Rp 1.500.000 belum lunas');
+        assert.strictEqual(result.intent, 'billing_inquiry', 'Low-confidence results should fall back to keywords');
+        assert.strictEqual(result.source, 'keyword', 'Fallback should be marked as keyword');
+        assert.strictEqual(result.entities.orderNumber, 'INV-2024-001', 'Order number should be extracted');
+        assert.strictEqual(result.entities.amount, 1500000, 'Amount should be parsed to a number');
+
+        const context = aiService.buildTurnContext({ intent: await aiService.analyzeUserIntent('harga?') });
+        assert(context.includes(aiService.customPrompts.contextualPrompts.pricing), 'Pricing intent should apply the pricing prompt');
+    }
+
+    async testCheapAnswers() {
+        const path = require('path');
+        const bot = this.createBot({ faq: { enabled: true, file: path.join(this.projectRoot, 'config/faq.json'), threshold: 0.8 } });
+        const phoneNumber = '6281100000033@s.whatsapp.net';
+        const prompts = [];
+        const generate = bot.aiService.mock.generate.bind(bot.aiService.mock);
+        bot.aiService.mock.generate = messages => {
+            prompts.push(messages[0].content);
+            return generate(messages);
+        };
+
+        await bot.processMessage(phoneNumber, 'Saya mau tanya status pesanan', null);
+        assert(prompts.some(prompt => prompt.includes('intent classifier')), 'Messages for the provider should still be classified by it');
+
+        prompts.length = 0;
+        bot.sent.length = 0;
+        await bot.processMessage(phoneNumber, 'Terima kasih banyak', null);
+        assert.strictEqual(bot.sent[0].content.text, await bot.aiService.getLocalizedMessage(phoneNumber, 'gratitude'), 'Thanks should get the canned reply');
+        await bot.processMessage(phoneNumber, 'Jam kerja?', null);
+        assert(bot.sent[1].content.text.startsWith('Jam kerja kami'), 'FAQ questions should get the approved answer');
+        assert.deepStrictEqual(prompts, [], 'Neither should cost a provider call');
+
+        const history = await this.db.getConversationHistory(phoneNumber, 10);
+        const faqQuestion = history.find(message => message.content === 'Jam kerja?');
+        assert.strictEqual(faqQuestion.intentSource, 'keyword', 'FAQ hits should store the keyword classification');
+    }
+
+    async testHistoryWindow() {
+        const ConversationMemory = require('../src/services/conversation-memory');
+        const memory = new ConversationMemory({ maxTokens: 40 });
+        const history = [
+            { content: 'Nomor order saya INV-001, tolong dicek', isFromUser: true, timestamp: '2024-01-01T00:00:01.000Z' },
+            { content: 'Baik, pesanan INV-001 sedang diproses', isFromUser: false, timestamp: '2024-01-01T00:00:02.000Z' },
+            { content: 'Kapan dikirim?', isFromUser: true, timestamp: '2024-01-01T00:00:03.000Z' },
+            { content: 'Estimasi pengiriman 2-5 hari kerja', isFromUser: false, timestamp: '2024-01-01T00:00:04.000Z' }
+        ];
+
+        const window = memory.selectWindow(history, memory.getBudget('openai'));
+        assert(window.tokens <= 40, 'Window should respect the token budget');
+        assert(window.recent.length > 0 && window.recent[0].isFromUser, 'Window should start with a customer turn');
+        assert.strictEqual(window.recent.length + window.dropped.length, history.length, 'Every message is either kept or dropped');
+
+        const AIService = require('../src/services/ai-service');
+        const config = this.buildConfig();
+        config.history = { maxTokens: 60 };
+        const aiService = new AIService(config);
+        const phoneNumber = '6281100000004@s.whatsapp.net';
+
+        for (let i = 1; i <= 4; i++) {
+            await aiService.generateResponse(`Pertanyaan ke-${i} soal order INV-00${i} yang cukup panjang`, phoneNumber);
+        }
+        // Summaries are refreshed after the reply is returned
+        await Promise.all(aiService.summaryRefreshes.values());
+
+        const session = await this.db.getActiveSession(phoneNumber);
+        assert(session.summary && session.summary.text.startsWith('[mock]'), 'Older turns should be summarized on the session');
+        assert(session.summary.coveredUntil, 'Summary should record which messages it covers');
+    }
+
+    async testGeminiHistory() {
+        const AIService = require('../src/services/ai-service');
+        const aiService = new AIService(this.buildConfig());
+        const turn = (content, isFromUser) => ({ content, isFromUser });
+
+        const merged = aiService.buildGeminiHistory([
+            turn('Halo', true),
+            turn('Pesanan INV-001 belum sampai', true),
+            turn('Baik, kami cek dulu', false),
+            turn('Agent: sudah dikirim hari ini', false),
+            turn('Terima kasih', true)
+        ]);
+        assert.deepStrictEqual(merged.contents, [
+            { role: 'user', parts: [{ text: 'Halo' }, { text: 'Pesanan INV-001 belum sampai' }] },
+            { role: 'model', parts: [{ text: 'Baik, kami cek dulu' }, { text: 'Agent: sudah dikirim hari ini' }] }
+        ], 'Consecutive turns from the same side should be merged');
+        assert.strictEqual(merged.pendingText, 'Terima kasih', 'A trailing customer turn should be held back');
+
+        const leadingModel = aiService.buildGeminiHistory([turn('Selamat datang!', false), turn('Halo', true), turn('Ada yang bisa dibantu?', false)]);
+        assert.deepStrictEqual(leadingModel.contents.map(content => content.role), ['user', 'model'], 'History should start with a customer turn');
+        assert.strictEqual(leadingModel.pendingText, null);
+
+        const pending = aiService.buildGeminiHistory([turn('Halo', true), turn('Ada orang?', true)]);
+        assert.deepStrictEqual(pending.contents, [], 'Only customer turns leave no chat history');
+        assert.strictEqual(pending.pendingText, 'Halo\nAda orang?', 'Held back turns should be joined by lines');
+
+        assert.deepStrictEqual(aiService.buildGeminiHistory([]), { contents: [], pendingText: null });
+
+        // The held back text is sent together with the new message
+        let chatOptions = null;
+        let sentMessage = null;
+        aiService.models.gemini = 'gemini-pro';
+        aiService.gemini = {
+            getGenerativeModel: () => ({
+                startChat: options => {
+                    chatOptions = options;
+                    return {
+                        sendMessage: async message => {
+                            sentMessage = message;
+                            return { response: { text: () => ' Sudah kami cek. ' } };
+                        }
+                    };
+                }
+            })
+        };
+        const response = await aiService.generateGeminiResponse('Kapan sampai?', [
+            turn('Halo', true),
+            turn('Ada yang bisa dibantu?', false),
+            turn('Pesanan INV-001 belum sampai', true)
+        ], { phoneNumber: '6281100000034@s.whatsapp.net', name: 'Budi' }, {});
+
+        assert.strictEqual(response, 'Sudah kami cek.');
+        assert.strictEqual(sentMessage, 'Pesanan INV-001 belum sampai\n\nKapan sampai?');
+        assert.deepStrictEqual(chatOptions.history.map(content => content.role), ['user', 'model', 'user', 'model'],
+            'The prompt turns and the history should alternate and end with a model turn');
+    }
+
+    async testSessionExpiry() {
+        const AIService = require('../src/services/ai-service');
+        const aiService = new AIService(this.buildConfig());
+        const phoneNumber = '6281100000005@s.whatsapp.net';
+
+        await aiService.generateResponse('Nomor pesanan saya INV-123', phoneNumber);
+        const first = await this.db.getActiveSession(phoneNumber);
+
+        // Pretend the customer went quiet for longer than SESSION_TIMEOUT
+        await this.db.updateSession(first.id, { lastActivity: new Date(Date.now() - 2 * aiService.sessionTimeout).toISOString() });
+        const expired = await aiService.expireInactiveSessions();
+        assert(expired.some(session => session.id === first.id), 'Idle session should be expired');
+        assert.strictEqual((await this.db.getSession(first.id)).isActive, false, 'Expired session should be closed in the database');
+
+        // Session boundaries are millisecond timestamps, keep the new session clear of the last reply
+        await new Promise(resolve => setTimeout(resolve, 5));
+        const response = await aiService.generateResponse('Status pesanan?', phoneNumber);
+        const second = await this.db.getActiveSession(phoneNumber);
+        assert.notStrictEqual(second.id, first.id, 'Returning customer should get a new session');
+        assert(response.includes('0 pesan'), 'New session should start without the previous history');
+    }
+}
+
+// CLI interface
+if (require.main === module) {
+    const test = new ConversationTest();
+    test.runTests().catch(error => {
+        console.error('❌ Test runner failed:', error.message);
+        process.exit(1);
+    });
+}
+
+module.exports = ConversationTest;
@@ -0,0 +1,105 @@
+const assert = require('assert');
+const TestSuite = require('./test-suite');
+
+/**
+ * Data privacy tests
+ * Customer data export and erasure commands, and PII redaction around provider calls
+ */
+
+class DataPrivacyTest extends TestSuite {
+    constructor() {
+        super('Data Privacy Tests', 'privacy');
+    }
+
+    registerTests() {
+        return [
+            { name: 'Data Export & Erasure Commands', fn: () => this.testDataRequests() },
+            { name: 'PII Redaction', fn: () => this.testPiiRedaction() }
+        ];
+    }
+
+    async testDataRequests() {
+        const admin = '6281199999999@s.whatsapp.net';
+        const bot = this.createBot({ admin: { numbers: [admin] } });
+        const sent = bot.sent;
+
+        const customer = '6281100000013@s.whatsapp.net';
+        await bot.processMessage(customer, 'Saya mau tanya status pesanan', null);
+
+        sent.length = 0;
+        await bot.processMessage(customer, '/mydata', null);
+        const documents = sent.filter(message => message.content.document);
+        assert.deepStrictEqual(documents.map(message => message.content.mimetype), ['application/json', 'text/plain'], 'Customer should get JSON and TXT files');
+        assert(documents.every(message => message.jid === customer), 'Export should only go to the customer');
+        assert(documents[1].content.document.toString().includes('Saya mau tanya status pesanan'), 'Transcript should contain the conversation');
+        assert(!('text' in documents[0].content), 'Documents should not be sent as text messages');
+
+        sent.length = 0;
+        await bot.processMessage(customer, '/mydata', null);
+        assert(!sent.some(message => message.content.document), 'Repeated exports should be rate limited');
+
+        sent.length = 0;
+        await bot.processMessage(admin, '/admin export 6281100000013 txt', null);
+        assert.deepStrictEqual(sent.map(message => message.content.fileName), [`data-6281100000013-${new Date().toISOString().split('T')[0]}.txt`], 'Admin should get the requested format');
+
+        sent.length = 0;
+        await bot.processMessage(admin, '/admin forget 6281100000013', null);
+        assert(sent[0].content.text.includes('confirm'), 'Erasure should ask for confirmation first');
+        assert(await this.db.getUser(customer), 'Nothing should be erased without confirmation');
+
+        await bot.processMessage(admin, '/admin forget 6281100000013 confirm', null);
+        assert.strictEqual(await this.db.getUser(customer), null, 'Customer data should be erased');
+        const audit = await this.db.getAuditLog(10);
+        assert.deepStrictEqual(audit.slice(0, 3).map(entry => `${entry.action}:${entry.actor}`),
+            [`forget:${admin}`, `export:${admin}`, `export:${customer}`], 'Exports and erasures should be audited');
+    }
+
+    async testPiiRedaction() {
+        const PiiRedactor = require('../src/services/pii-redactor');
+        const redactor = new PiiRedactor({
+            enabled: true,
+            patterns: [{ name: 'policy_number', pattern: 'POL-\\d{8}', flags: 'i' }]
+        });
+        const vault = redactor.createVault();
+
+        const text = 'NIK 3174015501900003, email budi@example.com, hp 0812-3456-7890, ' +
+            'kartu 4111 1111 1111 1111, rekening BCA 1234567890, polis pol-12345678, order INV-2024-001';
+        const redacted = redactor.redact(text, vault);
+        assert.strictEqual(redacted, 'NIK [NIK_1], email [EMAIL_1], hp [PHONE_1], kartu [CARD_1], ' +
+            'rekening BCA [BANK_ACCOUNT_1], polis [POLICY_NUMBER_1], order INV-2024-001', 'Every detector should match');
+        assert.strictEqual(redactor.redact('Kirim ke budi@example.com ya', vault), 'Kirim ke [EMAIL_1] ya', 'Same value should keep its placeholder');
+        assert.strictEqual(redactor.redact('NIK 1234567890123456'), 'NIK 1234567890123456', 'Implausible NIKs should be left alone');
+        assert.strictEqual(redactor.restore('Email [EMAIL_1], kartu [CARD_1], [PHONE_9]', vault),
+            'Email budi@example.com, kartu **** **** **** 1111, [PHONE_9]', 'Replies should get values back with cards masked');
+        assert.strictEqual(new PiiRedactor({ enabled: false }).redact(text), text, 'Disabled redaction should change nothing');
+
+        const AIService = require('../src/services/ai-service');
+        const aiService = new AIService({ ...this.buildConfig(), redaction: { enabled: true } });
+        const prompts = [];
+        const generate = aiService.mock.generate.bind(aiService.mock);
+        aiService.mock.generate = messages => {
+            prompts.push(messages.filter(message => message.role !== 'system').map(message => message.content).join('\n'));
+            return generate(messages);
+        };
+
+        const phoneNumber = '6281100000006@s.whatsapp.net';
+        const response = await aiService.generateResponse('Tolong cek akun budi@example.com', phoneNumber);
+        assert(prompts.length > 0 && prompts.every(prompt => !prompt.includes('budi@example.com')), 'Providers should never see the email');
+        assert(prompts.some(prompt => prompt.includes('[EMAIL_1]')), 'Providers should see the placeholder');
+        assert(response.includes('budi@example.com') && !response.includes('[EMAIL_1]'), 'The echoed placeholder should be restored in the reply');
+
+        const history = await this.db.getConversationHistory(phoneNumber, 10);
+        assert.strictEqual(history[0].content, 'Tolong cek akun budi@example.com', 'The database keeps the original message');
+    }
+}
+
+// CLI interface
+if (require.main === module) {
+    const test = new DataPrivacyTest();
+    test.runTests().catch(error => {
+        console.error('❌ Test runner failed:', error.message);
+        process.exit(1);
+    });
+}
+
+module.exports = DataPrivacyTest;
@@ -0,0 +1,165 @@
+const assert = require('assert');
+const path = require('path');
+const fs = require('fs-extra');
+const TestSuite = require('./test-suite');
+
+/**
+ * FAQ tests
+ * Matcher scores and threshold, entry management and /admin faq. Approved answers
+ * are sent verbatim, so near misses must stay below the threshold.
+ */
+
+class FaqTest extends TestSuite {
+    constructor() {
+        super('FAQ Tests', 'faq');
+    }
+
+    registerTests() {
+        return [
+            { name: 'Scoring', fn: () => this.testScoring() },
+            { name: 'Matching & Threshold', fn: () => this.testMatching() },
+            { name: 'Entry Management', fn: () => this.testEntryManagement() },
+            { name: 'FAQ Answers In The Pipeline', fn: () => this.testPipeline() },
+            { name: 'Admin FAQ Commands', fn: () => this.testAdminCommands() }
+        ];
+    }
+
+    async writeFaq(name, entries) {
+        const file = path.join(this.tempDir, name);
+        await fs.outputJson(file, { entries });
+        return file;
+    }
+
+    get entries() {
+        return [
+            {
+                id: 'biaya-konsultasi',
+                questions: ['berapa biaya konsultasi', 'konsultasi bayar berapa'],
+                answer: 'Konsultasi awal gratis, konsultasi lanjutan Rp 500.000 per sesi.'
+            },
+            {
+                id: 'kebijakan-refund',
+                questions: ['bagaimana cara refund', 'apakah bisa refund'],
+                answer: 'Refund dapat diajukan maksimal 14 hari kalender setelah invoice diterbitkan.'
+            }
+        ];
+    }
+
+    async testScoring() {
+        const FaqService = require('../src/services/faq-service');
+        const faq = new FaqService();
+
+        assert.strictEqual(faq.normalize('  Berapa BIAYA, konsultasi?! '), 'berapa biaya konsultasi', 'Case and punctuation should be ignored');
+        assert.strictEqual(faq.score('berapa biaya konsultasi', 'berapa biaya konsultasi'), 1);
+        assert.strictEqual(faq.score('biaya konsultasi berapa', 'berapa biaya konsultasi'), 1, 'Word order should not matter');
+        assert(faq.score('berapa biaya konsultsi', 'berapa biaya konsultasi') > 0.9, 'Small typos should still score high');
+        assert(faq.score('berapa biaya pengiriman', 'berapa biaya konsultasi') < 0.7, 'A different subject should score low');
+        assert.strictEqual(faq.score('', 'berapa biaya konsultasi'), 0);
+    }
+
+    async testMatching() {
+        const FaqService = require('../src/services/faq-service');
+        const faq = new FaqService({ file: await this.writeFaq('match.json', this.entries) });
+
+        const exact = await faq.match('Berapa biaya konsultasi?');
+        assert.strictEqual(exact.entry.id, 'biaya-konsultasi', 'A known question should match');
+        assert.strictEqual(exact.score, 1);
+
+        assert.strictEqual(await faq.match('Konsultasi bayarnya berapa ya'), null, 'Extra words can push a message below the threshold');
+        assert.strictEqual((await faq.match('apakah bisa refnd')).entry.id, 'kebijakan-refund', 'Typos should match the closest variant');
+
+        // Shares most words with a question but asks something else
+        assert.strictEqual(await faq.match('bagaimana cara daftar'), null, 'Near misses should be rejected');
+        assert.strictEqual(await faq.match('berapa biaya pengiriman'), null, 'Near misses should be rejected');
+        assert.strictEqual(await faq.match('?!'), null, 'Messages without words should not match');
+
+        const lenient = new FaqService({ file: faq.file, threshold: 0.6 });
+        assert.strictEqual((await lenient.match('berapa biaya pengiriman')).entry.id, 'biaya-konsultasi', 'The threshold should be configurable');
+
+        const missing = new FaqService({ file: path.join(this.tempDir, 'missing.json') });
+        assert.deepStrictEqual(await missing.list(), [], 'A missing file should mean no entries');
+    }
+
+    async testEntryManagement() {
+        const FaqService = require('../src/services/faq-service');
+        const file = await this.writeFaq('manage.json', [
+            { id: 'faq-1', questions: ['a'], answer: 'A' },
+            { id: 'jam-kerja', questions: ['b'], answer: 'B' },
+            { id: 'faq-3', questions: ['c'], answer: 'C' }
+        ]);
+        const faq = new FaqService({ file });
+        await faq.load();
+
+        assert.strictEqual(faq.nextId(), 'faq-4', 'Ids should continue after the highest faq-<n>');
+
+        const entry = await faq.add('jam buka kantor', 'Senin - Jumat, 08:00 - 17:00 WIB');
+        assert.strictEqual(entry.id, 'faq-4');
+        assert.deepStrictEqual(entry.questions, ['jam buka kantor'], 'A single question should become a list');
+        assert.strictEqual((await fs.readJson(file)).entries.length, 4, 'Added entries should be saved');
+
+        assert.strictEqual(await faq.remove('faq-3'), true);
+        assert.strictEqual(await faq.remove('faq-3'), false, 'Unknown ids should not be removed');
+        assert.strictEqual(faq.nextId(), 'faq-5', 'Removed ids should not be reused while a higher one exists');
+
+        const reloaded = new FaqService({ file });
+        assert.deepStrictEqual((await reloaded.list()).map(item => item.id), ['faq-1', 'jam-kerja', 'faq-4'], 'Changes should survive a reload');
+
+        assert.strictEqual(new FaqService().nextId(), 'faq-1', 'The first id should be faq-1');
+    }
+
+    async testPipeline() {
+        const AIService = require('../src/services/ai-service');
+        const aiService = new AIService({
+            ...this.buildConfig(),
+            faq: { enabled: true, file: await this.writeFaq('pipeline.json', this.entries), threshold: 0.8 }
+        });
+        const phoneNumber = '6281100000017@s.whatsapp.net';
+
+        const response = await aiService.generateResponse('Berapa biaya konsultasi?', phoneNumber);
+        assert.strictEqual(response, this.entries[0].answer, 'The approved answer should be returned verbatim');
+
+        const history = await this.db.getConversationHistory(phoneNumber, 10);
+        assert.strictEqual(history[1].source, 'faq', 'The reply should be marked as an FAQ answer');
+        assert.strictEqual(history[1].faqId, 'biaya-konsultasi');
+
+        const other = await aiService.generateResponse('bagaimana cara daftar', phoneNumber);
+        assert(other.startsWith('[mock]'), 'Near misses should go to the provider');
+    }
+
+    async testAdminCommands() {
+        const file = await this.writeFaq('admin.json', this.entries);
+        const admin = '6281100000016@s.whatsapp.net';
+        const bot = this.createBot({ admin: { numbers: [admin] }, faq: { enabled: true, file, threshold: 0.8 } });
+        const reply = async command => {
+            bot.sent.length = 0;
+            await bot.processMessage(admin, command, null);
+            return bot.sent[0].content.text;
+        };
+
+        assert(/Usage/.test(await reply('/admin faq add jam buka kantor')), 'An entry without an answer should show the usage');
+
+        const added = await reply('/admin faq add jam buka kantor; kapan kantor buka | Senin - Jumat, 08:00 - 17:00 WIB');
+        assert(added.includes('*faq-1*') && added.includes('2 question variant(s)'), 'The new entry should be confirmed');
+        const saved = (await fs.readJson(file)).entries.find(entry => entry.id === 'faq-1');
+        assert.deepStrictEqual(saved.questions, ['jam buka kantor', 'kapan kantor buka']);
+        assert.strictEqual(saved.answer, 'Senin - Jumat, 08:00 - 17:00 WIB');
+
+        const list = await reply('/admin faq list');
+        assert(list.includes('FAQ Entries (3)') && list.includes('jam buka kantor / kapan kantor buka'), 'Entries should be listed');
+
+        assert.strictEqual(await reply('/admin faq remove faq-1'), '✅ FAQ entry faq-1 removed');
+        assert.strictEqual(await reply('/admin faq remove faq-1'), '❌ FAQ entry faq-1 not found');
+        assert.strictEqual(bot.aiService.faqService.entries.length, 2);
+    }
+}
+
+// CLI interface
+if (require.main === module) {
+    const test = new FaqTest();
+    test.runTests().catch(error => {
+        console.error('❌ Test runner failed:', error.message);
+        process.exit(1);
+    });
+}
+
+module.exports = FaqTest;
@@ -0,0 +1,174 @@
+const assert = require('assert');
+const TestSuite = require('./test-suite');
+
+/**
+ * Group chat tests
+ * Triggers, per-group settings, /admin groups and keeping the private chat out
+ * of group replies
+ */
+
+class GroupChatTest extends TestSuite {
+    constructor() {
+        super('Group Chat Tests', 'groups');
+    }
+
+    registerTests() {
+        return [
+            { name: 'Group Chats', fn: () => this.testGroups() },
+            { name: 'Private Chat Stays Private', fn: () => this.testPrivacy() },
+            { name: 'Handoffs From Groups', fn: () => this.testHandoffs() }
+        ];
+    }
+
+    async testGroups() {
+        const adminNumber = '6281100000012@s.whatsapp.net';
+        const bot = this.createBot({ admin: { numbers: ['6281100000012'] } });
+        const groupJid = '120363000000000011@g.us';
+        const participant = '6281100000011@s.whatsapp.net';
+        const incoming = (content, id, sender = participant) => this.incoming(groupJid, content, id, { participant: sender });
+        const mention = (text, id, sender) => incoming({
+            extendedTextMessage: { text: `@6281199990000 ${text}`, contextInfo: { mentionedJid: ['6281199990000@s.whatsapp.net'] } }
+        }, id, sender);
+        const messages = this.buildConfig().languages;
+
+        // Without a mention, reply or command the bot stays silent
+        await bot.handleIncomingMessages(incoming({ conversation: 'Halo semua, ada yang tahu jam buka kantor?' }, 'GROUP1'));
+        assert.strictEqual(bot.sent.length, 0, 'Ordinary group chatter should be ignored');
+        assert.strictEqual(await this.db.getGroup(groupJid), null, 'Groups are recorded when the bot is called');
+
+        // New groups are recorded disabled until an admin enables them
+        await bot.handleIncomingMessages(mention('jam buka kantor?', 'GROUP2'));
+        assert.strictEqual(bot.sent.length, 0, 'A disabled group should get no answer');
+        const recorded = await this.db.getGroup(groupJid);
+        assert.strictEqual(recorded.subject, 'Reseller Jakarta', 'The group name should be stored');
+        assert.strictEqual(recorded.enabled, false, 'New groups should start disabled');
+
+        await bot.handleIncomingMessages(incoming({ conversation: '/admin groups enable' }, 'GROUP3', adminNumber));
+        assert.strictEqual(bot.sent[0].jid, adminNumber, 'Admin replies should go to the private chat');
+        assert.strictEqual((await this.db.getGroup(groupJid)).enabled, true, 'The group the command is sent in should be enabled');
+
+        // A mention is answered in the group, quoting the question; the participant is the customer
+        bot.sent.length = 0;
+        await bot.handleIncomingMessages(mention('jam buka kantor?', 'GROUP4'));
+        assert.strictEqual(bot.sent.length, 1, 'A mention should be answered');
+        assert.strictEqual(bot.sent[0].jid, groupJid, 'The answer should go to the group');
+        assert.strictEqual(bot.sent[0].options.quoted.key.id, 'GROUP4', 'The answer should quote the question');
+        const history = await this.db.getConversationHistory(participant, 10);
+        const question = history.find(message => message.isFromUser);
+        assert.strictEqual(question.content, 'jam buka kantor?', 'The bot mention should be stripped');
+        assert.strictEqual(question.groupJid, groupJid, 'Messages should record the group');
+        assert.strictEqual(question.trigger, 'mention', 'Messages should record why the bot answered');
+
+        // Replying to one of the bot's messages counts as addressing it, also with LID based JIDs
+        bot.sent.length = 0;
+        await bot.handleIncomingMessages(incoming({
+            extendedTextMessage: { text: 'kalau hari Sabtu?', contextInfo: { participant: '99887766@lid', quotedMessage: { conversation: 'Senin - Jumat' } } }
+        }, 'GROUP5'));
+        assert.strictEqual(bot.sent[0].jid, groupJid, 'A reply to the bot should be answered');
+
+        // Only the allowed commands work in groups
+        bot.sent.length = 0;
+        await bot.handleIncomingMessages(incoming({ conversation: '/mydata' }, 'GROUP6'));
+        assert.strictEqual(bot.sent[0].jid, groupJid);
+        assert.strictEqual(bot.sent[0].content.text, messages.id.messages.groupCommandUnavailable, 'Other commands should be refused');
+
+        bot.sent.length = 0;
+        await bot.handleIncomingMessages(incoming({ conversation: '/info' }, 'GROUP7'));
+        assert(bot.sent[0].content.text.includes(this.buildConfig().companyInfo.name), 'Allowed commands should run in the group');
+
+        // Per-group settings from the admin's private chat, by list number
+        await bot.handleAdminCommand(adminNumber, '/admin groups commands /help,info 1');
+        await bot.handleAdminCommand(adminNumber, '/admin groups language en 1');
+        const settings = await bot.groupManager.getSettings(groupJid);
+        assert.deepStrictEqual(settings.allowedCommands, ['/help', '/info'], 'Allowed commands should be stored per group');
+        assert.strictEqual(settings.language, 'en', 'The reply language should be stored per group');
+        assert.strictEqual(bot.groupManager.isCommandAllowed(settings, '/language en'), false);
+    }
+
+    mention(groupJid, participant, text, id) {
+        return this.incoming(groupJid, {
+            extendedTextMessage: { text: `@6281199990000 ${text}`, contextInfo: { mentionedJid: ['6281199990000@s.whatsapp.net'] } }
+        }, id, { participant });
+    }
+
+    async testPrivacy() {
+        const bot = this.createBot({ redaction: { enabled: true }, bot: { ...this.buildConfig().bot, sendGoodbyeOnExpiry: true } });
+        const groupJid = '120363000000000037@g.us';
+        const customer = '6281100000037@s.whatsapp.net';
+        const groupOnly = '6281100000038@s.whatsapp.net';
+        await this.db.saveGroup(groupJid, { enabled: true, subject: 'Reseller Bandung' });
+
+        const prompts = [];
+        const generate = bot.aiService.mock.generate.bind(bot.aiService.mock);
+        bot.aiService.mock.generate = messages => {
+            prompts.push(JSON.stringify(messages));
+            return generate(messages);
+        };
+
+        // Personal data given in the private chat
+        await bot.processMessage(customer, 'Halo', null);
+        await bot.processMessage(customer, 'Invoice saya belum masuk, kirim ke budi.santoso@contoh.co.id ya', null);
+        const privateSession = await this.db.getActiveSession(customer);
+        assert(privateSession, 'The private chat should have a session');
+
+        // The same customer asks in the group, the reply echoes a placeholder
+        prompts.length = 0;
+        bot.sent.length = 0;
+        bot.aiService.mock.generate = messages => {
+            prompts.push(JSON.stringify(messages));
+            return 'Baik, kami kirim ke [EMAIL_1]';
+        };
+        await bot.handleIncomingMessages(this.mention(groupJid, customer, 'invoice saya dikirim ke mana? budi.s@contoh.co.id', 'PRIV1'));
+        assert.strictEqual(bot.sent[0].jid, groupJid);
+        assert(!prompts.some(prompt => prompt.includes('belum masuk')), 'The provider should not see the private chat');
+        assert.strictEqual(bot.sent[0].content.text, `Baik, kami kirim ke ${'*'.repeat(15)}o.id`, 'Values restored into a group reply should be masked');
+
+        const stored = (await this.db.getConversationHistory(customer, 10)).pop();
+        assert.strictEqual(stored.groupJid, groupJid, 'Group replies should record the group');
+        assert.strictEqual((await this.db.getActiveSession(customer)).lastActivity, privateSession.lastActivity, 'Group turns should not touch the private session');
+
+        // Group turns stay out of the private chat as well
+        prompts.length = 0;
+        bot.aiService.mock.generate = messages => {
+            prompts.push(JSON.stringify(messages));
+            return generate(messages);
+        };
+        await bot.processMessage(customer, 'Kapan invoice saya bisa dicek ulang?', null);
+        assert(prompts.length > 0 && !prompts.some(prompt => prompt.includes('dikirim ke mana')), 'The private chat should not see group turns');
+
+        // Group traffic creates no session, so the expiry job has nobody to say goodbye to
+        await bot.handleIncomingMessages(this.mention(groupJid, groupOnly, 'jam buka kantor?', 'PRIV2'));
+        await bot.handleIncomingMessages(this.mention(groupJid, groupOnly, 'berapa harga paket premium?', 'PRIV3'));
+        assert.strictEqual(await this.db.getActiveSession(groupOnly), null, 'Group messages should not create a session');
+        bot.sent.length = 0;
+        await bot.expireInactiveSessions();
+        assert(!bot.sent.some(message => message.jid === groupOnly), 'No goodbye for group-only customers');
+    }
+
+    async testHandoffs() {
+        const bot = this.createBot({ handoff: { agentNumbers: ['6281100000040'] } });
+        const groupJid = '120363000000000039@g.us';
+        const customer = '6281100000039@s.whatsapp.net';
+        await this.db.saveGroup(groupJid, { enabled: true, subject: 'Reseller Surabaya', allowedCommands: ['/help', '/agent'] });
+        const pointedToPrivate = bot.config.languages.id.messages.groupHandoffPrivate;
+
+        await bot.handleIncomingMessages(this.incoming(groupJid, { conversation: '/agent' }, 'AGENT1', { participant: customer }));
+        await bot.handleIncomingMessages(this.mention(groupJid, customer, 'jawaban bot ini tidak membantu sama sekali', 'AGENT2'));
+        assert.deepStrictEqual(bot.sent.map(message => [message.jid, message.content.text]), [
+            [groupJid, pointedToPrivate],
+            [groupJid, pointedToPrivate]
+        ], 'The group should be pointed to the private chat, nothing else is sent');
+        assert.strictEqual(await bot.handoffManager.getHandoff(customer), null, 'Group messages should not start a handoff');
+    }
+}
+
+// CLI interface
+if (require.main === module) {
+    const test = new GroupChatTest();
+    test.runTests().catch(error => {
+        console.error('❌ Test runner failed:', error.message);
+        process.exit(1);
+    });
+}
+
+module.exports = GroupChatTest;
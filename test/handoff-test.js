@@ -0,0 +1,176 @@
+const assert = require('assert');
+const TestSuite = require('./test-suite');
+
+/**
+ * Human agent handoff tests
+ * Starting a handoff, relaying messages both ways (including /to), takeover,
+ * release and frustration detection
+ */
+
+class HandoffTest extends TestSuite {
+    constructor() {
+        super('Handoff Tests', 'handoff');
+        this.agent = '6281100000020@s.whatsapp.net';
+        this.admin = '6281100000023@s.whatsapp.net';
+    }
+
+    registerTests() {
+        return [
+            { name: 'Frustration Detection', fn: () => this.testFrustrationDetection() },
+            { name: 'Customer Requests An Agent', fn: () => this.testCustomerRequest() },
+            { name: 'Relaying Messages', fn: () => this.testRelay() },
+            { name: 'Takeover & Release', fn: () => this.testTakeoverAndRelease() },
+            { name: 'No Agent Available', fn: () => this.testNoAgent() }
+        ];
+    }
+
+    createHandoffBot() {
+        return this.createBot({
+            admin: { numbers: [this.admin] },
+            handoff: { agentNumbers: ['6281100000020'] }
+        });
+    }
+
+    async testFrustrationDetection() {
+        const HandoffManager = require('../src/services/handoff-manager');
+        const handoff = new HandoffManager();
+
+        assert.strictEqual(handoff.detectFrustration('Jawabannya tidak membantu sama sekali'), true, 'Keywords should be detected');
+        assert.strictEqual(handoff.detectFrustration('I want to TALK TO A HUMAN'), true, 'Keywords should ignore case');
+        assert.strictEqual(handoff.detectFrustration('KENAPA PESANAN SAYA BELUM SAMPAI!!'), true, 'Shouting with repeated exclamation marks counts');
+        assert.strictEqual(handoff.detectFrustration('KENAPA PESANAN SAYA BELUM SAMPAI'), false, 'Capitals alone are not enough');
+        assert.strictEqual(handoff.detectFrustration('OK!!'), false, 'Short messages are not shouting');
+        assert.strictEqual(handoff.detectFrustration('Terima kasih, sangat membantu'), false);
+        assert.strictEqual(handoff.detectFrustration('Layanannya PARAH, sudah 3 hari'), true, 'Single-word keywords should match as words');
+        assert.strictEqual(handoff.detectFrustration('Mau bicara  dengan\nmanusia'), true, 'Phrases should allow any whitespace between words');
+
+        // Keywords inside longer words or names are not frustration
+        assert.strictEqual(handoff.detectFrustration('Alamat saya di Jl. Parahyangan no 5, Bandung'), false, 'Street names should not match "parah"');
+        assert.strictEqual(handoff.detectFrustration('Kirim ke Perumahan Bumi Parahyangan Blok C'), false);
+        assert.strictEqual(handoff.detectFrustration('Maaf, saya sedang kepayahan mengurus dokumennya'), false, '"kepayahan" should not match "payah"');
+        assert.strictEqual(handoff.detectFrustration('Aduh bodohnya saya lupa nomor invoice'), false, '"bodohnya" should not match "bodoh"');
+        assert.strictEqual(handoff.detectFrustration('Aplikasinya useless'), true);
+        assert.strictEqual(handoff.detectFrustration('Fitur uselessness report'), false);
+        assert.strictEqual(handoff.detectFrustration(null), false);
+
+        const custom = new HandoffManager({ frustrationKeywords: ['komplain'] });
+        assert.strictEqual(custom.detectFrustration('Saya mau komplain'), true, 'Custom keywords should be used');
+        assert.strictEqual(custom.detectFrustration('tidak membantu'), false, 'Custom keywords replace the defaults');
+        assert.strictEqual(custom.detectFrustration('Status komplainnya bagaimana?'), false, 'Custom keywords should match whole words too');
+        assert.strictEqual(new HandoffManager({ detectFrustration: false }).detectFrustration('tidak membantu'), false, 'Detection can be disabled');
+    }
+
+    async testCustomerRequest() {
+        const bot = this.createHandoffBot();
+        const customer = '6281100000021@s.whatsapp.net';
+
+        await bot.processMessage(customer, 'Saya mau tanya status pesanan', null);
+        bot.sent.length = 0;
+        await bot.processMessage(customer, '/agent', null);
+
+        const handoff = await bot.handoffManager.getHandoff(customer);
+        assert.strictEqual(handoff.agent, this.agent, 'The configured agent should get the chat');
+        assert.strictEqual(handoff.reason, 'customer');
+
+        const [notice, request] = bot.sent;
+        assert.strictEqual(notice.jid, customer, 'The customer should be told an agent takes over');
+        assert.strictEqual(request.jid, this.agent);
+        assert(request.content.text.includes('Handoff Request') && request.content.text.includes('Saya mau tanya status pesanan'),
+            'The agent should get the recent conversation');
+
+        // Asking again while an agent is in charge is relayed, not a new handoff
+        bot.sent.length = 0;
+        await bot.processMessage(customer, '/agent', null);
+        assert.deepStrictEqual(bot.sent.map(message => message.jid), [this.agent]);
+    }
+
+    async testRelay() {
+        const bot = this.createHandoffBot();
+        const first = '6281100000024@s.whatsapp.net';
+        const second = '6281100000025@s.whatsapp.net';
+
+        await bot.processMessage(first, '/agent', null);
+        // Frustrated customers are handed over without asking
+        await bot.processMessage(second, 'Jawaban bot ini tidak membantu', null);
+        assert.strictEqual((await bot.handoffManager.getHandoff(second)).reason, 'frustration', 'Frustration should start a handoff');
+        const secondHistory = await this.db.getConversationHistory(second, 10);
+        assert(secondHistory.some(message => message.content === 'Jawaban bot ini tidak membantu' && message.handoff), 'The trigger message should be stored');
+
+        // Customer -> agent: the AI stays silent
+        bot.sent.length = 0;
+        await bot.processMessage(first, 'Pesanan INV-001 belum sampai', null);
+        assert.strictEqual(bot.sent.length, 1, 'Only the agent should get a message');
+        assert.strictEqual(bot.sent[0].jid, this.agent);
+        assert(bot.sent[0].content.text.endsWith('(6281100000024):\nPesanan INV-001 belum sampai'), 'The agent should see who wrote');
+
+        // Agent -> customer: plain messages go to the most recently active chat
+        bot.sent.length = 0;
+        await bot.processMessage(this.agent, 'Baik, saya cek dulu', null);
+        assert.deepStrictEqual(bot.sent.map(message => [message.jid, message.content.text]), [[first, 'Baik, saya cek dulu']]);
+        const reply = (await this.db.getConversationHistory(first, 10)).pop();
+        assert.strictEqual(reply.source, 'agent', 'Agent replies should be stored as agent messages');
+        assert.strictEqual(reply.agent, this.agent);
+
+        // /to picks the chat explicitly
+        bot.sent.length = 0;
+        await bot.processMessage(this.agent, '/to 6281100000025 Mohon maaf atas kendalanya', null);
+        assert.deepStrictEqual(bot.sent.map(message => [message.jid, message.content.text]), [[second, 'Mohon maaf atas kendalanya']]);
+
+        bot.sent.length = 0;
+        await bot.processMessage(this.agent, '/to 6281100000099 Halo', null);
+        assert.deepStrictEqual(bot.sent.map(message => message.jid), [this.agent], 'Chats the agent does not handle should be refused');
+        assert(bot.sent[0].content.text.includes('not handling'));
+    }
+
+    async testTakeoverAndRelease() {
+        const bot = this.createHandoffBot();
+        const customer = '6281100000022@s.whatsapp.net';
+
+        await bot.processMessage(customer, 'Saya mau tanya status pesanan', null);
+        bot.sent.length = 0;
+        await bot.processMessage(this.admin, '/admin takeover 6281100000022', null);
+        assert.strictEqual((await bot.handoffManager.getHandoff(customer)).agent, this.admin, 'The admin should become the agent');
+        assert(bot.sent.some(message => message.jid === this.admin && message.content.text.includes('Handoff Request')));
+
+        bot.sent.length = 0;
+        await bot.processMessage(this.admin, '/admin takeover 6281100000022', null);
+        assert(bot.sent[0].content.text.includes('already handled'), 'A chat cannot be taken over twice');
+
+        bot.sent.length = 0;
+        await bot.processMessage(this.admin, '/admin release 6281100000022', null);
+        assert.strictEqual(await bot.handoffManager.getHandoff(customer), null, 'The chat should return to the AI');
+        assert.deepStrictEqual(bot.sent.map(message => [message.jid, message.content.text]), [
+            [customer, bot.config.languages.id.messages.handoffEnded],
+            [this.admin, '✅ 6281100000022 returned to the AI assistant']
+        ]);
+
+        bot.sent.length = 0;
+        await bot.processMessage(customer, 'Saya mau tanya status pesanan', null);
+        assert(bot.sent[0].content.text.startsWith('[mock]'), 'The AI should answer again after the release');
+
+        bot.sent.length = 0;
+        await bot.processMessage(this.admin, '/admin release 6281100000022', null);
+        assert(bot.sent[0].content.text.includes('No active handoff'));
+    }
+
+    async testNoAgent() {
+        const bot = this.createBot();
+        const customer = '6281100000026@s.whatsapp.net';
+
+        await bot.processMessage(customer, '/agent', null);
+        assert.strictEqual(await bot.handoffManager.getHandoff(customer), null, 'No handoff without agents');
+        assert.deepStrictEqual(bot.sent.map(message => message.jid), [customer], 'The customer should get the contact details instead');
+        assert.strictEqual(bot.sent[0].content.text, await bot.aiService.getEscalationMessage(customer));
+    }
+}
+
+// CLI interface
+if (require.main === module) {
+    const test = new HandoffTest();
+    test.runTests().catch(error => {
+        console.error('❌ Test runner failed:', error.message);
+        process.exit(1);
+    });
+}
+
+module.exports = HandoffTest;
@@ -0,0 +1,71 @@
+const assert = require('assert');
+const path = require('path');
+const fs = require('fs-extra');
+const TestSuite = require('./test-suite');
+
+/**
+ * Scheduled job tests
+ * Loads jobs like config/jobs.json does and runs them through JobScheduler
+ */
+
+class JobsTest extends TestSuite {
+    constructor() {
+        super('Scheduled Job Tests', 'jobs');
+    }
+
+    registerTests() {
+        return [
+            { name: 'Scheduled Jobs', fn: () => this.testScheduledJobs() }
+        ];
+    }
+
+    async testScheduledJobs() {
+        const bot = this.createBot({
+            database: { path: path.join(this.tempDir, 'database.json') },
+            jobs: {
+                enabled: true,
+                timezone: 'Asia/Jakarta',
+                jobs: [
+                    { name: 'backup', type: 'backup', schedule: '0 2 * * *', params: { daysToKeep: 7 } },
+                    { name: 'session-expiry', type: 'session_expiry', schedule: '* * * * *', params: {} },
+                    { name: 'cleanup', type: 'db_cleanup', schedule: '0 3 * * *', enabled: false, params: { daysToKeep: 30 } },
+                    { name: 'broken', type: 'backup', schedule: 'every night' },
+                    { name: 'unknown', type: 'reindex', schedule: '0 4 * * *' }
+                ]
+            }
+        });
+
+        bot.jobScheduler.start();
+        try {
+            const jobs = bot.jobScheduler.listJobs();
+            assert.deepStrictEqual(jobs.map(job => job.name), ['backup', 'session-expiry', 'cleanup'], 'Invalid cron and unknown types should be skipped');
+            assert.strictEqual(jobs.find(job => job.name === 'cleanup').paused, true, 'Disabled jobs should start paused');
+
+            const result = await bot.jobScheduler.runJob('backup');
+            assert(result.startsWith('created backup_'), 'Backup job should report the backup file');
+            assert((await fs.readdir(path.join(this.tempDir, 'backups'))).length === 1, 'Backup file should be written');
+
+            assert.strictEqual(await bot.jobScheduler.runJob('session-expiry'), 'nothing to do', 'Runs without work should say so');
+
+            bot.jobScheduler.pauseJob('backup');
+            const backup = bot.jobScheduler.listJobs().find(job => job.name === 'backup');
+            assert.strictEqual(backup.paused, true, 'Paused job should be marked paused');
+            assert.strictEqual(backup.lastStatus, 'success', 'Last run should be recorded');
+
+            await assert.rejects(bot.jobScheduler.runJob('missing'), /Job not found/);
+        } finally {
+            bot.jobScheduler.stop();
+        }
+    }
+}
+
+// CLI interface
+if (require.main === module) {
+    const test = new JobsTest();
+    test.runTests().catch(error => {
+        console.error('❌ Test runner failed:', error.message);
+        process.exit(1);
+    });
+}
+
+module.exports = JobsTest;
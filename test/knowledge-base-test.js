@@ -0,0 +1,177 @@
+const assert = require('assert');
+const path = require('path');
+const os = require('os');
+const fs = require('fs-extra');
+
+/**
+ * Knowledge base retrieval tests
+ * Indexes a temporary document folder and checks BM25 ranking, citations and the context cap
+ */
+
+class KnowledgeBaseTest {
+    constructor() {
+        this.tempDir = path.join(os.tmpdir(), `allonecustomerai-kb-${Date.now()}`);
+        this.passed = 0;
+        this.failed = 0;
+        this.tests = [];
+    }
+
+    async runTests() {
+        console.log('🧪 Running Knowledge Base Tests for AllOneCustomerAI');
+        console.log('====================================================\n');
+
+        await this.setup();
+        this.registerTests();
+
+        for (const test of this.tests) {
+            try {
+                console.log(`🔍 ${test.name}...`);
+                await test.fn();
+                console.log(`✅ ${test.name} - PASSED\n`);
+                this.passed++;
+            } catch (error) {
+                console.log(`❌ ${test.name} - FAILED`);
+                console.log(`   Error: ${error.message}\n`);
+                this.failed++;
+            }
+        }
+
+        await fs.remove(this.tempDir);
+        this.showResults();
+    }
+
+    async setup() {
+        await fs.outputFile(path.join(this.tempDir, 'kebijakan.md'),
+            '# Kebijakan\n\n## Refund\n\nRefund dapat diajukan maksimal 14 hari setelah invoice terbit.\n\n' +
+            '## Pengiriman\n\nPengiriman ke seluruh Indonesia memakan waktu 2-5 hari kerja.');
+        await fs.outputFile(path.join(this.tempDir, 'produk/harga.txt'),
+            'Paket Basic seharga Rp 500.000 per bulan. Paket Premium seharga Rp 1.500.000 per bulan.');
+        await fs.outputFile(path.join(this.tempDir, 'produk/garansi.pdf'),
+            this.buildPdf(['Garansi perangkat berlaku 12 bulan sejak tanggal pembelian.', 'Klaim garansi melalui service center resmi.']));
+        await fs.outputFile(path.join(this.tempDir, 'rusak.pdf'), 'binary');
+        await fs.outputFile(path.join(this.tempDir, 'logo.png'), 'binary');
+    }
+
+    /**
+     * Minimal one-page PDF with a line of text per entry
+     */
+    buildPdf(lines) {
+        const content = `BT /F1 12 Tf 72 720 Td 14 TL ${lines.map(line => `(${line}) '`).join(' ')} ET`;
+        const objects = [
+            '<< /Type /Catalog /Pages 2 0 R >>',
+            '<< /Type /Pages /Kids [3 0 R] /Count 1 >>',
+            '<< /Type /Page /Parent 2 0 R /MediaBox [0 0 612 792] /Contents 4 0 R /Resources << /Font << /F1 5 0 R >> >> >>',
+            `<< /Length ${content.length} >>\nstream\n${content}\nendstream`,
+            '<< /Type /Font /Subtype /Type1 /BaseFont /Helvetica >>'
+        ];
+
+        let pdf = '%PDF-1.4\n';
+        const offsets = objects.map((object, index) => {
+            const offset = pdf.length;
+            pdf += `${index + 1} 0 obj\n${object}\nendobj\n`;
+            return offset;
+        });
+        const xref = pdf.length;
+        pdf += `xref\n0 ${objects.length + 1}\n0000000000 65535 f \n`;
+        pdf += offsets.map(offset => `${String(offset).padStart(10, '0')} 00000 n \n`).join('');
+        pdf += `trailer\n<< /Size ${objects.length + 1} /Root 1 0 R >>\nstartxref\n${xref}\n%%EOF\n`;
+        return pdf;
+    }
+
+    registerTests() {
+        this.tests = [
+            { name: 'Indexing', fn: () => this.testIndexing() },
+            { name: 'PDF Documents', fn: () => this.testPdfDocuments() },
+            { name: 'Relevance Ranking', fn: () => this.testRanking() },
+            { name: 'Citations', fn: () => this.testCitations() },
+            { name: 'Context Cap', fn: () => this.testContextCap() },
+            { name: 'No Match', fn: () => this.testNoMatch() }
+        ];
+    }
+
+    async testIndexing() {
+        const KnowledgeBase = require('../src/services/knowledge-base');
+        const kb = new KnowledgeBase({ dir: this.tempDir });
+        const stats = await kb.reindex();
+
+        assert.strictEqual(stats.documents, 3, 'Markdown, text and PDF files should be indexed, unreadable ones skipped');
+        assert(stats.chunks >= 3, 'Documents should be split into chunks');
+    }
+
+    async testPdfDocuments() {
+        const KnowledgeBase = require('../src/services/knowledge-base');
+        const kb = new KnowledgeBase({ dir: this.tempDir });
+
+        const chunks = await kb.retrieve('berapa lama garansi perangkat?');
+        assert(chunks.length > 0, 'Warranty question should retrieve the PDF');
+        assert.strictEqual(chunks[0].source, 'produk/garansi.pdf', 'PDF chunks should cite the PDF file');
+        assert(chunks[0].text.includes('berlaku 12 bulan'), 'PDF text should be extracted');
+    }
+
+    async testRanking() {
+        const KnowledgeBase = require('../src/services/knowledge-base');
+        const kb = new KnowledgeBase({ dir: this.tempDir });
+
+        const refund = await kb.retrieve('Bagaimana cara refund invoice saya?');
+        assert(refund.length > 0, 'Refund question should retrieve a chunk');
+        assert(refund[0].text.includes('14 hari'), 'Refund chunk should rank first');
+
+        const pricing = await kb.retrieve('berapa harga paket premium');
+        assert.strictEqual(pricing[0].source, 'produk/harga.txt', 'Pricing question should hit the pricing document');
+    }
+
+    async testCitations() {
+        const KnowledgeBase = require('../src/services/knowledge-base');
+        const kb = new KnowledgeBase({ dir: this.tempDir });
+
+        const chunks = await kb.retrieve('pengiriman ke luar kota');
+        const context = kb.formatContext(chunks);
+        assert(context.startsWith('[1] (sumber: kebijakan.md'), 'Context should cite the source file');
+        assert(context.includes('Pengiriman'), 'Citation should include the section heading');
+    }
+
+    async testContextCap() {
+        const KnowledgeBase = require('../src/services/knowledge-base');
+        const kb = new KnowledgeBase({ dir: this.tempDir, maxContextChars: 100, topK: 5 });
+
+        const chunks = await kb.retrieve('refund pengiriman harga paket');
+        const totalChars = chunks.reduce((sum, chunk) => sum + chunk.text.length, 0);
+        assert(chunks.length >= 1, 'At least the best chunk should fit');
+        assert(totalChars <= 100, 'Injected context should respect maxContextChars');
+    }
+
+    async testNoMatch() {
+        const KnowledgeBase = require('../src/services/knowledge-base');
+        const kb = new KnowledgeBase({ dir: this.tempDir });
+
+        const chunks = await kb.retrieve('cuaca mendung sekarang');
+        assert.strictEqual(chunks.length, 0, 'Unrelated questions should not inject context');
+    }
+
+    showResults() {
+        console.log('📊 Test Results');
+        console.log('===============');
+        console.log(`✅ Passed: ${this.passed}`);
+        console.log(`❌ Failed: ${this.failed}`);
+        console.log(`📈 Total:  ${this.passed + this.failed}`);
+
+        if (this.failed === 0) {
+            console.log('\n🎉 All knowledge base tests passed!');
+            process.exit(0);
+        } else {
+            console.log('\n⚠️  Some tests failed. Please check the errors above.');
+            process.exit(1);
+        }
+    }
+}
+
+// CLI interface
+if (require.main === module) {
+    const knowledgeBaseTest = new KnowledgeBaseTest();
+    knowledgeBaseTest.runTests().catch(error => {
+        console.error('❌ Test runner failed:', error.message);
+        process.exit(1);
+    });
+}
+
+module.exports = KnowledgeBaseTest;
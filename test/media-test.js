@@ -0,0 +1,226 @@
+const assert = require('assert');
+const path = require('path');
+const fs = require('fs-extra');
+const TestSuite = require('./test-suite');
+
+/**
+ * Incoming media tests
+ * Voice notes, images and documents from download to the provider prompt, and
+ * media encryption at rest
+ */
+
+class MediaTest extends TestSuite {
+    constructor() {
+        super('Media Tests', 'media');
+    }
+
+    registerTests() {
+        return [
+            { name: 'Voice Note Transcription', fn: () => this.testVoiceNotes() },
+            { name: 'Image Messages', fn: () => this.testImages() },
+            { name: 'Document Attachments', fn: () => this.testDocuments() },
+            { name: 'Encrypted Media', fn: () => this.testEncryptedMedia() }
+        ];
+    }
+
+    async testVoiceNotes() {
+        const bot = this.createBot({ transcription: { backend: 'mock', maxSeconds: 60 } });
+        const sent = bot.sent;
+
+        // The mock backend reads the "audio" as the transcript
+        bot.downloadMedia = async message => Buffer.from(message.message.audioMessage.fakeAudio);
+
+        const phoneNumber = '6281100000007@s.whatsapp.net';
+        const voiceNote = (fakeAudio, seconds = 5) => ({
+            key: { remoteJid: phoneNumber, fromMe: false, id: `voice-${sent.length}` },
+            message: { audioMessage: { mimetype: 'audio/ogg; codecs=opus', seconds, ptt: true, fakeAudio } }
+        });
+
+        await bot.handleIncomingMessages({ messages: [voiceNote('Saya mau tanya status pesanan')] });
+        assert.strictEqual(sent.length, 1, 'The transcript should get one reply');
+        assert(sent[0].content.text.startsWith('[mock]'), 'The transcript should be answered by the provider');
+
+        const history = await this.db.getConversationHistory(phoneNumber, 10);
+        assert.strictEqual(history[0].type, 'audio', 'Voice notes should be stored as audio');
+        assert.strictEqual(history[0].content, 'Saya mau tanya status pesanan', 'The transcript should be stored');
+        assert.strictEqual(history[0].transcribedBy, 'mock', 'The backend should be recorded');
+
+        sent.length = 0;
+        await bot.handleIncomingMessages({ messages: [voiceNote('   ')] });
+        await bot.handleIncomingMessages({ messages: [voiceNote('Pesan yang terlalu panjang', 600)] });
+        const pleaseType = bot.config.languages.id.messages.voiceNoteFailed;
+        assert.deepStrictEqual(sent.map(message => message.content.text), [pleaseType, pleaseType], 'Failed and too long voice notes should ask the customer to type');
+        assert.strictEqual((await this.db.getConversationHistory(phoneNumber, 10)).length, 2, 'Failed voice notes should not be stored');
+    }
+
+    async testImages() {
+        const mediaDir = path.join(this.tempDir, 'media');
+        const bot = this.createBot({ media: { dir: mediaDir, imagesEnabled: true, maxImageBytes: 1024 } });
+        const sent = bot.sent;
+        const prompts = [];
+
+        bot.downloadMedia = async () => Buffer.from('fake-jpeg-bytes');
+        const generate = bot.aiService.mock.generate.bind(bot.aiService.mock);
+        bot.aiService.mock.generate = messages => {
+            prompts.push(messages[messages.length - 1].content);
+            return generate(messages);
+        };
+
+        const phoneNumber = '6281100000008@s.whatsapp.net';
+        const imageMessage = (caption, id) => ({
+            key: { remoteJid: phoneNumber, fromMe: false, id },
+            message: { imageMessage: { mimetype: 'image/jpeg', caption, width: 640, height: 480 } }
+        });
+
+        await bot.handleIncomingMessages({ messages: [imageMessage(null, 'IMG1')] });
+        assert.strictEqual(sent[0].content.text, '[mock] Saya menerima 1 gambar dari Anda.', 'The provider should get the image');
+        const parts = prompts[prompts.length - 1];
+        assert(Array.isArray(parts) && parts[1].image_url.url.startsWith('data:image/jpeg;base64,'), 'The image should be sent as an image part');
+
+        const history = await this.db.getConversationHistory(phoneNumber, 10);
+        assert.strictEqual(history[0].type, 'image', 'Image messages should be stored as images');
+        assert.strictEqual(history[0].media.path, '6281100000008/IMG1.jpg', 'The record should reference the stored file');
+        assert.strictEqual((await fs.readFile(path.join(mediaDir, history[0].media.path))).toString(), 'fake-jpeg-bytes', 'The image should be stored');
+
+        // Providers without vision get the caption and a note instead
+        bot.aiService.supportsVision = () => false;
+        await bot.handleIncomingMessages({ messages: [imageMessage('Aplikasi error terus', 'IMG2')] });
+        const fallback = prompts[prompts.length - 1];
+        assert(typeof fallback === 'string' && fallback.startsWith('Aplikasi error terus') && fallback.includes('tidak dapat Anda lihat'),
+            'Text-only providers should be told an image was sent');
+
+        const result = await bot.dataPrivacy.forgetCustomer(phoneNumber, 'admin');
+        assert.strictEqual(result.mediaFiles, 2, 'Erasure should remove the customer\'s media');
+        assert(!(await fs.pathExists(path.join(mediaDir, '6281100000008'))), 'The media folder should be gone');
+    }
+
+    async testDocuments() {
+        const ExcelJS = require('exceljs');
+        const bot = this.createBot({
+            ...this.buildConfig(),
+            media: { dir: path.join(this.tempDir, 'media') },
+            documents: { enabled: true, allowedTypes: ['xlsx', 'csv'], maxBytes: 20480, maxPages: 5 }
+        });
+        const sent = bot.sent;
+        const systemPrompts = [];
+        // Document summaries wait until the test lets them finish
+        let finishSummaries;
+        const summariesDone = new Promise(resolve => {
+            finishSummaries = resolve;
+        });
+
+        const generate = bot.aiService.mock.generate.bind(bot.aiService.mock);
+        bot.aiService.mock.generate = async messages => {
+            systemPrompts.push(messages[0].content);
+            if (messages[0].content.startsWith('Ringkas dokumen')) {
+                await summariesDone;
+            }
+            return generate(messages);
+        };
+
+        const workbook = new ExcelJS.Workbook();
+        const sheet = workbook.addWorksheet('Invoice');
+        sheet.addRow(['Nomor', 'INV-2024-118']);
+        sheet.addRow(['Item', 'Qty', 'Harga']);
+        sheet.addRow(['Lisensi ERP', 2, 1500000]);
+        sheet.addRow(['Total', '', { formula: 'C3*B3', result: 3000000 }]);
+        const files = { DOC1: await workbook.xlsx.writeBuffer() };
+        bot.downloadMedia = async message => Buffer.from(files[message.key.id]);
+
+        const phoneNumber = '6281100000009@s.whatsapp.net';
+        const documentMessage = (id, fileName, mimetype, fileLength, caption = null) => ({
+            key: { remoteJid: phoneNumber, fromMe: false, id },
+            message: caption ?
+                { documentWithCaptionMessage: { message: { documentMessage: { fileName, mimetype, fileLength, caption } } } } :
+                { documentMessage: { fileName, mimetype, fileLength } }
+        });
+
+        const xlsx = 'application/vnd.openxmlformats-officedocument.spreadsheetml.sheet';
+        await bot.handleIncomingMessages({ messages: [documentMessage('DOC1', 'invoice.xlsx', xlsx, files.DOC1.byteLength, 'Berapa total invoice ini?')] });
+        assert.strictEqual(sent.length, 1, 'The document should get one reply');
+        assert(sent[0].content.text.startsWith('[mock]'), 'The document should be answered by the provider');
+        const prompt = systemPrompts.find(text => text.includes('Dokumen terlampir'));
+        assert(prompt && prompt.includes('INV-2024-118') && prompt.includes('Total | | 3000000'), 'The provider should see the extracted text');
+
+        const history = await this.db.getConversationHistory(phoneNumber, 10);
+        assert.strictEqual(history[0].type, 'document', 'Documents should be stored as documents');
+        assert.strictEqual(history[0].content, 'Berapa total invoice ini?', 'The caption should be the message text');
+        assert.strictEqual(history[0].media.fileName, 'invoice.xlsx', 'The file name should be stored');
+        assert.strictEqual(history[0].media.mimetype, xlsx, 'The mime type should be stored');
+        assert(history[0].media.textLength > 0, 'The extracted text length should be stored');
+
+        const session = await this.db.getActiveSession(phoneNumber);
+        assert(!session.documents, 'The reply should not wait for the document summary');
+        finishSummaries();
+        await Promise.all(bot.aiService.documentSummaries.values());
+        const remembered = await this.db.getActiveSession(phoneNumber);
+        assert.strictEqual(remembered.documents[0].summary, '[mock] Ringkasan dokumen pelanggan.', 'A summary should be kept for follow-up questions');
+
+        // Documents summarized at the same time should all be kept
+        await Promise.all(['a.csv', 'b.csv'].map(fileName =>
+            bot.aiService.scheduleDocumentSummary(session, { fileName, type: 'csv', pages: 1, text: `isi ${fileName}` })));
+        assert.deepStrictEqual((await this.db.getActiveSession(phoneNumber)).documents.map(document => document.fileName),
+            ['invoice.xlsx', 'a.csv', 'b.csv'], 'Concurrent documents should not overwrite each other');
+
+        sent.length = 0;
+        await bot.handleIncomingMessages({ messages: [documentMessage('DOC2', 'kontrak.pdf', 'application/pdf', 1000)] });
+        await bot.handleIncomingMessages({ messages: [documentMessage('DOC3', 'data.csv', 'text/csv', 50000)] });
+        const messages = bot.config.languages.id.messages;
+        assert.deepStrictEqual(sent.map(message => message.content.text), [
+            messages.documentUnsupported.replace('{types}', 'XLSX, CSV'),
+            messages.documentTooLarge.replace('{maxSize}', '20 KB')
+        ], 'Rejected documents should get a localized reply');
+        assert.strictEqual((await this.db.getConversationHistory(phoneNumber, 10)).length, 2, 'Rejected documents should not be stored');
+    }
+
+    async testEncryptedMedia() {
+        const Encryption = require('../src/utils/encryption');
+        const MediaStore = require('../src/services/media-store');
+        const dir = path.join(this.tempDir, 'encrypted-media');
+        const encryption = new Encryption(Encryption.generateKey());
+        const store = new MediaStore({ dir, encryption });
+        const bytes = Buffer.from([0xff, 0xd8, 0xff, 0x00, 0x10, 0x80, 0x7f]);
+
+        const media = await store.save('6281100000035@s.whatsapp.net', 'ENC1', bytes, 'image/jpeg');
+        assert.strictEqual(media.size, bytes.length, 'The size should be the original size');
+        const raw = await fs.readFile(path.join(dir, media.path));
+        assert(Encryption.isEncrypted(raw) && !raw.includes(bytes), 'The file should be encrypted on disk');
+        assert.deepStrictEqual(await store.read(media.path), bytes, 'Binary content should survive encryption');
+
+        const plain = await new MediaStore({ dir }).save('6281100000035@s.whatsapp.net', 'PLAIN1', bytes, 'image/jpeg');
+        assert.deepStrictEqual(await store.read(plain.path), bytes, 'Files written before encryption should still read');
+        await assert.rejects(new MediaStore({ dir }).read(media.path), error => error.code === 'ENCRYPTION_KEY_MISSING');
+        await assert.rejects(new MediaStore({ dir, encryption: new Encryption(Encryption.generateKey()) }).read(media.path),
+            error => error.code === 'ENCRYPTION_KEY_MISMATCH');
+        assert.deepStrictEqual((await store.listFiles()).map(file => path.basename(file)).sort(), ['ENC1.jpg', 'PLAIN1.jpg'], 'rotate-key should find every file');
+
+        // The bot stores media and exports it through one store that uses the database key
+        const bot = this.createBot({ media: { dir, imagesEnabled: true } });
+        assert.strictEqual(bot.dataPrivacy.mediaStore, bot.mediaStore);
+        assert.strictEqual(bot.mediaStore.encryption, this.db.encryption);
+        bot.mediaStore.encryption = encryption;
+        bot.downloadMedia = async () => Buffer.from('fake-jpeg-bytes');
+
+        const phoneNumber = '6281100000036@s.whatsapp.net';
+        await bot.handleIncomingMessages({ messages: [{
+            key: { remoteJid: phoneNumber, fromMe: false, id: 'ENC2' },
+            message: { imageMessage: { mimetype: 'image/jpeg', width: 640, height: 480 } }
+        }] });
+        assert(Encryption.isEncrypted(await fs.readFile(path.join(dir, '6281100000036/ENC2.jpg'))), 'Received images should be encrypted');
+
+        const exported = await bot.dataPrivacy.exportCustomer(phoneNumber, phoneNumber, ['json']);
+        const image = exported.files.find(file => file.fileName === 'ENC2.jpg');
+        assert.strictEqual(image.buffer.toString(), 'fake-jpeg-bytes', 'Exports should contain the decrypted file');
+    }
+}
+
+// CLI interface
+if (require.main === module) {
+    const test = new MediaTest();
+    test.runTests().catch(error => {
+        console.error('❌ Test runner failed:', error.message);
+        process.exit(1);
+    });
+}
+
+module.exports = MediaTest;
@@ -0,0 +1,143 @@
+const assert = require('assert');
+const TestSuite = require('./test-suite');
+
+/**
+ * Offline pipeline tests using the mock AI provider
+ * Runs AIService.generateResponse and WhatsAppBot.processMessage without API keys or network
+ */
+
+class MockProviderTest extends TestSuite {
+    constructor() {
+        super('Mock Provider Tests', 'mock');
+    }
+
+    registerTests() {
+        return [
+            { name: 'Rule Matching', fn: () => this.testRuleMatching() },
+            { name: 'History-Based Replies', fn: () => this.testHistoryRotation() },
+            { name: 'Simulated Errors', fn: () => this.testSimulatedErrors() },
+            { name: 'Simulated Latency', fn: () => this.testSimulatedLatency() },
+            { name: 'AIService Pipeline', fn: () => this.testAIServicePipeline() },
+            { name: 'AIService Fallback On Error', fn: () => this.testAIServiceFallback() },
+            { name: 'WhatsAppBot processMessage', fn: () => this.testProcessMessage() }
+        ];
+    }
+
+    async testRuleMatching() {
+        const MockProvider = require('../src/services/mock-provider');
+        const mock = new MockProvider(this.buildConfig().ai.mock);
+
+        const pricing = await mock.generate([
+            { role: 'system', content: 'system' },
+            { role: 'user', content: 'Berapa harga layanan konsultasi?' }
+        ]);
+        assert(pricing.includes('informasi harga'), 'Pricing rule should match "harga"');
+
+        const fallback = await mock.generate([
+            { role: 'system', content: 'system' },
+            { role: 'user', content: 'xyz' }
+        ]);
+        assert(fallback.includes('"xyz"'), 'Default response should echo the message');
+
+        const english = await mock.generate([
+            { role: 'system', content: 'Always respond in English unless specifically requested otherwise.' },
+            { role: 'user', content: 'hello' }
+        ]);
+        assert(english.includes('How can I help'), 'System prompt condition should select the English rule');
+    }
+
+    async testHistoryRotation() {
+        const MockProvider = require('../src/services/mock-provider');
+        const mock = new MockProvider(this.buildConfig().ai.mock);
+
+        const first = await mock.generate([
+            { role: 'user', content: 'harga?' }
+        ]);
+        const second = await mock.generate([
+            { role: 'user', content: 'harga?' },
+            { role: 'assistant', content: first },
+            { role: 'user', content: 'harga paket premium?' }
+        ]);
+        assert.notStrictEqual(first, second, 'Scripted replies should advance with the conversation');
+
+        const order = await mock.generate([
+            { role: 'user', content: 'Nomor pesanan saya INV-001' },
+            { role: 'assistant', content: 'Baik' },
+            { role: 'user', content: 'Status pesanan?' }
+        ]);
+        assert(order.includes('2 pesan') && order.includes('INV-001'), 'History placeholders should be filled');
+    }
+
+    async testSimulatedErrors() {
+        const MockProvider = require('../src/services/mock-provider');
+        const mock = new MockProvider(this.buildConfig({ errorEvery: 2 }).ai.mock);
+
+        await assert.rejects(
+            () => mock.generate([{ role: 'user', content: '#mock-quota' }]),
+            error => error.status === 429,
+            'Quota rule should throw with status 429'
+        );
+        await assert.rejects(
+            () => mock.generate([{ role: 'user', content: 'halo' }]),
+            /Simulated mock provider failure/,
+            'Every second call should fail when errorEvery is 2'
+        );
+        await mock.generate([{ role: 'user', content: 'halo' }]);
+    }
+
+    async testSimulatedLatency() {
+        const MockProvider = require('../src/services/mock-provider');
+        const mock = new MockProvider(this.buildConfig({ latencyMs: 50 }).ai.mock);
+
+        const start = Date.now();
+        await mock.generate([{ role: 'user', content: 'halo' }]);
+        assert(Date.now() - start >= 45, 'Configured latency should delay the reply');
+    }
+
+    async testAIServicePipeline() {
+        const AIService = require('../src/services/ai-service');
+        const aiService = new AIService(this.buildConfig());
+        const phoneNumber = '6281100000001@s.whatsapp.net';
+
+        const response = await aiService.generateResponse('Berapa harga layanan Anda?', phoneNumber);
+        assert(response.startsWith('[mock]'), 'Response should come from the mock provider');
+
+        const history = await this.db.getConversationHistory(phoneNumber, 10);
+        assert.strictEqual(history.length, 2, 'User message and reply should be stored');
+        assert.strictEqual(history[1].provider, 'mock', 'Reply should record the provider that answered');
+        assert.strictEqual(history[0].intent, 'pricing_inquiry', 'User message should record its intent');
+        assert.strictEqual(history[0].intentSource, 'llm', 'Intent should come from the provider classification');
+    }
+
+    async testAIServiceFallback() {
+        const AIService = require('../src/services/ai-service');
+        const aiService = new AIService(this.buildConfig());
+        const phoneNumber = '6281100000002@s.whatsapp.net';
+
+        const response = await aiService.generateResponse('#mock-error', phoneNumber);
+        assert(!response.startsWith('[mock]'), 'Provider errors should produce the fallback message');
+    }
+
+    async testProcessMessage() {
+        const bot = this.createBot();
+        const sent = bot.sent;
+
+        const phoneNumber = '6281100000003@s.whatsapp.net';
+        await bot.processMessage(phoneNumber, 'Saya mau tanya status pesanan', null);
+
+        assert.strictEqual(sent.length, 1, 'Exactly one reply should be sent');
+        assert.strictEqual(sent[0].jid, phoneNumber, 'Reply should go back to the sender');
+        assert(sent[0].content.text.startsWith('[mock]'), 'Reply should come from the mock provider');
+    }
+}
+
+// CLI interface
+if (require.main === module) {
+    const test = new MockProviderTest();
+    test.runTests().catch(error => {
+        console.error('❌ Test runner failed:', error.message);
+        process.exit(1);
+    });
+}
+
+module.exports = MockProviderTest;
@@ -0,0 +1,228 @@
+const assert = require('assert');
+const TestSuite = require('./test-suite');
+
+/**
+ * Provider failover, circuit breaker and local provider tests
+ * The SDK clients are replaced with stubs, so no API keys or network are needed
+ */
+
+class ProviderTest extends TestSuite {
+    constructor() {
+        super('Provider Tests', 'providers');
+    }
+
+    registerTests() {
+        return [
+            { name: 'Provider Failover', fn: () => this.testProviderFailover() },
+            { name: 'Circuit Breaker', fn: () => this.testCircuitBreaker() },
+            { name: 'Local Provider Client', fn: () => this.testLocalClient() },
+            { name: 'Local Provider Config', fn: () => this.testLocalConfig() },
+            { name: 'Local Provider Request', fn: () => this.testLocalRequest() },
+            { name: 'Failover Provider Credentials', fn: () => this.testFailoverCredentials() }
+        ];
+    }
+
+    /**
+     * AIService with OpenAI as the primary and Claude as the failover provider
+     * The OpenAI stub fails until primary.answer() is called.
+     */
+    createFailoverService(circuitBreaker = {}) {
+        const AIService = require('../src/services/ai-service');
+        const config = this.buildConfig();
+        // Keyword intents, so every provider call is a reply
+        config.intent = { mode: 'keyword' };
+        config.ai = {
+            ...config.ai,
+            provider: 'openai',
+            providerChain: ['openai', 'claude'],
+            openai: { apiKey: 'test-key', model: 'gpt-test' },
+            claude: { apiKey: 'test-key', model: 'claude-test' },
+            circuitBreaker
+        };
+
+        const aiService = new AIService(config);
+        const primary = { calls: 0, down: true };
+        primary.answer = () => { primary.down = false; };
+        aiService.openai = {
+            chat: {
+                completions: {
+                    create: async () => {
+                        primary.calls++;
+                        if (primary.down) {
+                            throw new Error('503 Service Unavailable');
+                        }
+                        return { choices: [{ message: { content: 'Jawaban dari OpenAI' } }] };
+                    }
+                }
+            }
+        };
+        aiService.claude = {
+            messages: {
+                create: async () => ({ content: [{ text: 'Jawaban dari Claude' }] })
+            }
+        };
+        return { aiService, primary };
+    }
+
+    async testProviderFailover() {
+        const { aiService, primary } = this.createFailoverService();
+        const phoneNumber = '6281100000014@s.whatsapp.net';
+
+        const response = await aiService.generateResponse('Berapa harga layanan Anda?', phoneNumber);
+        assert.strictEqual(primary.calls, 1, 'The primary provider should be tried first');
+        assert.strictEqual(response, 'Jawaban dari Claude', 'The failover provider should answer');
+
+        const history = await this.db.getConversationHistory(phoneNumber, 10);
+        assert.strictEqual(history[1].provider, 'claude', 'The reply should record the failover provider');
+        const breaker = aiService.getCircuitBreaker('openai');
+        assert.strictEqual(breaker.state, 'closed', 'One failure should not open the circuit');
+        assert.strictEqual(breaker.failures, 1);
+    }
+
+    async testCircuitBreaker() {
+        const { aiService, primary } = this.createFailoverService({ failureThreshold: 2, resetTimeout: 50 });
+        const phoneNumber = '6281100000015@s.whatsapp.net';
+
+        // closed -> open after failureThreshold failures
+        await aiService.generateResponse('Halo, saya mau tanya', phoneNumber);
+        await aiService.generateResponse('Halo, saya mau tanya lagi', phoneNumber);
+        assert.strictEqual(aiService.getCircuitBreaker('openai').state, 'open', 'Repeated failures should open the circuit');
+
+        // open: the provider is skipped without a call
+        await aiService.generateResponse('Masih ada yang mau saya tanyakan', phoneNumber);
+        assert.strictEqual(primary.calls, 2, 'An open circuit should skip the provider');
+
+        // open -> half_open after resetTimeout, only one trial request at a time
+        await new Promise(resolve => setTimeout(resolve, 60));
+        assert.strictEqual(aiService.isProviderAvailable('openai'), true, 'The first request after the timeout is the trial');
+        assert.strictEqual(aiService.getCircuitBreaker('openai').state, 'half_open');
+        assert.strictEqual(aiService.isProviderAvailable('openai'), false, 'Concurrent requests should wait for the trial');
+
+        // A failed trial opens the circuit again
+        aiService.recordProviderFailure('openai', new Error('still down'));
+        assert.strictEqual(aiService.getCircuitBreaker('openai').state, 'open', 'A failed trial should reopen the circuit');
+
+        // half_open -> closed when the trial succeeds
+        await new Promise(resolve => setTimeout(resolve, 60));
+        primary.answer();
+        const response = await aiService.generateResponse('Berapa harga layanan Anda?', phoneNumber);
+        assert.strictEqual(primary.calls, 3, 'The trial should reach the provider');
+        assert.strictEqual(response, 'Jawaban dari OpenAI');
+        const breaker = aiService.getCircuitBreaker('openai');
+        assert.strictEqual(breaker.state, 'closed', 'A successful trial should close the circuit');
+        assert.strictEqual(breaker.failures, 0);
+
+        const history = await this.db.getConversationHistory(phoneNumber, 10);
+        assert.strictEqual(history[history.length - 1].provider, 'openai', 'The recovered provider should answer again');
+    }
+
+    createLocalService(local) {
+        const AIService = require('../src/services/ai-service');
+        const config = this.buildConfig();
+        config.intent = { mode: 'keyword' };
+        config.ai = { ...config.ai, provider: 'local', local };
+        return new AIService(config);
+    }
+
+    async testLocalClient() {
+        const aiService = this.createLocalService({ baseURL: 'http://localhost:11434/v1', model: 'llama3' });
+        assert.strictEqual(aiService.models.local, 'llama3');
+        assert.strictEqual(aiService.local.baseURL, 'http://localhost:11434/v1');
+        assert.strictEqual(aiService.local.apiKey, 'local', 'A placeholder key should be sent when none is set');
+
+        aiService.config.ai.local = { baseURL: 'http://localhost:11434/v1' };
+        assert.throws(() => aiService.initializeProviderClient('local'), /base URL and model are required/, 'A missing model should be rejected');
+
+        aiService.config.ai.local = { model: 'llama3' };
+        assert.throws(() => aiService.initializeProviderClient('local'), /base URL and model are required/, 'A missing base URL should be rejected');
+    }
+
+    async testLocalConfig() {
+        const defaults = await this.loadConfigWith({ AI_PROVIDER: 'local', LOCAL_AI_MODEL: 'llama3' });
+        assert.strictEqual(defaults.ai.provider, 'local');
+        assert.strictEqual(defaults.ai.local.model, 'llama3');
+        assert.strictEqual(defaults.ai.local.baseURL, 'http://localhost:11434/v1', 'Ollama should be the default endpoint');
+        assert(!defaults.ai.local.apiKey, 'The API key should be optional');
+
+        const custom = await this.loadConfigWith({
+            AI_PROVIDER: 'local',
+            LOCAL_AI_BASE_URL: 'http://10.0.0.5:8000/v1',
+            LOCAL_AI_API_KEY: 'secret',
+            LOCAL_AI_MODEL: 'qwen2'
+        });
+        assert.strictEqual(custom.ai.local.baseURL, 'http://10.0.0.5:8000/v1');
+        assert.strictEqual(custom.ai.local.apiKey, 'secret');
+        assert.strictEqual(custom.ai.local.model, 'qwen2');
+
+        await assert.rejects(() => this.loadConfigWith({ AI_PROVIDER: 'local' }), /LOCAL_AI_MODEL/, 'LOCAL_AI_MODEL should be required');
+    }
+
+    async testLocalRequest() {
+        const aiService = this.createLocalService({ baseURL: 'http://localhost:11434/v1', model: 'llama3' });
+        const requests = [];
+        aiService.local = {
+            chat: {
+                completions: {
+                    create: async params => {
+                        requests.push(params);
+                        return { choices: [{ message: { content: ' Halo dari server lokal ' } }] };
+                    }
+                }
+            }
+        };
+
+        const response = await aiService.generateResponse('Apa saja layanan Anda?', '6281100000016@s.whatsapp.net');
+        assert.strictEqual(response, 'Halo dari server lokal');
+        assert.strictEqual(requests.length, 1);
+        assert.deepStrictEqual(Object.keys(requests[0]).sort(), ['max_tokens', 'messages', 'model', 'temperature'],
+            'Only the standard parameters should be sent, no penalties');
+        assert.strictEqual(requests[0].model, 'llama3');
+        assert.strictEqual(requests[0].messages[requests[0].messages.length - 1].content, 'Apa saja layanan Anda?');
+    }
+
+    async testFailoverCredentials() {
+        const config = await this.loadConfigWith({ AI_PROVIDER: 'local', AI_PROVIDER_CHAIN: 'local,openai', LOCAL_AI_MODEL: 'llama3' });
+        assert.deepStrictEqual(config.ai.providerChain, ['local', 'openai'], 'A failover provider without credentials should not stop the bot');
+
+        await assert.rejects(() => this.loadConfigWith({ AI_PROVIDER: 'openai', AI_PROVIDER_CHAIN: 'openai,local', LOCAL_AI_MODEL: 'llama3' }),
+            /OPENAI_API_KEY/, 'The primary provider should still need its credentials');
+    }
+
+    /**
+     * Loads the config from a fresh config loader with only the given AI variables set
+     */
+    async loadConfigWith(env) {
+        const names = ['AI_PROVIDER', 'AI_PROVIDER_CHAIN', 'OPENAI_API_KEY', 'LOCAL_AI_BASE_URL', 'LOCAL_AI_API_KEY', 'LOCAL_AI_MODEL'];
+        const saved = {};
+        for (const name of names) {
+            saved[name] = process.env[name];
+            delete process.env[name];
+        }
+        Object.assign(process.env, env);
+
+        const loaderPath = require.resolve('../src/config/config-loader');
+        delete require.cache[loaderPath];
+        try {
+            return await require(loaderPath).loadConfig();
+        } finally {
+            delete require.cache[loaderPath];
+            for (const name of names) {
+                delete process.env[name];
+                if (typeof saved[name] === 'string') {
+                    process.env[name] = saved[name];
+                }
+            }
+        }
+    }
+}
+
+// CLI interface
+if (require.main === module) {
+    const test = new ProviderTest();
+    test.runTests().catch(error => {
+        console.error('❌ Test runner failed:', error.message);
+        process.exit(1);
+    });
+}
+
+module.exports = ProviderTest;
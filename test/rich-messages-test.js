@@ -0,0 +1,77 @@
+const assert = require('assert');
+const TestSuite = require('./test-suite');
+
+/**
+ * Rich message tests
+ * Buttons, lists, text menu fallback and menu selections
+ */
+
+class RichMessagesTest extends TestSuite {
+    constructor() {
+        super('Rich Message Tests', 'rich');
+    }
+
+    registerTests() {
+        return [
+            { name: 'Rich Messages & Menu Selections', fn: () => this.testRichMessages() }
+        ];
+    }
+
+    async testRichMessages() {
+        const createBot = richMessages => this.createBot({ richMessages });
+        const phoneNumber = '6281100000010@s.whatsapp.net';
+        const incoming = (content, id) => this.incoming(phoneNumber, content, id);
+        const messages = this.buildConfig().languages;
+
+        // Language preferences are stored on the user record
+        await this.db.createUser(phoneNumber);
+
+        // Text menus: numbered options, a numeric reply runs the option's command
+        const bot = createBot({ interactive: false });
+        await bot.handleIncomingMessages(incoming({ conversation: '/language' }, 'RICH1'));
+        const menu = bot.sent[0].content.text;
+        assert(menu.includes('1. Bahasa Indonesia (/language id)') && menu.includes('2. English (/language en)'), 'Options should be numbered');
+        assert(menu.includes(messages.id.messages.menuReplyHint), 'The menu should explain how to choose');
+
+        await bot.handleIncomingMessages(incoming({ conversation: '2' }, 'RICH2'));
+        assert.strictEqual(bot.sent[1].content.text, messages.en.messages.languageChanged, 'A numeric reply should select the option');
+        assert.strictEqual(bot.menuChoices.has(phoneNumber), false, 'Other replies should close the menu');
+
+        // Interactive: list rows and buttons carry commands as ids
+        const interactive = createBot({ interactive: true });
+        await interactive.handleIncomingMessages(incoming({ conversation: '/help' }, 'RICH3'));
+        const rows = interactive.sent[0].content.sections[0].rows;
+        assert(rows.some(row => row.rowId === '/info'), 'Help should be a list of commands');
+
+        interactive.sent.length = 0;
+        await interactive.handleIncomingMessages(incoming({ listResponseMessage: { singleSelectReply: { selectedRowId: '/info' } } }, 'RICH4'));
+        assert(interactive.sent[0].content.text.includes(this.buildConfig().companyInfo.name), 'The selected command should run');
+        assert.strictEqual(interactive.sent[1].content.location.degreesLatitude, this.buildConfig().companyInfo.location.latitude, 'Company info should include the location');
+
+        interactive.sent.length = 0;
+        await interactive.handleIncomingMessages(incoming({ buttonsResponseMessage: { selectedButtonId: '/language id' } }, 'RICH5'));
+        assert.strictEqual(interactive.sent[0].content.text, messages.id.messages.languageChanged, 'Button selections should run their command');
+
+        // Rejected interactive messages fall back to the text menu
+        interactive.sent.length = 0;
+        interactive.rejectInteractive = true;
+        await interactive.handleIncomingMessages(incoming({ conversation: '/language' }, 'RICH6'));
+        assert(interactive.sent[0].content.text.includes('2. English (/language en)'), 'A text menu should be sent instead');
+        assert.deepStrictEqual(interactive.menuChoices.get(phoneNumber).choices, ['/language id', '/language en'], 'The text menu should accept numbers');
+
+        const faq = interactive.aiService.buildFaqResponse({ answer: 'Kantor kami di Jakarta', location: { latitude: -6.2, longitude: 106.8 } });
+        const rendered = interactive.renderer.render(faq);
+        assert.deepStrictEqual(rendered.contents.map(content => Object.keys(content)[0]), ['text', 'location'], 'FAQ entries can carry a location');
+    }
+}
+
+// CLI interface
+if (require.main === module) {
+    const test = new RichMessagesTest();
+    test.runTests().catch(error => {
+        console.error('❌ Test runner failed:', error.message);
+        process.exit(1);
+    });
+}
+
+module.exports = RichMessagesTest;
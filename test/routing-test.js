@@ -0,0 +1,94 @@
+const assert = require('assert');
+const TestSuite = require('./test-suite');
+
+/**
+ * Department routing tests
+ * Classification against companyInfo.departments, the department stored on the
+ * session and escalations to the department's staff
+ */
+
+class RoutingTest extends TestSuite {
+    constructor() {
+        super('Routing Tests', 'routing');
+    }
+
+    registerTests() {
+        return [
+            { name: 'Department Classification', fn: () => this.testClassification() },
+            { name: 'Department On The Session', fn: () => this.testSessionDepartment() },
+            { name: 'Escalation To Department Staff', fn: () => this.testEscalation() }
+        ];
+    }
+
+    async testClassification() {
+        const AIService = require('../src/services/ai-service');
+        const aiService = new AIService(this.buildConfig());
+        const intent = name => ({ intent: name, confidence: 0.9, entities: {} });
+
+        assert.strictEqual(aiService.classifyDepartment('Berapa harga paket premium?', null), 'sales', 'Keywords should pick the department');
+        assert.strictEqual(aiService.classifyDepartment('Tidak bisa login, muncul error', null), 'technical_support');
+        assert.strictEqual(aiService.classifyDepartment('Kapan ya?', intent('billing_inquiry')), 'billing', 'A matching intent alone should route');
+        assert.strictEqual(aiService.classifyDepartment('Invoice saya salah', intent('pricing_inquiry')), 'billing',
+            'Keyword hits should outweigh the intent');
+        assert.strictEqual(aiService.classifyDepartment('Selamat pagi', intent('greeting')), null, 'Messages without signals should not be routed');
+
+        // Keywords match whole words only
+        assert.strictEqual(aiService.classifyDepartment('Link download aplikasinya di mana?', null), null, '"download" should not match "down"');
+        assert.strictEqual(aiService.classifyDepartment('Saya buyer dari Surabaya', null), null, '"buyer" should not match "buy"');
+        assert.strictEqual(aiService.classifyDepartment('Server kalian down lagi', null), 'technical_support');
+        assert.strictEqual(aiService.classifyDepartment('I want to buy the premium plan', null), 'sales');
+        assert.strictEqual(aiService.classifyDepartment('Aplikasinya NOT  WORKING sejak pagi', null), 'technical_support', 'Phrases should ignore case and spacing');
+
+        const noDepartments = new AIService({ ...this.buildConfig(), companyInfo: { ...this.buildConfig().companyInfo, departments: null } });
+        assert.strictEqual(noDepartments.classifyDepartment('Berapa harga paket premium?', null), null);
+    }
+
+    async testSessionDepartment() {
+        const AIService = require('../src/services/ai-service');
+        const aiService = new AIService(this.buildConfig());
+        const phoneNumber = '6281100000027@s.whatsapp.net';
+
+        assert.strictEqual(await aiService.routeDepartment(phoneNumber, 'Berapa harga paket premium?', null), 'sales');
+        assert.strictEqual((await this.db.getActiveSession(phoneNumber)).department, 'sales', 'The department should be stored on the session');
+
+        assert.strictEqual(await aiService.routeDepartment(phoneNumber, 'Oke, terima kasih', null), 'sales', 'Messages without signals should keep the department');
+
+        assert.strictEqual(await aiService.routeDepartment(phoneNumber, 'Invoice bulan ini belum masuk', null), 'billing', 'A new topic should move the conversation');
+        assert.strictEqual((await this.db.getActiveSession(phoneNumber)).department, 'billing');
+    }
+
+    async testEscalation() {
+        const config = this.buildConfig();
+        const companyInfo = JSON.parse(JSON.stringify(config.companyInfo));
+        companyInfo.departments.billing.staff = ['6281100000030', '6281100000031'];
+        const bot = this.createBot({ companyInfo, handoff: { agentNumbers: ['6281100000032'] } });
+        const customer = '6281100000028@s.whatsapp.net';
+
+        await bot.processMessage(customer, 'Invoice INV-2024-001 sudah saya bayar tapi belum lunas', null);
+        assert.strictEqual((await this.db.getActiveSession(customer)).department, 'billing', 'The conversation should be routed to billing');
+
+        bot.sent.length = 0;
+        await bot.processMessage(customer, '/agent', null);
+        const handoff = await bot.handoffManager.getHandoff(customer);
+        assert.strictEqual(handoff.agent, '6281100000030@s.whatsapp.net', 'Department staff should be preferred over general agents');
+
+        const billing = companyInfo.departments.billing;
+        const byRecipient = jid => bot.sent.find(message => message.jid === jid).content.text;
+        assert(byRecipient(customer).includes(billing.phone), 'The customer should get the department contact');
+        assert(byRecipient(handoff.agent).includes(`Department: ${billing.name}`), 'The agent should see the department');
+        assert.strictEqual(byRecipient('6281100000031@s.whatsapp.net'),
+            `ℹ️ *${billing.name}* escalation: Unknown (6281100000028) assigned to 6281100000030`, 'Other staff should be notified');
+        assert(!bot.sent.some(message => message.jid === '6281100000032@s.whatsapp.net'), 'General agents should not be involved');
+    }
+}
+
+// CLI interface
+if (require.main === module) {
+    const test = new RoutingTest();
+    test.runTests().catch(error => {
+        console.error('❌ Test runner failed:', error.message);
+        process.exit(1);
+    });
+}
+
+module.exports = RoutingTest;
@@ -0,0 +1,589 @@
+const assert = require('assert');
+const path = require('path');
+const os = require('os');
+const fs = require('fs-extra');
+
+/**
+ * Storage adapter tests
+ * Runs the same checks against every DB_TYPE so the adapters stay interchangeable.
+ * SQLite is skipped when better-sqlite3 is not installed.
+ */
+
+class StorageTest {
+    constructor() {
+        this.tempDir = path.join(os.tmpdir(), `allonecustomerai-storage-${Date.now()}`);
+        this.passed = 0;
+        this.failed = 0;
+        this.skipped = 0;
+        this.adapters = [
+            { type: 'json', file: 'database.json' },
+            { type: 'sqlite', file: 'database.sqlite' }
+        ];
+    }
+
+    async runTests() {
+        console.log('🧪 Running Storage Tests for AllOneCustomerAI');
+        console.log('=============================================\n');
+
+        const { DatabaseManager } = require('../src/database/database-manager');
+
+        for (const adapter of this.adapters) {
+            if (adapter.type === 'sqlite' && !this.hasSqlite()) {
+                console.log('⏭️  sqlite - SKIPPED (better-sqlite3 not installed)\n');
+                this.skipped++;
+                continue;
+            }
+
+            const db = new DatabaseManager({ type: adapter.type, path: path.join(this.tempDir, adapter.type, adapter.file) });
+            await db.initialize();
+
+            for (const test of this.registerTests(db)) {
+                await this.runTest(`${adapter.type}: ${test.name}`, test.fn);
+            }
+
+            await db.close();
+        }
+
+        for (const test of this.registerJsonTests()) {
+            await this.runTest(`json: ${test.name}`, test.fn);
+        }
+
+        await fs.remove(this.tempDir);
+        this.showResults();
+    }
+
+    async runTest(name, fn) {
+        try {
+            console.log(`🔍 ${name}...`);
+            await fn();
+            console.log(`✅ ${name} - PASSED\n`);
+            this.passed++;
+        } catch (error) {
+            console.log(`❌ ${name} - FAILED`);
+            console.log(`   Error: ${error.message}\n`);
+            this.failed++;
+        }
+    }
+
+    hasSqlite() {
+        try {
+            require.resolve('better-sqlite3');
+            return true;
+        } catch (error) {
+            return false;
+        }
+    }
+
+    registerTests(db) {
+        return [
+            { name: 'Users', fn: () => this.testUsers(db) },
+            { name: 'Messages & Paging', fn: () => this.testMessages(db) },
+            { name: 'Sessions', fn: () => this.testSessions(db) },
+            { name: 'Groups', fn: () => this.testGroups(db) },
+            { name: 'Analytics', fn: () => this.testAnalytics(db) },
+            { name: 'Cleanup', fn: () => this.testCleanup(db) },
+            { name: 'Backup', fn: () => this.testBackup(db) },
+            { name: 'Customer Data Export & Erasure', fn: () => this.testCustomerData(db) },
+            { name: 'Migrations', fn: () => this.testMigrations(db) },
+            { name: 'Analytics Users Migration', fn: () => this.testAnalyticsUsersMigration(db) }
+        ];
+    }
+
+    registerJsonTests() {
+        return [
+            { name: 'Coalesced Writes', fn: () => this.testCoalescedWrites() },
+            { name: 'Journal Replay', fn: () => this.testJournalReplay() },
+            { name: 'Corrupt File Fallback', fn: () => this.testCorruptFallback() },
+            { name: 'Legacy Analytics', fn: () => this.testLegacyAnalytics() },
+            { name: 'Analytics Users Journal', fn: () => this.testAnalyticsUsersJournal() },
+            { name: 'Encryption At Rest', fn: () => this.testEncryption() },
+            { name: 'Key Rotation', fn: () => this.testKeyRotation() }
+        ];
+    }
+
+    async openJson(name, flushDelay = 60000, options = {}) {
+        const JsonStorage = require('../src/database/storage/json-storage');
+        const storage = new JsonStorage({ path: path.join(this.tempDir, name, 'database.json'), flushDelay, ...options });
+        await storage.initialize();
+        return storage;
+    }
+
+    async testCoalescedWrites() {
+        const storage = await this.openJson('coalesce', 20);
+        const before = (await fs.stat(storage.dbPath)).mtimeMs;
+
+        for (let i = 0; i < 10; i++) {
+            await storage.appendMessage('6281100000001@s.whatsapp.net', { id: `${i}`, content: `pesan ${i}`, timestamp: new Date().toISOString() });
+        }
+        assert.strictEqual((await fs.readFile(storage.journalPath, 'utf8')).trim().split('\n').length, 10, 'Every change should be journaled');
+        assert.strictEqual((await fs.stat(storage.dbPath)).mtimeMs, before, 'Snapshot should not be rewritten per change');
+
+        await new Promise(resolve => setTimeout(resolve, 60));
+        const snapshot = await fs.readJson(storage.dbPath);
+        assert.strictEqual(snapshot.conversations['6281100000001@s.whatsapp.net'].messages.length, 10, 'One flush should write all batched changes');
+        assert(!(await fs.pathExists(storage.journalPath)), 'Journal should be truncated after a flush');
+        assert(!(await fs.readdir(path.dirname(storage.dbPath))).some(file => file.endsWith('.tmp')), 'No temp files should be left behind');
+    }
+
+    async testAnalyticsUsersJournal() {
+        const storage = await this.openJson('analytics-users');
+        await storage.addAnalyticsUser('2024-05-01', 'a1b2c3d4e5f60718');
+        await storage.addAnalyticsUser('2024-05-01', 'a1b2c3d4e5f60718');
+        await storage.addAnalyticsUser('2024-05-02', 'a1b2c3d4e5f60718');
+
+        const entries = (await fs.readFile(storage.journalPath, 'utf8')).trim().split('\n').map(line => JSON.parse(line));
+        assert.deepStrictEqual(entries.map(({ seq, ...entry }) => entry), [
+            { op: 'analyticsUser', date: '2024-05-01', id: 'a1b2c3d4e5f60718' },
+            { op: 'analyticsUser', date: '2024-05-02', id: 'a1b2c3d4e5f60718' }
+        ], 'Only the first message of a day should be journaled, as a small change of its own');
+
+        assert.strictEqual(await storage.renameAnalyticsUser('a1b2c3d4e5f60718', 'erased-0123456789ab'), 2, 'Renaming should report the days changed');
+        const restarted = await this.openJson('analytics-users');
+        assert.deepStrictEqual(await restarted.getAnalyticsUsers('2024-05-01', '2024-05-31'), [
+            { date: '2024-05-01', id: 'erased-0123456789ab' },
+            { date: '2024-05-02', id: 'erased-0123456789ab' }
+        ], 'Analytics users should be replayed from the journal');
+    }
+
+    async testJournalReplay() {
+        const crashed = await this.openJson('replay');
+        await crashed.saveUser({ phoneNumber: '6281100000001@s.whatsapp.net', name: 'Budi', messageCount: 0, lastSeen: new Date().toISOString() });
+        await crashed.appendMessage('6281100000001@s.whatsapp.net', { id: '1', content: 'halo', timestamp: new Date().toISOString() });
+        // Simulate a crash: the snapshot was never flushed, and the last append was cut short
+        await fs.appendFile(crashed.journalPath, '{"seq": 3, "op": "saveUs');
+
+        const restarted = await this.openJson('replay');
+        const user = await restarted.getUser('6281100000001@s.whatsapp.net');
+        assert.strictEqual(user.name, 'Budi', 'Journaled user should be replayed');
+        assert.strictEqual(user.messageCount, 1, 'Replay should apply each change once');
+        assert.strictEqual((await restarted.getMessages('6281100000001@s.whatsapp.net')).length, 1, 'Journaled message should be replayed');
+        assert(!(await fs.pathExists(restarted.journalPath)), 'Replayed journal should be folded into the snapshot');
+
+        // Entries already in the snapshot must not be applied twice
+        await restarted.appendMessage('6281100000001@s.whatsapp.net', { id: '2', content: 'lagi', timestamp: new Date().toISOString() });
+        await restarted.flush();
+        await fs.appendFile(restarted.journalPath, `${JSON.stringify({ seq: restarted.seq, op: 'appendMessage', phoneNumber: '6281100000001@s.whatsapp.net', message: { id: '2', content: 'lagi', timestamp: new Date().toISOString() } })}\n`);
+        const again = await this.openJson('replay');
+        assert.strictEqual((await again.getMessages('6281100000001@s.whatsapp.net')).length, 2, 'Journal entries covered by the snapshot should be skipped');
+    }
+
+    async testCorruptFallback() {
+        const storage = await this.openJson('corrupt');
+        await storage.saveUser({ phoneNumber: '6281100000001@s.whatsapp.net', name: 'Budi', messageCount: 0, lastSeen: new Date().toISOString() });
+        await storage.backup();
+        await storage.saveUser({ phoneNumber: '6281100000002@s.whatsapp.net', name: 'Sari', messageCount: 0, lastSeen: new Date().toISOString() });
+        await storage.flush();
+
+        // Half-written file from a crash
+        await fs.writeFile(storage.dbPath, '{"users": {"6281');
+
+        const restored = await this.openJson('corrupt');
+        assert.strictEqual((await restored.getUser('6281100000001@s.whatsapp.net')).name, 'Budi', 'Data should be restored from the latest backup');
+        const files = await fs.readdir(path.dirname(storage.dbPath));
+        assert(files.some(file => file.startsWith('database.json.corrupt-')), 'Corrupt file should be kept for inspection');
+        assert((await fs.readJson(restored.dbPath)).users, 'Restored data should be written back to the database file');
+    }
+
+    async testLegacyAnalytics() {
+        // Older versions kept users as a Set, which was written out as {}
+        const dbPath = path.join(this.tempDir, 'legacy', 'database.json');
+        await fs.outputJson(dbPath, {
+            users: {},
+            conversations: {},
+            sessions: {},
+            analytics: { totalMessages: 4, dailyStats: { '2024-05-01': { messages: 4, users: {} } } }
+        });
+
+        const { DatabaseManager } = require('../src/database/database-manager');
+        const db = new DatabaseManager({ type: 'json', path: dbPath });
+        await db.initialize();
+
+        const stats = await db.getAnalytics('2024-05-01');
+        assert.strictEqual(stats.messages, 4, 'Legacy daily message counts should be kept');
+        assert.strictEqual(stats.uniqueUsers, 0, 'Legacy Set users should be dropped');
+        assert.strictEqual((await fs.readJson(dbPath)).schemaVersion, (await db.migrator.getStatus()).latest, 'Migrated file should record the schema version');
+        const backups = await fs.readdir(path.join(path.dirname(dbPath), 'backups'));
+        assert.strictEqual(backups.length, 1, 'Data should be backed up before migrating');
+        assert((await fs.readJson(path.join(path.dirname(dbPath), 'backups', backups[0]))).analytics.dailyStats, 'Backup should hold the data as it was before migrating');
+
+        await db.saveMessage('6281100000001@s.whatsapp.net', 'halo');
+        await db.close();
+        const reopened = new DatabaseManager({ type: 'json', path: dbPath });
+        await reopened.initialize();
+        assert.strictEqual((await reopened.getAnalytics()).uniqueUsers, 1, 'Unique users should survive a restart');
+    }
+
+    async testEncryption() {
+        const Encryption = require('../src/utils/encryption');
+        const key = Encryption.generateKey();
+        const phoneNumber = '6281100000001@s.whatsapp.net';
+
+        // Plaintext database from before encryption was enabled
+        const plain = await this.openJson('encrypted');
+        await plain.saveUser({ phoneNumber, name: 'Budi', messageCount: 0, lastSeen: new Date().toISOString() });
+        await plain.close();
+
+        const storage = await this.openJson('encrypted', 60000, { encryptionKey: key });
+        assert.strictEqual((await storage.getUser(phoneNumber)).name, 'Budi', 'Plaintext files should still load');
+        assert(Encryption.isEncrypted(await fs.readFile(storage.dbPath, 'utf8')), 'Plaintext file should be rewritten encrypted');
+
+        await storage.appendMessage(phoneNumber, { id: '1', content: 'nomor KTP saya', timestamp: new Date().toISOString() });
+        const journal = await fs.readFile(storage.journalPath, 'utf8');
+        assert(!journal.includes('nomor KTP'), 'Journal entries should be encrypted');
+        const backupFile = await storage.backup();
+        assert(!(await fs.readFile(backupFile, 'utf8')).includes('Budi'), 'Backups should be encrypted');
+
+        const reopened = await this.openJson('encrypted', 60000, { encryptionKey: key });
+        assert.strictEqual((await reopened.getMessages(phoneNumber))[0].content, 'nomor KTP saya', 'Encrypted data should load with the key');
+
+        await assert.rejects(() => this.openJson('encrypted'), /is encrypted/, 'Loading without the key should fail');
+        await assert.rejects(() => this.openJson('encrypted', 60000, { encryptionKey: Encryption.generateKey() }), /encrypted with key/, 'A wrong key should be reported');
+        const files = await fs.readdir(path.dirname(storage.dbPath));
+        assert(!files.some(file => file.includes('.corrupt-')), 'A key problem must not be treated as a corrupt file');
+    }
+
+    async testKeyRotation() {
+        const SetupManager = require('../scripts/setup');
+        const Encryption = require('../src/utils/encryption');
+        const Helpers = require('../src/utils/helpers');
+        const MediaStore = require('../src/services/media-store');
+        const root = path.join(this.tempDir, 'rotate');
+        const media = new MediaStore({ dir: path.join(root, 'media') });
+
+        const storage = await this.openJson('rotate');
+        await storage.saveUser({ phoneNumber: '6281100000001@s.whatsapp.net', name: 'Budi', messageCount: 0, lastSeen: new Date().toISOString() });
+        const backupFile = await storage.backup();
+        const written = new Date('2024-05-01T08:00:00Z');
+        await fs.utimes(backupFile, written, written);
+        await storage.close();
+        const image = await media.save('6281100000001@s.whatsapp.net', 'IMG1', Buffer.from('fake-jpeg-bytes'), 'image/jpeg');
+        const imageFile = path.join(media.dir, image.path);
+        await fs.utimes(imageFile, written, written);
+
+        const keyFile = path.join(root, 'db.key');
+        await fs.writeFile(keyFile, Encryption.generateKey());
+        const setup = new SetupManager();
+        setup.projectRoot = root;
+        await this.withEnv({ DB_TYPE: 'json', DB_PATH: storage.dbPath, DB_ENCRYPTION_KEY_FILE: keyFile, MEDIA_DIR: media.dir },
+            () => setup.rotateKey());
+
+        assert(Encryption.isEncrypted(await fs.readFile(backupFile, 'utf8')), 'Backups should be re-encrypted');
+        assert.strictEqual((await fs.stat(backupFile)).mtime.getTime(), written.getTime(), 'Backups should keep their modification time');
+        await Helpers.cleanOldBackups(path.dirname(backupFile), 7);
+        assert(!(await fs.pathExists(backupFile)), 'Rotation should not make an old backup look new');
+
+        assert(Encryption.isEncrypted(await fs.readFile(imageFile)), 'Media files should be re-encrypted');
+        assert.strictEqual((await fs.stat(imageFile)).mtime.getTime(), written.getTime(), 'Media files should keep their modification time');
+        assert.strictEqual(await media.cleanup(30), 1, 'Rotation should not make old media look new');
+    }
+
+    /**
+     * Run fn with the given database variables set, restoring them afterwards
+     */
+    async withEnv(env, fn) {
+        const names = ['DB_TYPE', 'DB_PATH', 'DB_ENCRYPTION_KEY', 'DB_ENCRYPTION_KEY_FILE', 'MEDIA_DIR'];
+        const saved = {};
+        for (const name of names) {
+            saved[name] = process.env[name];
+            delete process.env[name];
+        }
+        Object.assign(process.env, env);
+
+        try {
+            return await fn();
+        } finally {
+            for (const name of names) {
+                delete process.env[name];
+                if (typeof saved[name] === 'string') {
+                    process.env[name] = saved[name];
+                }
+            }
+        }
+    }
+
+    async testUsers(db) {
+        await db.createUser('6281100000001@s.whatsapp.net', { name: 'Budi' });
+        await db.createUser('6281100000002@s.whatsapp.net', { name: 'Sari' });
+        await new Promise(resolve => setTimeout(resolve, 2));
+        await db.updateUser('6281100000001@s.whatsapp.net', { preferences: { language: 'en' } });
+
+        const user = await db.getUser('6281100000001@s.whatsapp.net');
+        assert.strictEqual(user.name, 'Budi', 'User fields should round-trip');
+        assert.strictEqual(user.preferences.language, 'en', 'Nested fields should round-trip');
+        assert.strictEqual(await db.getUser('6289999999999@s.whatsapp.net'), null, 'Unknown users should be null');
+
+        const recent = await db.getRecentUsers(1);
+        assert.strictEqual(recent.length, 1, 'Recent users should respect the limit');
+        assert.strictEqual(recent[0].name, 'Budi', 'Most recently seen user should come first');
+        assert.strictEqual((await db.getUsers()).length, 2, 'All users should be listed');
+    }
+
+    async testMessages(db) {
+        const phoneNumber = '6281100000001@s.whatsapp.net';
+        for (let i = 1; i <= 5; i++) {
+            await db.saveMessage(phoneNumber, `pesan ${i}`, i % 2 === 1, { intent: 'greeting' });
+            await new Promise(resolve => setTimeout(resolve, 2));
+        }
+
+        const history = await db.getConversationHistory(phoneNumber, 3);
+        assert.deepStrictEqual(history.map(msg => msg.content), ['pesan 3', 'pesan 4', 'pesan 5'], 'History should return the newest messages oldest first');
+        assert.strictEqual(history[0].isFromUser, true, 'isFromUser should round-trip');
+        assert.strictEqual(history[0].intent, 'greeting', 'Message metadata should round-trip');
+
+        const older = await db.getConversationHistory(phoneNumber, 10, { before: history[0].timestamp });
+        assert.deepStrictEqual(older.map(msg => msg.content), ['pesan 1', 'pesan 2'], 'Paging with before should return earlier messages');
+
+        const since = await db.getConversationHistory(phoneNumber, 10, { since: history[1].timestamp });
+        assert.deepStrictEqual(since.map(msg => msg.content), ['pesan 4', 'pesan 5'], 'since should filter older messages');
+
+        const conversation = await db.getConversation(phoneNumber, 2);
+        assert.strictEqual(conversation.messages.length, 2, 'getConversation should respect the limit');
+        assert.strictEqual(conversation.lastMessageAt, history[2].timestamp, 'Conversation should track the last message');
+
+        const user = await db.getUser(phoneNumber);
+        assert.strictEqual(user.messageCount, 5, 'Saving messages should bump the user message count');
+    }
+
+    async testSessions(db) {
+        const phoneNumber = '6281100000001@s.whatsapp.net';
+        const session = await db.createSession(phoneNumber, { department: 'sales' });
+        await db.updateSession(session.id, { summary: { text: 'ringkasan' } });
+
+        const active = await db.getActiveSession(phoneNumber);
+        assert.strictEqual(active.id, session.id, 'Created session should be active');
+        assert.strictEqual(active.summary.text, 'ringkasan', 'Session fields should round-trip');
+        assert.strictEqual(active.department, 'sales', 'Session data should be kept on update');
+
+        await db.closeSession(session.id, { endReason: 'timeout' });
+        assert.strictEqual(await db.getActiveSession(phoneNumber), null, 'Closed session should not be active');
+        assert.strictEqual((await db.getSession(session.id)).endReason, 'timeout', 'Close details should be stored');
+        assert.strictEqual((await db.getActiveSessions()).length, 0, 'No active sessions should remain');
+    }
+
+    async testGroups(db) {
+        const jid = '120363000000000001@g.us';
+        await db.saveGroup(jid, { subject: 'Pelanggan VIP', enabled: false });
+        await db.saveGroup(jid, { enabled: true, language: 'en' });
+        await db.saveGroup('120363000000000002@g.us', { subject: 'Reseller' });
+
+        const group = await db.getGroup(jid);
+        assert.strictEqual(group.subject, 'Pelanggan VIP', 'Group fields should be kept on update');
+        assert.strictEqual(group.enabled, true, 'Group settings should round-trip');
+        assert.strictEqual(group.language, 'en', 'Group language should be stored');
+        assert.deepStrictEqual((await db.getGroups()).map(g => g.jid), [jid, '120363000000000002@g.us'], 'Groups should be listed oldest first');
+        assert.strictEqual(await db.getGroup('120363000000000003@g.us'), null, 'Unknown groups should be null');
+    }
+
+    async testAnalytics(db) {
+        const phoneNumber = '6281100000001@s.whatsapp.net';
+        await db.saveMessage(phoneNumber, 'jawaban AI', false, { provider: 'mock', latencyMs: 120 });
+        await db.recordProviderError('openai');
+        await db.recordFailure();
+
+        const today = db.analytics.getDateParts().date;
+        const stats = await db.getAnalytics(today);
+        assert.strictEqual(stats.totalUsers, 2, 'Analytics should count all users');
+        assert.strictEqual(stats.newUsers, 2, 'New users should be counted on their first day');
+        assert.strictEqual(stats.uniqueUsers, 1, 'Only customers who wrote should count as active');
+        assert.deepStrictEqual([stats.messages, stats.userMessages, stats.botMessages], [6, 3, 3], 'Messages should be split by direction');
+        assert.deepStrictEqual(stats.intents, { greeting: 3 }, 'Intents should come from customer messages only');
+        assert.deepStrictEqual(stats.providers, { mock: 1 }, 'Replies should be counted per provider');
+        assert.deepStrictEqual(stats.providerErrors, { openai: 1 }, 'Provider errors should be counted');
+        assert.strictEqual(stats.failures, 1, 'Failures should be counted');
+        assert.strictEqual(stats.failureRate, 0.5, 'Failure rate should compare failures with AI attempts');
+        assert.deepStrictEqual([stats.avgLatencyMs, stats.maxLatencyMs], [120, 120], 'Latency should be aggregated');
+        assert.strictEqual(stats.hourly.reduce((sum, count) => sum + count, 0), 6, 'Every message should land in an hour');
+        assert.deepStrictEqual(stats.daily, [{ date: today, messages: 6, users: 1, newUsers: 2, failures: 1 }], 'Daily breakdown should cover the range');
+        assert.deepStrictEqual(JSON.parse(JSON.stringify(stats)), stats, 'Analytics should be JSON serializable');
+
+        const Analytics = require('../src/database/analytics');
+        const [bucket] = await db.storage.getAnalyticsBuckets(today, today);
+        assert(!('users' in bucket), 'Buckets should not list the customers');
+        const salt = await db.storage.getAnalyticsSalt();
+        assert.deepStrictEqual(await db.storage.getAnalyticsUsers(today, today), [{ date: today, id: Analytics.hashUser(salt, phoneNumber) }],
+            'Customers should be stored as salted hashes, not numbers');
+        assert.notStrictEqual(Analytics.hashUser('other-salt', phoneNumber), Analytics.hashUser(salt, phoneNumber), 'The hash should depend on the salt');
+
+        const empty = await db.getAnalytics('2020-01-01', '2020-01-31');
+        assert.strictEqual(empty.messages, 0, 'Ranges without data should be empty');
+
+        const yesterday = db.analytics.parseRange(['yesterday']);
+        assert.strictEqual(yesterday.from, yesterday.to, 'yesterday should be a single day');
+        assert.deepStrictEqual(db.analytics.parseRange(['2024-02-10', '2024-02-01']), { from: '2024-02-01', to: '2024-02-10' }, 'Date ranges should be ordered');
+        assert.strictEqual(db.analytics.parseRange(['30d']).to, today, 'Relative ranges should end today');
+        assert.throws(() => db.analytics.parseRange(['kemarin']), /Invalid range/, 'Unknown ranges should be rejected');
+        assert.throws(() => db.analytics.parseRange(['2020-01-01', '2024-01-01']), /too long/, 'Huge ranges should be rejected');
+    }
+
+    async testCleanup(db) {
+        const phoneNumber = '6281100000002@s.whatsapp.net';
+        await db.saveMessage(phoneNumber, 'pesan lama');
+        const session = await db.createSession(phoneNumber);
+        await db.updateSession(session.id, { lastActivity: new Date(Date.now() - 40 * 24 * 60 * 60 * 1000).toISOString() });
+
+        // Keeping 0 days removes every message written before now
+        await new Promise(resolve => setTimeout(resolve, 2));
+        await db.cleanup(0);
+
+        assert.strictEqual(await db.getConversation(phoneNumber), null, 'Conversations without messages should be removed');
+        assert.strictEqual(await db.getSession(session.id), null, 'Old sessions should be removed');
+        assert(await db.getUser(phoneNumber), 'Users should be kept');
+    }
+
+    async testCustomerData(db) {
+        const phoneNumber = '6281100000009@s.whatsapp.net';
+        await db.createUser(phoneNumber, { name: 'Rina' });
+        await db.saveMessage(phoneNumber, 'hapus data saya', true);
+        await db.saveMessage(phoneNumber, 'baik', false);
+        await db.createSession(phoneNumber);
+        const today = db.analytics.getDateParts().date;
+        const usersBefore = (await db.getAnalytics(today)).uniqueUsers;
+
+        const exported = await db.exportUserData(phoneNumber);
+        assert.strictEqual(exported.user.name, 'Rina', 'Export should include the user record');
+        assert.deepStrictEqual(exported.messages.map(msg => msg.content), ['hapus data saya', 'baik'], 'Export should include every message');
+        assert.strictEqual(exported.sessions.length, 1, 'Export should include sessions');
+        assert.strictEqual(await db.exportUserData('6289999999999@s.whatsapp.net'), null, 'Unknown customers have nothing to export');
+
+        const erased = await db.forgetUser(phoneNumber);
+        assert.deepStrictEqual(erased, { user: true, messages: 2, sessions: 1, analyticsDays: 1 }, 'Erasure should report what was deleted');
+        assert.strictEqual(await db.exportUserData(phoneNumber), null, 'Nothing should remain after erasure');
+        assert.strictEqual((await db.getConversationHistory(phoneNumber)).length, 0, 'Messages should be erased');
+        assert.strictEqual(await db.getUser('6281100000001@s.whatsapp.net') !== null, true, 'Other customers should be kept');
+
+        const Analytics = require('../src/database/analytics');
+        const erasedId = Analytics.hashUser(await db.storage.getAnalyticsSalt(), phoneNumber);
+        const ids = (await db.storage.getAnalyticsUsers(today, today)).map(user => user.id);
+        assert(!ids.includes(erasedId), 'Analytics should not keep the erased customer\'s id');
+        assert(ids.some(id => id.startsWith('erased-')), 'The erased customer should be replaced with an anonymous id');
+        assert.strictEqual((await db.getAnalytics(today)).uniqueUsers, usersBefore, 'Unique user counts should not change');
+
+        await db.addAuditEntry('export', phoneNumber, 'admin@s.whatsapp.net', { messages: 2 });
+        await db.addAuditEntry('forget', phoneNumber, 'admin@s.whatsapp.net', erased);
+        const audit = await db.getAuditLog(1);
+        assert.strictEqual(audit.length, 1, 'Audit log should respect the limit');
+        assert.strictEqual(audit[0].action, 'forget', 'Newest audit entry should come first');
+        assert.deepStrictEqual(audit[0].details, erased, 'Audit details should round-trip');
+    }
+
+    async testMigrations(db) {
+        const { DatabaseManager } = require('../src/database/database-manager');
+        const migrationsDir = path.join(this.tempDir, `migrations-${db.type}`);
+        const dbPath = path.join(this.tempDir, `migrate-${db.type}`, `database.${db.type}`);
+
+        await fs.outputFile(path.join(migrationsDir, '001-add-tier.js'), `module.exports = {
+            version: 1,
+            description: 'Give every user a tier',
+            json(data) {
+                Object.values(data.users).forEach(user => { user.tier = 'basic'; });
+                return 'users updated';
+            },
+            sqlite(db) {
+                db.prepare("UPDATE users SET data = json_set(data, '$.tier', 'basic')").run();
+                return 'users updated';
+            }
+        };`);
+
+        // Created before the migration existed
+        const original = new DatabaseManager({ type: db.type, path: dbPath, migrationsDir: path.join(this.tempDir, 'no-migrations') });
+        await original.initialize();
+        await original.createUser('6281100000001@s.whatsapp.net', { name: 'Budi' });
+        await original.close();
+
+        const inspected = new DatabaseManager({ type: db.type, path: dbPath, migrationsDir });
+        await inspected.initialize({ migrate: false });
+        const status = await inspected.migrator.getStatus();
+        assert.deepStrictEqual([status.current, status.latest, status.pending.length], [0, 1, 1], 'Status should list pending migrations');
+
+        const dryRun = await inspected.migrator.migrate({ dryRun: true });
+        assert.strictEqual(dryRun.applied[0].result, 'users updated', 'Dry run should report what each migration did');
+        assert.strictEqual(dryRun.backupFile, null, 'Dry run should not back up');
+        assert.strictEqual((await inspected.getUser('6281100000001@s.whatsapp.net')).tier, undefined, 'Dry run should not change data');
+        assert.strictEqual((await inspected.migrator.getStatus()).current, 0, 'Dry run should not change the version');
+        await inspected.close();
+
+        const upgraded = new DatabaseManager({ type: db.type, path: dbPath, migrationsDir });
+        await upgraded.initialize();
+        assert.strictEqual((await upgraded.getUser('6281100000001@s.whatsapp.net')).tier, 'basic', 'Startup should apply pending migrations');
+        assert.strictEqual((await upgraded.migrator.getStatus()).current, 1, 'Schema version should be recorded');
+        assert.strictEqual((await fs.readdir(path.join(path.dirname(dbPath), 'backups'))).length, 1, 'A backup should be taken before migrating');
+        await upgraded.close();
+
+        const fresh = new DatabaseManager({ type: db.type, path: path.join(this.tempDir, `fresh-${db.type}`, `database.${db.type}`), migrationsDir });
+        await fresh.initialize();
+        assert.strictEqual((await fresh.migrator.getStatus()).current, 1, 'New databases should start at the latest version');
+        await fresh.close();
+
+        const outdated = new DatabaseManager({ type: db.type, path: dbPath, migrationsDir: path.join(this.tempDir, 'no-migrations') });
+        await assert.rejects(() => outdated.initialize(), /newer than this release/, 'Older releases should refuse a newer schema');
+        await outdated.close();
+    }
+
+    async testAnalyticsUsersMigration(db) {
+        const { DatabaseManager } = require('../src/database/database-manager');
+        const Analytics = require('../src/database/analytics');
+        const dbPath = path.join(this.tempDir, `analytics-users-${db.type}`, `database.${db.type}`);
+        const phoneNumber = '6281100000002@s.whatsapp.net';
+
+        // Written by a version that listed the customers in each bucket
+        const original = new DatabaseManager({ type: db.type, path: dbPath, migrationsDir: path.join(this.tempDir, 'no-migrations') });
+        await original.initialize();
+        await original.storage.saveAnalyticsBucket({ date: '2024-05-02', messages: 3, users: [phoneNumber, 'erased-0123456789ab'] });
+        await original.storage.saveAnalyticsBucket({ date: '2024-05-03', messages: 1, users: [phoneNumber] });
+        await original.close();
+
+        const upgraded = new DatabaseManager({ type: db.type, path: dbPath });
+        await upgraded.initialize();
+        const stats = await upgraded.getAnalytics('2024-05-02', '2024-05-03');
+        assert.strictEqual(stats.uniqueUsers, 2, 'Unique users should be kept');
+        assert.deepStrictEqual(stats.daily.map(day => day.users), [2, 1], 'Daily users should be kept');
+
+        const buckets = await upgraded.storage.getAnalyticsBuckets('2024-05-02', '2024-05-03');
+        assert(buckets.every(bucket => !('users' in bucket)), 'User lists should be removed from the buckets');
+        const id = Analytics.hashUser(await upgraded.storage.getAnalyticsSalt(), phoneNumber);
+        assert.deepStrictEqual((await upgraded.storage.getAnalyticsUsers('2024-05-02', '2024-05-02')).map(user => user.id).sort(),
+            [id, 'erased-0123456789ab'].sort(), 'Numbers should be hashed, anonymous ids kept');
+        if (db.type === 'json') {
+            assert(!(await fs.readFile(dbPath, 'utf8')).includes('6281100000002'), 'The number should not be left in the database file');
+        }
+
+        await upgraded.saveMessage(phoneNumber, 'halo lagi');
+        const today = upgraded.analytics.getDateParts().date;
+        assert.deepStrictEqual(await upgraded.storage.getAnalyticsUsers(today, today), [{ date: today, id }], 'New messages should use the migrated salt');
+        await upgraded.close();
+    }
+
+    async testBackup(db) {
+        const backupFile = await db.backup();
+        assert(backupFile && await fs.pathExists(backupFile), 'Backup file should be written');
+        assert.strictEqual(path.basename(path.dirname(backupFile)), 'backups', 'Backups should go to the backups folder');
+    }
+
+    showResults() {
+        console.log('📊 Test Results');
+        console.log('===============');
+        console.log(`✅ Passed: ${this.passed}`);
+        console.log(`❌ Failed: ${this.failed}`);
+        console.log(`⏭️  Skipped adapters: ${this.skipped}`);
+        console.log(`📈 Total:  ${this.passed + this.failed}`);
+
+        if (this.failed === 0) {
+            console.log('\n🎉 All storage tests passed!');
+            process.exit(0);
+        } else {
+            console.log('\n⚠️  Some tests failed. Please check the errors above.');
+            process.exit(1);
+        }
+    }
+}
+
+// CLI interface
+if (require.main === module) {
+    const storageTest = new StorageTest();
+    storageTest.runTests().catch(error => {
+        console.error('❌ Test runner failed:', error.message);
+        process.exit(1);
+    });
+}
+
+module.exports = StorageTest;
@@ -0,0 +1,140 @@
+const path = require('path');
+const os = require('os');
+const fs = require('fs-extra');
+
+/**
+ * Shared fixture for the offline test suites
+ * Each suite gets its own temporary JSON database, a config built from the files in
+ * config/ with the mock AI provider, and bots whose socket records what they send.
+ * Suites extend this class, list their tests in registerTests() and use a customer
+ * number no other test uses, so results don't depend on test order.
+ */
+
+class TestSuite {
+    /**
+     * @param {string} title - Printed as "Running <title> for AllOneCustomerAI"
+     * @param {string} name - Temporary directory prefix
+     */
+    constructor(title, name) {
+        this.title = title;
+        this.projectRoot = path.resolve(__dirname, '..');
+        this.tempDir = path.join(os.tmpdir(), `allonecustomerai-${name}-${Date.now()}`);
+        this.passed = 0;
+        this.failed = 0;
+        this.tests = [];
+    }
+
+    async runTests() {
+        const heading = `🧪 Running ${this.title} for AllOneCustomerAI`;
+        console.log(heading);
+        console.log(`${'='.repeat(heading.length)}\n`);
+
+        await this.setup();
+        this.tests = this.registerTests();
+
+        for (const test of this.tests) {
+            try {
+                console.log(`🔍 ${test.name}...`);
+                await test.fn();
+                console.log(`✅ ${test.name} - PASSED\n`);
+                this.passed++;
+            } catch (error) {
+                console.log(`❌ ${test.name} - FAILED`);
+                console.log(`   Error: ${error.message}\n`);
+                this.failed++;
+            }
+        }
+
+        await fs.remove(this.tempDir);
+        this.showResults();
+    }
+
+    async setup() {
+        const { initializeDatabase } = require('../src/database/database-manager');
+        this.db = await initializeDatabase({
+            type: 'json',
+            path: path.join(this.tempDir, 'database.json')
+        });
+    }
+
+    /**
+     * @returns {Array<{name: string, fn: function}>} Tests in run order
+     */
+    registerTests() {
+        return [];
+    }
+
+    buildConfig(mockOptions = {}) {
+        return {
+            bot: { name: 'TestBot', phoneNumber: '', sessionTimeout: 1800000 },
+            ai: {
+                provider: 'mock',
+                providerChain: [],
+                maxResponseLength: 1000,
+                mock: {
+                    fixtureFile: path.join(this.projectRoot, 'config/mock-responses.json'),
+                    latencyMs: 0,
+                    errorEvery: 0,
+                    ...mockOptions
+                }
+            },
+            admin: { numbers: [] },
+            language: 'id',
+            customPrompts: fs.readJsonSync(path.join(this.projectRoot, 'config/custom-prompts.json')),
+            companyInfo: fs.readJsonSync(path.join(this.projectRoot, 'config/company-info.json')),
+            languages: fs.readJsonSync(path.join(this.projectRoot, 'config/languages.json'))
+        };
+    }
+
+    /**
+     * A connected bot whose socket records sent messages in bot.sent as { jid, content, options }
+     * Set bot.rejectInteractive to make buttons and lists fail like on accounts without them.
+     * @param {object} overrides - Merged over buildConfig()
+     */
+    createBot(overrides = {}) {
+        const { WhatsAppBot } = require('../src/bot/whatsapp-bot');
+        const bot = new WhatsAppBot({ ...this.buildConfig(), ...overrides });
+
+        bot.sent = [];
+        bot.isConnected = true;
+        bot.sock = {
+            user: { id: '6281199990000:7@s.whatsapp.net', lid: '99887766:7@lid' },
+            groupMetadata: async () => ({ subject: 'Reseller Jakarta' }),
+            readMessages: async () => {},
+            sendPresenceUpdate: async () => {},
+            sendMessage: async (jid, content, options = {}) => {
+                if (bot.rejectInteractive && (content.buttons || content.sections)) {
+                    throw new Error('Interactive messages are not available');
+                }
+                bot.sent.push({ jid, content, options });
+            }
+        };
+        return bot;
+    }
+
+    /**
+     * A messages.upsert update with one incoming message
+     * @param {object} key - Extra key fields, e.g. { participant } in groups
+     */
+    incoming(remoteJid, content, id, key = {}) {
+        return { messages: [{ key: { remoteJid, fromMe: false, id, ...key }, message: content }] };
+    }
+
+    showResults() {
+        console.log('📊 Test Results');
+        console.log('===============');
+        console.log(`✅ Passed: ${this.passed}`);
+        console.log(`❌ Failed: ${this.failed}`);
+        console.log(`📈 Total:  ${this.passed + this.failed}`);
+
+        if (this.failed === 0) {
+            console.log(`\n🎉 All ${this.title.toLowerCase()} passed!`);
+            process.exit(0);
+        } else {
+            console.log('\n⚠️  Some tests failed. Please check the errors above.');
+            process.exit(1);
+        }
+    }
+}
+
+module.exports = TestSuite;
@@ -0,0 +1,126 @@
+const assert = require('assert');
+const TestSuite = require('./test-suite');
+
+/**
+ * Working hours tests
+ * Parsing Indonesian and English schedules and checking a moment against them in
+ * the company timezone. All moments are fixed; 6 May 2024 is a Monday.
+ */
+
+class WorkingHoursTest extends TestSuite {
+    constructor() {
+        super('Working Hours Tests', 'working-hours');
+    }
+
+    registerTests() {
+        return [
+            { name: 'Parsing Day Ranges', fn: () => this.testDayRanges() },
+            { name: 'Parsing Times', fn: () => this.testTimes() },
+            { name: 'Within Working Hours', fn: () => this.testWithin() },
+            { name: 'Overnight Hours', fn: () => this.testOvernight() },
+            { name: 'Timezones', fn: () => this.testTimezones() }
+        ];
+    }
+
+    /**
+     * A moment given as local wall-clock time in Jakarta (UTC+7)
+     */
+    jakarta(day, time) {
+        return new Date(`2024-05-${String(day).padStart(2, '0')}T${time}:00+07:00`);
+    }
+
+    async testDayRanges() {
+        const Helpers = require('../src/utils/helpers');
+
+        assert.deepStrictEqual(Helpers.parseWorkingHours('Senin - Jumat, 08:00 - 17:00 WIB'),
+            { startDay: 1, endDay: 5, startMinutes: 480, endMinutes: 1020 });
+        assert.deepStrictEqual(Helpers.parseWorkingHours('Monday - Friday, 9 AM - 5 PM'),
+            { startDay: 1, endDay: 5, startMinutes: 540, endMinutes: 1020 });
+
+        const spelling = Helpers.parseWorkingHours("SENIN-Jum'at 08:00-17:00");
+        assert.strictEqual(spelling.startDay, 1, 'Day names should ignore case');
+        assert.strictEqual(spelling.endDay, 5, "Jum'at should be accepted");
+
+        const weekend = Helpers.parseWorkingHours('Sabtu - Senin, 10:00 - 14:00');
+        assert.strictEqual(weekend.startDay, 6);
+        assert.strictEqual(weekend.endDay, 1, 'Ranges may wrap past the end of the week');
+
+        assert.strictEqual(Helpers.parseWorkingHours('Setiap hari, 08:00 - 17:00'), null, 'Unknown day names should not parse');
+        assert.strictEqual(Helpers.parseWorkingHours('Senin - Jumat'), null, 'A schedule needs times');
+        assert.strictEqual(Helpers.parseWorkingHours(''), null);
+    }
+
+    async testTimes() {
+        const Helpers = require('../src/utils/helpers');
+        const times = text => {
+            const schedule = Helpers.parseWorkingHours(`Senin - Jumat, ${text}`);
+            return [schedule.startMinutes, schedule.endMinutes];
+        };
+
+        assert.deepStrictEqual(times('08.30 - 16.45'), [510, 1005], 'Dots should work as separators');
+        assert.deepStrictEqual(times('9:15 am - 5:30 pm'), [555, 1050], 'AM/PM should ignore case and keep minutes');
+        assert.deepStrictEqual(times('12 PM - 12 AM'), [720, 0], '12 PM is noon and 12 AM is midnight');
+        assert.deepStrictEqual(times('9 - 5 PM'), [540, 1020], 'Only the end may carry AM/PM');
+        assert.deepStrictEqual(times('22:00 - 06:00'), [1320, 360]);
+    }
+
+    async testWithin() {
+        const Helpers = require('../src/utils/helpers');
+        const hours = 'Senin - Jumat, 08:00 - 17:00 WIB';
+        const within = (day, time) => Helpers.isWithinWorkingHours(hours, 'Asia/Jakarta', this.jakarta(day, time));
+
+        assert.strictEqual(within(6, '07:59'), false, 'Before opening');
+        assert.strictEqual(within(6, '08:00'), true, 'Opening time is included');
+        assert.strictEqual(within(10, '16:59'), true, 'Friday is a working day');
+        assert.strictEqual(within(10, '17:00'), false, 'Closing time is excluded');
+        assert.strictEqual(within(11, '10:00'), false, 'Saturday is closed');
+
+        const weekend = (day, time) => Helpers.isWithinWorkingHours('Sabtu - Senin, 10:00 - 14:00', 'Asia/Jakarta', this.jakarta(day, time));
+        assert.strictEqual(weekend(5, '11:00'), true, 'Sunday is inside Saturday - Monday');
+        assert.strictEqual(weekend(6, '11:00'), true);
+        assert.strictEqual(weekend(7, '11:00'), false, 'Tuesday is outside Saturday - Monday');
+
+        // Unparsable schedules fall back to Monday - Friday, 9 AM - 5 PM
+        assert.strictEqual(Helpers.isWithinWorkingHours('24 jam', 'Asia/Jakarta', this.jakarta(6, '08:30')), false);
+        assert.strictEqual(Helpers.isWithinWorkingHours('24 jam', 'Asia/Jakarta', this.jakarta(6, '09:30')), true);
+    }
+
+    async testOvernight() {
+        const Helpers = require('../src/utils/helpers');
+        const within = (day, time) => Helpers.isWithinWorkingHours('Senin - Jumat, 22:00 - 06:00', 'Asia/Jakarta', this.jakarta(day, time));
+
+        assert.strictEqual(within(6, '23:00'), true, 'Late evening on a working day');
+        assert.strictEqual(within(7, '05:59'), true, 'After midnight belongs to the previous evening');
+        assert.strictEqual(within(7, '06:00'), false, 'Closing time is excluded');
+        assert.strictEqual(within(7, '12:00'), false, 'Daytime is outside an overnight schedule');
+        assert.strictEqual(within(6, '02:00'), false, "Monday morning belongs to Sunday's closed night");
+        assert.strictEqual(within(11, '02:00'), true, "Saturday morning belongs to Friday's night");
+        assert.strictEqual(within(11, '23:00'), false, 'Saturday evening is closed');
+    }
+
+    async testTimezones() {
+        const Helpers = require('../src/utils/helpers');
+        const hours = 'Senin - Jumat, 08:00 - 17:00';
+        // Monday 08:30 in Jakarta
+        const moment = this.jakarta(6, '08:30');
+
+        assert.strictEqual(Helpers.isWithinWorkingHours(hours, 'Asia/Jakarta', moment), true);
+        assert.strictEqual(Helpers.isWithinWorkingHours(hours, 'Asia/Jayapura', moment), true, '10:30 in Jayapura');
+        assert.strictEqual(Helpers.isWithinWorkingHours(hours, 'UTC', moment), false, '01:30 in UTC');
+        assert.strictEqual(Helpers.isWithinWorkingHours(hours, 'America/New_York', moment), false, 'Still Sunday evening in New York');
+
+        assert.strictEqual(Helpers.isWithinWorkingHours(hours, 'Not/AZone', this.jakarta(11, '23:00')), true,
+            'An invalid timezone should leave the bot available');
+    }
+}
+
+// CLI interface
+if (require.main === module) {
+    const test = new WorkingHoursTest();
+    test.runTests().catch(error => {
+        console.error('❌ Test runner failed:', error.message);
+        process.exit(1);
+    });
+}
+
+module.exports = WorkingHoursTest;